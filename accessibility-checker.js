@@ -1,25 +1,155 @@
 /**
  * AccessibilityChecker - WCAG contrast ratio calculations and validation
  * 
- * Provides functions for calculating contrast ratios between colors,
- * validating WCAG compliance, and finding accessible text-background pairs.
+ * Provides functions for calculating contrast ratios between colors (including
+ * translucent ones), APCA lightness contrast (WCAG 3 draft), validating WCAG
+ * compliance for normal text, large text and non-text (SC 1.4.3, 1.4.6,
+ * 1.4.11), checking the role pairs a palette is meant to layer, finding
+ * accessible text-background pairs, checking inline link colors, checking
+ * text over gradient and image backgrounds, checking semantic status colors,
+ * repairing pairs that fall short and checking that chart colors stay
+ * distinguishable under color vision deficiencies.
  * 
  * Requirements: 4.1, 4.2, 4.3, 4.4
  */
 
+// Import dependencies for ES6 modules
+import ColorUtility from './color-utility.js';
+import ColorVisionSimulator from './color-vision-simulator.js';
+
+// APCA-W3 0.0.98G-4g constants: https://github.com/Myndex/apca-w3
+const APCA = {
+  mainTRC: 2.4,
+  sRco: 0.2126729,
+  sGco: 0.7151522,
+  sBco: 0.0721750,
+  normBG: 0.56,
+  normTXT: 0.57,
+  revTXT: 0.62,
+  revBG: 0.65,
+  blkThrs: 0.022,
+  blkClmp: 1.414,
+  scaleBoW: 1.14,
+  scaleWoB: 1.14,
+  loBoWoffset: 0.027,
+  loWoBoffset: 0.027,
+  deltaYmin: 0.0005,
+  loClip: 0.1
+};
+
+// APCA font lookup: minimum |Lc| by font size (px) for weights 100-900.
+// null means the size/weight combination is not recommended for text.
+const APCA_FONT_LOOKUP = [
+  [12, [null, null, null, null, null, null, null, null, null]],
+  [14, [null, null, null, 100, 100, 90, 75, null, null]],
+  [15, [null, null, null, 100, 90, 75, 70, null, null]],
+  [16, [null, null, null, 90, 75, 70, 60, 60, null]],
+  [18, [null, null, 100, 75, 70, 60, 55, 55, 55]],
+  [21, [null, null, 90, 70, 60, 55, 50, 50, 50]],
+  [24, [null, null, 75, 60, 55, 50, 45, 45, 45]],
+  [28, [null, 100, 70, 55, 50, 45, 43, 43, 43]],
+  [32, [null, 90, 65, 50, 45, 43, 40, 40, 40]],
+  [36, [null, 75, 60, 45, 43, 40, 38, 38, 38]],
+  [42, [100, 70, 55, 43, 40, 38, 35, 35, 35]],
+  [48, [90, 60, 50, 40, 38, 35, 33, 33, 33]],
+  [60, [75, 55, 45, 38, 35, 33, 30, 30, 30]],
+  [72, [60, 50, 40, 35, 33, 30, 30, 30, 30]],
+  [96, [50, 45, 35, 33, 30, 30, 30, 30, 30]]
+];
+
+// WCAG 2 minimum ratios per conformance level. Large text is at least 24px, or
+// 18.66px bold; SC 1.4.11 (non-text) only exists at AA, so AAA reuses 3:1
+const WCAG_THRESHOLDS = {
+  AA: { normal: 4.5, large: 3, nonText: 3 },
+  AAA: { normal: 7, large: 4.5, nonText: 3 }
+};
+
+// Threshold key in WCAG_THRESHOLDS for each kind of pair rule
+const RULE_KINDS = {
+  text: 'normal',
+  'large-text': 'large',
+  'non-text': 'nonText'
+};
+
+// Role pairs a palette is meant to layer. A side may list fallback roles; the
+// first one present in the palette is used (e.g., onPrimary, else background)
+const DEFAULT_PAIR_RULES = [
+  { label: 'Body text', text: 'text', background: 'background', level: 'AA', kind: 'text' },
+  { label: 'Text on cards and panels', text: 'text', background: 'surface', level: 'AA', kind: 'text' },
+  { label: 'Button labels', text: ['onPrimary', 'background'], background: 'primary', level: 'AA', kind: 'text' },
+  { label: 'Links', text: ['link', 'primary'], background: 'background', level: 'AA', kind: 'text' },
+  { label: 'Controls and focus indicators', text: 'primary', background: 'background', level: 'AA', kind: 'non-text' },
+  { label: 'Icons and highlights', text: 'accent', background: 'background', level: 'AA', kind: 'non-text' }
+];
+
+// Status colors and the pairs each is used in: labels on the solid color,
+// messages on the subtle tint, and icons or borders on the page background
+const STATUS_ROLES = ['success', 'warning', 'error', 'info'];
+const STATUS_PAIR_RULES = STATUS_ROLES.flatMap(status => {
+  const name = status.charAt(0).toUpperCase() + status.slice(1);
+  return [
+    { label: `${name} labels`, text: `on${name}`, background: status, level: 'AA', kind: 'text' },
+    { label: `${name} messages`, text: `on${name}Subtle`, background: `${status}Subtle`, level: 'AA', kind: 'text' },
+    { label: `${name} indicators`, text: status, background: 'background', level: 'AA', kind: 'non-text' }
+  ];
+});
+
+// WCAG technique G183: a link shown in color only needs 3:1 against the
+// surrounding text (and 4.5:1 against the background like any text)
+const LINK_TEXT_CONTRAST = 3;
+
+// Sample points per axis of a text region over a gradient
+const GRADIENT_SAMPLES = 11;
+
+// Most pixels an image check samples unless given a step
+const IMAGE_SAMPLES = 10000;
+
+// Failing samples kept in a background contrast report
+const FAILURE_SAMPLES = 100;
+
+// Minimum Delta E 2000 between chart series; closer colors are easily
+// confused in small marks such as lines, dots and legend keys
+const DISTINGUISHABILITY_THRESHOLD = 10;
+
+// Named contrast targets for repairContrast; numbers are APCA Lc targets
+const CONTRAST_TARGETS = {
+  AA: 4.5,
+  AAA: 7
+};
+
+// Binary search steps when looking for the smallest lightness change
+const REPAIR_SEARCH_STEPS = 24;
+
+// OKLCH lightness shift above which a repair stops being a nudge (e.g., a white
+// background turned near-black); such moves are a last resort
+const MAX_NUDGE_SHIFT = 0.3;
+
+// Lightness samples when a check only passes between the extremes
+const LIGHTNESS_SCAN_STEPS = 100;
+
 class AccessibilityChecker {
+  /**
+   * @param {Object} [options] - Checker options
+   * @param {Array<Object>} [options.pairRules] - Project role-pair rules (see checkPairRules);
+   *   defaults to text on background/surface, button labels, links, controls and icons
+   */
+  constructor({ pairRules = DEFAULT_PAIR_RULES } = {}) {
+    this.colorUtility = new ColorUtility();
+    this.colorVisionSimulator = new ColorVisionSimulator();
+    this.pairRules = pairRules.map(rule => this._normalizePairRule(rule));
+  }
+
   /**
    * Calculate relative luminance of a color
    * Based on WCAG 2.1 formula: https://www.w3.org/TR/WCAG21/#dfn-relative-luminance
-   * @param {string} hex - HEX color code
+   * Alpha is ignored here; calculateContrastRatio flattens translucent colors.
+   * @param {string|Object} hex - HEX color code, CSS color string or color object
    * @returns {number} Relative luminance (0-1)
    */
   getRelativeLuminance(hex) {
-    // Convert hex to RGB
-    const cleanHex = hex.replace(/^#/, '');
-    const r = parseInt(cleanHex.substring(0, 2), 16) / 255;
-    const g = parseInt(cleanHex.substring(2, 4), 16) / 255;
-    const b = parseInt(cleanHex.substring(4, 6), 16) / 255;
+    // Parse to sRGB, clipping wide-gamut colors since WCAG is defined on sRGB
+    const [r, g, b] = this.colorUtility.convert(this.colorUtility.toColor(hex), 'srgb').coords
+      .map(channel => Math.max(0, Math.min(1, channel)));
 
     // Apply gamma correction
     const linearize = (channel) => {
@@ -39,13 +169,19 @@ class AccessibilityChecker {
   /**
    * Calculate contrast ratio between two colors
    * Based on WCAG 2.1 formula: https://www.w3.org/TR/WCAG21/#dfn-contrast-ratio
-   * @param {string} color1Hex - First HEX color code
-   * @param {string} color2Hex - Second HEX color code
+   * Translucent colors are flattened first: the second color is composited over
+   * the backdrop, then the first color over that result.
+   * @param {string} color1Hex - First (foreground) HEX color code or CSS color string
+   * @param {string} color2Hex - Second (background) HEX color code or CSS color string
+   * @param {string} [backdrop='#FFFFFF'] - Opaque color behind a translucent background
    * @returns {number} Contrast ratio (1-21)
    */
-  calculateContrastRatio(color1Hex, color2Hex) {
-    const l1 = this.getRelativeLuminance(color1Hex);
-    const l2 = this.getRelativeLuminance(color2Hex);
+  calculateContrastRatio(color1Hex, color2Hex, backdrop = '#FFFFFF') {
+    const background = this.colorUtility.composite(color2Hex, backdrop);
+    const foreground = this.colorUtility.composite(color1Hex, background);
+
+    const l1 = this.getRelativeLuminance(foreground);
+    const l2 = this.getRelativeLuminance(background);
 
     // Ensure L1 is the lighter color
     const lighter = Math.max(l1, l2);
@@ -55,64 +191,911 @@ class AccessibilityChecker {
     return (lighter + 0.05) / (darker + 0.05);
   }
 
+  /**
+   * Calculate APCA lightness contrast (Lc) between text and background
+   * Based on APCA-W3 0.0.98G: https://github.com/Myndex/apca-w3
+   * Unlike the WCAG 2 ratio the result depends on polarity: dark text on a
+   * light background is positive, light text on a dark background negative.
+   * Translucent colors are flattened the same way as calculateContrastRatio.
+   * @param {string} textHex - Text HEX color code or CSS color string
+   * @param {string} backgroundHex - Background HEX color code or CSS color string
+   * @param {string} [backdrop='#FFFFFF'] - Opaque color behind a translucent background
+   * @returns {number} Lightness contrast (about -108 to 106)
+   */
+  calculateAPCAContrast(textHex, backgroundHex, backdrop = '#FFFFFF') {
+    const background = this.colorUtility.composite(backgroundHex, backdrop);
+    const text = this.colorUtility.composite(textHex, background);
+
+    const textY = this._getAPCALuminance(text);
+    const backgroundY = this._getAPCALuminance(background);
+
+    // Colors too close in luminance have no perceivable contrast
+    if (Math.abs(backgroundY - textY) < APCA.deltaYmin) {
+      return 0;
+    }
+
+    let contrast;
+    if (backgroundY > textY) {
+      // Normal polarity: dark text on a light background
+      const sapc = (Math.pow(backgroundY, APCA.normBG) - Math.pow(textY, APCA.normTXT)) * APCA.scaleBoW;
+      contrast = sapc < APCA.loClip ? 0 : sapc - APCA.loBoWoffset;
+    } else {
+      // Reverse polarity: light text on a dark background
+      const sapc = (Math.pow(backgroundY, APCA.revBG) - Math.pow(textY, APCA.revTXT)) * APCA.scaleWoB;
+      contrast = sapc > -APCA.loClip ? 0 : sapc + APCA.loWoBoffset;
+    }
+
+    return contrast * 100;
+  }
+
+  /**
+   * Get the minimum APCA contrast for a font size and weight
+   * Sizes between table rows use the next smaller row.
+   * @param {number} fontSize - Font size in CSS pixels
+   * @param {number} [fontWeight=400] - Font weight (100-900)
+   * @returns {number|null} Minimum |Lc|, or null if the font is too small or thin for text
+   */
+  getAPCAMinimumContrast(fontSize, fontWeight = 400) {
+    const row = APCA_FONT_LOOKUP.filter(([size]) => size <= fontSize).pop();
+    if (!row) {
+      return null;
+    }
+
+    return row[1][this._getWeightIndex(fontWeight)];
+  }
+
+  /**
+   * Get the smallest font size an APCA contrast supports at a font weight
+   * @param {number} lc - APCA lightness contrast (either polarity)
+   * @param {number} [fontWeight=400] - Font weight (100-900)
+   * @returns {number|null} Font size in CSS pixels, or null if no size is readable
+   */
+  getAPCAMinimumFontSize(lc, fontWeight = 400) {
+    const weightIndex = this._getWeightIndex(fontWeight);
+    const row = APCA_FONT_LOOKUP.find(([, minimums]) =>
+      minimums[weightIndex] !== null && Math.abs(lc) >= minimums[weightIndex]
+    );
+
+    return row ? row[0] : null;
+  }
+
+  /**
+   * Check if an APCA contrast is enough for a font size and weight
+   * @param {number} lc - APCA lightness contrast (either polarity)
+   * @param {number} [fontSize=16] - Font size in CSS pixels
+   * @param {number} [fontWeight=400] - Font weight (100-900)
+   * @returns {boolean} True if the contrast meets the APCA font lookup table
+   */
+  meetsAPCA(lc, fontSize = 16, fontWeight = 400) {
+    const minimum = this.getAPCAMinimumContrast(fontSize, fontWeight);
+    return minimum !== null && Math.abs(lc) >= minimum;
+  }
+
   /**
    * Check if contrast ratio meets WCAG AA standard
    * WCAG AA requires 4.5:1 for normal text, 3:1 for large text
    * @param {number} contrastRatio - Contrast ratio to check
+   * @param {string} [textSize='normal'] - "normal" or "large" text
    * @returns {boolean} True if meets WCAG AA
    */
-  meetsWCAG_AA(contrastRatio) {
-    return contrastRatio >= 4.5;
+  meetsWCAG_AA(contrastRatio, textSize = 'normal') {
+    return contrastRatio >= WCAG_THRESHOLDS.AA[textSize === 'large' ? 'large' : 'normal'];
   }
 
   /**
    * Check if contrast ratio meets WCAG AAA standard
    * WCAG AAA requires 7:1 for normal text, 4.5:1 for large text
    * @param {number} contrastRatio - Contrast ratio to check
+   * @param {string} [textSize='normal'] - "normal" or "large" text
    * @returns {boolean} True if meets WCAG AAA
    */
-  meetsWCAG_AAA(contrastRatio) {
-    return contrastRatio >= 7;
+  meetsWCAG_AAA(contrastRatio, textSize = 'normal') {
+    return contrastRatio >= WCAG_THRESHOLDS.AAA[textSize === 'large' ? 'large' : 'normal'];
+  }
+
+  /**
+   * Check if contrast ratio meets WCAG non-text contrast (SC 1.4.11)
+   * UI component boundaries, focus indicators, icons and other graphical
+   * objects need 3:1 against adjacent colors.
+   * @param {number} contrastRatio - Contrast ratio to check
+   * @returns {boolean} True if meets SC 1.4.11
+   */
+  meetsNonTextContrast(contrastRatio) {
+    return contrastRatio >= WCAG_THRESHOLDS.AA.nonText;
+  }
+
+  /**
+   * Classify a contrast ratio against every applicable WCAG 2 success criterion
+   * @param {number} contrastRatio - Contrast ratio to classify
+   * @returns {{normalText: {AA: boolean, AAA: boolean}, largeText: {AA: boolean, AAA: boolean},
+   *   nonText: boolean, usage: {AA: string, AAA: string}}} Results for SC 1.4.3/1.4.6 (normal
+   *   and large text) and SC 1.4.11, plus the most demanding use at each level (see getContrastUsage)
+   */
+  classifyContrast(contrastRatio) {
+    return {
+      normalText: {
+        AA: this.meetsWCAG_AA(contrastRatio),
+        AAA: this.meetsWCAG_AAA(contrastRatio)
+      },
+      largeText: {
+        AA: this.meetsWCAG_AA(contrastRatio, 'large'),
+        AAA: this.meetsWCAG_AAA(contrastRatio, 'large')
+      },
+      nonText: this.meetsNonTextContrast(contrastRatio),
+      usage: {
+        AA: this.getContrastUsage(contrastRatio, 'AA'),
+        AAA: this.getContrastUsage(contrastRatio, 'AAA')
+      }
+    };
+  }
+
+  /**
+   * Get the most demanding use a contrast ratio is safe for
+   * Ratios from 3:1 up to the normal text threshold are "non-text" at every
+   * level. At AA, large text shares the 3:1 minimum, so "headings" only
+   * occurs at AAA, where large text needs 4.5:1.
+   * @param {number} contrastRatio - Contrast ratio to check
+   * @param {string} [level='AA'] - Conformance level ("AA" or "AAA")
+   * @returns {string} "body-text", "headings" (large text only), "non-text"
+   *   (borders and icons only) or "none"
+   * @throws {Error} If the level is unknown
+   */
+  getContrastUsage(contrastRatio, level = 'AA') {
+    const thresholds = WCAG_THRESHOLDS[level];
+    if (!thresholds) {
+      throw new Error(`Unknown conformance level "${level}"`);
+    }
+
+    if (contrastRatio >= thresholds.normal) return 'body-text';
+    if (contrastRatio >= thresholds.large && thresholds.large > thresholds.nonText) return 'headings';
+    if (contrastRatio >= thresholds.nonText) return 'non-text';
+    return 'none';
+  }
+
+  /**
+   * Classify every ordered role pair of a palette
+   * @param {Object} palette - Palette object with colors property
+   * @returns {Array<Object>} One entry per pair {textRole, backgroundRole, text, background,
+   *   ratio, apca, ...classifyContrast(ratio)}, in role order
+   */
+  classifyPairs(palette) {
+    const entries = Object.entries(palette.colors)
+      .map(([role, color]) => [role, typeof color === 'string' ? color : color.hex]);
+
+    const pairs = [];
+    for (const [textRole, text] of entries) {
+      for (const [backgroundRole, background] of entries) {
+        if (textRole === backgroundRole) continue;
+
+        const ratio = this.calculateContrastRatio(text, background);
+        pairs.push({
+          textRole,
+          backgroundRole,
+          text,
+          background,
+          ratio: Math.round(ratio * 100) / 100,
+          apca: Math.round(this.calculateAPCAContrast(text, background) * 10) / 10,
+          ...this.classifyContrast(ratio)
+        });
+      }
+    }
+
+    return pairs;
+  }
+
+  /**
+   * Build a role-by-role contrast matrix for a palette
+   * @param {Object} palette - Palette object with colors property
+   * @returns {{roles: string[], rows: Array<Array<Object|null>>}} Palette roles and one row
+   *   per text role with one cell per background role (see classifyPairs); cells on the
+   *   diagonal, where a role meets itself, are null
+   */
+  buildContrastMatrix(palette) {
+    const roles = Object.keys(palette.colors);
+    const pairs = this.classifyPairs(palette);
+
+    const rows = roles.map(textRole => roles.map(backgroundRole =>
+      pairs.find(pair => pair.textRole === textRole && pair.backgroundRole === backgroundRole) || null
+    ));
+
+    return { roles, rows };
+  }
+
+  /**
+   * Check a palette against its role-pair rules
+   * A rule names the roles meant to be layered and the contrast they need:
+   * {label, text, background, level, kind}, where text and background are a
+   * role or a list of fallback roles, level is "AA" or "AAA" and kind is
+   * "text", "large-text" or "non-text" (SC 1.4.11).
+   * @param {Object} palette - Palette object with colors property
+   * @param {Array<Object>} [rules=this.pairRules] - Rules to check
+   * @returns {{compliant: boolean, results: Array<Object>}} Whether every applicable rule
+   *   passes, and one result per rule {label, level, kind, required, textRole, backgroundRole,
+   *   text, background, ratio, apca, status}; status is "pass", "fail" or "missing" when
+   *   the palette lacks a role (missing rules do not affect compliance)
+   * @throws {Error} If a rule is invalid
+   */
+  checkPairRules(palette, rules = this.pairRules) {
+    const results = rules.map(rule => {
+      const { label, text, background, level, kind } = this._normalizePairRule(rule);
+      const textRole = text.find(role => role in palette.colors);
+      const backgroundRole = background.find(role => role in palette.colors);
+      const required = WCAG_THRESHOLDS[level][RULE_KINDS[kind]];
+      const result = { label, level, kind, required, textRole: textRole || null, backgroundRole: backgroundRole || null };
+
+      if (!textRole || !backgroundRole) {
+        return { ...result, text: null, background: null, ratio: null, apca: null, status: 'missing' };
+      }
+
+      const textHex = this._getRoleHex(palette, textRole);
+      const backgroundHex = this._getRoleHex(palette, backgroundRole);
+      const ratio = this.calculateContrastRatio(textHex, backgroundHex);
+
+      return {
+        ...result,
+        text: textHex,
+        background: backgroundHex,
+        ratio: Math.round(ratio * 100) / 100,
+        apca: Math.round(this.calculateAPCAContrast(textHex, backgroundHex) * 10) / 10,
+        status: ratio >= required ? 'pass' : 'fail'
+      };
+    });
+
+    return {
+      compliant: results.every(result => result.status !== 'fail'),
+      results
+    };
+  }
+
+  /**
+   * Check a palette's semantic status colors
+   * Each status color is checked like a role-pair rule: its "on" color as
+   * text on it, its subtle text color on its subtle tint, and the solid color
+   * against the palette background as an icon or border (non-text).
+   * @param {Object} palette - Palette object with colors and statusColors properties
+   *   (see PaletteGenerator.generateStatusColors)
+   * @returns {{compliant: boolean, results: Array<Object>}} Report as in checkPairRules;
+   *   empty and compliant when the palette has no status colors
+   */
+  checkStatusColors(palette) {
+    if (!palette.statusColors) {
+      return { compliant: true, results: [] };
+    }
+    return this.checkPairRules({ colors: { ...palette.colors, ...palette.statusColors } }, STATUS_PAIR_RULES);
   }
 
   /**
    * Find accessible text-background color pairs in a palette
+   * Only role pairs named by the pair rules are considered, so meaningless
+   * combinations (e.g., accent text on secondary) are never recommended.
+   * Pairs are selected by the WCAG 2 ratio and also report the APCA contrast
+   * with the smallest normal-weight (400) font size it supports.
    * @param {Object} palette - Palette object with colors property
-   * @returns {Array<{text: string, background: string, ratio: number}>} Array of accessible pairs
+   * @param {Array<Object>} [rules=this.pairRules] - Rules naming the role pairs to consider
+   * @returns {Array<{text: string, background: string, textRole: string, backgroundRole: string,
+   *   ratio: number, apca: number, apcaFontSize: number|null}>} Array of accessible pairs
    */
-  findAccessiblePairs(palette) {
+  findAccessiblePairs(palette, rules = this.pairRules) {
     const accessiblePairs = [];
-    const colors = palette.colors;
+    const seen = new Set();
 
-    // Get all color values from the palette
-    const colorEntries = Object.entries(colors);
+    for (const { textRole, backgroundRole, status } of this.checkPairRules(palette, rules).results) {
+      if (status === 'missing' || textRole === backgroundRole) continue;
+      if (seen.has(`${textRole}/${backgroundRole}`)) continue; // Same roles, different rule
+      seen.add(`${textRole}/${backgroundRole}`);
 
-    // Test all combinations of colors
-    for (let i = 0; i < colorEntries.length; i++) {
-      for (let j = 0; j < colorEntries.length; j++) {
-        if (i === j) continue; // Skip same color
+      const textHex = this._getRoleHex(palette, textRole);
+      const bgHex = this._getRoleHex(palette, backgroundRole);
+      const ratio = this.calculateContrastRatio(textHex, bgHex);
 
-        const [textRole, textColor] = colorEntries[i];
-        const [bgRole, bgColor] = colorEntries[j];
+      // Only include pairs that meet WCAG AA standard
+      if (this.meetsWCAG_AA(ratio)) {
+        const apca = this.calculateAPCAContrast(textHex, bgHex);
 
-        // Get hex value (handle both string and object formats)
-        const textHex = typeof textColor === 'string' ? textColor : textColor.hex;
-        const bgHex = typeof bgColor === 'string' ? bgColor : bgColor.hex;
+        accessiblePairs.push({
+          text: textHex,
+          background: bgHex,
+          textRole,
+          backgroundRole,
+          ratio: Math.round(ratio * 100) / 100, // Round to 2 decimal places
+          apca: Math.round(apca * 10) / 10, // Round to 1 decimal place
+          apcaFontSize: this.getAPCAMinimumFontSize(apca)
+        });
+      }
+    }
 
-        const ratio = this.calculateContrastRatio(textHex, bgHex);
+    return accessiblePairs;
+  }
 
-        // Only include pairs that meet WCAG AA standard
-        if (this.meetsWCAG_AA(ratio)) {
-          accessiblePairs.push({
-            text: textHex,
-            background: bgHex,
-            ratio: Math.round(ratio * 100) / 100 // Round to 2 decimal places
-          });
+  /**
+   * Check link colors for inline links distinguished by color alone
+   * WCAG 1.4.1 technique G183: the link needs 3:1 contrast against the
+   * surrounding body text and 4.5:1 against the background. Failing links get
+   * a suggested color with the same hue and the smallest lightness change
+   * that passes both.
+   * @param {Object} palette - Palette object with colors property (text and background roles)
+   * @param {string[]} [linkRoles=['primary', 'accent']] - Roles to evaluate as link colors
+   * @returns {Array<{role: string, link: string, text: string, background: string, textRatio: number,
+   *   backgroundRatio: number, passes: boolean, suggestion: string|null}>} One result per link
+   *   role present in the palette; suggestion is null when the link passes or no lightness of
+   *   its hue fits between the text and background
+   */
+  checkLinkContrast(palette, linkRoles = ['primary', 'accent']) {
+    if (!palette.colors.text || !palette.colors.background) return [];
+
+    const text = this._getRoleHex(palette, 'text');
+    const background = this._getRoleHex(palette, 'background');
+    const passes = (link) => this.calculateContrastRatio(link, text) >= LINK_TEXT_CONTRAST
+      && this.calculateContrastRatio(link, background) >= WCAG_THRESHOLDS.AA.normal;
+
+    return linkRoles
+      .filter(role => palette.colors[role])
+      .map(role => {
+        const link = this._getRoleHex(palette, role);
+        const linkPasses = passes(link);
+        const fix = linkPasses ? null : this._findLightnessFix(link, passes);
+
+        return {
+          role,
+          link,
+          text,
+          background,
+          textRatio: Math.round(this.calculateContrastRatio(link, text) * 100) / 100,
+          backgroundRatio: Math.round(this.calculateContrastRatio(link, background) * 100) / 100,
+          passes: linkPasses,
+          suggestion: fix ? fix.hex : null
+        };
+      });
+  }
+
+  /**
+   * Check text contrast over a CSS gradient background
+   * Samples a grid over the text region and compares the text color with the
+   * gradient color at each point. Gradients follow CSS geometry: linear
+   * gradients run along `angle` (180 = top to bottom) and radial gradients
+   * are circles or ellipses from the center to the farthest corner.
+   * @param {string|Object} textColor - Text color (CSS color string or color object)
+   * @param {Object} gradient - Gradient definition
+   * @param {Array<string|{color: string, position: number}>} gradient.colors - Color stops;
+   *   positions (0-1) are optional and missing ones are spread evenly, as in CSS
+   * @param {string} [gradient.type='linear'] - "linear" or "radial"
+   * @param {number} [gradient.angle=180] - Direction of linear gradients in degrees
+   * @param {string} [gradient.shape='circle'] - Shape of radial gradients ("circle" or "ellipse"),
+   *   matching exportAsCSSGradient
+   * @param {string} [gradient.space='oklch'] - Interpolation space, matching exportAsCSSGradient
+   * @param {string} [gradient.hue='shorter'] - Hue path for cylindrical spaces
+   * @param {Object} [options] - Check options
+   * @param {{width: number, height: number}} [options.size={width: 1, height: 1}] - Size of the
+   *   element painted with the gradient
+   * @param {{x: number, y: number, width: number, height: number}} [options.region] - Text region
+   *   in the same units; defaults to the whole element
+   * @param {number} [options.samples=11] - Sample points per axis
+   * @param {string} [options.level='AA'] - "AA" or "AAA"
+   * @param {string} [options.textSize='normal'] - "normal" or "large" text
+   * @returns {Object} Contrast report (see checkContrastOverImage)
+   * @throws {Error} If the level, gradient type or shape is unknown
+   */
+  checkContrastOverGradient(textColor, gradient, {
+    size = { width: 1, height: 1 },
+    region = { x: 0, y: 0, width: size.width, height: size.height },
+    samples = GRADIENT_SAMPLES,
+    level = 'AA',
+    textSize = 'normal'
+  } = {}) {
+    const { type = 'linear', angle = 180, shape = 'circle', space = 'oklch', hue = 'shorter' } = gradient;
+    if (type !== 'linear' && type !== 'radial') {
+      throw new Error(`Unknown gradient type "${type}"`);
+    }
+    if (shape !== 'circle' && shape !== 'ellipse') {
+      throw new Error(`Unknown gradient shape "${shape}"`);
+    }
+
+    const stops = this._normalizeGradientStops(gradient.colors);
+    const radians = angle * Math.PI / 180;
+    const lineLength = Math.abs(size.width * Math.sin(radians)) + Math.abs(size.height * Math.cos(radians));
+    const radius = Math.hypot(size.width / 2, size.height / 2);
+
+    // Distance from the center (0-1 at the farthest corner) of a radial gradient;
+    // a farthest-corner ellipse keeps the element's aspect ratio
+    const radialPosition = (dx, dy) => (shape === 'ellipse'
+      ? Math.hypot(dx / size.width, dy / size.height) * Math.SQRT2
+      : Math.hypot(dx, dy) / radius);
+
+    // Position along the gradient line (0-1) of a point in the element
+    const positionAt = (x, y) => {
+      const dx = x - size.width / 2;
+      const dy = y - size.height / 2;
+      return type === 'radial'
+        ? radialPosition(dx, dy)
+        : (dx * Math.sin(radians) - dy * Math.cos(radians)) / lineLength + 0.5;
+    };
+
+    const count = Math.max(2, Math.round(samples));
+    return this._summarizeBackgroundContrast(textColor, this._getRequiredRatio(level, textSize), (add) => {
+      for (let row = 0; row < count; row++) {
+        for (let column = 0; column < count; column++) {
+          const x = region.x + region.width * column / (count - 1);
+          const y = region.y + region.height * row / (count - 1);
+          add(x, y, this.colorUtility.toHex(this._gradientColorAt(stops, positionAt(x, y), { space, hue })));
+        }
+      }
+    });
+  }
+
+  /**
+   * Check text contrast over an image background
+   * Compares the text color with every `step`-th pixel of the text region in
+   * both directions. Without a step, large regions are thinned to about
+   * 10,000 samples. Translucent pixels are composited over white.
+   * @param {string|Object} textColor - Text color (CSS color string or color object)
+   * @param {{width: number, height: number, data: ArrayLike<number>}} image - Decoded RGBA pixels,
+   *   e.g. canvas ImageData
+   * @param {Object} [options] - Check options
+   * @param {{x: number, y: number, width: number, height: number}} [options.region] - Text region
+   *   in pixels; defaults to the whole image
+   * @param {number} [options.step] - Distance between sampled pixels; 1 checks every pixel
+   * @param {string} [options.level='AA'] - "AA" or "AAA"
+   * @param {string} [options.textSize='normal'] - "normal" or "large" text
+   * @returns {{required: number, passes: boolean, minRatio: number, averageRatio: number,
+   *   sampleCount: number, failureCount: number, failureRate: number, worst: Object,
+   *   failures: Array<Object>, failureBounds: Object|null}} Required ratio, whether every
+   *   sample meets it, the lowest and mean ratios, the number and share of failing samples,
+   *   the worst sample, the first 100 failing samples {x, y, background, ratio}, and the box
+   *   enclosing all failures
+   * @throws {Error} If the level is unknown
+   */
+  checkContrastOverImage(textColor, image, {
+    region = { x: 0, y: 0, width: image.width, height: image.height },
+    step,
+    level = 'AA',
+    textSize = 'normal'
+  } = {}) {
+    const left = Math.max(0, Math.floor(region.x));
+    const top = Math.max(0, Math.floor(region.y));
+    const right = Math.min(image.width, Math.ceil(region.x + region.width));
+    const bottom = Math.min(image.height, Math.ceil(region.y + region.height));
+    const area = Math.max(0, right - left) * Math.max(0, bottom - top);
+    const stride = Math.max(1, Math.round(step || Math.ceil(Math.sqrt(area / IMAGE_SAMPLES))));
+
+    // Photos repeat colors, so each RGBA value is converted to HEX once
+    const hexes = new Map();
+    const { data } = image;
+    return this._summarizeBackgroundContrast(textColor, this._getRequiredRatio(level, textSize), (add) => {
+      for (let y = top; y < bottom; y += stride) {
+        for (let x = left; x < right; x += stride) {
+          const offset = (y * image.width + x) * 4;
+          const key = ((data[offset] << 24) | (data[offset + 1] << 16) | (data[offset + 2] << 8) | data[offset + 3]) >>> 0;
+          if (!hexes.has(key)) {
+            hexes.set(key, this.colorUtility.toHex({
+              space: 'srgb',
+              coords: [data[offset] / 255, data[offset + 1] / 255, data[offset + 2] / 255],
+              alpha: data[offset + 3] / 255
+            }));
+          }
+          add(x, y, hexes.get(key));
         }
       }
+    });
+  }
+
+  /**
+   * Check whether a set of colors (e.g., chart series) can be told apart
+   * Computes the Delta E 2000 distance between every pair under normal vision
+   * and each color vision deficiency simulation; achromatopsia also stands in
+   * for grayscale print.
+   * @param {Array<string|Object>|Object<string, string|Object>} colors - Colors as a list
+   *   (labelled by index) or keyed by label, e.g. palette.colors; values are CSS colors or
+   *   color objects with a hex property
+   * @param {Object} [options] - Check options
+   * @param {number} [options.threshold=10] - Smallest acceptable Delta E 2000
+   * @param {string[]} [options.visions] - "normal" and/or deficiency types; defaults to all
+   * @param {number} [options.severity=1] - Deficiency severity from 0 to 1
+   * @returns {{threshold: number, distinguishable: boolean, visions: Object<string, Object>,
+   *   flaggedPairs: Array<Object>}} For each vision {minDistance, closestPair}, where
+   *   closestPair is {first, second, distance} (null for fewer than two colors), and every
+   *   pair below the threshold {first, second, vision, distance}, closest first
+   * @throws {Error} If a vision is unknown
+   */
+  checkDistinguishability(colors, { threshold = DISTINGUISHABILITY_THRESHOLD, visions, severity = 1 } = {}) {
+    const entries = (Array.isArray(colors) ? colors.map((color, i) => [String(i), color]) : Object.entries(colors))
+      .map(([label, color]) => [label, this.colorUtility.toHex(typeof color === 'string' ? color : color.hex)]);
+    const checkedVisions = visions || ['normal', ...this.colorVisionSimulator.getTypes()];
+
+    const report = { threshold, distinguishable: true, visions: {}, flaggedPairs: [] };
+
+    for (const vision of checkedVisions) {
+      const seen = entries.map(([label, hex]) => [
+        label,
+        vision === 'normal' ? hex : this.colorVisionSimulator.simulate(hex, vision, severity)
+      ]);
+
+      let closestPair = null;
+      for (let i = 0; i < seen.length; i++) {
+        for (let j = i + 1; j < seen.length; j++) {
+          const distance = Math.round(this.colorUtility.deltaE2000(seen[i][1], seen[j][1]) * 100) / 100;
+          const pair = { first: seen[i][0], second: seen[j][0], distance };
+
+          if (!closestPair || distance < closestPair.distance) closestPair = pair;
+          if (distance < threshold) report.flaggedPairs.push({ ...pair, vision });
+        }
+      }
+
+      report.visions[vision] = { minDistance: closestPair ? closestPair.distance : null, closestPair };
     }
 
-    return accessiblePairs;
+    report.flaggedPairs.sort((a, b) => a.distance - b.distance);
+    report.distinguishable = report.flaggedPairs.length === 0;
+    return report;
+  }
+
+  /**
+   * Repair failing contrast pairs by nudging OKLCH lightness
+   * Each failing pair is fixed by moving one of its colors lighter or darker
+   * (hue kept, chroma reduced only as needed to stay in sRGB) just far enough
+   * to reach the target. Moves of up to 0.3 lightness are preferred, so a
+   * repair does not flip a light color dark (or the reverse) while a smaller
+   * move of another color works. Among those, colors that fix several failing
+   * pairs, or that have already moved, are preferred so that as few colors as
+   * possible change.
+   * @param {Object} palette - Palette object with colors property
+   * @param {Array<{text: string, background: string, target?: string|number}>} pairs - Required
+   *   pairs; each side is a palette role (adjustable) or a CSS color (fixed)
+   * @param {Object} [options] - Repair options
+   * @param {string|number} [options.target='AA'] - "AA" (4.5:1), "AAA" (7:1) or an APCA Lc
+   *   such as 75; pairs may override it with their own target
+   * @param {string[]} [options.fixedRoles=[]] - Roles that must not change (e.g., brand colors)
+   * @returns {{palette: Object, changes: Array<Object>, pairs: Array<Object>}} Repaired copy of
+   *   the palette, each moved role {role, from, to, lightnessShift, deltaE} and the final
+   *   state of each pair {text, background, target, ratio, apca, passes}
+   * @throws {Error} If a target is not "AA", "AAA" or a number
+   */
+  repairContrast(palette, pairs, { target = 'AA', fixedRoles = [] } = {}) {
+    const hexes = {};
+    for (const [role, color] of Object.entries(palette.colors)) {
+      hexes[role] = this.colorUtility.toHex(typeof color === 'string' ? color : color.hex);
+    }
+
+    const isAdjustable = (side) => side in hexes && !fixedRoles.includes(side);
+    const resolve = (side) => (side in hexes ? hexes[side] : side);
+    const required = pairs.map(pair => ({ ...pair, target: pair.target ?? target }));
+    const passes = (pair) => this._meetsContrastTarget(resolve(pair.text), resolve(pair.background), pair.target);
+
+    const moved = new Set();
+    const unfixable = new Set();
+
+    // Each pass fixes one pair; later fixes may break earlier ones, so allow revisits
+    for (let pass = 0; pass < required.length * 3; pass++) {
+      const failing = required.filter(pair => !unfixable.has(pair) && !passes(pair));
+      if (failing.length === 0) break;
+
+      const pair = failing[0];
+      const candidates = [pair.text, pair.background]
+        .filter(isAdjustable)
+        .map(role => {
+          const partner = role === pair.text ? resolve(pair.background) : resolve(pair.text);
+          const fix = this._findLightnessFix(hexes[role], (candidate) => (role === pair.text
+            ? this._meetsContrastTarget(candidate, partner, pair.target)
+            : this._meetsContrastTarget(partner, candidate, pair.target)));
+          if (!fix) return null;
+
+          // Score the candidate by what else it fixes or breaks
+          const original = hexes[role];
+          hexes[role] = fix.hex;
+          const breaks = required.filter(other => other !== pair && !failing.includes(other) && !passes(other)).length;
+          const fixes = failing.filter(other => passes(other)).length;
+          hexes[role] = original;
+
+          const shift = Math.abs(fix.shift);
+          return { role, hex: fix.hex, shift, large: shift > MAX_NUDGE_SHIFT, breaks, fixes, moved: moved.has(role) };
+        })
+        .filter(Boolean)
+        .sort((a, b) => (a.breaks - b.breaks)
+          || (Number(a.large) - Number(b.large))
+          || (b.fixes - a.fixes)
+          || (Number(b.moved) - Number(a.moved))
+          || (a.shift - b.shift));
+
+      if (candidates.length === 0) {
+        unfixable.add(pair);
+        continue;
+      }
+
+      hexes[candidates[0].role] = candidates[0].hex;
+      moved.add(candidates[0].role);
+    }
+
+    // Build the repaired palette and the report
+    const colors = {};
+    const changes = [];
+    for (const [role, color] of Object.entries(palette.colors)) {
+      const from = typeof color === 'string' ? color : color.hex;
+      colors[role] = typeof color === 'string' ? hexes[role] : { ...color, hex: hexes[role] };
+
+      if (this.colorUtility.toHex(from) !== hexes[role]) {
+        const [fromLab, toLab] = [from, hexes[role]].map(value => {
+          const [l, a, b] = this.colorUtility.convert(this.colorUtility.toColor(value), 'lab').coords;
+          return { l, a, b };
+        });
+        const [fromL, toL] = [from, hexes[role]].map(value =>
+          this.colorUtility.convert(this.colorUtility.toColor(value), 'oklch').coords[0]
+        );
+
+        changes.push({
+          role,
+          from,
+          to: hexes[role],
+          lightnessShift: Math.round((toL - fromL) * 1000) / 1000,
+          deltaE: Math.round(this.colorUtility.deltaE2000(fromLab, toLab) * 100) / 100
+        });
+      }
+    }
+
+    return {
+      palette: { ...palette, colors },
+      changes,
+      pairs: required.map(pair => ({
+        text: pair.text,
+        background: pair.background,
+        target: pair.target,
+        ratio: Math.round(this.calculateContrastRatio(resolve(pair.text), resolve(pair.background)) * 100) / 100,
+        apca: Math.round(this.calculateAPCAContrast(resolve(pair.text), resolve(pair.background)) * 10) / 10,
+        passes: passes(pair)
+      }))
+    };
+  }
+
+  /**
+   * Validate a role-pair rule and fill in its defaults
+   * @private
+   * @param {Object} rule - Rule {label?, text, background, level?, kind?}
+   * @returns {{label: string, text: string[], background: string[], level: string, kind: string}}
+   *   Rule with role lists, level (default "AA") and kind (default "text")
+   * @throws {Error} If a side names no role, or the level or kind is unknown
+   */
+  _normalizePairRule(rule) {
+    const { text, background, level = 'AA', kind = 'text' } = rule;
+    const toRoles = (side) => (Array.isArray(side) ? side : [side]).filter(role => typeof role === 'string' && role);
+    const normalized = { ...rule, text: toRoles(text), background: toRoles(background), level, kind };
+
+    if (normalized.text.length === 0 || normalized.background.length === 0) {
+      throw new Error('Invalid pair rule: text and background must name a role');
+    }
+    if (!WCAG_THRESHOLDS[level]) {
+      throw new Error(`Unknown conformance level "${level}"`);
+    }
+    if (!RULE_KINDS[kind]) {
+      throw new Error(`Unknown pair rule kind "${kind}"`);
+    }
+
+    normalized.label = rule.label || `${normalized.text[0]} on ${normalized.background[0]}`;
+    return normalized;
+  }
+
+  /**
+   * Get the minimum WCAG 2 ratio for a level and text size
+   * @private
+   * @param {string} level - "AA" or "AAA"
+   * @param {string} textSize - "normal" or "large"
+   * @returns {number} Required contrast ratio
+   * @throws {Error} If the level is unknown
+   */
+  _getRequiredRatio(level, textSize) {
+    if (!WCAG_THRESHOLDS[level]) {
+      throw new Error(`Unknown conformance level "${level}"`);
+    }
+    return WCAG_THRESHOLDS[level][textSize === 'large' ? 'large' : 'normal'];
+  }
+
+  /**
+   * Fill in missing gradient stop positions
+   * Missing positions are spread evenly between their neighbours, as in CSS.
+   * @private
+   * @param {Array<string|{color: string, position: number}>} colors - Color stops
+   * @returns {Array<{color: string, position: number}>} Stops with positions (0-1)
+   * @throws {Error} If fewer than two stops are given
+   */
+  _normalizeGradientStops(colors) {
+    if (!Array.isArray(colors) || colors.length < 2) {
+      throw new Error('A gradient needs at least two colors');
+    }
+
+    const stops = colors.map(stop => (typeof stop === 'object' && 'color' in stop ? { ...stop } : { color: stop }));
+    if (stops[0].position === undefined) stops[0].position = 0;
+    if (stops[stops.length - 1].position === undefined) stops[stops.length - 1].position = 1;
+
+    for (let i = 1; i < stops.length - 1; i++) {
+      if (stops[i].position !== undefined) continue;
+      const next = stops.findIndex((stop, j) => j > i && stop.position !== undefined);
+      const start = stops[i - 1].position;
+      stops[i].position = start + (stops[next].position - start) / (next - i + 1);
+    }
+
+    return stops;
+  }
+
+  /**
+   * Get the color of a gradient at a position
+   * @private
+   * @param {Array<{color: string, position: number}>} stops - Stops with positions
+   * @param {number} t - Position along the gradient line (clamped to the first and last stops)
+   * @param {Object} options - Interpolation options ({space, hue})
+   * @returns {string|Object} Stop color or interpolated color object
+   */
+  _gradientColorAt(stops, t, options) {
+    if (t <= stops[0].position) return stops[0].color;
+
+    const next = stops.findIndex(stop => stop.position > t);
+    if (next === -1) return stops[stops.length - 1].color;
+
+    const start = stops[next - 1];
+    const end = stops[next];
+    return this.colorUtility.interpolate(start.color, end.color, (t - start.position) / (end.position - start.position), options);
+  }
+
+  /**
+   * Summarize text contrast over sampled background colors
+   * Statistics are kept while sampling, so only the worst sample and the
+   * first failing samples are stored.
+   * @private
+   * @param {string|Object} textColor - Text color
+   * @param {number} required - Minimum contrast ratio
+   * @param {function(function(number, number, string): void): void} visitSamples - Calls
+   *   its argument with the x, y and HEX background of every sample
+   * @returns {Object} Contrast report (see checkContrastOverImage)
+   */
+  _summarizeBackgroundContrast(textColor, required, visitSamples) {
+    const cache = new Map();
+    const round = (ratio) => Math.round(ratio * 100) / 100;
+    let count = 0;
+    let total = 0;
+    let worst = null;
+    let minRatio = Infinity;
+    let failureCount = 0;
+    const failures = [];
+    const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+
+    visitSamples((x, y, hex) => {
+      if (!cache.has(hex)) {
+        cache.set(hex, this.calculateContrastRatio(textColor, hex));
+      }
+
+      const ratio = cache.get(hex);
+      count++;
+      total += ratio;
+      if (ratio < minRatio) {
+        minRatio = ratio;
+        worst = { x, y, background: hex, ratio: round(ratio) };
+      }
+
+      if (ratio < required) {
+        failureCount++;
+        if (failures.length < FAILURE_SAMPLES) {
+          failures.push({ x, y, background: hex, ratio: round(ratio) });
+        }
+        bounds.minX = Math.min(bounds.minX, x);
+        bounds.minY = Math.min(bounds.minY, y);
+        bounds.maxX = Math.max(bounds.maxX, x);
+        bounds.maxY = Math.max(bounds.maxY, y);
+      }
+    });
+
+    return {
+      required,
+      passes: count > 0 && failureCount === 0,
+      minRatio: worst ? round(minRatio) : null,
+      averageRatio: count > 0 ? round(total / count) : null,
+      sampleCount: count,
+      failureCount,
+      failureRate: count > 0 ? Math.round((failureCount / count) * 1000) / 1000 : 0,
+      worst,
+      failures,
+      failureBounds: failureCount > 0
+        ? { x: bounds.minX, y: bounds.minY, width: bounds.maxX - bounds.minX, height: bounds.maxY - bounds.minY }
+        : null
+    };
+  }
+
+  /**
+   * Get the HEX code of a palette role
+   * @private
+   * @param {Object} palette - Palette object with colors property
+   * @param {string} role - Role name
+   * @returns {string} HEX color code
+   */
+  _getRoleHex(palette, role) {
+    const color = palette.colors[role];
+    return typeof color === 'string' ? color : color.hex;
+  }
+
+  /**
+   * Check a text-background pair against a contrast target
+   * @private
+   * @param {string} text - Text color
+   * @param {string} background - Background color
+   * @param {string|number} target - "AA", "AAA" or an APCA Lc
+   * @returns {boolean} True if the pair reaches the target
+   * @throws {Error} If the target is unknown
+   */
+  _meetsContrastTarget(text, background, target) {
+    if (typeof target === 'number') {
+      return Math.abs(this.calculateAPCAContrast(text, background)) >= target;
+    }
+    if (!(target in CONTRAST_TARGETS)) {
+      throw new Error(`Unknown contrast target "${target}"`);
+    }
+
+    return this.calculateContrastRatio(text, background) >= CONTRAST_TARGETS[target];
+  }
+
+  /**
+   * Find the smallest OKLCH lightness change that satisfies a check
+   * Searches both lighter and darker and keeps the smaller change. Checks that
+   * pass only in a band of lightness (e.g., a link between body text and
+   * background) are searched toward the nearest passing sample.
+   * @private
+   * @param {string} hex - Color to move
+   * @param {function(string): boolean} isFixed - Check for a candidate HEX code
+   * @returns {{hex: string, shift: number}|null} Moved color and its lightness change, or
+   *   null if neither white-ward nor black-ward movement is enough
+   */
+  _findLightnessFix(hex, isFixed) {
+    const [lightness, chroma, hue] = this.colorUtility.convert(this.colorUtility.toColor(hex), 'oklch').coords;
+    const atLightness = (value) => this.colorUtility.toHex(
+      this.colorUtility.clampChroma({ space: 'oklch', coords: [value, chroma, hue], alpha: 1 })
+    );
+
+    let limits = [1, 0].filter(limit => isFixed(atLightness(limit)));
+    if (limits.length === 0) {
+      limits = Array.from({ length: LIGHTNESS_SCAN_STEPS - 1 }, (_, i) => (i + 1) / LIGHTNESS_SCAN_STEPS)
+        .filter(value => isFixed(atLightness(value)))
+        .sort((a, b) => Math.abs(a - lightness) - Math.abs(b - lightness))
+        .slice(0, 1);
+    }
+
+    const fixes = limits
+      .map(limit => {
+        // Binary search between the failing start and the passing limit
+        let failing = lightness;
+        let passing = limit;
+        for (let i = 0; i < REPAIR_SEARCH_STEPS; i++) {
+          const mid = (failing + passing) / 2;
+          if (isFixed(atLightness(mid))) {
+            passing = mid;
+          } else {
+            failing = mid;
+          }
+        }
+        return { hex: atLightness(passing), shift: passing - lightness };
+      })
+      .sort((a, b) => Math.abs(a.shift) - Math.abs(b.shift));
+
+    return fixes[0] || null;
+  }
+
+  /**
+   * Get the APCA screen luminance of a color
+   * APCA uses a simple 2.4 exponent instead of the piecewise sRGB curve and
+   * soft-clamps near-black values.
+   * @private
+   * @param {string|Object} color - HEX color code, CSS color string or color object
+   * @returns {number} Estimated screen luminance (0-1)
+   */
+  _getAPCALuminance(color) {
+    const [r, g, b] = this.colorUtility.convert(this.colorUtility.toColor(color), 'srgb').coords
+      .map(channel => Math.pow(Math.max(0, Math.min(1, channel)), APCA.mainTRC));
+
+    const y = APCA.sRco * r + APCA.sGco * g + APCA.sBco * b;
+    return y > APCA.blkThrs ? y : y + Math.pow(APCA.blkThrs - y, APCA.blkClmp);
+  }
+
+  /**
+   * Map a font weight to its APCA lookup table column
+   * @private
+   * @param {number} fontWeight - Font weight (100-900)
+   * @returns {number} Column index (0-8)
+   */
+  _getWeightIndex(fontWeight) {
+    return Math.max(0, Math.min(8, Math.round(fontWeight / 100) - 1));
   }
 }
 
@@ -138,4 +138,342 @@ describe('AccessibilityChecker - Property-Based Tests', () => {
       expect(checker.meetsWCAG_AAA(ratio)).toBe(true);
     });
   });
+
+  /**
+   * Feature: color-palette-tool, Property 34: APCA contrast polarity
+   * Validates: Requirements 4.1, 4.2
+   */
+  describe('Property 34: APCA contrast polarity', () => {
+    it('should report positive Lc for darker text and negative Lc for lighter text', () => {
+      fc.assert(
+        fc.property(hexColorArbitrary, hexColorArbitrary, (text, background) => {
+          const lc = checker.calculateAPCAContrast(text, background);
+          const textLuminance = checker.getRelativeLuminance(text);
+          const backgroundLuminance = checker.getRelativeLuminance(background);
+
+          expect(lc).toBeGreaterThanOrEqual(-108);
+          expect(lc).toBeLessThanOrEqual(106.1);
+
+          if (lc > 0) {
+            expect(textLuminance).toBeLessThan(backgroundLuminance);
+          } else if (lc < 0) {
+            expect(textLuminance).toBeGreaterThan(backgroundLuminance);
+          }
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should report both WCAG 2 and APCA contrast for every accessible pair', () => {
+      fc.assert(
+        fc.property(accessiblePaletteArbitrary, (palette) => {
+          const pairs = checker.findAccessiblePairs(palette);
+
+          pairs.forEach(pair => {
+            const lc = checker.calculateAPCAContrast(pair.text, pair.background);
+            expect(pair.apca).toBeCloseTo(lc, 1);
+            expect(pair.apcaFontSize).toBe(checker.getAPCAMinimumFontSize(lc));
+
+            if (pair.apcaFontSize !== null) {
+              expect(checker.meetsAPCA(lc, pair.apcaFontSize)).toBe(true);
+            }
+          });
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  /**
+   * Feature: color-palette-tool, Property 39: Contrast repair
+   * Validates: Requirements 4.1, 4.3
+   */
+  describe('Property 39: Contrast repair', () => {
+    it('should fix any single AA pair and move only the colors of that pair along lightness', () => {
+      const roleArbitrary = fc.constantFrom('primary', 'secondary', 'accent', 'background', 'surface', 'text');
+
+      fc.assert(
+        fc.property(
+          paletteArbitrary,
+          fc.tuple(roleArbitrary, roleArbitrary).filter(([text, background]) => text !== background),
+          fc.constantFrom('AA', 'AAA', 60),
+          (palette, [text, background], target) => {
+            const result = checker.repairContrast(palette, [{ text, background }], { target });
+
+            // Black or white always reaches 4.58:1 against any partner, so AA is always reachable
+            const [pair] = result.pairs;
+            if (target === 'AA') {
+              expect(pair.passes).toBe(true);
+            } else if (pair.passes) {
+              expect(typeof target === 'number' ? Math.abs(pair.apca) : pair.ratio)
+                .toBeGreaterThanOrEqual(typeof target === 'number' ? target - 0.05 : 7 - 0.005);
+            }
+
+            result.changes.forEach(change => {
+              expect([text, background]).toContain(change.role);
+
+              const [from, to] = [change.from, change.to].map(hex =>
+                checker.colorUtility.convert(checker.colorUtility.parse(hex), 'oklch').coords
+              );
+              if (from[1] > 0.03 && to[1] > 0.03) {
+                expect(Math.abs(((to[2] - from[2] + 540) % 360) - 180)).toBeLessThan(5);
+              }
+            });
+
+            Object.keys(palette.colors)
+              .filter(role => !result.changes.some(change => change.role === role))
+              .forEach(role => {
+                expect(result.palette.colors[role]).toBe(palette.colors[role]);
+              });
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  /**
+   * Feature: color-palette-tool, Property 41: Contrast level classification
+   * Validates: Requirements 4.1, 4.2
+   */
+  describe('Property 41: Contrast level classification', () => {
+    it('should classify every pair consistently with the WCAG thresholds', () => {
+      const rank = ['none', 'non-text', 'headings', 'body-text'];
+
+      fc.assert(
+        fc.property(paletteArbitrary, (palette) => {
+          const pairs = checker.classifyPairs(palette);
+          expect(pairs).toHaveLength(30);
+
+          pairs.forEach(pair => {
+            const ratio = checker.calculateContrastRatio(pair.text, pair.background);
+            expect(pair.normalText.AA).toBe(ratio >= 4.5);
+            expect(pair.largeText.AA).toBe(ratio >= 3);
+            expect(pair.nonText).toBe(ratio >= 3);
+
+            // Large text is never stricter than normal text, and AAA never looser than AA
+            expect(!pair.normalText.AA || pair.largeText.AA).toBe(true);
+            expect(!pair.normalText.AAA || pair.normalText.AA).toBe(true);
+            expect(rank.indexOf(pair.usage.AAA)).toBeLessThanOrEqual(rank.indexOf(pair.usage.AA));
+
+            // At AA, large text shares the 3:1 minimum, so nothing is headings only
+            expect(pair.usage.AA).not.toBe('headings');
+            expect(pair.usage.AA === 'non-text').toBe(ratio >= 3 && ratio < 4.5);
+          });
+        }),
+        { numRuns: 50 }
+      );
+    });
+  });
+
+  /**
+   * Feature: color-palette-tool, Property 45: Role-pair rule compliance
+   * Validates: Requirements 4.1, 4.3
+   */
+  describe('Property 45: Role-pair rule compliance', () => {
+    it('should pass a rule exactly when its pair meets the required ratio', () => {
+      const levelArb = fc.constantFrom('AA', 'AAA');
+      const kindArb = fc.constantFrom('text', 'large-text', 'non-text');
+      const roleArb = fc.constantFrom('primary', 'secondary', 'accent', 'background', 'surface', 'text', 'link');
+      const ruleArb = fc.record({ text: roleArb, background: roleArb, level: levelArb, kind: kindArb });
+
+      fc.assert(
+        fc.property(paletteArbitrary, fc.array(ruleArb, { minLength: 1, maxLength: 8 }), (palette, rules) => {
+          const { compliant, results } = checker.checkPairRules(palette, rules);
+          expect(results).toHaveLength(rules.length);
+
+          results.forEach((result, i) => {
+            if (rules[i].text === 'link' || rules[i].background === 'link') {
+              expect(result.status).toBe('missing');
+              return;
+            }
+
+            const ratio = checker.calculateContrastRatio(palette.colors[rules[i].text], palette.colors[rules[i].background]);
+            expect(result.status).toBe(ratio >= result.required ? 'pass' : 'fail');
+          });
+          expect(compliant).toBe(results.every(result => result.status !== 'fail'));
+
+          // Accessible pairs only come from rule pairs
+          checker.findAccessiblePairs(palette, rules).forEach(pair => {
+            expect(rules.some(rule => rule.text === pair.textRole && rule.background === pair.backgroundRole)).toBe(true);
+            expect(pair.ratio).toBeGreaterThanOrEqual(4.5);
+          });
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  /**
+   * Feature: color-palette-tool, Property 47: Data-visualization distinguishability
+   * Validates: Requirements 4.1, 4.2
+   */
+  describe('Property 47: Data-visualization distinguishability', () => {
+    const simulator = checker.colorVisionSimulator;
+    const visions = ['normal', ...simulator.getTypes()];
+
+    it('should report the minimum distance per vision and flag exactly the pairs below the threshold', () => {
+      fc.assert(
+        fc.property(
+          fc.array(hexColorArbitrary, { minLength: 2, maxLength: 6 }),
+          fc.double({ min: 0, max: 40, noNaN: true }),
+          (colors, threshold) => {
+            const report = checker.checkDistinguishability(colors, { threshold });
+
+            visions.forEach(vision => {
+              const seen = colors.map(color => (vision === 'normal' ? color : simulator.simulate(color, vision)));
+              const distances = [];
+              for (let i = 0; i < seen.length; i++) {
+                for (let j = i + 1; j < seen.length; j++) {
+                  distances.push(checker.colorUtility.deltaE2000(seen[i], seen[j]));
+                }
+              }
+
+              expect(report.visions[vision].minDistance).toBeCloseTo(Math.min(...distances), 1);
+              expect(report.flaggedPairs.filter(pair => pair.vision === vision).length)
+                .toBe(distances.filter(distance => Math.round(distance * 100) / 100 < threshold).length);
+            });
+
+            expect(report.distinguishable).toBe(report.flaggedPairs.length === 0);
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+
+    it('should flag a repeated color under every vision', () => {
+      fc.assert(
+        fc.property(hexColorArbitrary, hexColorArbitrary, (first, second) => {
+          const { flaggedPairs } = checker.checkDistinguishability([first, second, first]);
+          visions.forEach(vision => {
+            expect(flaggedPairs).toContainEqual({ first: '0', second: '2', distance: 0, vision });
+          });
+        }),
+        { numRuns: 50 }
+      );
+    });
+  });
+
+  /**
+   * Feature: color-palette-tool, Property 48: Link versus body text contrast
+   * Validates: Requirements 4.1, 4.3
+   */
+  describe('Property 48: Link versus body text contrast', () => {
+    it('should pass links that meet 3:1 against text and 4.5:1 against background, and suggest passing fixes', () => {
+      fc.assert(
+        fc.property(paletteArbitrary, (palette) => {
+          const { text, background } = palette.colors;
+          const results = checker.checkLinkContrast(palette);
+          expect(results.map(result => result.role)).toEqual(['primary', 'accent']);
+
+          results.forEach(result => {
+            const textRatio = checker.calculateContrastRatio(result.link, text);
+            const backgroundRatio = checker.calculateContrastRatio(result.link, background);
+            expect(result.passes).toBe(textRatio >= 3 && backgroundRatio >= 4.5);
+
+            if (result.passes) {
+              expect(result.suggestion).toBeNull();
+            } else if (result.suggestion) {
+              expect(checker.calculateContrastRatio(result.suggestion, text)).toBeGreaterThanOrEqual(3);
+              expect(checker.calculateContrastRatio(result.suggestion, background)).toBeGreaterThanOrEqual(4.5);
+            }
+          });
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  /**
+   * Feature: color-palette-tool, Property 52: Contrast over gradient and image backgrounds
+   * Validates: Requirements 4.1, 4.3
+   */
+  describe('Property 52: Contrast over gradient and image backgrounds', () => {
+    it('should match solid contrast when a gradient has one color, and bound the average by the minimum', () => {
+      fc.assert(
+        fc.property(hexColorArbitrary, hexColorArbitrary, hexColorArbitrary, fc.integer({ min: 0, max: 359 }), (text, from, to, angle) => {
+          const solid = checker.checkContrastOverGradient(text, { colors: [from, from], angle });
+          expect(solid.minRatio).toBeCloseTo(checker.calculateContrastRatio(text, from), 2);
+          expect(solid.averageRatio).toBeCloseTo(solid.minRatio, 2);
+
+          const report = checker.checkContrastOverGradient(text, { colors: [from, to], angle }, { samples: 5 });
+          expect(report.sampleCount).toBe(25);
+          expect(report.minRatio).toBeLessThanOrEqual(report.averageRatio);
+          expect(report.passes).toBe(report.failures.length === 0);
+          if (report.passes) expect(report.minRatio).toBeGreaterThanOrEqual(report.required);
+          report.failures.forEach(sample => expect(sample.ratio).toBeLessThanOrEqual(report.required));
+        }),
+        { numRuns: 50 }
+      );
+    });
+
+    it('should find the worst pixel of an image', () => {
+      const pixelArb = fc.tuple(
+        fc.integer({ min: 0, max: 255 }),
+        fc.integer({ min: 0, max: 255 }),
+        fc.integer({ min: 0, max: 255 })
+      );
+
+      fc.assert(
+        fc.property(hexColorArbitrary, fc.array(pixelArb, { minLength: 6, maxLength: 6 }), (text, pixels) => {
+          const image = { width: 3, height: 2, data: pixels.flatMap(([r, g, b]) => [r, g, b, 255]) };
+          const report = checker.checkContrastOverImage(text, image);
+
+          const ratios = pixels.map(([r, g, b]) => checker.calculateContrastRatio(text, checker.colorUtility.rgbToHex(r, g, b)));
+          expect(report.sampleCount).toBe(6);
+          expect(report.minRatio).toBeCloseTo(Math.min(...ratios), 2);
+          expect(report.failures).toHaveLength(ratios.filter(ratio => ratio < 4.5).length);
+          expect(report.failureCount).toBe(report.failures.length);
+
+          const worstIndex = report.worst.y * 3 + report.worst.x;
+          expect(ratios[worstIndex]).toBeCloseTo(Math.min(...ratios), 6);
+        }),
+        { numRuns: 50 }
+      );
+    });
+  });
+
+  /**
+   * Feature: color-palette-tool, Property 62: Status color checks
+   * Validates: Requirements 4.1, 4.3
+   */
+  describe('Property 62: Status color checks', () => {
+    it('should check each status color pair like a role-pair rule', () => {
+      const statuses = ['success', 'warning', 'error', 'info'];
+      const statusColorsArb = fc.array(hexColorArbitrary, { minLength: 16, maxLength: 16 }).map(hexes => {
+        const colors = {};
+        statuses.forEach((status, i) => {
+          const name = status.charAt(0).toUpperCase() + status.slice(1);
+          [status, `on${name}`, `${status}Subtle`, `on${name}Subtle`].forEach((role, j) => {
+            colors[role] = hexes[i * 4 + j];
+          });
+        });
+        return colors;
+      });
+
+      fc.assert(
+        fc.property(paletteArbitrary, statusColorsArb, (palette, statusColors) => {
+          const { compliant, results } = checker.checkStatusColors({ ...palette, statusColors });
+          expect(results).toHaveLength(12);
+
+          results.forEach(result => {
+            const text = statusColors[result.textRole] || palette.colors[result.textRole];
+            const background = statusColors[result.backgroundRole] || palette.colors[result.backgroundRole];
+            const ratio = checker.calculateContrastRatio(text, background);
+            expect(result.required).toBe(result.kind === 'non-text' ? 3 : 4.5);
+            expect(result.status).toBe(ratio >= result.required ? 'pass' : 'fail');
+          });
+          expect(compliant).toBe(results.every(result => result.status !== 'fail'));
+
+          // Indicators need the page background
+          const { background, ...withoutBackground } = palette.colors;
+          const partial = checker.checkStatusColors({ colors: withoutBackground, statusColors });
+          expect(partial.results.filter(result => result.status === 'missing')).toHaveLength(4);
+        }),
+        { numRuns: 100 }
+      );
+
+      expect(checker.checkStatusColors({ colors: { text: '#000000' } })).toEqual({ compliant: true, results: [] });
+    });
+  });
 });
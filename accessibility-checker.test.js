@@ -25,6 +25,19 @@ describe('AccessibilityChecker', () => {
       expect(result).toBeGreaterThan(0);
       expect(result).toBeLessThan(1);
     });
+
+    it('should accept any CSS color syntax', () => {
+      const expected = checker.getRelativeLuminance('#336699');
+      expect(checker.getRelativeLuminance('#369')).toBeCloseTo(expected, 10);
+      expect(checker.getRelativeLuminance('336699')).toBeCloseTo(expected, 10);
+      expect(checker.getRelativeLuminance('rgb(51 102 153)')).toBeCloseTo(expected, 10);
+      expect(checker.getRelativeLuminance('hsl(210, 50%, 40%)')).toBeCloseTo(expected, 10);
+    });
+
+    it('should clip wide-gamut colors to sRGB', () => {
+      const result = checker.getRelativeLuminance('color(display-p3 0 1 0)');
+      expect(result).toBeCloseTo(checker.getRelativeLuminance('#00FF00'), 5);
+    });
   });
 
   describe('calculateContrastRatio', () => {
@@ -47,6 +60,31 @@ describe('AccessibilityChecker', () => {
       const result = checker.calculateContrastRatio('#767676', '#FFFFFF');
       expect(result).toBeGreaterThan(4.5); // Should meet WCAG AA
     });
+
+    it('should calculate contrast between named and functional colors', () => {
+      const result = checker.calculateContrastRatio('black', 'oklch(1 0 0)');
+      expect(result).toBeCloseTo(21, 1);
+    });
+
+    it('should composite translucent text over the background', () => {
+      // 50% black over white paints #808080 (rounded from 127.5)
+      const translucent = checker.calculateContrastRatio('rgb(0 0 0 / 50%)', '#FFFFFF');
+      const flattened = checker.calculateContrastRatio('rgb(127.5 127.5 127.5)', '#FFFFFF');
+      expect(translucent).toBeCloseTo(flattened, 10);
+      expect(translucent).toBeLessThan(21);
+    });
+
+    it('should treat fully transparent text as invisible', () => {
+      expect(checker.calculateContrastRatio('#00000000', '#FFFFFF')).toBeCloseTo(1, 10);
+    });
+
+    it('should place translucent backgrounds over the backdrop', () => {
+      const scrim = '#00000080';
+      const overWhite = checker.calculateContrastRatio('#FFFFFF', scrim);
+      const overBlack = checker.calculateContrastRatio('#FFFFFF', scrim, '#000000');
+      expect(overBlack).toBeCloseTo(21, 1);
+      expect(overWhite).toBeLessThan(overBlack);
+    });
   });
 
   describe('meetsWCAG_AA', () => {
@@ -85,6 +123,94 @@ describe('AccessibilityChecker', () => {
     });
   });
 
+  describe('large text and non-text levels', () => {
+    it('should use 3:1 for large text at AA and 4.5:1 at AAA', () => {
+      expect(checker.meetsWCAG_AA(3, 'large')).toBe(true);
+      expect(checker.meetsWCAG_AA(2.99, 'large')).toBe(false);
+      expect(checker.meetsWCAG_AAA(4.5, 'large')).toBe(true);
+      expect(checker.meetsWCAG_AAA(4.49, 'large')).toBe(false);
+    });
+
+    it('should keep the normal text thresholds by default', () => {
+      expect(checker.meetsWCAG_AA(3)).toBe(false);
+      expect(checker.meetsWCAG_AAA(4.5)).toBe(false);
+    });
+
+    it('should use 3:1 for non-text contrast (SC 1.4.11)', () => {
+      expect(checker.meetsNonTextContrast(3)).toBe(true);
+      expect(checker.meetsNonTextContrast(2.9)).toBe(false);
+    });
+
+    it('should classify a ratio against every success criterion', () => {
+      expect(checker.classifyContrast(5)).toEqual({
+        normalText: { AA: true, AAA: false },
+        largeText: { AA: true, AAA: true },
+        nonText: true,
+        usage: { AA: 'body-text', AAA: 'headings' }
+      });
+    });
+
+    it('should find the most demanding use at each level', () => {
+      expect(checker.getContrastUsage(7.5)).toBe('body-text');
+      expect(checker.getContrastUsage(3.5)).toBe('non-text');
+      expect(checker.getContrastUsage(5, 'AAA')).toBe('headings');
+      expect(checker.getContrastUsage(3.5, 'AAA')).toBe('non-text');
+      expect(checker.getContrastUsage(2)).toBe('none');
+    });
+
+    it('should reject unknown conformance levels', () => {
+      expect(() => checker.getContrastUsage(5, 'A')).toThrow('Unknown conformance level');
+    });
+  });
+
+  describe('classifyPairs', () => {
+    it('should classify every ordered role pair', () => {
+      const pairs = checker.classifyPairs({
+        colors: {
+          text: { hex: '#000000' },
+          background: '#FFFFFF',
+          border: '#949494'
+        }
+      });
+
+      expect(pairs).toHaveLength(6);
+
+      const border = pairs.find(pair => pair.textRole === 'border' && pair.backgroundRole === 'background');
+      expect(border.text).toBe('#949494');
+      expect(border.ratio).toBeCloseTo(3.03, 2);
+      expect(border.usage).toEqual({ AA: 'non-text', AAA: 'non-text' });
+
+      const body = pairs.find(pair => pair.textRole === 'text' && pair.backgroundRole === 'background');
+      expect(body.usage).toEqual({ AA: 'body-text', AAA: 'body-text' });
+      expect(body.apca).toBeCloseTo(106, 0);
+    });
+  });
+
+  describe('buildContrastMatrix', () => {
+    it('should arrange every ordered pair by text row and background column', () => {
+      const { roles, rows } = checker.buildContrastMatrix({
+        colors: {
+          primary: '#1E88E5',
+          background: '#FFFFFF',
+          text: '#212121'
+        }
+      });
+
+      expect(roles).toEqual(['primary', 'background', 'text']);
+      expect(rows).toHaveLength(3);
+      rows.forEach((row, i) => {
+        expect(row).toHaveLength(3);
+        expect(row[i]).toBeNull();
+      });
+
+      const cell = rows[2][1];
+      expect(cell.textRole).toBe('text');
+      expect(cell.backgroundRole).toBe('background');
+      expect(cell.ratio).toBeCloseTo(16.1, 1);
+      expect(cell.normalText.AAA).toBe(true);
+    });
+  });
+
   describe('findAccessiblePairs', () => {
     it('should find accessible pairs in a palette with high contrast colors', () => {
       const palette = {
@@ -159,5 +285,491 @@ describe('AccessibilityChecker', () => {
         expect(typeof pair.ratio).toBe('number');
       });
     });
+
+    it('should only recommend role pairs named by the pair rules', () => {
+      const palette = {
+        colors: {
+          primary: '#1565C0',
+          secondary: '#FFFFFF',
+          accent: '#000000',
+          background: '#FFFFFF',
+          surface: '#F5F5F5',
+          text: '#212121'
+        }
+      };
+
+      const result = checker.findAccessiblePairs(palette);
+      expect(result.find(pair => pair.textRole === 'accent' && pair.backgroundRole === 'secondary')).toBeUndefined();
+      expect(result.map(pair => `${pair.textRole}/${pair.backgroundRole}`)).toEqual([
+        'text/background',
+        'text/surface',
+        'background/primary',
+        'primary/background',
+        'accent/background'
+      ]);
+    });
+  });
+
+  describe('checkPairRules', () => {
+    const palette = {
+      colors: {
+        primary: '#1E88E5',
+        secondary: '#26A69A',
+        accent: '#FFB300',
+        background: '#FFFFFF',
+        surface: '#F5F5F5',
+        text: '#212121'
+      }
+    };
+
+    it('should report compliance for each default rule', () => {
+      const { compliant, results } = checker.checkPairRules(palette);
+
+      expect(results.map(result => result.label)).toEqual([
+        'Body text',
+        'Text on cards and panels',
+        'Button labels',
+        'Links',
+        'Controls and focus indicators',
+        'Icons and highlights'
+      ]);
+
+      const body = results[0];
+      expect(body).toMatchObject({ textRole: 'text', backgroundRole: 'background', required: 4.5, status: 'pass' });
+      expect(body.ratio).toBeCloseTo(16.1, 1);
+
+      // White labels on #1E88E5 reach only 3.68:1, and amber icons 1.86:1
+      expect(results[2]).toMatchObject({ textRole: 'background', backgroundRole: 'primary', status: 'fail' });
+      expect(results[5]).toMatchObject({ kind: 'non-text', required: 3, status: 'fail' });
+      expect(compliant).toBe(false);
+    });
+
+    it('should use the first fallback role present in the palette', () => {
+      const { results } = checker.checkPairRules({
+        colors: { ...palette.colors, onPrimary: '#000000' }
+      });
+
+      expect(results[2]).toMatchObject({ textRole: 'onPrimary', text: '#000000', status: 'pass' });
+    });
+
+    it('should report rules whose roles are missing without failing compliance', () => {
+      const { compliant, results } = checker.checkPairRules(palette, [
+        { label: 'Body text', text: 'text', background: 'background' },
+        { label: 'Sidebar text', text: 'sidebarText', background: 'sidebar', level: 'AAA' }
+      ]);
+
+      expect(results[1]).toMatchObject({ status: 'missing', ratio: null, required: 7 });
+      expect(compliant).toBe(true);
+    });
+
+    it('should apply project rules given to the constructor', () => {
+      const projectChecker = new AccessibilityChecker({
+        pairRules: [{ text: 'secondary', background: 'background', kind: 'large-text' }]
+      });
+
+      const { results } = projectChecker.checkPairRules(palette);
+      expect(results).toHaveLength(1);
+      expect(results[0]).toMatchObject({ label: 'secondary on background', level: 'AA', required: 3 });
+      expect(projectChecker.findAccessiblePairs(palette)).toEqual([]);
+    });
+
+    it('should reject invalid rules', () => {
+      expect(() => checker.checkPairRules(palette, [{ text: 'text' }])).toThrow('Invalid pair rule');
+      expect(() => checker.checkPairRules(palette, [{ text: 'text', background: 'surface', level: 'A' }]))
+        .toThrow('Unknown conformance level');
+      expect(() => new AccessibilityChecker({ pairRules: [{ text: 'text', background: 'surface', kind: 'icon' }] }))
+        .toThrow('Unknown pair rule kind');
+    });
+  });
+
+  describe('calculateAPCAContrast', () => {
+    it('should match the APCA-W3 reference values', () => {
+      expect(checker.calculateAPCAContrast('#888888', '#FFFFFF')).toBeCloseTo(63.056, 2);
+      expect(checker.calculateAPCAContrast('#FFFFFF', '#888888')).toBeCloseTo(-68.541, 2);
+      expect(checker.calculateAPCAContrast('#000000', '#AAAAAA')).toBeCloseTo(58.146, 2);
+      expect(checker.calculateAPCAContrast('#AAAAAA', '#000000')).toBeCloseTo(-56.241, 2);
+    });
+
+    it('should depend on polarity', () => {
+      expect(checker.calculateAPCAContrast('#000000', '#FFFFFF')).toBeCloseTo(106.04, 1);
+      expect(checker.calculateAPCAContrast('#FFFFFF', '#000000')).toBeCloseTo(-107.88, 1);
+    });
+
+    it('should return 0 for identical colors', () => {
+      expect(checker.calculateAPCAContrast('#336699', '#336699')).toBe(0);
+    });
+
+    it('should judge dark-mode pairs more strictly than the WCAG 2 ratio', () => {
+      // Mid grey on black passes WCAG AA but is too faint for body text in APCA
+      const ratio = checker.calculateContrastRatio('#777777', '#000000');
+      const lc = checker.calculateAPCAContrast('#777777', '#000000');
+      expect(checker.meetsWCAG_AA(ratio)).toBe(true);
+      expect(checker.meetsAPCA(lc, 16)).toBe(false);
+    });
+  });
+
+  describe('APCA font lookup', () => {
+    it('should return the minimum Lc for a font size and weight', () => {
+      expect(checker.getAPCAMinimumContrast(16)).toBe(90);
+      expect(checker.getAPCAMinimumContrast(18, 400)).toBe(75);
+      expect(checker.getAPCAMinimumContrast(24, 700)).toBe(45);
+    });
+
+    it('should use the next smaller size between table rows', () => {
+      expect(checker.getAPCAMinimumContrast(20)).toBe(75);
+    });
+
+    it('should rule out fonts that are too small or thin', () => {
+      expect(checker.getAPCAMinimumContrast(11)).toBeNull();
+      expect(checker.getAPCAMinimumContrast(12)).toBeNull();
+      expect(checker.getAPCAMinimumContrast(16, 100)).toBeNull();
+    });
+
+    it('should find the smallest font size a contrast supports', () => {
+      expect(checker.getAPCAMinimumFontSize(106)).toBe(14);
+      expect(checker.getAPCAMinimumFontSize(-75)).toBe(18);
+      expect(checker.getAPCAMinimumFontSize(63, 700)).toBe(16);
+      expect(checker.getAPCAMinimumFontSize(20)).toBeNull();
+    });
+
+    it('should check a contrast against a font size and weight', () => {
+      expect(checker.meetsAPCA(90, 16)).toBe(true);
+      expect(checker.meetsAPCA(-89, 16)).toBe(false);
+      expect(checker.meetsAPCA(60, 16, 700)).toBe(true);
+    });
+  });
+
+  describe('repairContrast', () => {
+    const palette = {
+      colors: {
+        primary: { hex: '#A8D8EA', role: 'primary' },
+        background: { hex: '#FFFFFF', role: 'background' },
+        surface: { hex: '#F5F7FA', role: 'surface' },
+        text: { hex: '#9AA5B1', role: 'text' }
+      }
+    };
+    const pairs = [
+      { text: 'text', background: 'background' },
+      { text: 'text', background: 'surface' },
+      { text: '#FFFFFF', background: 'primary' }
+    ];
+
+    it('should bring every required pair up to the target', () => {
+      const result = checker.repairContrast(palette, pairs);
+
+      result.pairs.forEach(pair => {
+        expect(pair.passes).toBe(true);
+        expect(pair.ratio).toBeGreaterThanOrEqual(4.5);
+      });
+      expect(result.palette.colors.primary.role).toBe('primary');
+    });
+
+    it('should nudge text and primary rather than turn both light backgrounds dark', () => {
+      const light = { colors: { background: '#FFFFFF', surface: '#F5F5F5', text: '#888888', primary: '#A0C4FF' } };
+      const result = checker.repairContrast(light, [
+        { text: 'text', background: 'background' },
+        { text: 'text', background: 'surface' },
+        { text: 'background', background: 'primary' }
+      ]);
+
+      expect(result.pairs.every(pair => pair.passes)).toBe(true);
+      expect(result.changes.map(change => change.role).sort()).toEqual(['primary', 'text']);
+      expect(result.palette.colors.background).toBe('#FFFFFF');
+      expect(result.palette.colors.surface).toBe('#F5F5F5');
+      result.changes.forEach(change => expect(Math.abs(change.lightnessShift)).toBeLessThanOrEqual(0.3));
+    });
+
+    it('should move a shared color once instead of both backgrounds', () => {
+      const result = checker.repairContrast(palette, pairs.slice(0, 2));
+
+      expect(result.changes.map(change => change.role)).toEqual(['text']);
+      expect(result.palette.colors.background.hex).toBe('#FFFFFF');
+      expect(result.palette.colors.surface.hex).toBe('#F5F7FA');
+    });
+
+    it('should report how far each color moved', () => {
+      const [change] = checker.repairContrast(palette, pairs.slice(0, 1)).changes;
+
+      expect(change.role).toBe('text');
+      expect(change.from).toBe('#9AA5B1');
+      expect(change.to).toMatch(/^#[0-9A-F]{6}$/);
+      expect(change.lightnessShift).toBeLessThan(0);
+      expect(change.deltaE).toBeGreaterThan(0);
+    });
+
+    it('should keep the hue of moved colors', () => {
+      const [change] = checker.repairContrast(palette, pairs.slice(2)).changes;
+      const [from, to] = [change.from, change.to].map(hex =>
+        checker.colorUtility.convert(checker.colorUtility.parse(hex), 'oklch').coords[2]
+      );
+
+      expect(change.role).toBe('primary');
+      expect(Math.abs(from - to)).toBeLessThan(3);
+    });
+
+    it('should use the smallest change that reaches the target', () => {
+      const [change] = checker.repairContrast(palette, pairs.slice(0, 1)).changes;
+      const [l, c, h] = checker.colorUtility.convert(checker.colorUtility.parse(change.to), 'oklch').coords;
+      const lighter = checker.colorUtility.toHex({ space: 'oklch', coords: [l + 0.01, c, h], alpha: 1 });
+
+      expect(checker.calculateContrastRatio(lighter, '#FFFFFF')).toBeLessThan(4.5);
+    });
+
+    it('should support AAA and APCA targets, including per-pair overrides', () => {
+      const aaa = checker.repairContrast(palette, pairs.slice(0, 1), { target: 'AAA' });
+      expect(aaa.pairs[0].ratio).toBeGreaterThanOrEqual(7);
+
+      const apca = checker.repairContrast(palette, [{ text: 'text', background: 'background', target: 75 }]);
+      expect(apca.pairs[0].target).toBe(75);
+      expect(Math.abs(apca.pairs[0].apca)).toBeGreaterThanOrEqual(75);
+    });
+
+    it('should leave fixed roles and passing pairs alone', () => {
+      const result = checker.repairContrast(palette, pairs.slice(2), { fixedRoles: ['primary'] });
+
+      expect(result.changes).toEqual([]);
+      expect(result.pairs[0].passes).toBe(false);
+      expect(checker.repairContrast(palette, [{ text: '#000000', background: 'background' }]).changes).toEqual([]);
+    });
+
+    it('should not modify the source palette', () => {
+      checker.repairContrast(palette, pairs);
+      expect(palette.colors.text.hex).toBe('#9AA5B1');
+    });
+
+    it('should reject unknown targets', () => {
+      expect(() => checker.repairContrast(palette, pairs, { target: 'AAAA' })).toThrow('Unknown contrast target');
+    });
+  });
+
+  describe('checkLinkContrast', () => {
+    const palette = {
+      colors: {
+        primary: '#1E88E5',
+        accent: '#FFB300',
+        background: '#FFFFFF',
+        text: '#212121'
+      }
+    };
+
+    it('should check primary and accent against body text and background', () => {
+      const [primary, accent] = checker.checkLinkContrast(palette);
+
+      expect(primary).toMatchObject({ role: 'primary', link: '#1E88E5', text: '#212121', background: '#FFFFFF' });
+      expect(primary.textRatio).toBeCloseTo(4.38, 2);
+      expect(primary.backgroundRatio).toBeCloseTo(3.68, 2);
+      expect(primary.passes).toBe(false);
+      expect(accent.backgroundRatio).toBeLessThan(4.5);
+    });
+
+    it('should suggest a link color of the same hue that passes both checks', () => {
+      checker.checkLinkContrast(palette).forEach(result => {
+        expect(result.suggestion).toMatch(/^#[0-9A-F]{6}$/);
+        expect(checker.calculateContrastRatio(result.suggestion, result.text)).toBeGreaterThanOrEqual(3);
+        expect(checker.calculateContrastRatio(result.suggestion, result.background)).toBeGreaterThanOrEqual(4.5);
+      });
+    });
+
+    it('should pass a link that stands out from both text and background', () => {
+      const [result] = checker.checkLinkContrast({
+        colors: { primary: '#0066CC', background: '#FFFFFF', text: '#000000' }
+      });
+
+      expect(result.passes).toBe(true);
+      expect(result.suggestion).toBeNull();
+    });
+
+    it('should not suggest a color when no lightness fits between text and background', () => {
+      const [result] = checker.checkLinkContrast({
+        colors: { primary: '#1E88E5', background: '#FFFFFF', text: '#595959' }
+      });
+
+      expect(result.passes).toBe(false);
+      expect(result.suggestion).toBeNull();
+    });
+
+    it('should skip missing roles', () => {
+      expect(checker.checkLinkContrast({ colors: { primary: '#1E88E5', background: '#FFFFFF' } })).toEqual([]);
+      expect(checker.checkLinkContrast(palette, ['link', 'accent']).map(result => result.role)).toEqual(['accent']);
+    });
+  });
+
+  describe('checkContrastOverGradient', () => {
+    const gradient = { colors: ['#1E3A8A', '#93C5FD'], angle: 90 };
+
+    it('should report the minimum and average contrast and where text fails', () => {
+      const report = checker.checkContrastOverGradient('#FFFFFF', gradient, {
+        size: { width: 1200, height: 400 },
+        region: { x: 100, y: 150, width: 1000, height: 100 }
+      });
+
+      expect(report.required).toBe(4.5);
+      expect(report.passes).toBe(false);
+      expect(report.sampleCount).toBe(121);
+      expect(report.minRatio).toBeLessThan(report.averageRatio);
+
+      // The light end on the right is where white text fails
+      expect(report.worst).toMatchObject({ x: 1100, y: 150 });
+      expect(report.failureBounds.x + report.failureBounds.width).toBe(1100);
+      expect(report.failureBounds.x).toBeGreaterThan(100);
+      report.failures.forEach(sample => expect(sample.ratio).toBeLessThan(4.5));
+    });
+
+    it('should pass text over the dark part of the gradient', () => {
+      const report = checker.checkContrastOverGradient('#FFFFFF', gradient, {
+        region: { x: 0, y: 0, width: 0.25, height: 1 }
+      });
+
+      expect(report.passes).toBe(true);
+      expect(report.failures).toEqual([]);
+      expect(report.failureBounds).toBeNull();
+    });
+
+    it('should follow stop positions and radial geometry', () => {
+      const report = checker.checkContrastOverGradient('#000000', {
+        type: 'radial',
+        colors: ['#FFFFFF', { color: '#888888', position: 0.8 }, '#000000']
+      }, { samples: 3 });
+
+      // The center is white and the farthest corners reach the final black stop
+      const center = report.failures.find(sample => sample.x === 0.5 && sample.y === 0.5);
+      expect(center).toBeUndefined();
+      expect(report.failures.map(sample => [sample.x, sample.y])).toEqual([[0, 0], [1, 0], [0, 1], [1, 1]]);
+      expect(report.minRatio).toBe(1);
+    });
+
+    it('should sample radial ellipses that keep the element aspect ratio', () => {
+      const radial = { type: 'radial', colors: ['#FFFFFF', '#000000'] };
+      const options = { size: { width: 400, height: 100 }, samples: 3 };
+      const failing = report => report.failures.map(sample => [sample.x, sample.y]);
+
+      // A circle reaches the top and bottom edges long before the sides
+      expect(failing(checker.checkContrastOverGradient('#000000', radial, options)))
+        .toEqual([[0, 0], [400, 0], [0, 50], [400, 50], [0, 100], [400, 100]]);
+
+      // An ellipse crosses every edge midpoint at the same point of the gradient
+      const ellipse = checker.checkContrastOverGradient('#000000', { ...radial, shape: 'ellipse' }, options);
+      expect(failing(ellipse)).toEqual([[0, 0], [200, 0], [400, 0], [0, 50], [400, 50], [0, 100], [200, 100], [400, 100]]);
+      const midpoints = ellipse.failures.filter(sample => sample.x === 200 || sample.y === 50);
+      expect(new Set(midpoints.map(sample => sample.background)).size).toBe(1);
+    });
+
+    it('should use the stricter ratio for AAA and the looser one for large text', () => {
+      const solid = { colors: ['#767676', '#767676'] };
+      expect(checker.checkContrastOverGradient('#FFFFFF', solid).passes).toBe(true);
+      expect(checker.checkContrastOverGradient('#FFFFFF', solid, { level: 'AAA' }).passes).toBe(false);
+      expect(checker.checkContrastOverGradient('#FFFFFF', solid, { level: 'AAA', textSize: 'large' }).required).toBe(4.5);
+    });
+
+    it('should reject invalid gradients and levels', () => {
+      expect(() => checker.checkContrastOverGradient('#FFFFFF', { colors: ['#000000'] })).toThrow('at least two colors');
+      expect(() => checker.checkContrastOverGradient('#FFFFFF', { ...gradient, type: 'conic' })).toThrow('Unknown gradient type');
+      expect(() => checker.checkContrastOverGradient('#FFFFFF', { ...gradient, shape: 'square' })).toThrow('Unknown gradient shape');
+      expect(() => checker.checkContrastOverGradient('#FFFFFF', gradient, { level: 'A' })).toThrow('Unknown conformance level');
+    });
+  });
+
+  describe('checkContrastOverImage', () => {
+    // 4x2 image: dark left half, light right half
+    const image = {
+      width: 4,
+      height: 2,
+      data: new Uint8ClampedArray([
+        0, 0, 0, 255, 0, 0, 0, 255, 240, 240, 240, 255, 255, 255, 255, 255,
+        0, 0, 0, 255, 0, 0, 0, 255, 240, 240, 240, 255, 255, 255, 255, 128
+      ])
+    };
+
+    it('should check every pixel and locate the failures', () => {
+      const report = checker.checkContrastOverImage('#FFFFFF', image);
+
+      expect(report.sampleCount).toBe(8);
+      expect(report.minRatio).toBe(1);
+      expect(report.averageRatio).toBeCloseTo((4 * 21 + 2 * 1.14 + 2 * 1) / 8, 1);
+      expect(report.failureRate).toBe(0.5);
+      expect(report.failureBounds).toEqual({ x: 2, y: 0, width: 1, height: 1 });
+    });
+
+    it('should composite translucent pixels over white', () => {
+      const report = checker.checkContrastOverImage('#000000', image, { region: { x: 3, y: 1, width: 1, height: 1 } });
+      expect(report.worst).toMatchObject({ x: 3, y: 1, background: '#FFFFFF80', ratio: 21 });
+    });
+
+    it('should sample every step-th pixel within the region', () => {
+      const report = checker.checkContrastOverImage('#FFFFFF', image, { region: { x: 0, y: 0, width: 2, height: 2 }, step: 2 });
+      expect(report.sampleCount).toBe(1);
+      expect(report.passes).toBe(true);
+    });
+
+    it('should sample large images by default and cap the failing samples', () => {
+      // 1000x800 image: black left half, white right half
+      const data = new Uint8ClampedArray(1000 * 800 * 4).fill(255);
+      for (let offset = 0; offset < data.length; offset += 4) {
+        if ((offset / 4) % 1000 < 500) data.fill(0, offset, offset + 3);
+      }
+      const large = { width: 1000, height: 800, data };
+
+      const report = checker.checkContrastOverImage('#FFFFFF', large);
+      expect(report.sampleCount).toBeLessThanOrEqual(10000);
+      expect(report.sampleCount).toBeGreaterThan(5000);
+      expect(report.failureCount).toBeGreaterThan(100);
+      expect(report.failures).toHaveLength(100);
+      expect(report.failureRate).toBeCloseTo(0.5, 1);
+      expect(report.failureBounds.x).toBeGreaterThanOrEqual(500);
+      expect(report.failureBounds.x + report.failureBounds.width).toBeGreaterThan(990);
+      report.failures.forEach(sample => expect(sample.background).toBe('#FFFFFF'));
+
+      expect(checker.checkContrastOverImage('#FFFFFF', large, { region: { x: 0, y: 0, width: 10, height: 10 }, step: 1 }).sampleCount).toBe(100);
+    });
+  });
+
+  describe('checkDistinguishability', () => {
+    const categorical = ['#1F77B4', '#FF7F0E', '#2CA02C', '#D62728'];
+
+    it('should report the closest pair under normal vision and each deficiency', () => {
+      const report = checker.checkDistinguishability(categorical);
+
+      expect(Object.keys(report.visions)).toEqual(['normal', 'protanopia', 'deuteranopia', 'tritanopia', 'achromatopsia']);
+      expect(report.visions.normal.minDistance).toBeGreaterThan(10);
+
+      // Orange and green collapse to the same olive for protanopes
+      expect(report.visions.protanopia.closestPair).toMatchObject({ first: '1', second: '2' });
+      expect(report.visions.protanopia.minDistance).toBeLessThan(2);
+      expect(report.distinguishable).toBe(false);
+    });
+
+    it('should flag pairs below the threshold, closest first', () => {
+      const { flaggedPairs } = checker.checkDistinguishability(categorical);
+
+      expect(flaggedPairs.length).toBeGreaterThan(0);
+      flaggedPairs.forEach((pair, i) => {
+        expect(pair.distance).toBeLessThan(10);
+        if (i > 0) expect(pair.distance).toBeGreaterThanOrEqual(flaggedPairs[i - 1].distance);
+      });
+      expect(flaggedPairs.some(pair => pair.vision === 'achromatopsia')).toBe(true);
+    });
+
+    it('should use labels from keyed colors and honor the options', () => {
+      const report = checker.checkDistinguishability(
+        { primary: { hex: '#0072B2' }, accent: '#E69F00' },
+        { threshold: 20, visions: ['normal', 'deuteranopia'] }
+      );
+
+      expect(report.threshold).toBe(20);
+      expect(Object.keys(report.visions)).toEqual(['normal', 'deuteranopia']);
+      expect(report.visions.normal.closestPair).toMatchObject({ first: 'primary', second: 'accent' });
+      expect(report.distinguishable).toBe(true);
+    });
+
+    it('should return no closest pair for fewer than two colors', () => {
+      const report = checker.checkDistinguishability(['#FF0000'], { visions: ['normal'] });
+      expect(report.visions.normal).toEqual({ minDistance: null, closestPair: null });
+      expect(report.distinguishable).toBe(true);
+    });
+
+    it('should throw for unknown visions', () => {
+      expect(() => checker.checkDistinguishability(categorical, { visions: ['tetrachromacy'] }))
+        .toThrow('Unknown color vision deficiency');
+    });
   });
 });
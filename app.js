@@ -12,7 +12,8 @@ import PaletteDisplay from './palette-display.js';
 // Application state
 const state = {
     preferences: null,
-    palettes: []
+    palettes: [],
+    rerolls: []
 };
 
 // DOM elements
@@ -24,6 +25,9 @@ const elements = {
     toastMessage: null
 };
 
+// Seeds are unsigned 32-bit integers
+const MAX_SEED = 0xFFFFFFFF;
+
 // Component instances
 let paletteGenerator = null;
 let paletteDisplay = null;
@@ -41,7 +45,10 @@ function init() {
 
     // Initialize components
     paletteGenerator = new PaletteGenerator();
-    paletteDisplay = new PaletteDisplay(elements.palettesContainer);
+    paletteDisplay = new PaletteDisplay(elements.palettesContainer, {
+        onRegenerate: regeneratePalette,
+        onShuffle: shufflePalettes
+    });
 
     // Set up event listeners
     setupEventListeners();
@@ -87,6 +94,7 @@ async function handleFormSubmit(event) {
 
     // Store preferences
     state.preferences = formData;
+    state.rerolls = [];
 
     // Show loading state
     showLoading();
@@ -111,7 +119,7 @@ async function handleFormSubmit(event) {
         scrollToResults();
 
         // Show success message
-        showToast('Successfully generated 3 color palettes!');
+        showToast(`Successfully generated ${palettes.length} color ${palettes.length === 1 ? 'palette' : 'palettes'}!`);
     } catch (error) {
         // Handle errors during palette generation
         console.error('Error generating palettes:', error);
@@ -150,16 +158,82 @@ function displayGenerationError(error) {
     }
 }
 
+/**
+ * Generate a new variation of the current palettes with a random seed
+ * The seed is shown with the results, so the variation can be reproduced.
+ * @returns {Array<Object>} Shuffled palettes
+ */
+function shufflePalettes() {
+    state.preferences = {
+        ...state.preferences,
+        seed: Math.floor(Math.random() * (MAX_SEED + 1))
+    };
+    state.rerolls = [];
+    state.palettes = paletteGenerator.generate(state.preferences);
+
+    return state.palettes;
+}
+
+/**
+ * Regenerate one palette, keeping its locked colors
+ * Each call is a new reroll of that palette.
+ * @param {number} index - Palette index
+ * @param {Object} lockedColors - Locked role colors {role: hex}
+ * @returns {Object} Regenerated palette
+ */
+function regeneratePalette(index, lockedColors) {
+    state.rerolls[index] = (state.rerolls[index] || 0) + 1;
+
+    const palette = paletteGenerator.regenerate(state.preferences, lockedColors, {
+        index,
+        attempt: state.rerolls[index]
+    });
+    state.palettes[index] = palette;
+
+    return palette;
+}
+
 /**
  * Get form data
  * @returns {Object} Form data object
  */
 function getFormData() {
-    return {
+    const formData = {
         appType: document.getElementById('appType').value,
         purpose: document.getElementById('purpose').value.trim(),
         colorMood: document.getElementById('colorMood').value
     };
+
+    // Brand colors are optional; leave them out when none are given
+    const brandColorsInput = document.getElementById('brandColors');
+    const brandColors = parseBrandColors(brandColorsInput ? brandColorsInput.value : '');
+    if (brandColors.length > 0) {
+        const brandRoleSelect = document.getElementById('brandRole');
+        formData.brandColors = brandColors;
+        formData.brandRole = brandRoleSelect ? brandRoleSelect.value : 'primary';
+    }
+
+    // A blank seed lets the generator derive one from the answers
+    const seedInput = document.getElementById('seed');
+    const seed = seedInput ? seedInput.value.trim() : '';
+    if (seed.length > 0) {
+        formData.seed = /^\d+$/.test(seed) ? Number(seed) : seed;
+    }
+
+    return formData;
+}
+
+/**
+ * Split the brand colors field into HEX codes
+ * Codes may be separated by commas or spaces, and the leading # is optional.
+ * @param {string} value - Field value (e.g., "#1E5EFF, ffb300")
+ * @returns {string[]} Codes with a leading # (e.g., ["#1E5EFF", "#ffb300"])
+ */
+function parseBrandColors(value) {
+    return (value || '')
+        .split(/[\s,]+/)
+        .filter(code => code.length > 0)
+        .map(code => (code.startsWith('#') ? code : `#${code}`));
 }
 
 /**
@@ -182,6 +256,19 @@ function validateForm(formData) {
         errors.colorMood = 'Please select a color mood';
     }
 
+    const brandColors = formData.brandColors || [];
+    const invalidBrandColor = brandColors.find(code => !/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(code));
+    if (invalidBrandColor) {
+        errors.brandColors = `"${invalidBrandColor}" is not a HEX color code (e.g., #1E5EFF)`;
+    } else if (brandColors.length > 3) {
+        errors.brandColors = 'Please enter at most 3 brand colors';
+    }
+
+    if (formData.seed !== undefined &&
+        !(Number.isInteger(formData.seed) && formData.seed >= 0 && formData.seed <= MAX_SEED)) {
+        errors.seed = `Seed must be a whole number from 0 to ${MAX_SEED}`;
+    }
+
     return {
         isValid: Object.keys(errors).length === 0,
         errors
@@ -340,6 +427,7 @@ if (document.readyState === 'loading') {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         getFormData,
+        parseBrandColors,
         validateForm,
         showToast,
         copyToClipboard,
@@ -0,0 +1,136 @@
+/**
+ * ColorNamer - Human-readable names for any color
+ *
+ * Maps colors to the nearest entry of a bundled name list (the CSS named
+ * colors plus a curated subset of the xkcd color survey), measuring
+ * closeness with the CIEDE2000 perceptual color difference.
+ *
+ * Requirements: 2.3, 5.3
+ */
+
+// Import dependencies for ES6 modules
+import ColorUtility from './color-utility.js';
+import CSS_NAMED_COLORS from './css-named-colors.js';
+import XKCD_COLOR_NAMES from './xkcd-color-names.js';
+
+// Leading words that CSS keywords run together (e.g., "darkslateblue")
+const CSS_KEYWORD_PREFIXES = [
+  'alice', 'antique', 'blanched', 'blue', 'burly', 'cadet', 'cornflower', 'dark',
+  'deep', 'dim', 'dodger', 'fire', 'floral', 'forest', 'ghost', 'goldenrod',
+  'green', 'hot', 'indian', 'lavender', 'lawn', 'lemon', 'light', 'lime',
+  'medium', 'midnight', 'mint', 'misty', 'navajo', 'old', 'olive', 'orange',
+  'pale', 'papaya', 'peach', 'powder', 'rebecca', 'rosy', 'royal', 'saddle',
+  'sandy', 'sea', 'sky', 'slate', 'spring', 'steel', 'violet', 'white', 'yellow'
+];
+
+class ColorNamer {
+  constructor() {
+    this.colorUtility = new ColorUtility();
+    this.entries = this._buildEntries();
+  }
+
+  /**
+   * Find the named color closest to a color
+   * Alpha is ignored; a translucent color gets the name of its opaque version.
+   * @param {string|Object} color - HEX color code, CSS color string or color object
+   * @returns {{name: string, hex: string, source: string, distance: number}} Nearest name,
+   *   its HEX code, the list it came from ("css" or "xkcd") and the Delta E 2000 distance
+   */
+  findNearest(color) {
+    return this.findNearestNames(color, 1)[0];
+  }
+
+  /**
+   * Get the display name closest to a color
+   * @param {string|Object} color - HEX color code, CSS color string or color object
+   * @returns {string} Title-cased color name (e.g., "Dusty Teal")
+   */
+  getName(color) {
+    return this.findNearest(color).name;
+  }
+
+  /**
+   * Find the closest named colors, nearest first
+   * @param {string|Object} color - HEX color code, CSS color string or color object
+   * @param {number} [count=5] - Number of names to return
+   * @returns {Array<{name: string, hex: string, source: string, distance: number}>} Nearest names
+   */
+  findNearestNames(color, count = 5) {
+    const [l, a, b] = this.colorUtility.convert(this.colorUtility.toColor(color), 'lab').coords;
+    const target = { l, a, b };
+
+    return this.entries
+      .map(({ name, hex, source, lab }) => ({
+        name,
+        hex,
+        source,
+        distance: this.colorUtility.deltaE2000(target, lab)
+      }))
+      .sort((first, second) => first.distance - second.distance)
+      .slice(0, count);
+  }
+
+  /**
+   * Build the searchable name list with precomputed Lab values
+   * Aliases sharing a HEX code (e.g., "gray" and "grey") are kept once.
+   * @private
+   * @returns {Array<{name: string, hex: string, source: string, lab: Object}>} Name entries
+   */
+  _buildEntries() {
+    const entries = [];
+    const seen = new Set();
+
+    const addEntries = (names, source, formatName) => {
+      for (const [key, hex] of Object.entries(names)) {
+        if (seen.has(`${source}${hex}`)) continue;
+        seen.add(`${source}${hex}`);
+
+        const [l, a, b] = this.colorUtility.convert(this.colorUtility.parse(hex), 'lab').coords;
+        entries.push({ name: formatName(key), hex, source, lab: { l, a, b } });
+      }
+    };
+
+    addEntries(CSS_NAMED_COLORS, 'css', key => this._titleCase(this._splitKeyword(key)));
+    addEntries(XKCD_COLOR_NAMES, 'xkcd', key => this._titleCase(key));
+
+    return entries;
+  }
+
+  /**
+   * Split a run-together CSS keyword into words
+   * @private
+   * @param {string} keyword - CSS color keyword (e.g., "darkslateblue")
+   * @returns {string} Space-separated words (e.g., "dark slate blue")
+   */
+  _splitKeyword(keyword) {
+    const words = [];
+    let rest = keyword;
+    let prefix = CSS_KEYWORD_PREFIXES.find(word => rest.startsWith(word) && rest.length > word.length);
+
+    while (prefix) {
+      words.push(prefix);
+      rest = rest.slice(prefix.length);
+      prefix = CSS_KEYWORD_PREFIXES.find(word => rest.startsWith(word) && rest.length > word.length);
+    }
+    words.push(rest);
+
+    return words.join(' ');
+  }
+
+  /**
+   * Capitalize every word of a name
+   * @private
+   * @param {string} name - Lowercase name (e.g., "dusty teal")
+   * @returns {string} Title-cased name (e.g., "Dusty Teal")
+   */
+  _titleCase(name) {
+    return name.replace(/\b[a-z]/g, letter => letter.toUpperCase());
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ColorNamer;
+}
+
+export default ColorNamer;
@@ -0,0 +1,61 @@
+/**
+ * Unit tests for ColorNamer
+ */
+
+import { describe, it, expect } from 'vitest';
+import ColorNamer from './color-namer.js';
+
+describe('ColorNamer', () => {
+  const colorNamer = new ColorNamer();
+
+  describe('getName', () => {
+    it('should return exact names for listed colors', () => {
+      expect(colorNamer.getName('#4C9085')).toBe('Dusty Teal');
+      expect(colorNamer.getName('#663399')).toBe('Rebecca Purple');
+      expect(colorNamer.getName('#F5F5F5')).toBe('White Smoke');
+    });
+
+    it('should split run-together CSS keywords into words', () => {
+      expect(colorNamer.getName('darkslateblue')).toBe('Dark Slate Blue');
+      expect(colorNamer.getName('lightgoldenrodyellow')).toBe('Light Goldenrod Yellow');
+      expect(colorNamer.getName('cornflowerblue')).toBe('Cornflower Blue');
+    });
+
+    it('should name colors that are not in the list after the closest entry', () => {
+      expect(colorNamer.getName('#FFD400')).toBe('Gold');
+      expect(colorNamer.getName('#E11D48')).toBe('Crimson');
+    });
+
+    it('should accept any CSS color syntax', () => {
+      expect(colorNamer.getName('rgb(76 144 133)')).toBe('Dusty Teal');
+      expect(colorNamer.getName('#4C908580')).toBe('Dusty Teal');
+    });
+  });
+
+  describe('findNearest', () => {
+    it('should report the matched HEX code, source list and distance', () => {
+      const match = colorNamer.findNearest('#4C9085');
+      expect(match).toEqual({ name: 'Dusty Teal', hex: '#4C9085', source: 'xkcd', distance: 0 });
+    });
+
+    it('should measure distance with CIEDE2000', () => {
+      const match = colorNamer.findNearest('#3366CC');
+      expect(match.distance).toBeCloseTo(colorNamer.colorUtility.deltaE2000('#3366CC', match.hex), 6);
+    });
+  });
+
+  describe('findNearestNames', () => {
+    it('should return the requested number of names ordered by distance', () => {
+      const matches = colorNamer.findNearestNames('#3366CC', 4);
+      expect(matches).toHaveLength(4);
+      matches.slice(1).forEach((match, i) => {
+        expect(match.distance).toBeGreaterThanOrEqual(matches[i].distance);
+      });
+    });
+
+    it('should keep aliases with the same HEX code only once', () => {
+      const matches = colorNamer.findNearestNames('#808080', 3);
+      expect(matches.filter(match => match.hex === '#808080')).toHaveLength(1);
+    });
+  });
+});
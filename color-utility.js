@@ -1,66 +1,1987 @@
 /**
  * ColorUtility - Color conversion and manipulation utilities
  * 
- * Provides functions for converting between color spaces (HEX, RGB, HSL)
- * and adjusting color properties (hue, saturation, lightness).
+ * Provides functions for converting between color spaces (HEX, RGB, HSL,
+ * linear sRGB, XYZ, CIELAB, CIE LCH, OKLab, OKLCH), adjusting color properties
+ * (hue, saturation, lightness) in either HSL or the perceptually uniform OKLCH
+ * space, and measuring color difference (Delta E). Any CSS Color Module
+ * Level 4 color string can be parsed into a normalized color object, and
+ * translucent colors can be composited over a backdrop.
  * 
  * Requirements: 3.1, 3.2, 3.3, 3.4
  */
 
+// Import dependencies for ES6 modules
+import CSS_NAMED_COLORS from './css-named-colors.js';
+
+// OKLab matrices (Björn Ottosson, https://bottosson.github.io/posts/oklab/)
+const LINEAR_RGB_TO_LMS = [
+  [0.4122214708, 0.5363325363, 0.0514459929],
+  [0.2119034982, 0.6806995451, 0.1073969566],
+  [0.0883024619, 0.2817188376, 0.6299787005]
+];
+
+const LMS_TO_OKLAB = [
+  [0.2104542553, 0.7936177850, -0.0040720468],
+  [1.9779984951, -2.4285922050, 0.4505937099],
+  [0.0259040371, 0.7827717662, -0.8086757660]
+];
+
+const OKLAB_TO_LMS = [
+  [1, 0.3963377774, 0.2158037573],
+  [1, -0.1055613458, -0.0638541728],
+  [1, -0.0894841775, -1.2914855480]
+];
+
+const LMS_TO_LINEAR_RGB = [
+  [4.0767416621, -3.3077115913, 0.2309699292],
+  [-1.2684380046, 2.6097574011, -0.3413193965],
+  [-0.0041960863, -0.7034186147, 1.7076147010]
+];
+
+// XYZ matrices and white points follow CSS Color Module Level 4
+const LINEAR_RGB_TO_XYZ = [
+  [0.41239079926595934, 0.357584339383878, 0.1804807884018343],
+  [0.21263900587151027, 0.715168678767756, 0.07219231536073371],
+  [0.01933081871559182, 0.11919477979462598, 0.9505321522496607]
+];
+
+const XYZ_TO_LINEAR_RGB = [
+  [3.2409699419045226, -1.537383177570094, -0.4986107602930034],
+  [-0.9692436362808796, 1.8759675015077202, 0.04155505740717559],
+  [0.05563007969699366, -0.20397695888897652, 1.0569715142428786]
+];
+
+// Bradford chromatic adaptation between the D65 and D50 white points
+const XYZ_D65_TO_D50 = [
+  [1.0479297925449969, 0.022946870601609652, -0.05019226628920524],
+  [0.02962780877005599, 0.9904344267538799, -0.017073799063418826],
+  [-0.009243040646204504, 0.015055191490298152, 0.7518742814281371]
+];
+
+const XYZ_D50_TO_D65 = [
+  [0.955473421488075, -0.02309845494876471, 0.06325924320057072],
+  [-0.0283697093338637, 1.0099953980813041, 0.021041441191917323],
+  [0.012314014864481998, -0.020507649298898964, 1.330365926242124]
+];
+
+const D50_WHITE = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+
+// Wide-gamut RGB spaces usable in CSS color() (linear RGB <-> XYZ)
+const DISPLAY_P3_TO_XYZ = [
+  [0.4865709486482162, 0.26566769316909306, 0.1982172852343625],
+  [0.2289745640697488, 0.6917385218365064, 0.079286914093745],
+  [0, 0.04511338185890264, 1.043944368900976]
+];
+
+const XYZ_TO_DISPLAY_P3 = [
+  [2.493496911941425, -0.9313836179191239, -0.40271078445071684],
+  [-0.8294889695615747, 1.7626640603183463, 0.023624685841943577],
+  [0.03584583024378447, -0.07617238926804182, 0.9568845240076872]
+];
+
+const A98_RGB_TO_XYZ = [
+  [0.5766690429101305, 0.1855582379065463, 0.1882286462349947],
+  [0.29734497525053605, 0.6273635662554661, 0.07529145849399788],
+  [0.02703136138641234, 0.07068885253582723, 0.9913375368376388]
+];
+
+const XYZ_TO_A98_RGB = [
+  [2.0415879038107465, -0.5650069742788596, -0.34473135077832956],
+  [-0.9692436362808795, 1.8759675015077202, 0.04155505740717557],
+  [0.013444280632031142, -0.11836239223101838, 1.0151749943912054]
+];
+
+// ProPhoto RGB is defined relative to D50
+const PROPHOTO_RGB_TO_XYZ_D50 = [
+  [0.7977604896723027, 0.13518583717574031, 0.0313493495815248],
+  [0.2880711282292934, 0.7118432178101014, 0.00008565396060525902],
+  [0, 0, 0.8251046025104601]
+];
+
+const XYZ_D50_TO_PROPHOTO_RGB = [
+  [1.3457989731028281, -0.25558010007997534, -0.05110628506753401],
+  [-0.5446224939028347, 1.5082327413132781, 0.02053603239147973],
+  [0, 0, 1.2119675456389454]
+];
+
+const REC2020_TO_XYZ = [
+  [0.6369580483012914, 0.14461690358620832, 0.1688809751641721],
+  [0.2627002120112671, 0.6779980715188708, 0.05930171646986196],
+  [0, 0.028072693049087428, 1.060985057710791]
+];
+
+const XYZ_TO_REC2020 = [
+  [1.716651187971268, -0.355670783776392, -0.25336628137366],
+  [-0.666684351832489, 1.616481236634939, 0.0157685458139111],
+  [0.017639857445311, -0.042770613257809, 0.942103121235474]
+];
+
+// Rec. 2020 transfer function constants
+const REC2020_ALPHA = 1.09929682680944;
+const REC2020_BETA = 0.018053968510807;
+
+// CIE constants for the Lab transfer function
+const LAB_EPSILON = 216 / 24389;
+const LAB_KAPPA = 24389 / 27;
+
+// Chroma below this is treated as achromatic when deriving an OKLCH hue
+const OKLCH_ACHROMATIC_THRESHOLD = 1e-6;
+
+// Color spaces understood by parse() and convert()
+const COLOR_SPACES = [
+  'srgb', 'srgb-linear', 'hsl', 'hwb', 'lab', 'lch', 'oklab', 'oklch',
+  'xyz-d65', 'xyz-d50', 'display-p3', 'a98-rgb', 'prophoto-rgb', 'rec2020'
+];
+
+// Spaces allowed as the first argument of CSS color()
+const PREDEFINED_SPACES = [
+  'srgb', 'srgb-linear', 'display-p3', 'a98-rgb', 'prophoto-rgb', 'rec2020',
+  'xyz', 'xyz-d50', 'xyz-d65'
+];
+
+// Hue offsets (in degrees) for each harmony scheme, relative to the base color.
+// Functions receive the configured angle; analogous and monochromatic are
+// count-based and built separately.
+const HARMONY_OFFSETS = {
+  complementary: () => [0, 180],
+  'split-complementary': (angle = 30) => [0, 180 - angle, 180 + angle],
+  triadic: () => [0, 120, 240],
+  tetradic: (angle = 60) => [0, angle, 180, 180 + angle],
+  square: () => [0, 90, 180, 270],
+  compound: (angle = 30) => [0, angle, 180 - angle, 180 + angle]
+};
+
+// Hue spaces a harmony can rotate in
+const HARMONY_SPACES = ['hsl', 'oklch'];
+
+// RGB spaces with a bounded gamut, checked by isInGamut() and mapped by toGamut()
+const RGB_GAMUT_SPACES = ['srgb', 'srgb-linear', 'display-p3', 'a98-rgb', 'prophoto-rgb', 'rec2020'];
+
+// CSS Color 4 gamut mapping: just noticeable difference in OKLab and search precision
+const GAMUT_JND = 0.02;
+const GAMUT_EPSILON = 0.0001;
+
+// Tolerance for channels that are out of range only through float error
+const GAMUT_CHECK_TOLERANCE = 0.000075;
+
+// Position of the hue channel in cylindrical spaces
+const HUE_INDEX = { hsl: 0, hwb: 0, lch: 2, oklch: 2 };
+
+// CSS Color 4 hue interpolation methods
+const HUE_INTERPOLATION_METHODS = ['shorter', 'longer', 'increasing', 'decreasing'];
+
+// Tonal scale step names and the OKLCH lightness of the lightest and darkest steps
+const TONAL_STEPS = [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950];
+const TONAL_LIGHTNESS_RANGE = [0.97, 0.25];
+
+// Multipliers that convert CSS angle units to degrees
+const ANGLE_UNITS = {
+  deg: 1,
+  grad: 0.9,
+  rad: 180 / Math.PI,
+  turn: 360
+};
+
+/**
+ * Error thrown when a color string cannot be parsed
+ * Carries the original input and the character position of the problem.
+ */
+class ColorParseError extends Error {
+  /**
+   * @param {string} reason - Human-readable description of the problem
+   * @param {string} input - The string that was being parsed
+   * @param {number} position - Zero-based index of the offending character
+   */
+  constructor(reason, input, position) {
+    super(`${reason} at position ${position} in "${input}"`);
+    this.name = 'ColorParseError';
+    this.reason = reason;
+    this.input = input;
+    this.position = position;
+  }
+}
+
 class ColorUtility {
   /**
-   * Convert HEX color to RGB
-   * @param {string} hex - HEX color code (e.g., "#FF5733" or "FF5733")
-   * @returns {{r: number, g: number, b: number}} RGB object with values 0-255
+   * Convert HEX color to RGB
+   * Also accepts any CSS color string understood by parse(); wide-gamut colors
+   * are gamut-mapped to sRGB. Translucent colors (e.g., "#FF573380") also carry alpha.
+   * @param {string} hex - HEX color code (e.g., "#FF5733" or "FF5733") or CSS color string
+   * @returns {{r: number, g: number, b: number, alpha?: number}} RGB object with values 0-255,
+   *   plus alpha (0-1) when the color is not fully opaque
+   * @throws {ColorParseError} If the string is not a valid color
+   */
+  hexToRgb(hex) {
+    const color = this.toGamut(this.toColor(hex), 'srgb');
+    const [r, g, b] = color.coords
+      .map(channel => Math.round(Math.max(0, Math.min(1, channel)) * 255));
+
+    return this._withAlpha({ r, g, b }, color.alpha);
+  }
+
+  /**
+   * Convert RGB to HEX color
+   * @param {number} r - Red value (0-255)
+   * @param {number} g - Green value (0-255)
+   * @param {number} b - Blue value (0-255)
+   * @param {number} [alpha=1] - Alpha value (0-1)
+   * @returns {string} HEX color code with # prefix (#RRGGBBAA when alpha is below 1)
+   */
+  rgbToHex(r, g, b, alpha = 1) {
+    const toHex = (value) => {
+      const hex = Math.round(value).toString(16).padStart(2, '0');
+      return hex;
+    };
+    
+    const alphaHex = alpha < 1 ? toHex(Math.max(0, alpha) * 255) : '';
+
+    return `#${toHex(r)}${toHex(g)}${toHex(b)}${alphaHex}`.toUpperCase();
+  }
+
+  /**
+   * Convert RGB to HSL
+   * Values are rounded to integers for display; use convert() to keep precision.
+   * @param {number} r - Red value (0-255)
+   * @param {number} g - Green value (0-255)
+   * @param {number} b - Blue value (0-255)
+   * @param {number} [alpha=1] - Alpha value (0-1), passed through when below 1
+   * @returns {{h: number, s: number, l: number, alpha?: number}} HSL object (h: 0-360, s: 0-100, l: 0-100)
+   */
+  rgbToHsl(r, g, b, alpha = 1) {
+    const [h, s, l] = this._srgbToHsl(r / 255, g / 255, b / 255);
+
+    return this._withAlpha({
+      h: Math.round(h),
+      s: Math.round(s),
+      l: Math.round(l)
+    }, alpha);
+  }
+
+  /**
+   * Convert HSL to RGB
+   * @param {number} h - Hue (0-360)
+   * @param {number} s - Saturation (0-100)
+   * @param {number} l - Lightness (0-100)
+   * @param {number} [alpha=1] - Alpha value (0-1), passed through when below 1
+   * @returns {{r: number, g: number, b: number, alpha?: number}} RGB object with values 0-255
+   */
+  hslToRgb(h, s, l, alpha = 1) {
+    const [r, g, b] = this._hslToSrgb(h, s, l);
+
+    return this._withAlpha({
+      r: Math.round(r * 255),
+      g: Math.round(g * 255),
+      b: Math.round(b * 255)
+    }, alpha);
+  }
+
+  /**
+   * Adjust the hue of a color
+   * Color objects are adjusted without rounding and returned as color objects,
+   * so chained adjustments do not drift.
+   * @param {string|Object} hex - HEX color code, CSS color string or color object
+   * @param {number} degrees - Degrees to adjust hue (-360 to 360)
+   * @returns {string|Object} New HEX color code (or color object for color object input)
+   */
+  adjustHue(hex, degrees) {
+    return this._adjust(hex, 'hsl', (coords) => {
+      coords[0] = this._normalizeHue(coords[0] + degrees);
+    });
+  }
+
+  /**
+   * Adjust the saturation of a color
+   * @param {string|Object} hex - HEX color code, CSS color string or color object
+   * @param {number} amount - Amount to adjust saturation (-100 to 100)
+   * @returns {string|Object} New HEX color code (or color object for color object input)
+   */
+  adjustSaturation(hex, amount) {
+    return this._adjust(hex, 'hsl', (coords) => {
+      // Adjust saturation and clamp to 0-100
+      coords[1] = Math.max(0, Math.min(100, coords[1] + amount));
+    });
+  }
+
+  /**
+   * Adjust the lightness of a color
+   * @param {string|Object} hex - HEX color code, CSS color string or color object
+   * @param {number} amount - Amount to adjust lightness (-100 to 100)
+   * @returns {string|Object} New HEX color code (or color object for color object input)
+   */
+  adjustLightness(hex, amount) {
+    return this._adjust(hex, 'hsl', (coords) => {
+      // Adjust lightness and clamp to 0-100
+      coords[2] = Math.max(0, Math.min(100, coords[2] + amount));
+    });
+  }
+
+  /**
+   * Convert an sRGB channel to linear light
+   * @param {number} channel - Gamma-encoded channel value (0-1)
+   * @returns {number} Linear channel value (0-1)
+   */
+  srgbToLinear(channel) {
+    const sign = channel < 0 ? -1 : 1;
+    const abs = Math.abs(channel);
+
+    return abs <= 0.04045
+      ? channel / 12.92
+      : sign * Math.pow((abs + 0.055) / 1.055, 2.4);
+  }
+
+  /**
+   * Convert a linear-light channel back to gamma-encoded sRGB
+   * @param {number} channel - Linear channel value (0-1)
+   * @returns {number} Gamma-encoded channel value (0-1)
+   */
+  linearToSrgb(channel) {
+    const sign = channel < 0 ? -1 : 1;
+    const abs = Math.abs(channel);
+
+    return abs <= 0.0031308
+      ? channel * 12.92
+      : sign * (1.055 * Math.pow(abs, 1 / 2.4) - 0.055);
+  }
+
+  /**
+   * Convert RGB to linear sRGB
+   * @param {number} r - Red value (0-255)
+   * @param {number} g - Green value (0-255)
+   * @param {number} b - Blue value (0-255)
+   * @returns {{r: number, g: number, b: number}} Linear RGB object with values 0-1
+   */
+  rgbToLinearRgb(r, g, b) {
+    return {
+      r: this.srgbToLinear(r / 255),
+      g: this.srgbToLinear(g / 255),
+      b: this.srgbToLinear(b / 255)
+    };
+  }
+
+  /**
+   * Convert linear sRGB to RGB
+   * @param {number} r - Linear red value (0-1)
+   * @param {number} g - Linear green value (0-1)
+   * @param {number} b - Linear blue value (0-1)
+   * @returns {{r: number, g: number, b: number}} RGB object with values 0-255
+   */
+  linearRgbToRgb(r, g, b) {
+    const toChannel = (value) => {
+      const encoded = this.linearToSrgb(value) * 255;
+      return Math.round(Math.max(0, Math.min(255, encoded)));
+    };
+
+    return { r: toChannel(r), g: toChannel(g), b: toChannel(b) };
+  }
+
+  /**
+   * Convert RGB to OKLab
+   * @param {number} r - Red value (0-255)
+   * @param {number} g - Green value (0-255)
+   * @param {number} b - Blue value (0-255)
+   * @returns {{l: number, a: number, b: number}} OKLab object (l: 0-1, a/b: roughly -0.4 to 0.4)
+   */
+  rgbToOklab(r, g, b) {
+    const linear = this.rgbToLinearRgb(r, g, b);
+    const [l, a, bValue] = this._linearRgbToOklab([linear.r, linear.g, linear.b]);
+
+    return { l, a, b: bValue };
+  }
+
+  /**
+   * Convert OKLab to RGB
+   * Colors outside the sRGB gamut are clipped per channel.
+   * @param {number} l - Lightness (0-1)
+   * @param {number} a - Green/red axis
+   * @param {number} b - Blue/yellow axis
+   * @returns {{r: number, g: number, b: number}} RGB object with values 0-255
+   */
+  oklabToRgb(l, a, b) {
+    const [rLinear, gLinear, bLinear] = this._oklabToLinearRgb([l, a, b]);
+    return this.linearRgbToRgb(rLinear, gLinear, bLinear);
+  }
+
+  /**
+   * Convert OKLab to OKLCH (polar form)
+   * @param {number} l - Lightness (0-1)
+   * @param {number} a - Green/red axis
+   * @param {number} b - Blue/yellow axis
+   * @returns {{l: number, c: number, h: number}} OKLCH object (l: 0-1, c: 0-~0.4, h: 0-360)
+   */
+  oklabToOklch(l, a, b) {
+    const c = Math.sqrt(a * a + b * b);
+
+    // Hue is meaningless for greys, report 0 like rgbToHsl does
+    let h = 0;
+    if (c > OKLCH_ACHROMATIC_THRESHOLD) {
+      h = Math.atan2(b, a) * 180 / Math.PI;
+      if (h < 0) h += 360;
+    }
+
+    return { l, c, h };
+  }
+
+  /**
+   * Convert OKLCH to OKLab (rectangular form)
+   * @param {number} l - Lightness (0-1)
+   * @param {number} c - Chroma (0-~0.4)
+   * @param {number} h - Hue (0-360)
+   * @returns {{l: number, a: number, b: number}} OKLab object
+   */
+  oklchToOklab(l, c, h) {
+    const radians = h * Math.PI / 180;
+
+    return {
+      l,
+      a: c * Math.cos(radians),
+      b: c * Math.sin(radians)
+    };
+  }
+
+  /**
+   * Convert RGB to OKLCH
+   * @param {number} r - Red value (0-255)
+   * @param {number} g - Green value (0-255)
+   * @param {number} b - Blue value (0-255)
+   * @returns {{l: number, c: number, h: number}} OKLCH object (l: 0-1, c: 0-~0.4, h: 0-360)
+   */
+  rgbToOklch(r, g, b) {
+    const lab = this.rgbToOklab(r, g, b);
+    return this.oklabToOklch(lab.l, lab.a, lab.b);
+  }
+
+  /**
+   * Convert OKLCH to RGB
+   * Colors outside the sRGB gamut are clipped per channel.
+   * @param {number} l - Lightness (0-1)
+   * @param {number} c - Chroma (0-~0.4)
+   * @param {number} h - Hue (0-360)
+   * @returns {{r: number, g: number, b: number}} RGB object with values 0-255
+   */
+  oklchToRgb(l, c, h) {
+    const lab = this.oklchToOklab(l, c, h);
+    return this.oklabToRgb(lab.l, lab.a, lab.b);
+  }
+
+  /**
+   * Convert RGB to CIE XYZ (D65 white point)
+   * @param {number} r - Red value (0-255)
+   * @param {number} g - Green value (0-255)
+   * @param {number} b - Blue value (0-255)
+   * @returns {{x: number, y: number, z: number}} XYZ object (y: 0-1 for in-gamut colors)
+   */
+  rgbToXyz(r, g, b) {
+    const linear = this.rgbToLinearRgb(r, g, b);
+    const [x, y, z] = this._multiplyMatrix(LINEAR_RGB_TO_XYZ, [linear.r, linear.g, linear.b]);
+
+    return { x, y, z };
+  }
+
+  /**
+   * Convert CIE XYZ (D65 white point) to RGB
+   * Colors outside the sRGB gamut are clipped per channel.
+   * @param {number} x - X component
+   * @param {number} y - Y component (luminance, 0-1)
+   * @param {number} z - Z component
+   * @returns {{r: number, g: number, b: number}} RGB object with values 0-255
+   */
+  xyzToRgb(x, y, z) {
+    const [r, g, b] = this._multiplyMatrix(XYZ_TO_LINEAR_RGB, [x, y, z]);
+    return this.linearRgbToRgb(r, g, b);
+  }
+
+  /**
+   * Convert CIE XYZ (D65 white point) to CIELAB
+   * Lab is relative to the D50 white point, matching CSS lab() values.
+   * @param {number} x - X component
+   * @param {number} y - Y component (luminance, 0-1)
+   * @param {number} z - Z component
+   * @returns {{l: number, a: number, b: number}} Lab object (l: 0-100, a/b: roughly -128 to 127)
+   */
+  xyzToLab(x, y, z) {
+    const d50 = this._multiplyMatrix(XYZ_D65_TO_D50, [x, y, z]);
+
+    const f = (value) => value > LAB_EPSILON
+      ? Math.cbrt(value)
+      : (LAB_KAPPA * value + 16) / 116;
+    const [fx, fy, fz] = d50.map((value, i) => f(value / D50_WHITE[i]));
+
+    return {
+      l: 116 * fy - 16,
+      a: 500 * (fx - fy),
+      b: 200 * (fy - fz)
+    };
+  }
+
+  /**
+   * Convert CIELAB to CIE XYZ (D65 white point)
+   * @param {number} l - Lightness (0-100)
+   * @param {number} a - Green/red axis
+   * @param {number} b - Blue/yellow axis
+   * @returns {{x: number, y: number, z: number}} XYZ object
+   */
+  labToXyz(l, a, b) {
+    const fy = (l + 16) / 116;
+    const fx = a / 500 + fy;
+    const fz = fy - b / 200;
+
+    const xr = fx ** 3 > LAB_EPSILON ? fx ** 3 : (116 * fx - 16) / LAB_KAPPA;
+    const yr = l > LAB_KAPPA * LAB_EPSILON ? fy ** 3 : l / LAB_KAPPA;
+    const zr = fz ** 3 > LAB_EPSILON ? fz ** 3 : (116 * fz - 16) / LAB_KAPPA;
+
+    const d50 = [xr * D50_WHITE[0], yr * D50_WHITE[1], zr * D50_WHITE[2]];
+    const [x, y, z] = this._multiplyMatrix(XYZ_D50_TO_D65, d50);
+
+    return { x, y, z };
+  }
+
+  /**
+   * Convert RGB to CIELAB
+   * @param {number} r - Red value (0-255)
+   * @param {number} g - Green value (0-255)
+   * @param {number} b - Blue value (0-255)
+   * @returns {{l: number, a: number, b: number}} Lab object (l: 0-100)
+   */
+  rgbToLab(r, g, b) {
+    const xyz = this.rgbToXyz(r, g, b);
+    return this.xyzToLab(xyz.x, xyz.y, xyz.z);
+  }
+
+  /**
+   * Convert CIELAB to RGB
+   * Colors outside the sRGB gamut are clipped per channel.
+   * @param {number} l - Lightness (0-100)
+   * @param {number} a - Green/red axis
+   * @param {number} b - Blue/yellow axis
+   * @returns {{r: number, g: number, b: number}} RGB object with values 0-255
+   */
+  labToRgb(l, a, b) {
+    const xyz = this.labToXyz(l, a, b);
+    return this.xyzToRgb(xyz.x, xyz.y, xyz.z);
+  }
+
+  /**
+   * Convert CIELAB to CIE LCH (polar form)
+   * @param {number} l - Lightness (0-100)
+   * @param {number} a - Green/red axis
+   * @param {number} b - Blue/yellow axis
+   * @returns {{l: number, c: number, h: number}} LCH object (l: 0-100, c: 0-~150, h: 0-360)
+   */
+  labToLch(l, a, b) {
+    // The polar math is identical to OKLab -> OKLCH
+    return this.oklabToOklch(l, a, b);
+  }
+
+  /**
+   * Convert CIE LCH to CIELAB (rectangular form)
+   * @param {number} l - Lightness (0-100)
+   * @param {number} c - Chroma
+   * @param {number} h - Hue (0-360)
+   * @returns {{l: number, a: number, b: number}} Lab object
+   */
+  lchToLab(l, c, h) {
+    return this.oklchToOklab(l, c, h);
+  }
+
+  /**
+   * Convert RGB to CIE LCH
+   * @param {number} r - Red value (0-255)
+   * @param {number} g - Green value (0-255)
+   * @param {number} b - Blue value (0-255)
+   * @returns {{l: number, c: number, h: number}} LCH object (l: 0-100, c: 0-~150, h: 0-360)
+   */
+  rgbToLch(r, g, b) {
+    const lab = this.rgbToLab(r, g, b);
+    return this.labToLch(lab.l, lab.a, lab.b);
+  }
+
+  /**
+   * Convert CIE LCH to RGB
+   * Colors outside the sRGB gamut are clipped per channel.
+   * @param {number} l - Lightness (0-100)
+   * @param {number} c - Chroma
+   * @param {number} h - Hue (0-360)
+   * @returns {{r: number, g: number, b: number}} RGB object with values 0-255
+   */
+  lchToRgb(l, c, h) {
+    const lab = this.lchToLab(l, c, h);
+    return this.labToRgb(lab.l, lab.a, lab.b);
+  }
+
+  /**
+   * Convert RGB to Display P3
+   * @param {number} r - Red value (0-255)
+   * @param {number} g - Green value (0-255)
+   * @param {number} b - Blue value (0-255)
+   * @returns {{r: number, g: number, b: number}} Display P3 object with values 0-1
+   */
+  rgbToDisplayP3(r, g, b) {
+    return this._rgbToWideGamut('display-p3', r, g, b);
+  }
+
+  /**
+   * Convert Display P3 to RGB
+   * Colors outside the sRGB gamut are gamut-mapped (see toGamut).
+   * @param {number} r - Red value (0-1)
+   * @param {number} g - Green value (0-1)
+   * @param {number} b - Blue value (0-1)
+   * @returns {{r: number, g: number, b: number}} RGB object with values 0-255
+   */
+  displayP3ToRgb(r, g, b) {
+    return this._wideGamutToRgb('display-p3', r, g, b);
+  }
+
+  /**
+   * Convert RGB to Rec. 2020
+   * @param {number} r - Red value (0-255)
+   * @param {number} g - Green value (0-255)
+   * @param {number} b - Blue value (0-255)
+   * @returns {{r: number, g: number, b: number}} Rec. 2020 object with values 0-1
+   */
+  rgbToRec2020(r, g, b) {
+    return this._rgbToWideGamut('rec2020', r, g, b);
+  }
+
+  /**
+   * Convert Rec. 2020 to RGB
+   * Colors outside the sRGB gamut are gamut-mapped (see toGamut).
+   * @param {number} r - Red value (0-1)
+   * @param {number} g - Green value (0-1)
+   * @param {number} b - Blue value (0-1)
+   * @returns {{r: number, g: number, b: number}} RGB object with values 0-255
+   */
+  rec2020ToRgb(r, g, b) {
+    return this._wideGamutToRgb('rec2020', r, g, b);
+  }
+
+  /**
+   * Calculate CIE76 color difference (Euclidean distance in CIELAB)
+   * A difference of about 2.3 is the smallest most people can notice.
+   * @param {string|Object} color1 - CSS color string or Lab object {l, a, b}
+   * @param {string|Object} color2 - CSS color string or Lab object {l, a, b}
+   * @returns {number} Delta E (0 for identical colors)
+   */
+  deltaE76(color1, color2) {
+    const lab1 = this._toLab(color1);
+    const lab2 = this._toLab(color2);
+
+    return Math.sqrt(
+      (lab1.l - lab2.l) ** 2 +
+      (lab1.a - lab2.a) ** 2 +
+      (lab1.b - lab2.b) ** 2
+    );
+  }
+
+  /**
+   * Calculate CIE94 color difference (graphic arts weighting)
+   * Not symmetric: color1 is treated as the reference color.
+   * @param {string|Object} color1 - Reference CSS color string or Lab object {l, a, b}
+   * @param {string|Object} color2 - Sample CSS color string or Lab object {l, a, b}
+   * @returns {number} Delta E (0 for identical colors)
+   */
+  deltaE94(color1, color2) {
+    const lab1 = this._toLab(color1);
+    const lab2 = this._toLab(color2);
+
+    const c1 = Math.sqrt(lab1.a ** 2 + lab1.b ** 2);
+    const c2 = Math.sqrt(lab2.a ** 2 + lab2.b ** 2);
+
+    const deltaL = lab1.l - lab2.l;
+    const deltaC = c1 - c2;
+    const deltaA = lab1.a - lab2.a;
+    const deltaB = lab1.b - lab2.b;
+    // Guard against tiny negative values from floating point error
+    const deltaHSquared = Math.max(0, deltaA ** 2 + deltaB ** 2 - deltaC ** 2);
+
+    const sC = 1 + 0.045 * c1;
+    const sH = 1 + 0.015 * c1;
+
+    return Math.sqrt(
+      deltaL ** 2 +
+      (deltaC / sC) ** 2 +
+      deltaHSquared / (sH ** 2)
+    );
+  }
+
+  /**
+   * Calculate CIEDE2000 color difference
+   * Based on Sharma, Wu & Dalal (2005): http://www2.ece.rochester.edu/~gsharma/ciede2000/
+   * @param {string|Object} color1 - CSS color string or Lab object {l, a, b}
+   * @param {string|Object} color2 - CSS color string or Lab object {l, a, b}
+   * @returns {number} Delta E (0 for identical colors)
+   */
+  deltaE2000(color1, color2) {
+    const lab1 = this._toLab(color1);
+    const lab2 = this._toLab(color2);
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+    const toDegrees = (radians) => radians * 180 / Math.PI;
+    const pow25To7 = 25 ** 7;
+
+    // Adjust a* to compensate for the non-uniformity of neutral colors
+    const cBar = (Math.sqrt(lab1.a ** 2 + lab1.b ** 2) + Math.sqrt(lab2.a ** 2 + lab2.b ** 2)) / 2;
+    const g = 0.5 * (1 - Math.sqrt(cBar ** 7 / (cBar ** 7 + pow25To7)));
+
+    const a1 = (1 + g) * lab1.a;
+    const a2 = (1 + g) * lab2.a;
+    const c1 = Math.sqrt(a1 ** 2 + lab1.b ** 2);
+    const c2 = Math.sqrt(a2 ** 2 + lab2.b ** 2);
+
+    const hueAngle = (b, a) => {
+      if (a === 0 && b === 0) return 0;
+      const h = toDegrees(Math.atan2(b, a));
+      return h < 0 ? h + 360 : h;
+    };
+    const h1 = hueAngle(lab1.b, a1);
+    const h2 = hueAngle(lab2.b, a2);
+
+    // Differences in lightness, chroma and hue
+    const deltaL = lab2.l - lab1.l;
+    const deltaC = c2 - c1;
+
+    let deltaHue = 0;
+    if (c1 * c2 !== 0) {
+      deltaHue = h2 - h1;
+      if (deltaHue > 180) deltaHue -= 360;
+      else if (deltaHue < -180) deltaHue += 360;
+    }
+    const deltaH = 2 * Math.sqrt(c1 * c2) * Math.sin(toRadians(deltaHue / 2));
+
+    // Means used by the weighting functions
+    const lBarPrime = (lab1.l + lab2.l) / 2;
+    const cBarPrime = (c1 + c2) / 2;
+
+    let hBarPrime = h1 + h2;
+    if (c1 * c2 !== 0) {
+      if (Math.abs(h1 - h2) <= 180) {
+        hBarPrime = (h1 + h2) / 2;
+      } else if (h1 + h2 < 360) {
+        hBarPrime = (h1 + h2 + 360) / 2;
+      } else {
+        hBarPrime = (h1 + h2 - 360) / 2;
+      }
+    }
+
+    const t = 1 -
+      0.17 * Math.cos(toRadians(hBarPrime - 30)) +
+      0.24 * Math.cos(toRadians(2 * hBarPrime)) +
+      0.32 * Math.cos(toRadians(3 * hBarPrime + 6)) -
+      0.20 * Math.cos(toRadians(4 * hBarPrime - 63));
+
+    const deltaTheta = 30 * Math.exp(-(((hBarPrime - 275) / 25) ** 2));
+    const rC = 2 * Math.sqrt(cBarPrime ** 7 / (cBarPrime ** 7 + pow25To7));
+    const sL = 1 + (0.015 * (lBarPrime - 50) ** 2) / Math.sqrt(20 + (lBarPrime - 50) ** 2);
+    const sC = 1 + 0.045 * cBarPrime;
+    const sH = 1 + 0.015 * cBarPrime * t;
+    const rT = -Math.sin(toRadians(2 * deltaTheta)) * rC;
+
+    const lTerm = deltaL / sL;
+    const cTerm = deltaC / sC;
+    const hTerm = deltaH / sH;
+
+    return Math.sqrt(lTerm ** 2 + cTerm ** 2 + hTerm ** 2 + rT * cTerm * hTerm);
+  }
+
+  /**
+   * Adjust the hue of a color in OKLCH space
+   * Unlike adjustHue, lightness stays perceptually constant while rotating.
+   * @param {string|Object} hex - HEX color code, CSS color string or color object
+   * @param {number} degrees - Degrees to adjust hue (-360 to 360)
+   * @returns {string|Object} New HEX color code (or color object for color object input)
+   */
+  adjustHueOklch(hex, degrees) {
+    return this._adjust(hex, 'oklch', (coords) => {
+      coords[2] = this._normalizeHue(coords[2] + degrees);
+    });
+  }
+
+  /**
+   * Adjust the chroma of a color in OKLCH space
+   * @param {string|Object} hex - HEX color code, CSS color string or color object
+   * @param {number} amount - Amount to adjust chroma (-0.4 to 0.4)
+   * @returns {string|Object} New HEX color code (or color object for color object input)
+   */
+  adjustChromaOklch(hex, amount) {
+    return this._adjust(hex, 'oklch', (coords) => {
+      // Chroma has no fixed upper bound, only clamp at 0
+      coords[1] = Math.max(0, coords[1] + amount);
+    });
+  }
+
+  /**
+   * Adjust the perceptual lightness of a color in OKLCH space
+   * The same amount produces a visually similar change for every hue.
+   * @param {string|Object} hex - HEX color code, CSS color string or color object
+   * @param {number} amount - Amount to adjust lightness in percentage points (-100 to 100)
+   * @returns {string|Object} New HEX color code (or color object for color object input)
+   */
+  adjustLightnessOklch(hex, amount) {
+    return this._adjust(hex, 'oklch', (coords) => {
+      // Adjust lightness and clamp to 0-1
+      coords[0] = Math.max(0, Math.min(1, coords[0] + amount / 100));
+
+      // Pure black and white have no room for chroma
+      if (coords[0] === 0 || coords[0] === 1) {
+        coords[1] = 0;
+      }
+    });
+  }
+
+  /**
+   * Parse any CSS Color Module Level 4 color string
+   * Supports 3/4/6/8-digit HEX, the 148 named colors, transparent, rgb()/rgba(),
+   * hsl()/hsla() (legacy comma and modern space syntax), hwb(), lab(), lch(),
+   * oklab(), oklch() and color() with every predefined color space.
+   * @param {string} colorString - CSS color string (e.g., "hsl(200deg 50% 40% / 0.8)")
+   * @returns {{space: string, coords: number[], alpha: number}} Normalized color object
+   * @throws {ColorParseError} If the string is not a valid CSS color
+   */
+  parse(colorString) {
+    if (typeof colorString !== 'string') {
+      throw new ColorParseError('Expected a color string', String(colorString), 0);
+    }
+
+    // Positions in errors refer to the original string, including leading spaces
+    const offset = colorString.length - colorString.trimStart().length;
+    const source = colorString.trim().toLowerCase();
+
+    if (source.length === 0) {
+      throw new ColorParseError('Empty color string', colorString, 0);
+    }
+
+    if (source.startsWith('#')) {
+      return this._parseHexColor(colorString, source, offset);
+    }
+
+    const functionMatch = /^([a-z-]+)\(/.exec(source);
+    if (functionMatch) {
+      return this._parseColorFunction(colorString, source, offset, functionMatch[1]);
+    }
+
+    if (source === 'transparent') {
+      return { space: 'srgb', coords: [0, 0, 0], alpha: 0 };
+    }
+
+    if (Object.prototype.hasOwnProperty.call(CSS_NAMED_COLORS, source)) {
+      const namedHex = CSS_NAMED_COLORS[source];
+      return this._parseHexColor(namedHex, namedHex.toLowerCase(), 0);
+    }
+
+    throw new ColorParseError(`Unknown color "${source}"`, colorString, offset);
+  }
+
+  /**
+   * Resolve a color input to a normalized color object
+   * Accepts CSS color strings, bare HEX digits (e.g., "FF5733") and color objects.
+   * @param {string|Object} input - Color string or {space, coords, alpha} object
+   * @returns {{space: string, coords: number[], alpha: number}} Normalized color object
+   * @throws {ColorParseError} If a string input is not a valid color
+   */
+  toColor(input) {
+    if (input && typeof input === 'object' && COLOR_SPACES.includes(input.space)) {
+      return input;
+    }
+
+    // Bare HEX digits were accepted before parse() existed, keep supporting them
+    if (typeof input === 'string' && /^\s*[0-9a-f]{3,8}\s*$/i.test(input)) {
+      return this.parse(`#${input.trim()}`);
+    }
+
+    return this.parse(input);
+  }
+
+  /**
+   * Convert a color object to another color space
+   * Coordinates stay unrounded and unclipped so the conversion is lossless.
+   * @param {{space: string, coords: number[], alpha: number}} color - Color object
+   * @param {string} space - Target space (see parse() for the supported names)
+   * @returns {{space: string, coords: number[], alpha: number}} Color object in the target space
+   */
+  convert(color, space) {
+    if (!COLOR_SPACES.includes(space)) {
+      throw new Error(`Unsupported color space "${space}"`);
+    }
+
+    if (color.space === space) {
+      return { space, coords: [...color.coords], alpha: color.alpha };
+    }
+
+    const xyz = this._toXyz(color.space, color.coords);
+    return { space, coords: this._fromXyz(space, xyz), alpha: color.alpha };
+  }
+
+  /**
+   * Check whether a color fits inside the gamut of an RGB color space
+   * HSL and HWB share the sRGB gamut; Lab, LCH, OKLab, OKLCH and XYZ are unbounded.
+   * @param {string|Object} color - CSS color string or color object
+   * @param {string} [space='srgb'] - Target color space (e.g., "srgb", "display-p3", "rec2020")
+   * @returns {boolean} True if every channel is within 0-1 in the target space
+   */
+  isInGamut(color, space = 'srgb') {
+    const gamutSpace = space === 'hsl' || space === 'hwb' ? 'srgb' : space;
+    const converted = this.convert(this.toColor(color), gamutSpace);
+
+    if (!RGB_GAMUT_SPACES.includes(gamutSpace)) {
+      return true;
+    }
+
+    return converted.coords.every(channel =>
+      channel >= -GAMUT_CHECK_TOLERANCE && channel <= 1 + GAMUT_CHECK_TOLERANCE
+    );
+  }
+
+  /**
+   * Map a color into the gamut of a color space
+   * Implements the CSS Color 4 gamut mapping algorithm: chroma is reduced in
+   * OKLCH at constant lightness and hue until clipping the result changes it
+   * by less than a just noticeable difference (Delta E OK 0.02).
+   * @param {string|Object} color - CSS color string or color object
+   * @param {string} [space='srgb'] - Target color space (e.g., "srgb", "display-p3", "rec2020")
+   * @returns {{space: string, coords: number[], alpha: number}} Color object in the target space
+   */
+  toGamut(color, space = 'srgb') {
+    const source = this.toColor(color);
+    const gamutSpace = space === 'hsl' || space === 'hwb' ? 'srgb' : space;
+
+    if (!RGB_GAMUT_SPACES.includes(gamutSpace) || this.isInGamut(source, gamutSpace)) {
+      return this.convert(source, space);
+    }
+
+    const origin = this.convert(source, 'oklch');
+    const [lightness, chroma, hue] = origin.coords;
+    const result = (mapped) => this.convert(mapped, space);
+
+    // Lightness outside 0-1 maps straight to white or black
+    if (lightness >= 1) {
+      return result({ space: gamutSpace, coords: [1, 1, 1], alpha: origin.alpha });
+    }
+    if (lightness <= 0) {
+      return result({ space: gamutSpace, coords: [0, 0, 0], alpha: origin.alpha });
+    }
+
+    const clip = (candidate) => {
+      const converted = this.convert(candidate, gamutSpace);
+      converted.coords = converted.coords.map(channel => Math.max(0, Math.min(1, channel)));
+      return converted;
+    };
+    const deltaEOK = (first, second) => {
+      const a = this.convert(first, 'oklab').coords;
+      const b = this.convert(second, 'oklab').coords;
+      return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+    };
+
+    let current = { space: 'oklch', coords: [lightness, chroma, hue], alpha: origin.alpha };
+    let clipped = clip(current);
+    if (deltaEOK(clipped, current) < GAMUT_JND) {
+      return result(clipped);
+    }
+
+    // Binary search for the largest chroma whose clipped version is within a JND
+    let min = 0;
+    let max = chroma;
+    let minInGamut = true;
+    while (max - min > GAMUT_EPSILON) {
+      const mid = (min + max) / 2;
+      current = { space: 'oklch', coords: [lightness, mid, hue], alpha: origin.alpha };
+
+      if (minInGamut && this.isInGamut(current, gamutSpace)) {
+        min = mid;
+        continue;
+      }
+
+      clipped = clip(current);
+      const error = deltaEOK(clipped, current);
+      if (error < GAMUT_JND) {
+        if (GAMUT_JND - error < GAMUT_EPSILON) {
+          break;
+        }
+        minInGamut = false;
+        min = mid;
+      } else {
+        max = mid;
+      }
+    }
+
+    return result(clipped);
+  }
+
+  /**
+   * Reduce chroma until a color fits a gamut, keeping OKLCH lightness and hue
+   * Unlike toGamut, nothing is clipped afterwards, so the hue is kept exactly
+   * at the cost of slightly more desaturation near the gamut boundary.
+   * @param {string|Object} color - CSS color string or color object
+   * @param {string} [space='srgb'] - RGB space whose gamut to fit (e.g., "srgb", "display-p3")
+   * @returns {{space: string, coords: number[], alpha: number}} OKLCH color object
+   */
+  clampChroma(color, space = 'srgb') {
+    const gamutSpace = space === 'hsl' || space === 'hwb' ? 'srgb' : space;
+    const oklch = this.convert(this.toColor(color), 'oklch');
+    const [l, c, h] = oklch.coords;
+
+    if (!RGB_GAMUT_SPACES.includes(gamutSpace)) {
+      return oklch;
+    }
+
+    const lightness = Math.max(0, Math.min(1, l));
+    return { space: 'oklch', coords: [lightness, this._fitChroma(lightness, c, h, gamutSpace), h], alpha: oklch.alpha };
+  }
+
+  /**
+   * Format a color as a CSS string
+   * This is the only place color objects are quantized; all other conversions
+   * keep full float precision. Formats that cannot express out-of-gamut values
+   * (hex, rgb, hsl, hwb) are gamut-mapped to sRGB.
+   * @param {string|Object} color - CSS color string or color object
+   * @param {string} [format='hex'] - "hex", "rgb", "hsl", "hwb", "lab", "lch", "oklab", "oklch"
+   *   or a predefined space for color() (e.g., "display-p3")
+   * @param {Object} [options] - Formatting options
+   * @param {number} [options.precision] - Decimal places for channel values (defaults keep
+   *   every 8-bit sRGB color round-trippable)
+   * @returns {string} CSS color string
+   */
+  format(color, format = 'hex', { precision } = {}) {
+    const source = this.toColor(color);
+
+    if (format === 'hex') {
+      return this.toHex(source);
+    }
+
+    if (format !== 'rgb' && !COLOR_SPACES.includes(format)) {
+      throw new Error(`Unsupported color format "${format}"`);
+    }
+
+    const space = format === 'rgb' ? 'srgb' : format;
+    let converted;
+    if (['srgb', 'hsl', 'hwb'].includes(space) && format !== 'srgb') {
+      // Legacy sRGB syntaxes cannot express out-of-gamut values
+      const srgb = this.toGamut(source, 'srgb');
+      srgb.coords = srgb.coords.map(channel => Math.max(0, Math.min(1, channel)));
+      converted = this.convert(srgb, space);
+    } else {
+      converted = this.convert(source, space);
+    }
+
+    const defaultPrecision = { rgb: 0, hsl: 2, hwb: 2, lab: 2, lch: 2 }[format];
+    const decimals = precision !== undefined ? precision : (defaultPrecision !== undefined ? defaultPrecision : 5);
+    const round = (value) => String(Number(value.toFixed(decimals)) + 0);
+
+    let channels;
+    switch (format) {
+      case 'rgb':
+        channels = converted.coords.map(channel => round(channel * 255));
+        break;
+      case 'hsl':
+      case 'hwb':
+        channels = [round(converted.coords[0]), `${round(converted.coords[1])}%`, `${round(converted.coords[2])}%`];
+        break;
+      default:
+        channels = converted.coords.map(round);
+    }
+
+    const alpha = converted.alpha < 1 ? ` / ${String(Number(converted.alpha.toFixed(3)))}` : '';
+    const isFunction = ['rgb', 'hsl', 'hwb', 'lab', 'lch', 'oklab', 'oklch'].includes(format);
+
+    return isFunction
+      ? `${format}(${channels.join(' ')}${alpha})`
+      : `color(${format} ${channels.join(' ')}${alpha})`;
+  }
+
+  /**
+   * Format any color as a HEX code
+   * Wide-gamut colors are clipped to sRGB.
+   * @param {string|Object} color - CSS color string or color object
+   * @returns {string} HEX color code (#RRGGBB, or #RRGGBBAA when translucent)
+   */
+  toHex(color) {
+    const rgb = this.hexToRgb(color);
+    return this.rgbToHex(rgb.r, rgb.g, rgb.b, rgb.alpha);
+  }
+
+  /**
+   * Replace the alpha channel of a color
+   * Useful for overlays, scrims and disabled states derived from palette colors.
+   * @param {string|Object} color - CSS color string or color object
+   * @param {number} alpha - New alpha value (0-1)
+   * @returns {string} HEX color code (#RRGGBBAA when alpha is below 1)
+   */
+  setAlpha(color, alpha) {
+    const rgb = this.hexToRgb(color);
+    return this.rgbToHex(rgb.r, rgb.g, rgb.b, Math.max(0, Math.min(1, alpha)));
+  }
+
+  /**
+   * Composite a color over a backdrop using source-over blending
+   * Blending happens in gamma-encoded sRGB, matching how browsers paint.
+   * @param {string|Object} foreground - Color painted on top (CSS color string or color object)
+   * @param {string|Object} backdrop - Color underneath (CSS color string or color object)
+   * @returns {{space: string, coords: number[], alpha: number}} Resulting sRGB color object
+   */
+  composite(foreground, backdrop) {
+    const top = this.convert(this.toColor(foreground), 'srgb');
+    const bottom = this.convert(this.toColor(backdrop), 'srgb');
+
+    const alpha = top.alpha + bottom.alpha * (1 - top.alpha);
+    if (alpha === 0) {
+      return { space: 'srgb', coords: [0, 0, 0], alpha: 0 };
+    }
+
+    const coords = top.coords.map((channel, i) =>
+      (channel * top.alpha + bottom.coords[i] * bottom.alpha * (1 - top.alpha)) / alpha
+    );
+
+    return { space: 'srgb', coords, alpha };
+  }
+
+  /**
+   * Interpolate between two colors in a chosen color space
+   * Follows CSS Color 4: alpha is premultiplied, and the hue of an achromatic
+   * color is treated as missing so it takes the other color's hue.
+   * @param {string|Object} color1 - Start color (CSS color string or color object)
+   * @param {string|Object} color2 - End color (CSS color string or color object)
+   * @param {number} t - Position between the colors (0-1)
+   * @param {Object} [options] - Interpolation options
+   * @param {string} [options.space='oklab'] - Interpolation space (e.g., "srgb", "srgb-linear",
+   *   "hsl", "oklab", "oklch")
+   * @param {string} [options.hue='shorter'] - Hue path for cylindrical spaces
+   *   ("shorter", "longer", "increasing" or "decreasing")
+   * @returns {{space: string, coords: number[], alpha: number}} Unrounded color object in the interpolation space
+   */
+  interpolate(color1, color2, t, { space = 'oklab', hue = 'shorter' } = {}) {
+    if (!HUE_INTERPOLATION_METHODS.includes(hue)) {
+      throw new Error(`Unsupported hue interpolation method "${hue}"`);
+    }
+
+    const start = this.convert(this.toColor(color1), space);
+    const end = this.convert(this.toColor(color2), space);
+    const hueIndex = HUE_INDEX[space];
+
+    if (hueIndex !== undefined) {
+      this._fixupHues(start, end, hueIndex, hue);
+    }
+
+    // Premultiply every channel except hue by alpha
+    const premultiply = (color) => color.coords.map((value, i) =>
+      i === hueIndex ? value : value * color.alpha
+    );
+    const from = premultiply(start);
+    const to = premultiply(end);
+
+    const alpha = start.alpha + (end.alpha - start.alpha) * t;
+    const coords = from.map((value, i) => {
+      const mixed = value + (to[i] - value) * t;
+      if (i === hueIndex) {
+        return this._normalizeHue(mixed);
+      }
+      return alpha === 0 ? mixed : mixed / alpha;
+    });
+
+    return { space, coords, alpha };
+  }
+
+  /**
+   * Build an evenly spaced gradient through two or more colors
+   * Each pair of neighbouring colors gets an equal share of the gradient.
+   * @param {Array<string|Object>} colors - Colors to pass through, in order
+   * @param {number} steps - Number of stops to return (at least 2)
+   * @param {Object} [options] - Interpolation options ({space, hue}), see interpolate
+   * @returns {string[]} HEX color codes for each stop, first and last being the input ends
+   */
+  generateGradient(colors, steps, options) {
+    if (colors.length < 2) {
+      throw new Error('A gradient needs at least 2 colors');
+    }
+
+    const stops = Math.max(2, Math.round(steps));
+    const segments = colors.length - 1;
+
+    return Array.from({ length: stops }, (_, i) => {
+      const position = (i / (stops - 1)) * segments;
+      const segment = Math.min(Math.floor(position), segments - 1);
+      return this.toHex(this.interpolate(colors[segment], colors[segment + 1], position - segment, options));
+    });
+  }
+
+  /**
+   * Generate a color harmony around a base color
+   * Schemes: analogous, complementary, split-complementary, triadic, tetradic
+   * (rectangle), square, monochromatic and compound. The base color is always
+   * included and listed first, except for analogous and monochromatic schemes,
+   * which are ordered by hue offset and by lightness respectively.
+   * @param {string|Object} baseColor - Base HEX color code, CSS color string or color object
+   * @param {string} scheme - Harmony scheme name
+   * @param {Object} [options] - Harmony options
+   * @param {number} [options.angle] - Spread in degrees (analogous step, split/compound
+   *   offset from the complement, tetradic rectangle width)
+   * @param {number} [options.count] - Number of colors for analogous (default 3) and
+   *   monochromatic (default 5) schemes
+   * @param {string} [options.space='hsl'] - Hue space to rotate in ("hsl" or "oklch")
+   * @returns {string[]} Array of HEX color codes
+   */
+  generateHarmony(baseColor, scheme, { angle, count, space = 'hsl' } = {}) {
+    if (!HARMONY_SPACES.includes(space)) {
+      throw new Error(`Unsupported harmony space "${space}"`);
+    }
+
+    if (scheme === 'monochromatic') {
+      return this._generateMonochromatic(baseColor, count === undefined ? 5 : count, space);
+    }
+
+    let offsets;
+    if (scheme === 'analogous') {
+      const step = angle === undefined ? 30 : angle;
+      const total = count === undefined ? 3 : count;
+      const first = -Math.floor((total - 1) / 2);
+      offsets = Array.from({ length: total }, (_, i) => (first + i) * step);
+    } else if (HARMONY_OFFSETS[scheme]) {
+      offsets = HARMONY_OFFSETS[scheme](angle);
+    } else {
+      throw new Error(`Unknown harmony scheme "${scheme}"`);
+    }
+
+    const rotate = space === 'oklch' ? 'adjustHueOklch' : 'adjustHue';
+    const baseHex = this.toHex(baseColor);
+
+    return offsets.map(offset => offset === 0 ? baseHex : this[rotate](baseHex, offset));
+  }
+
+  /**
+   * Generate analogous colors (colors adjacent on the color wheel)
+   * @param {string} baseHex - Base HEX color code
+   * @param {Object} [options] - Harmony options ({angle, count, space}), see generateHarmony
+   * @returns {string[]} Array of analogous colors including the base (3 by default)
+   */
+  generateAnalogous(baseHex, options) {
+    return this.generateHarmony(baseHex, 'analogous', options);
+  }
+
+  /**
+   * Generate complementary color (opposite on the color wheel)
+   * @param {string} baseHex - Base HEX color code
+   * @param {Object} [options] - Harmony options ({space}), see generateHarmony
+   * @returns {string} Complementary HEX color code
+   */
+  generateComplementary(baseHex, options) {
+    return this.generateHarmony(baseHex, 'complementary', options)[1];
+  }
+
+  /**
+   * Generate split-complementary colors (the two neighbours of the complement)
+   * @param {string} baseHex - Base HEX color code
+   * @param {Object} [options] - Harmony options ({angle, space}), see generateHarmony
+   * @returns {string[]} Array of 3 colors including the base
+   */
+  generateSplitComplementary(baseHex, options) {
+    return this.generateHarmony(baseHex, 'split-complementary', options);
+  }
+
+  /**
+   * Generate triadic colors (evenly spaced on the color wheel)
+   * @param {string} baseHex - Base HEX color code
+   * @param {Object} [options] - Harmony options ({space}), see generateHarmony
+   * @returns {string[]} Array of 3 triadic colors including the base
    */
-  hexToRgb(hex) {
-    // Remove # if present
-    const cleanHex = hex.replace(/^#/, '');
-    
-    // Parse hex values
-    const r = parseInt(cleanHex.substring(0, 2), 16);
-    const g = parseInt(cleanHex.substring(2, 4), 16);
-    const b = parseInt(cleanHex.substring(4, 6), 16);
-    
-    return { r, g, b };
+  generateTriadic(baseHex, options) {
+    return this.generateHarmony(baseHex, 'triadic', options);
   }
 
   /**
-   * Convert RGB to HEX color
-   * @param {number} r - Red value (0-255)
-   * @param {number} g - Green value (0-255)
-   * @param {number} b - Blue value (0-255)
-   * @returns {string} HEX color code with # prefix
+   * Generate tetradic colors (two complementary pairs forming a rectangle)
+   * @param {string} baseHex - Base HEX color code
+   * @param {Object} [options] - Harmony options ({angle, space}), see generateHarmony
+   * @returns {string[]} Array of 4 colors including the base
    */
-  rgbToHex(r, g, b) {
-    const toHex = (value) => {
-      const hex = Math.round(value).toString(16).padStart(2, '0');
-      return hex;
+  generateTetradic(baseHex, options) {
+    return this.generateHarmony(baseHex, 'tetradic', options);
+  }
+
+  /**
+   * Generate square colors (four colors 90 degrees apart)
+   * @param {string} baseHex - Base HEX color code
+   * @param {Object} [options] - Harmony options ({space}), see generateHarmony
+   * @returns {string[]} Array of 4 colors including the base
+   */
+  generateSquare(baseHex, options) {
+    return this.generateHarmony(baseHex, 'square', options);
+  }
+
+  /**
+   * Generate monochromatic colors (one hue at different lightness levels)
+   * @param {string} baseHex - Base HEX color code
+   * @param {Object} [options] - Harmony options ({count, space}), see generateHarmony
+   * @returns {string[]} Array of colors ordered dark to light, including the base
+   */
+  generateMonochromatic(baseHex, options) {
+    return this.generateHarmony(baseHex, 'monochromatic', options);
+  }
+
+  /**
+   * Generate compound colors (an analogous neighbour plus a split complement)
+   * @param {string} baseHex - Base HEX color code
+   * @param {Object} [options] - Harmony options ({angle, space}), see generateHarmony
+   * @returns {string[]} Array of 4 colors including the base
+   */
+  generateCompound(baseHex, options) {
+    return this.generateHarmony(baseHex, 'compound', options);
+  }
+
+  /**
+   * Generate an 11-step tonal scale (50, 100 ... 900, 950) from a color
+   * Steps are evenly spaced in OKLCH lightness and share the source hue. The
+   * source color is placed unchanged at its closest step, and the lightness of
+   * the other steps is spread evenly on either side of it. Chroma is kept and
+   * only reduced where a step would fall outside sRGB.
+   * @param {string|Object} color - HEX color code, CSS color string or color object
+   * @returns {Object<number, string>} Map of step (50-950) to HEX color code
+   */
+  generateTonalScale(color) {
+    const sourceHex = this.toHex(color);
+    const [sourceL, sourceC, sourceH] = this.convert(this.toColor(sourceHex), 'oklch').coords;
+    const [lightest, darkest] = TONAL_LIGHTNESS_RANGE;
+
+    // Find the step whose evenly spaced lightness is closest to the source
+    const evenStep = (lightest - darkest) / (TONAL_STEPS.length - 1);
+    const sourceIndex = Math.max(0, Math.min(TONAL_STEPS.length - 1,
+      Math.round((lightest - sourceL) / evenStep)));
+
+    const scale = {};
+    TONAL_STEPS.forEach((step, i) => {
+      if (i === sourceIndex) {
+        scale[step] = sourceHex;
+        return;
+      }
+
+      // Interpolate lightness between the scale ends and the pinned source
+      const lightness = i < sourceIndex
+        ? lightest + (sourceL - lightest) * (i / sourceIndex)
+        : sourceL + (darkest - sourceL) * ((i - sourceIndex) / (TONAL_STEPS.length - 1 - sourceIndex));
+
+      const chroma = this._fitChroma(lightness, sourceC, sourceH);
+      scale[step] = this.toHex({ space: 'oklch', coords: [lightness, chroma, sourceH], alpha: 1 });
+    });
+
+    return scale;
+  }
+
+  /**
+   * Resolve a color string or Lab object to a Lab object
+   * @private
+   * @param {string|Object} color - CSS color string or Lab object {l, a, b}
+   * @returns {{l: number, a: number, b: number}} Lab object
+   */
+  _toLab(color) {
+    if (typeof color === 'string') {
+      const [l, a, b] = this.convert(this.toColor(color), 'lab').coords;
+      return { l, a, b };
+    }
+    return color;
+  }
+
+  /**
+   * Build a monochromatic ramp by spreading lightness evenly from 10% to 90%
+   * The step closest to the base color's lightness is replaced by the base itself.
+   * @private
+   * @param {string|Object} baseColor - CSS color string or color object
+   * @param {number} count - Number of colors
+   * @param {string} space - "hsl" or "oklch"
+   * @returns {string[]} HEX color codes ordered dark to light
+   */
+  _generateMonochromatic(baseColor, count, space) {
+    const baseHex = this.toHex(baseColor);
+    const lightnessIndex = space === 'oklch' ? 0 : 2;
+    const scale = space === 'oklch' ? 0.01 : 1;
+    const baseLightness = this.convert(this.toColor(baseHex), space).coords[lightnessIndex] / scale;
+
+    const steps = Array.from({ length: count }, (_, i) =>
+      count === 1 ? baseLightness : 10 + (80 * i) / (count - 1)
+    );
+
+    // Keep the base color at the step nearest to its own lightness
+    let baseIndex = 0;
+    steps.forEach((lightness, i) => {
+      if (Math.abs(lightness - baseLightness) < Math.abs(steps[baseIndex] - baseLightness)) {
+        baseIndex = i;
+      }
+    });
+
+    return steps.map((lightness, i) => {
+      if (i === baseIndex) {
+        return baseHex;
+      }
+      return this._adjust(baseHex, space, (coords) => {
+        coords[lightnessIndex] = lightness * scale;
+        if (space === 'oklch') {
+          coords[1] = this._fitChroma(coords[0], coords[1], coords[2]);
+        }
+      });
+    });
+  }
+
+  /**
+   * Adjust two hues in place so that linear interpolation follows the hue path
+   * Achromatic colors have no meaningful hue and borrow the other color's hue.
+   * @private
+   * @param {Object} start - Start color object in a cylindrical space
+   * @param {Object} end - End color object in the same space
+   * @param {number} hueIndex - Position of the hue channel in coords
+   * @param {string} method - "shorter", "longer", "increasing" or "decreasing"
+   */
+  _fixupHues(start, end, hueIndex, method) {
+    const isAchromatic = ({ space, coords }) => {
+      if (space === 'hsl') return coords[1] < 1e-4;
+      if (space === 'hwb') return coords[1] + coords[2] >= 100 - 1e-4;
+      return coords[1] < (space === 'oklch' ? 1e-4 : 1e-2);
     };
-    
-    return `#${toHex(r)}${toHex(g)}${toHex(b)}`.toUpperCase();
+
+    const startGrey = isAchromatic(start);
+    const endGrey = isAchromatic(end);
+    if (startGrey && !endGrey) {
+      start.coords[hueIndex] = end.coords[hueIndex];
+    } else if (endGrey && !startGrey) {
+      end.coords[hueIndex] = start.coords[hueIndex];
+    }
+
+    const from = start.coords[hueIndex];
+    const to = end.coords[hueIndex];
+    const difference = to - from;
+
+    if (method === 'shorter') {
+      if (difference > 180) {
+        start.coords[hueIndex] += 360;
+      } else if (difference < -180) {
+        end.coords[hueIndex] += 360;
+      }
+    } else if (method === 'longer') {
+      if (difference > 0 && difference < 180) {
+        start.coords[hueIndex] += 360;
+      } else if (difference > -180 && difference <= 0) {
+        end.coords[hueIndex] += 360;
+      }
+    } else if (method === 'increasing') {
+      if (to < from) {
+        end.coords[hueIndex] += 360;
+      }
+    } else if (method === 'decreasing') {
+      if (from < to) {
+        start.coords[hueIndex] += 360;
+      }
+    }
   }
 
   /**
-   * Convert RGB to HSL
+   * Find the largest chroma, up to the requested one, that stays inside a gamut
+   * Reducing chroma at constant lightness and hue avoids the hue shift that
+   * channel clipping introduces.
+   * @private
+   * @param {number} l - OKLCH lightness (0-1)
+   * @param {number} c - Requested OKLCH chroma
+   * @param {number} h - OKLCH hue (0-360)
+   * @param {string} [space='srgb'] - RGB space whose gamut to fit
+   * @returns {number} Chroma that keeps the color inside the gamut
+   */
+  _fitChroma(l, c, h, space = 'srgb') {
+    const inGamut = (chroma) => this.convert({ space: 'oklch', coords: [l, chroma, h], alpha: 1 }, space)
+      .coords.every(channel => channel >= -1e-6 && channel <= 1 + 1e-6);
+
+    if (inGamut(c)) {
+      return c;
+    }
+
+    // Binary search between grey (always in gamut) and the requested chroma
+    let low = 0;
+    let high = c;
+    while (high - low > 1e-4) {
+      const mid = (low + high) / 2;
+      if (inGamut(mid)) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+
+    return low;
+  }
+
+  /**
+   * Apply an in-place coordinate change in a working space
+   * String inputs are returned as HEX codes; color objects stay unquantized and
+   * come back in their original space so chained adjustments do not drift.
+   * @private
+   * @param {string|Object} input - CSS color string or color object
+   * @param {string} space - Working space for the adjustment
+   * @param {Function} mutate - Receives the coords array in the working space
+   * @returns {string|Object} HEX color code or color object
+   */
+  _adjust(input, space, mutate) {
+    const source = this.toColor(input);
+    const working = this.convert(source, space);
+    mutate(working.coords);
+
+    const result = this.convert(working, source.space);
+    return typeof input === 'string' ? this.toHex(result) : result;
+  }
+
+  /**
+   * Convert 0-255 sRGB channels to a wide-gamut RGB space
+   * @private
+   * @param {string} space - Target RGB space (e.g., "display-p3")
    * @param {number} r - Red value (0-255)
    * @param {number} g - Green value (0-255)
    * @param {number} b - Blue value (0-255)
-   * @returns {{h: number, s: number, l: number}} HSL object (h: 0-360, s: 0-100, l: 0-100)
+   * @returns {{r: number, g: number, b: number}} Channels in the target space (0-1)
+   */
+  _rgbToWideGamut(space, r, g, b) {
+    const [red, green, blue] = this.convert({ space: 'srgb', coords: [r / 255, g / 255, b / 255], alpha: 1 }, space).coords;
+    return { r: red, g: green, b: blue };
+  }
+
+  /**
+   * Convert wide-gamut RGB channels to gamut-mapped 0-255 sRGB channels
+   * @private
+   * @param {string} space - Source RGB space (e.g., "display-p3")
+   * @param {number} r - Red value (0-1)
+   * @param {number} g - Green value (0-1)
+   * @param {number} b - Blue value (0-1)
+   * @returns {{r: number, g: number, b: number}} RGB object with values 0-255
+   */
+  _wideGamutToRgb(space, r, g, b) {
+    return this.hexToRgb({ space, coords: [r, g, b], alpha: 1 });
+  }
+
+  /**
+   * Attach alpha to a channel object when the color is translucent
+   * Opaque colors keep their historical {r, g, b} / {h, s, l} shape.
+   * @private
+   * @param {Object} channels - Channel object
+   * @param {number} alpha - Alpha value (0-1)
+   * @returns {Object} Channel object, with alpha only when below 1
+   */
+  _withAlpha(channels, alpha) {
+    return alpha < 1 ? { ...channels, alpha } : channels;
+  }
+
+  /**
+   * Parse a HEX color string
+   * @private
+   * @param {string} input - Original string, used in error messages
+   * @param {string} source - Trimmed, lowercase HEX string starting with #
+   * @param {number} offset - Position of source within input
+   * @returns {{space: string, coords: number[], alpha: number}} sRGB color object
+   */
+  _parseHexColor(input, source, offset) {
+    const digits = source.slice(1);
+
+    const invalidIndex = digits.search(/[^0-9a-f]/);
+    if (invalidIndex !== -1) {
+      throw new ColorParseError(`Invalid HEX digit "${digits[invalidIndex]}"`, input, offset + 1 + invalidIndex);
+    }
+
+    if (![3, 4, 6, 8].includes(digits.length)) {
+      throw new ColorParseError(`HEX colors need 3, 4, 6 or 8 digits, got ${digits.length}`, input, offset);
+    }
+
+    // Expand shorthand (#abc -> #aabbcc)
+    const expanded = digits.length <= 4
+      ? digits.split('').map(digit => digit + digit).join('')
+      : digits;
+    const channels = expanded.match(/../g).map(pair => parseInt(pair, 16) / 255);
+
+    return {
+      space: 'srgb',
+      coords: channels.slice(0, 3),
+      alpha: channels.length === 4 ? channels[3] : 1
+    };
+  }
+
+  /**
+   * Parse a CSS color function such as rgb(), hsl() or color()
+   * @private
+   * @param {string} input - Original string, used in error messages
+   * @param {string} source - Trimmed, lowercase color string
+   * @param {number} offset - Position of source within input
+   * @param {string} name - Function name
+   * @returns {{space: string, coords: number[], alpha: number}} Color object
+   */
+  _parseColorFunction(input, source, offset, name) {
+    const tokens = this._tokenizeArguments(input, source, offset, name.length + 1);
+    const legacyAllowed = ['rgb', 'rgba', 'hsl', 'hsla'].includes(name);
+    const channelValue = (token, options) => this._channelValue(input, token, options);
+
+    let space = name;
+    if (name === 'color') {
+      const spaceToken = tokens.shift();
+      if (!spaceToken || spaceToken.type !== 'ident' || !PREDEFINED_SPACES.includes(spaceToken.value)) {
+        const position = spaceToken ? spaceToken.position : offset + source.length - 1;
+        throw new ColorParseError('Expected a predefined color space', input, position);
+      }
+      space = spaceToken.value === 'xyz' ? 'xyz-d65' : spaceToken.value;
+    }
+
+    const { channels, alpha, legacy } = this._splitArguments(
+      input, tokens, legacyAllowed, offset + source.length - 1
+    );
+    const allowNone = !legacy;
+    let coords;
+
+    switch (name) {
+      case 'rgb':
+      case 'rgba': {
+        // Legacy syntax may not mix numbers and percentages
+        if (legacy && new Set(channels.map(token => token.unit === '%')).size > 1) {
+          throw new ColorParseError('Cannot mix numbers and percentages', input, channels[0].position);
+        }
+        coords = channels.map(token => {
+          const value = channelValue(token, { percentScale: 255, allowNone });
+          return Math.max(0, Math.min(255, value)) / 255;
+        });
+        space = 'srgb';
+        break;
+      }
+      case 'hsl':
+      case 'hsla': {
+        const [h, s, l] = channels;
+        coords = [
+          this._normalizeHue(channelValue(h, { hue: true, allowNone })),
+          Math.max(0, channelValue(s, { percentScale: 100, allowNumber: !legacy, allowNone })),
+          Math.max(0, Math.min(100, channelValue(l, { percentScale: 100, allowNumber: !legacy, allowNone })))
+        ];
+        space = 'hsl';
+        break;
+      }
+      case 'hwb': {
+        const [h, w, b] = channels;
+        coords = [
+          this._normalizeHue(channelValue(h, { hue: true })),
+          channelValue(w, { percentScale: 100 }),
+          channelValue(b, { percentScale: 100 })
+        ];
+        break;
+      }
+      case 'lab':
+      case 'oklab': {
+        const lightnessScale = name === 'lab' ? 100 : 1;
+        const axisScale = name === 'lab' ? 125 : 0.4;
+        const [l, a, b] = channels;
+        coords = [
+          Math.max(0, Math.min(lightnessScale, channelValue(l, { percentScale: lightnessScale }))),
+          channelValue(a, { percentScale: axisScale }),
+          channelValue(b, { percentScale: axisScale })
+        ];
+        break;
+      }
+      case 'lch':
+      case 'oklch': {
+        const lightnessScale = name === 'lch' ? 100 : 1;
+        const chromaScale = name === 'lch' ? 150 : 0.4;
+        const [l, c, h] = channels;
+        coords = [
+          Math.max(0, Math.min(lightnessScale, channelValue(l, { percentScale: lightnessScale }))),
+          Math.max(0, channelValue(c, { percentScale: chromaScale })),
+          this._normalizeHue(channelValue(h, { hue: true }))
+        ];
+        break;
+      }
+      case 'color':
+        coords = channels.map(token => channelValue(token, { percentScale: 1 }));
+        break;
+      default:
+        throw new ColorParseError(`Unknown color function "${name}()"`, input, offset);
+    }
+
+    const alphaValue = alpha ? channelValue(alpha, { percentScale: 1, allowNone }) : 1;
+
+    return {
+      space,
+      coords,
+      alpha: Math.max(0, Math.min(1, alphaValue))
+    };
+  }
+
+  /**
+   * Split a color function's argument list into tokens
+   * @private
+   * @param {string} input - Original string, used in error messages
+   * @param {string} source - Trimmed, lowercase color string
+   * @param {number} offset - Position of source within input
+   * @param {number} index - Index in source just after the opening parenthesis
+   * @returns {Array<Object>} Tokens ({type, value, unit, position})
+   */
+  _tokenizeArguments(input, source, offset, index) {
+    const tokens = [];
+    const numberPattern = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/;
+    const identPattern = /^[a-z-][a-z0-9-]*/;
+
+    while (index < source.length) {
+      const char = source[index];
+
+      if (/\s/.test(char)) {
+        index++;
+        continue;
+      }
+
+      if (char === ')') {
+        if (index !== source.length - 1) {
+          throw new ColorParseError('Unexpected content after ")"', input, offset + index + 1);
+        }
+        return tokens;
+      }
+
+      if (char === ',' || char === '/') {
+        tokens.push({ type: char === ',' ? 'comma' : 'slash', value: char, position: offset + index });
+        index++;
+        continue;
+      }
+
+      const number = numberPattern.exec(source.slice(index));
+      if (number) {
+        const end = index + number[0].length;
+        const unitMatch = source[end] === '%' ? ['%'] : identPattern.exec(source.slice(end));
+        const unit = unitMatch ? unitMatch[0] : '';
+        tokens.push({ type: 'number', value: parseFloat(number[0]), unit, position: offset + index });
+        index = end + unit.length;
+        continue;
+      }
+
+      const ident = identPattern.exec(source.slice(index));
+      if (ident) {
+        tokens.push({ type: 'ident', value: ident[0], position: offset + index });
+        index += ident[0].length;
+        continue;
+      }
+
+      throw new ColorParseError(`Unexpected character "${char}"`, input, offset + index);
+    }
+
+    throw new ColorParseError('Missing closing ")"', input, offset + source.length);
+  }
+
+  /**
+   * Split tokens into three channels and an optional alpha
+   * @private
+   * @param {string} input - Original string, used in error messages
+   * @param {Array<Object>} tokens - Argument tokens
+   * @param {boolean} legacyAllowed - Whether comma-separated syntax is allowed
+   * @param {number} endPosition - Position of the closing parenthesis
+   * @returns {{channels: Array<Object>, alpha: Object|null, legacy: boolean}} Split arguments
+   */
+  _splitArguments(input, tokens, legacyAllowed, endPosition) {
+    const firstComma = tokens.find(token => token.type === 'comma');
+
+    if (firstComma) {
+      if (!legacyAllowed) {
+        throw new ColorParseError('Commas are not allowed in this color function', input, firstComma.position);
+      }
+
+      // Legacy syntax strictly alternates value, comma, value...
+      tokens.forEach((token, i) => {
+        const expectComma = i % 2 === 1;
+        if (expectComma !== (token.type === 'comma')) {
+          throw new ColorParseError(expectComma ? 'Expected ","' : 'Expected a value', input, token.position);
+        }
+      });
+
+      if (tokens.length % 2 === 0) {
+        throw new ColorParseError('Expected a value', input, endPosition);
+      }
+
+      const values = tokens.filter((token, i) => i % 2 === 0);
+      if (values.length !== 3 && values.length !== 4) {
+        throw new ColorParseError(`Expected 3 or 4 values, got ${values.length}`, input, endPosition);
+      }
+
+      return { channels: values.slice(0, 3), alpha: values[3] || null, legacy: true };
+    }
+
+    const slashIndex = tokens.findIndex(token => token.type === 'slash');
+    const channels = slashIndex === -1 ? tokens : tokens.slice(0, slashIndex);
+    const alphaTokens = slashIndex === -1 ? [] : tokens.slice(slashIndex + 1);
+
+    if (channels.length !== 3) {
+      const position = channels.length > 3 ? channels[3].position : endPosition;
+      throw new ColorParseError(`Expected 3 channel values, got ${channels.length}`, input, position);
+    }
+
+    if (slashIndex !== -1 && alphaTokens.length !== 1) {
+      const position = alphaTokens.length > 1 ? alphaTokens[1].position : endPosition;
+      throw new ColorParseError('Expected a single alpha value after "/"', input, position);
+    }
+
+    return { channels, alpha: alphaTokens[0] || null, legacy: false };
+  }
+
+  /**
+   * Resolve a single channel token to a number
+   * @private
+   * @param {string} input - Original string, used in error messages
+   * @param {Object} token - Channel token
+   * @param {Object} options - {percentScale, allowNumber, allowNone, hue}
+   * @returns {number} Channel value (percentages scaled so 100% = percentScale)
+   */
+  _channelValue(input, token, { percentScale, allowNumber = true, allowNone = true, hue = false }) {
+    if (token.type === 'ident' && token.value === 'none' && allowNone) {
+      return 0;
+    }
+
+    if (token.type !== 'number') {
+      throw new ColorParseError(`Unexpected "${token.value}"`, input, token.position);
+    }
+
+    if (token.unit === '%') {
+      if (percentScale === undefined) {
+        throw new ColorParseError('Percentages are not allowed here', input, token.position);
+      }
+      return token.value * percentScale / 100;
+    }
+
+    if (token.unit === '') {
+      if (!allowNumber) {
+        throw new ColorParseError('Expected a percentage', input, token.position);
+      }
+      return token.value;
+    }
+
+    if (hue && Object.prototype.hasOwnProperty.call(ANGLE_UNITS, token.unit)) {
+      return token.value * ANGLE_UNITS[token.unit];
+    }
+
+    throw new ColorParseError(`Unknown unit "${token.unit}"`, input, token.position);
+  }
+
+  /**
+   * Wrap a hue angle into the 0-360 range
+   * @private
+   * @param {number} hue - Hue in degrees
+   * @returns {number} Hue in degrees (0-360)
+   */
+  _normalizeHue(hue) {
+    return ((hue % 360) + 360) % 360;
+  }
+
+  /**
+   * Convert color coordinates to CIE XYZ (D65)
+   * @private
+   * @param {string} space - Source color space
+   * @param {number[]} coords - Coordinates in the source space
+   * @returns {number[]} XYZ coordinates
+   */
+  _toXyz(space, coords) {
+    const [c0, c1, c2] = coords;
+
+    switch (space) {
+      case 'xyz-d65':
+        return [c0, c1, c2];
+      case 'xyz-d50':
+        return this._multiplyMatrix(XYZ_D50_TO_D65, coords);
+      case 'srgb':
+        return this._multiplyMatrix(LINEAR_RGB_TO_XYZ, coords.map(c => this.srgbToLinear(c)));
+      case 'srgb-linear':
+        return this._multiplyMatrix(LINEAR_RGB_TO_XYZ, coords);
+      case 'hsl':
+        return this._toXyz('srgb', this._hslToSrgb(c0, c1, c2));
+      case 'hwb':
+        return this._toXyz('srgb', this._hwbToSrgb(c0, c1, c2));
+      case 'lab': {
+        const xyz = this.labToXyz(c0, c1, c2);
+        return [xyz.x, xyz.y, xyz.z];
+      }
+      case 'lch': {
+        const lab = this.lchToLab(c0, c1, c2);
+        return this._toXyz('lab', [lab.l, lab.a, lab.b]);
+      }
+      case 'oklab':
+        return this._multiplyMatrix(LINEAR_RGB_TO_XYZ, this._oklabToLinearRgb(coords));
+      case 'oklch': {
+        const lab = this.oklchToOklab(c0, c1, c2);
+        return this._toXyz('oklab', [lab.l, lab.a, lab.b]);
+      }
+      case 'display-p3':
+        return this._multiplyMatrix(DISPLAY_P3_TO_XYZ, coords.map(c => this.srgbToLinear(c)));
+      case 'a98-rgb':
+        return this._multiplyMatrix(A98_RGB_TO_XYZ, coords.map(c => Math.sign(c) * Math.abs(c) ** (563 / 256)));
+      case 'prophoto-rgb': {
+        const linear = coords.map(c => Math.abs(c) <= 16 / 512 ? c / 16 : Math.sign(c) * Math.abs(c) ** 1.8);
+        return this._multiplyMatrix(XYZ_D50_TO_D65, this._multiplyMatrix(PROPHOTO_RGB_TO_XYZ_D50, linear));
+      }
+      case 'rec2020': {
+        const linear = coords.map(c => Math.abs(c) < REC2020_BETA * 4.5
+          ? c / 4.5
+          : Math.sign(c) * ((Math.abs(c) + REC2020_ALPHA - 1) / REC2020_ALPHA) ** (1 / 0.45));
+        return this._multiplyMatrix(REC2020_TO_XYZ, linear);
+      }
+      default:
+        throw new Error(`Unsupported color space "${space}"`);
+    }
+  }
+
+  /**
+   * Convert CIE XYZ (D65) to color coordinates
+   * @private
+   * @param {string} space - Target color space
+   * @param {number[]} xyz - XYZ coordinates
+   * @returns {number[]} Coordinates in the target space
    */
-  rgbToHsl(r, g, b) {
-    // Normalize RGB values to 0-1
-    r /= 255;
-    g /= 255;
-    b /= 255;
+  _fromXyz(space, xyz) {
+    const [x, y, z] = xyz;
+
+    switch (space) {
+      case 'xyz-d65':
+        return [x, y, z];
+      case 'xyz-d50':
+        return this._multiplyMatrix(XYZ_D65_TO_D50, xyz);
+      case 'srgb':
+        return this._multiplyMatrix(XYZ_TO_LINEAR_RGB, xyz).map(c => this.linearToSrgb(c));
+      case 'srgb-linear':
+        return this._multiplyMatrix(XYZ_TO_LINEAR_RGB, xyz);
+      case 'hsl':
+        return this._srgbToHsl(...this._fromXyz('srgb', xyz));
+      case 'hwb':
+        return this._srgbToHwb(...this._fromXyz('srgb', xyz));
+      case 'lab': {
+        const lab = this.xyzToLab(x, y, z);
+        return [lab.l, lab.a, lab.b];
+      }
+      case 'lch': {
+        const lch = this.labToLch(...this._fromXyz('lab', xyz));
+        return [lch.l, lch.c, lch.h];
+      }
+      case 'oklab':
+        return this._linearRgbToOklab(this._multiplyMatrix(XYZ_TO_LINEAR_RGB, xyz));
+      case 'oklch': {
+        const lch = this.oklabToOklch(...this._fromXyz('oklab', xyz));
+        return [lch.l, lch.c, lch.h];
+      }
+      case 'display-p3':
+        return this._multiplyMatrix(XYZ_TO_DISPLAY_P3, xyz).map(c => this.linearToSrgb(c));
+      case 'a98-rgb':
+        return this._multiplyMatrix(XYZ_TO_A98_RGB, xyz).map(c => Math.sign(c) * Math.abs(c) ** (256 / 563));
+      case 'prophoto-rgb': {
+        const linear = this._multiplyMatrix(XYZ_D50_TO_PROPHOTO_RGB, this._multiplyMatrix(XYZ_D65_TO_D50, xyz));
+        return linear.map(c => Math.abs(c) >= 1 / 512 ? Math.sign(c) * Math.abs(c) ** (1 / 1.8) : c * 16);
+      }
+      case 'rec2020':
+        return this._multiplyMatrix(XYZ_TO_REC2020, xyz).map(c => Math.abs(c) > REC2020_BETA
+          ? Math.sign(c) * (REC2020_ALPHA * Math.abs(c) ** 0.45 - (REC2020_ALPHA - 1))
+          : c * 4.5);
+      default:
+        throw new Error(`Unsupported color space "${space}"`);
+    }
+  }
 
+  /**
+   * Convert sRGB (0-1) to unrounded HSL
+   * @private
+   * @param {number} r - Red value (0-1)
+   * @param {number} g - Green value (0-1)
+   * @param {number} b - Blue value (0-1)
+   * @returns {number[]} [h (0-360), s (0-100), l (0-100)]
+   */
+  _srgbToHsl(r, g, b) {
     const max = Math.max(r, g, b);
     const min = Math.min(r, g, b);
     const delta = max - min;
 
     let h = 0;
     let s = 0;
-    let l = (max + min) / 2;
+    const l = (max + min) / 2;
 
     if (delta !== 0) {
       // Calculate saturation
@@ -80,147 +2001,120 @@ class ColorUtility {
       }
     }
 
-    return {
-      h: Math.round(h * 360),
-      s: Math.round(s * 100),
-      l: Math.round(l * 100)
-    };
+    return [h * 360, s * 100, l * 100];
   }
 
   /**
-   * Convert HSL to RGB
+   * Convert HSL to unrounded sRGB (0-1)
+   * @private
    * @param {number} h - Hue (0-360)
    * @param {number} s - Saturation (0-100)
    * @param {number} l - Lightness (0-100)
-   * @returns {{r: number, g: number, b: number}} RGB object with values 0-255
+   * @returns {number[]} [r, g, b] with values 0-1
    */
-  hslToRgb(h, s, l) {
+  _hslToSrgb(h, s, l) {
     // Normalize values
-    h = h / 360;
+    h = this._normalizeHue(h) / 360;
     s = s / 100;
     l = l / 100;
 
-    let r, g, b;
-
     if (s === 0) {
       // Achromatic (grey)
-      r = g = b = l;
-    } else {
-      const hue2rgb = (p, q, t) => {
-        if (t < 0) t += 1;
-        if (t > 1) t -= 1;
-        if (t < 1/6) return p + (q - p) * 6 * t;
-        if (t < 1/2) return q;
-        if (t < 2/3) return p + (q - p) * (2/3 - t) * 6;
-        return p;
-      };
-
-      const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
-      const p = 2 * l - q;
-
-      r = hue2rgb(p, q, h + 1/3);
-      g = hue2rgb(p, q, h);
-      b = hue2rgb(p, q, h - 1/3);
+      return [l, l, l];
     }
 
-    return {
-      r: Math.round(r * 255),
-      g: Math.round(g * 255),
-      b: Math.round(b * 255)
+    const hue2rgb = (p, q, t) => {
+      if (t < 0) t += 1;
+      if (t > 1) t -= 1;
+      if (t < 1/6) return p + (q - p) * 6 * t;
+      if (t < 1/2) return q;
+      if (t < 2/3) return p + (q - p) * (2/3 - t) * 6;
+      return p;
     };
-  }
 
-  /**
-   * Adjust the hue of a color
-   * @param {string} hex - HEX color code
-   * @param {number} degrees - Degrees to adjust hue (-360 to 360)
-   * @returns {string} New HEX color code
-   */
-  adjustHue(hex, degrees) {
-    const rgb = this.hexToRgb(hex);
-    const hsl = this.rgbToHsl(rgb.r, rgb.g, rgb.b);
-    
-    // Adjust hue and wrap around 360
-    hsl.h = (hsl.h + degrees) % 360;
-    if (hsl.h < 0) hsl.h += 360;
-    
-    const newRgb = this.hslToRgb(hsl.h, hsl.s, hsl.l);
-    return this.rgbToHex(newRgb.r, newRgb.g, newRgb.b);
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    const p = 2 * l - q;
+
+    return [
+      hue2rgb(p, q, h + 1/3),
+      hue2rgb(p, q, h),
+      hue2rgb(p, q, h - 1/3)
+    ];
   }
 
   /**
-   * Adjust the saturation of a color
-   * @param {string} hex - HEX color code
-   * @param {number} amount - Amount to adjust saturation (-100 to 100)
-   * @returns {string} New HEX color code
+   * Convert HWB to unrounded sRGB (0-1)
+   * @private
+   * @param {number} h - Hue (0-360)
+   * @param {number} w - Whiteness (0-100)
+   * @param {number} b - Blackness (0-100)
+   * @returns {number[]} [r, g, b] with values 0-1
    */
-  adjustSaturation(hex, amount) {
-    const rgb = this.hexToRgb(hex);
-    const hsl = this.rgbToHsl(rgb.r, rgb.g, rgb.b);
-    
-    // Adjust saturation and clamp to 0-100
-    hsl.s = Math.max(0, Math.min(100, hsl.s + amount));
-    
-    const newRgb = this.hslToRgb(hsl.h, hsl.s, hsl.l);
-    return this.rgbToHex(newRgb.r, newRgb.g, newRgb.b);
+  _hwbToSrgb(h, w, b) {
+    w /= 100;
+    b /= 100;
+
+    // Whiteness and blackness that add up past 100% produce a grey
+    if (w + b >= 1) {
+      const grey = w / (w + b);
+      return [grey, grey, grey];
+    }
+
+    return this._hslToSrgb(h, 100, 50).map(channel => channel * (1 - w - b) + w);
   }
 
   /**
-   * Adjust the lightness of a color
-   * @param {string} hex - HEX color code
-   * @param {number} amount - Amount to adjust lightness (-100 to 100)
-   * @returns {string} New HEX color code
+   * Convert sRGB (0-1) to unrounded HWB
+   * @private
+   * @param {number} r - Red value (0-1)
+   * @param {number} g - Green value (0-1)
+   * @param {number} b - Blue value (0-1)
+   * @returns {number[]} [h (0-360), w (0-100), b (0-100)]
    */
-  adjustLightness(hex, amount) {
-    const rgb = this.hexToRgb(hex);
-    const hsl = this.rgbToHsl(rgb.r, rgb.g, rgb.b);
-    
-    // Adjust lightness and clamp to 0-100
-    hsl.l = Math.max(0, Math.min(100, hsl.l + amount));
-    
-    const newRgb = this.hslToRgb(hsl.h, hsl.s, hsl.l);
-    return this.rgbToHex(newRgb.r, newRgb.g, newRgb.b);
+  _srgbToHwb(r, g, b) {
+    const [h] = this._srgbToHsl(r, g, b);
+    return [h, Math.min(r, g, b) * 100, (1 - Math.max(r, g, b)) * 100];
   }
 
   /**
-   * Generate analogous colors (colors adjacent on the color wheel)
-   * @param {string} baseHex - Base HEX color code
-   * @returns {string[]} Array of 3 analogous colors including the base
+   * Convert linear sRGB to OKLab
+   * @private
+   * @param {number[]} linear - Linear [r, g, b] values
+   * @returns {number[]} OKLab [l, a, b]
    */
-  generateAnalogous(baseHex) {
-    return [
-      this.adjustHue(baseHex, -30),
-      baseHex,
-      this.adjustHue(baseHex, 30)
-    ];
+  _linearRgbToOklab(linear) {
+    const lms = this._multiplyMatrix(LINEAR_RGB_TO_LMS, linear);
+    return this._multiplyMatrix(LMS_TO_OKLAB, lms.map(Math.cbrt));
   }
 
   /**
-   * Generate complementary color (opposite on the color wheel)
-   * @param {string} baseHex - Base HEX color code
-   * @returns {string} Complementary HEX color code
+   * Convert OKLab to linear sRGB (unclipped)
+   * @private
+   * @param {number[]} lab - OKLab [l, a, b]
+   * @returns {number[]} Linear [r, g, b] values
    */
-  generateComplementary(baseHex) {
-    return this.adjustHue(baseHex, 180);
+  _oklabToLinearRgb(lab) {
+    const lms = this._multiplyMatrix(OKLAB_TO_LMS, lab).map(value => value ** 3);
+    return this._multiplyMatrix(LMS_TO_LINEAR_RGB, lms);
   }
 
   /**
-   * Generate triadic colors (evenly spaced on the color wheel)
-   * @param {string} baseHex - Base HEX color code
-   * @returns {string[]} Array of 3 triadic colors including the base
+   * Multiply a 3x3 matrix by a 3-component vector
+   * @private
+   * @param {number[][]} matrix - 3x3 matrix
+   * @param {number[]} vector - 3-component vector
+   * @returns {number[]} Resulting vector
    */
-  generateTriadic(baseHex) {
-    return [
-      baseHex,
-      this.adjustHue(baseHex, 120),
-      this.adjustHue(baseHex, 240)
-    ];
+  _multiplyMatrix(matrix, vector) {
+    return matrix.map(row => row[0] * vector[0] + row[1] * vector[1] + row[2] * vector[2]);
   }
 }
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = ColorUtility;
+  module.exports.ColorParseError = ColorParseError;
 }
 
+export { ColorParseError };
 export default ColorUtility;
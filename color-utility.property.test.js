@@ -0,0 +1,149 @@
+/**
+ * Property-based tests for ColorUtility
+ * Using fast-check for property-based testing
+ */
+
+import fc from 'fast-check';
+import { describe, it, expect } from 'vitest';
+import ColorUtility from './color-utility.js';
+
+describe('ColorUtility Property Tests', () => {
+  const colorUtil = new ColorUtility();
+
+  const hexArb = fc.tuple(
+    fc.integer({ min: 0, max: 255 }),
+    fc.integer({ min: 0, max: 255 }),
+    fc.integer({ min: 0, max: 255 })
+  ).map(([r, g, b]) => colorUtil.rgbToHex(r, g, b));
+
+  // Feature: color-palette-tool, Property 22: Lossless color space round trip
+  // Validates: Requirements 2.3, 5.1
+  it('should return the same HEX code after converting through any color space', () => {
+    const spaceArb = fc.constantFrom(
+      'srgb-linear', 'hsl', 'hwb', 'lab', 'lch', 'oklab', 'oklch',
+      'xyz-d65', 'xyz-d50', 'display-p3', 'a98-rgb', 'prophoto-rgb', 'rec2020'
+    );
+
+    fc.assert(
+      fc.property(hexArb, spaceArb, (hex, space) => {
+        const converted = colorUtil.convert(colorUtil.parse(hex), space);
+        expect(colorUtil.format(converted, 'hex')).toBe(hex);
+      }),
+      { numRuns: 200 }
+    );
+  });
+
+  // Feature: color-palette-tool, Property 23: Formatted output round trip
+  // Validates: Requirements 2.3, 5.1
+  it('should parse formatted output back to the same HEX code', () => {
+    const formatArb = fc.constantFrom('rgb', 'hsl', 'hwb', 'lab', 'lch', 'oklab', 'oklch', 'display-p3');
+
+    fc.assert(
+      fc.property(hexArb, formatArb, (hex, format) => {
+        const formatted = colorUtil.format(hex, format);
+        expect(colorUtil.toHex(formatted)).toBe(hex);
+      }),
+      { numRuns: 200 }
+    );
+  });
+
+  // Feature: color-palette-tool, Property 24: Identity adjustments
+  // Validates: Requirements 2.3
+  it('should leave a color unchanged when adjusting by zero', () => {
+    const adjusterArb = fc.constantFrom(
+      'adjustHue', 'adjustSaturation', 'adjustLightness',
+      'adjustHueOklch', 'adjustChromaOklch', 'adjustLightnessOklch'
+    );
+
+    fc.assert(
+      fc.property(hexArb, adjusterArb, (hex, adjuster) => {
+        expect(colorUtil[adjuster](hex, 0)).toBe(hex);
+      }),
+      { numRuns: 200 }
+    );
+  });
+
+  // Feature: color-palette-tool, Property 25: Chained adjustments do not drift
+  // Validates: Requirements 2.3
+  it('should return to the original color after chained hue rotations on color objects', () => {
+    const stepsArb = fc.array(fc.integer({ min: -360, max: 360 }), { minLength: 1, maxLength: 10 });
+
+    fc.assert(
+      fc.property(hexArb, stepsArb, fc.boolean(), (hex, steps, perceptual) => {
+        const rotate = perceptual ? 'adjustHueOklch' : 'adjustHue';
+        let color = colorUtil.parse(hex);
+
+        steps.forEach(step => {
+          color = colorUtil[rotate](color, step);
+        });
+        color = colorUtil[rotate](color, -steps.reduce((sum, step) => sum + step, 0));
+
+        expect(colorUtil.format(color, 'hex')).toBe(hex);
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  // Feature: color-palette-tool, Property 27: Tonal scale ordering and hue stability
+  // Validates: Requirements 2.3
+  it('should generate monotonic tonal scales that contain the source and keep its hue', () => {
+    fc.assert(
+      fc.property(hexArb, (hex) => {
+        const [, sourceChroma, sourceHue] = colorUtil.convert(colorUtil.parse(hex), 'oklch').coords;
+        const steps = Object.values(colorUtil.generateTonalScale(hex));
+
+        expect(steps).toHaveLength(11);
+        expect(steps).toContain(hex);
+
+        const coords = steps.map(step => colorUtil.convert(colorUtil.parse(step), 'oklch').coords);
+        coords.slice(1).forEach(([lightness], i) => {
+          expect(lightness).toBeLessThan(coords[i][0]);
+        });
+
+        // 8-bit rounding moves the hue of nearly grey steps, so only check visible chroma
+        if (sourceChroma > 0.03) {
+          coords.filter(([, chroma]) => chroma > 0.02).forEach(([, , hue]) => {
+            const drift = Math.abs(((hue - sourceHue + 540) % 360) - 180);
+            expect(drift).toBeLessThan(5);
+          });
+        }
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  // Feature: color-palette-tool, Property 32: Gamut mapping
+  // Validates: Requirements 2.3, 5.1
+  it('should map any color into the target gamut and leave in-gamut colors alone', () => {
+    const oklchArb = fc.tuple(
+      fc.double({ min: 0, max: 1, noNaN: true }),
+      fc.double({ min: 0, max: 0.5, noNaN: true }),
+      fc.double({ min: 0, max: 360, noNaN: true })
+    ).map(coords => ({ space: 'oklch', coords, alpha: 1 }));
+    const gamutArb = fc.constantFrom('srgb', 'display-p3', 'rec2020');
+
+    fc.assert(
+      fc.property(oklchArb, gamutArb, (color, gamut) => {
+        const mapped = colorUtil.toGamut(color, gamut);
+        expect(mapped.space).toBe(gamut);
+        expect(colorUtil.isInGamut(mapped, gamut)).toBe(true);
+
+        // Mapping never adds chroma or moves lightness by more than a clip step
+        const [l, c] = colorUtil.convert(mapped, 'oklch').coords;
+        expect(c).toBeLessThanOrEqual(color.coords[1] + 0.03);
+        if (color.coords[0] > 0 && color.coords[0] < 1) {
+          expect(Math.abs(l - color.coords[0])).toBeLessThan(0.03);
+        }
+      }),
+      { numRuns: 200 }
+    );
+
+    fc.assert(
+      fc.property(hexArb, gamutArb, (hex, gamut) => {
+        expect(colorUtil.toHex(colorUtil.toGamut(hex, gamut))).toBe(hex);
+      }),
+      { numRuns: 100 }
+    );
+  });
+});
+
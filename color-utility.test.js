@@ -4,7 +4,7 @@
  */
 
 import { describe, it, expect } from 'vitest';
-import ColorUtility from './color-utility.js';
+import ColorUtility, { ColorParseError } from './color-utility.js';
 
 describe('ColorUtility', () => {
   const colorUtil = new ColorUtility();
@@ -200,6 +200,414 @@ describe('ColorUtility', () => {
     });
   });
 
+  describe('Linear sRGB conversion', () => {
+    it('should map sRGB endpoints to linear endpoints', () => {
+      expect(colorUtil.rgbToLinearRgb(0, 0, 0)).toEqual({ r: 0, g: 0, b: 0 });
+      expect(colorUtil.rgbToLinearRgb(255, 255, 255)).toEqual({ r: 1, g: 1, b: 1 });
+    });
+
+    it('should linearize mid grey to about 0.2159', () => {
+      const result = colorUtil.rgbToLinearRgb(128, 128, 128);
+      expect(result.r).toBeCloseTo(0.2159, 4);
+    });
+
+    it('should round-trip through linear sRGB', () => {
+      const linear = colorUtil.rgbToLinearRgb(255, 87, 51);
+      expect(colorUtil.linearRgbToRgb(linear.r, linear.g, linear.b)).toEqual({ r: 255, g: 87, b: 51 });
+    });
+  });
+
+  describe('OKLab conversion', () => {
+    it('should convert white to L=1 with no chroma', () => {
+      const result = colorUtil.rgbToOklab(255, 255, 255);
+      expect(result.l).toBeCloseTo(1, 4);
+      expect(result.a).toBeCloseTo(0, 4);
+      expect(result.b).toBeCloseTo(0, 4);
+    });
+
+    it('should convert pure red to the reference OKLab values', () => {
+      const result = colorUtil.rgbToOklab(255, 0, 0);
+      expect(result.l).toBeCloseTo(0.6280, 3);
+      expect(result.a).toBeCloseTo(0.2249, 3);
+      expect(result.b).toBeCloseTo(0.1258, 3);
+    });
+
+    it('should round-trip RGB -> OKLab -> RGB exactly', () => {
+      const lab = colorUtil.rgbToOklab(18, 200, 97);
+      expect(colorUtil.oklabToRgb(lab.l, lab.a, lab.b)).toEqual({ r: 18, g: 200, b: 97 });
+    });
+  });
+
+  describe('OKLCH conversion', () => {
+    it('should convert pure blue to the reference OKLCH values', () => {
+      const result = colorUtil.rgbToOklch(0, 0, 255);
+      expect(result.l).toBeCloseTo(0.4520, 3);
+      expect(result.c).toBeCloseTo(0.3132, 3);
+      expect(result.h).toBeCloseTo(264.05, 1);
+    });
+
+    it('should report hue 0 for greys', () => {
+      const result = colorUtil.rgbToOklch(128, 128, 128);
+      expect(result.c).toBeCloseTo(0, 5);
+      expect(result.h).toBe(0);
+    });
+
+    it('should round-trip RGB -> OKLCH -> RGB exactly', () => {
+      const lch = colorUtil.rgbToOklch(255, 87, 51);
+      expect(colorUtil.oklchToRgb(lch.l, lch.c, lch.h)).toEqual({ r: 255, g: 87, b: 51 });
+    });
+
+    it('should clip out-of-gamut colors to valid RGB', () => {
+      const result = colorUtil.oklchToRgb(0.7, 0.4, 150);
+      Object.values(result).forEach(channel => {
+        expect(channel).toBeGreaterThanOrEqual(0);
+        expect(channel).toBeLessThanOrEqual(255);
+      });
+    });
+  });
+
+  describe('XYZ conversion', () => {
+    it('should convert white to the D65 white point', () => {
+      const result = colorUtil.rgbToXyz(255, 255, 255);
+      expect(result.x).toBeCloseTo(0.9505, 4);
+      expect(result.y).toBeCloseTo(1, 4);
+      expect(result.z).toBeCloseTo(1.0891, 4);
+    });
+
+    it('should round-trip RGB -> XYZ -> RGB exactly', () => {
+      const xyz = colorUtil.rgbToXyz(255, 87, 51);
+      expect(colorUtil.xyzToRgb(xyz.x, xyz.y, xyz.z)).toEqual({ r: 255, g: 87, b: 51 });
+    });
+  });
+
+  describe('CIELAB and LCH conversion', () => {
+    it('should convert white to L=100 with no chroma', () => {
+      const result = colorUtil.rgbToLab(255, 255, 255);
+      expect(result.l).toBeCloseTo(100, 3);
+      expect(result.a).toBeCloseTo(0, 3);
+      expect(result.b).toBeCloseTo(0, 3);
+    });
+
+    it('should convert pure red to the CSS lab() reference values', () => {
+      const result = colorUtil.rgbToLab(255, 0, 0);
+      expect(result.l).toBeCloseTo(54.29, 2);
+      expect(result.a).toBeCloseTo(80.80, 2);
+      expect(result.b).toBeCloseTo(69.89, 2);
+    });
+
+    it('should round-trip RGB -> Lab -> RGB exactly', () => {
+      const lab = colorUtil.rgbToLab(18, 200, 97);
+      expect(colorUtil.labToRgb(lab.l, lab.a, lab.b)).toEqual({ r: 18, g: 200, b: 97 });
+    });
+
+    it('should round-trip RGB -> LCH -> RGB exactly', () => {
+      const lch = colorUtil.rgbToLch(60, 40, 180);
+      expect(lch.h).toBeGreaterThan(270);
+      expect(lch.h).toBeLessThan(310);
+      expect(colorUtil.lchToRgb(lch.l, lch.c, lch.h)).toEqual({ r: 60, g: 40, b: 180 });
+    });
+  });
+
+  describe('Delta E color difference', () => {
+    // Reference pairs from Sharma, Wu & Dalal (2005) CIEDE2000 test data
+    const sharmaPairs = [
+      [{ l: 50, a: 2.6772, b: -79.7751 }, { l: 50, a: 0, b: -82.7485 }, 2.0425],
+      [{ l: 50, a: 0, b: 0 }, { l: 50, a: -1, b: 2 }, 2.3669],
+      [{ l: 50, a: 2.5, b: 0 }, { l: 73, a: 25, b: -18 }, 27.1492],
+      [{ l: 60.2574, a: -34.0099, b: 36.2677 }, { l: 60.4626, a: -34.1751, b: 39.4387 }, 1.2644]
+    ];
+
+    it('should be 0 for identical colors in every formula', () => {
+      expect(colorUtil.deltaE76('#3A7BD5', '#3A7BD5')).toBe(0);
+      expect(colorUtil.deltaE94('#3A7BD5', '#3A7BD5')).toBe(0);
+      expect(colorUtil.deltaE2000('#3A7BD5', '#3A7BD5')).toBe(0);
+    });
+
+    it('should compute CIE76 as Euclidean Lab distance', () => {
+      const [lab1, lab2] = sharmaPairs[0];
+      expect(colorUtil.deltaE76(lab1, lab2)).toBeCloseTo(4.0011, 4);
+    });
+
+    it('should compute CIE94 with graphic arts weighting', () => {
+      const [lab1, lab2] = sharmaPairs[0];
+      expect(colorUtil.deltaE94(lab1, lab2)).toBeCloseTo(1.3950, 4);
+    });
+
+    it('should match the CIEDE2000 reference data', () => {
+      sharmaPairs.forEach(([lab1, lab2, expected]) => {
+        expect(colorUtil.deltaE2000(lab1, lab2)).toBeCloseTo(expected, 4);
+        expect(colorUtil.deltaE2000(lab2, lab1)).toBeCloseTo(expected, 4);
+      });
+    });
+
+    it('should report 100 between black and white', () => {
+      expect(colorUtil.deltaE2000('#000000', '#FFFFFF')).toBeCloseTo(100, 3);
+    });
+
+    it('should rank a near-duplicate lower than a clearly different color', () => {
+      const nearDuplicate = colorUtil.deltaE2000('#2F6FD0', '#3070D2');
+      const different = colorUtil.deltaE2000('#2F6FD0', '#D0462F');
+      expect(nearDuplicate).toBeLessThan(2.3);
+      expect(different).toBeGreaterThan(30);
+    });
+  });
+
+  describe('OKLCH adjustments', () => {
+    const toOklch = (hex) => colorUtil.rgbToOklch(...Object.values(colorUtil.hexToRgb(hex)));
+
+    it('should change perceptual lightness by the same amount for yellow and blue', () => {
+      const yellow = toOklch(colorUtil.adjustLightnessOklch('#C8B400', -10));
+      const blue = toOklch(colorUtil.adjustLightnessOklch('#3050C8', -10));
+      expect(yellow.l).toBeCloseTo(toOklch('#C8B400').l - 0.1, 2);
+      expect(blue.l).toBeCloseTo(toOklch('#3050C8').l - 0.1, 2);
+    });
+
+    it('should keep lightness while rotating hue', () => {
+      const original = toOklch('#3050C8');
+      const result = toOklch(colorUtil.adjustHueOklch('#3050C8', 60));
+      expect(result.l).toBeCloseTo(original.l, 2);
+      expect(result.h).toBeCloseTo((original.h + 60) % 360, -1);
+    });
+
+    it('should clamp chroma at 0 producing a grey', () => {
+      const result = colorUtil.hexToRgb(colorUtil.adjustChromaOklch('#FF0000', -1));
+      expect(result.r).toBe(result.g);
+      expect(result.g).toBe(result.b);
+    });
+
+    it('should clamp lightness to black and white', () => {
+      expect(colorUtil.adjustLightnessOklch('#3050C8', -200)).toBe('#000000');
+      expect(colorUtil.adjustLightnessOklch('#3050C8', 200)).toBe('#FFFFFF');
+    });
+  });
+
+  describe('parse', () => {
+    const expectCoords = (color, expected, digits = 4) => {
+      color.coords.forEach((value, i) => expect(value).toBeCloseTo(expected[i], digits));
+    };
+
+    it('should parse 3, 4, 6 and 8 digit HEX colors', () => {
+      expect(colorUtil.parse('#abc')).toEqual(colorUtil.parse('#AABBCC'));
+      expect(colorUtil.parse('#FF5733').coords).toEqual([1, 87 / 255, 51 / 255]);
+      expect(colorUtil.parse('#0008').alpha).toBeCloseTo(0x88 / 255, 6);
+      expect(colorUtil.parse('#FF573380').alpha).toBeCloseTo(128 / 255, 6);
+    });
+
+    it('should parse named colors case-insensitively', () => {
+      expect(colorUtil.parse('RebeccaPurple')).toEqual({ space: 'srgb', coords: [0.4, 0.2, 0.6], alpha: 1 });
+      expect(colorUtil.parse('transparent').alpha).toBe(0);
+    });
+
+    it('should parse legacy and modern rgb() syntax', () => {
+      expectCoords(colorUtil.parse('rgb(10, 20, 30)'), [10 / 255, 20 / 255, 30 / 255]);
+      expectCoords(colorUtil.parse('rgb(10 20 30)'), [10 / 255, 20 / 255, 30 / 255]);
+      expect(colorUtil.parse('rgba(10, 20, 30, 0.5)').alpha).toBe(0.5);
+      expect(colorUtil.parse('rgb(10% 20% 30% / 25%)')).toEqual({ space: 'srgb', coords: [0.1, 0.2, 0.3], alpha: 0.25 });
+    });
+
+    it('should clamp rgb() channels and alpha', () => {
+      expect(colorUtil.parse('rgb(300 -5 0 / 2)')).toEqual({ space: 'srgb', coords: [1, 0, 0], alpha: 1 });
+    });
+
+    it('should parse hsl() with every angle unit', () => {
+      expect(colorUtil.parse('hsl(200deg 50% 40%)').coords).toEqual([200, 50, 40]);
+      expect(colorUtil.parse('hsla(200, 50%, 40%, .3)').alpha).toBe(0.3);
+      expectCoords(colorUtil.parse('hsl(0.5turn 50% 40%)'), [180, 50, 40]);
+      expectCoords(colorUtil.parse('hsl(200grad 50% 40%)'), [180, 50, 40]);
+      expectCoords(colorUtil.parse(`hsl(${Math.PI}rad 50% 40%)`), [180, 50, 40]);
+      expectCoords(colorUtil.parse('hsl(-90 50% 40%)'), [270, 50, 40]);
+    });
+
+    it('should parse hwb(), lab(), lch(), oklab() and oklch()', () => {
+      expect(colorUtil.parse('hwb(120 20% 30%)')).toEqual({ space: 'hwb', coords: [120, 20, 30], alpha: 1 });
+      expect(colorUtil.parse('lab(54.29 80.8 69.89)').space).toBe('lab');
+      expect(colorUtil.parse('lch(50% 100% 40)').coords).toEqual([50, 150, 40]);
+      expectCoords(colorUtil.parse('oklab(60% -50% 50%)'), [0.6, -0.2, 0.2]);
+      expect(colorUtil.parse('oklch(0.7 0.1 200 / 50%)')).toEqual({ space: 'oklch', coords: [0.7, 0.1, 200], alpha: 0.5 });
+    });
+
+    it('should parse color() with predefined color spaces', () => {
+      expect(colorUtil.parse('color(display-p3 1 0 0)')).toEqual({ space: 'display-p3', coords: [1, 0, 0], alpha: 1 });
+      expect(colorUtil.parse('color(srgb 50% 0.5 none)').coords).toEqual([0.5, 0.5, 0]);
+      expect(colorUtil.parse('color(xyz 0.95 1 1.09)').space).toBe('xyz-d65');
+      ['srgb-linear', 'a98-rgb', 'prophoto-rgb', 'rec2020', 'xyz-d50'].forEach(space => {
+        expect(colorUtil.parse(`color(${space} 0.2 0.4 0.6)`).space).toBe(space);
+      });
+    });
+
+    it('should throw ColorParseError with the position of the bad input', () => {
+      const cases = [
+        ['#abx', 3],
+        ['#ab', 0],
+        ['  notacolor', 2],
+        ['rgb(10 20)', 9],
+        ['rgb(10, 20 30)', 11],
+        ['rgb(10%, 20, 30)', 4],
+        ['hsl(10, 20, 30)', 8],
+        ['hwb(1, 2, 3)', 5],
+        ['lch(1 2 3px)', 8],
+        ['rgb(1 2 3', 9],
+        ['rgb(1 2 3) x', 10],
+        ['color(foo 1 2 3)', 6],
+        ['rgb(1 2 3 / 4 5)', 14]
+      ];
+
+      cases.forEach(([input, position]) => {
+        let error;
+        try {
+          colorUtil.parse(input);
+        } catch (e) {
+          error = e;
+        }
+        expect(error).toBeInstanceOf(ColorParseError);
+        expect(error.input).toBe(input);
+        expect(error.position).toBe(position);
+      });
+    });
+
+    it('should accept any CSS color where a HEX code is expected', () => {
+      expect(colorUtil.hexToRgb('#abc')).toEqual({ r: 170, g: 187, b: 204 });
+      expect(colorUtil.hexToRgb('rgb(10 20 30)')).toEqual({ r: 10, g: 20, b: 30 });
+      expect(colorUtil.hexToRgb('hsl(200deg 50% 40%)')).toEqual({ r: 51, g: 119, b: 153 });
+      expect(colorUtil.hexToRgb('rebeccapurple')).toEqual({ r: 102, g: 51, b: 153 });
+      expect(colorUtil.hexToRgb('lab(54.29 80.8 69.89)')).toEqual({ r: 255, g: 0, b: 0 });
+      expect(colorUtil.adjustHue('hsl(0 100% 50%)', 120)).toBe('#00FF00');
+      expect(colorUtil.deltaE2000('red', '#FF0000')).toBeCloseTo(0, 4);
+    });
+  });
+
+  describe('Alpha channel', () => {
+    it('should emit #RRGGBBAA only for translucent colors', () => {
+      expect(colorUtil.rgbToHex(255, 87, 51, 0.5)).toBe('#FF573380');
+      expect(colorUtil.rgbToHex(255, 87, 51, 1)).toBe('#FF5733');
+      expect(colorUtil.rgbToHex(255, 87, 51, 0)).toBe('#FF573300');
+    });
+
+    it('should carry alpha through hexToRgb, rgbToHsl and hslToRgb', () => {
+      const rgb = colorUtil.hexToRgb('#FF573380');
+      expect(rgb).toEqual({ r: 255, g: 87, b: 51, alpha: 128 / 255 });
+
+      const hsl = colorUtil.rgbToHsl(rgb.r, rgb.g, rgb.b, rgb.alpha);
+      expect(hsl.alpha).toBe(128 / 255);
+
+      const back = colorUtil.hslToRgb(hsl.h, hsl.s, hsl.l, hsl.alpha);
+      expect(colorUtil.rgbToHex(back.r, back.g, back.b, back.alpha)).toBe('#FF583380');
+    });
+
+    it('should keep the opaque object shape unchanged', () => {
+      expect(colorUtil.hexToRgb('#FF5733')).not.toHaveProperty('alpha');
+      expect(colorUtil.rgbToHsl(255, 87, 51)).not.toHaveProperty('alpha');
+    });
+
+    it('should preserve alpha when adjusting colors', () => {
+      expect(colorUtil.adjustHue('#FF000080', 120)).toBe('#00FF0080');
+      expect(colorUtil.adjustLightnessOklch('rgb(0 0 255 / 25%)', 10)).toMatch(/^#[0-9A-F]{6}40$/);
+    });
+
+    it('should format any color as HEX and replace alpha', () => {
+      expect(colorUtil.toHex('rgb(255 87 51 / 50%)')).toBe('#FF573380');
+      expect(colorUtil.toHex('rebeccapurple')).toBe('#663399');
+      expect(colorUtil.setAlpha('#663399', 0.2)).toBe('#66339933');
+      expect(colorUtil.setAlpha('#66339933', 1)).toBe('#663399');
+    });
+  });
+
+  describe('composite', () => {
+    it('should return the foreground unchanged when it is opaque', () => {
+      const result = colorUtil.composite('#FF5733', '#000000');
+      expect(colorUtil.toHex(result)).toBe('#FF5733');
+    });
+
+    it('should blend a translucent color over an opaque backdrop', () => {
+      const result = colorUtil.composite('rgb(0 0 0 / 50%)', '#FFFFFF');
+      expect(result.alpha).toBe(1);
+      result.coords.forEach(channel => expect(channel).toBeCloseTo(0.5, 10));
+    });
+
+    it('should combine alpha when both layers are translucent', () => {
+      const result = colorUtil.composite('rgb(255 0 0 / 50%)', 'rgb(0 0 255 / 50%)');
+      expect(result.alpha).toBeCloseTo(0.75, 10);
+      expect(result.coords[0]).toBeCloseTo(2 / 3, 10);
+      expect(result.coords[2]).toBeCloseTo(1 / 3, 10);
+    });
+
+    it('should return transparent black when both layers are transparent', () => {
+      expect(colorUtil.composite('transparent', 'transparent')).toEqual({ space: 'srgb', coords: [0, 0, 0], alpha: 0 });
+    });
+  });
+
+  describe('convert', () => {
+    const spaces = [
+      'srgb', 'srgb-linear', 'hsl', 'hwb', 'lab', 'lch', 'oklab', 'oklch',
+      'xyz-d65', 'xyz-d50', 'display-p3', 'a98-rgb', 'prophoto-rgb', 'rec2020'
+    ];
+
+    it('should round-trip sRGB through every supported space', () => {
+      const original = { space: 'srgb', coords: [0.2, 0.5, 0.8], alpha: 0.4 };
+
+      spaces.forEach(space => {
+        const result = colorUtil.convert(colorUtil.convert(original, space), 'srgb');
+        expect(result.alpha).toBe(0.4);
+        result.coords.forEach((value, i) => expect(value).toBeCloseTo(original.coords[i], 6));
+      });
+    });
+
+    it('should keep wide-gamut colors outside the sRGB range', () => {
+      const p3Red = colorUtil.convert(colorUtil.parse('color(display-p3 1 0 0)'), 'srgb');
+      expect(p3Red.coords[0]).toBeGreaterThan(1);
+      expect(p3Red.coords[1]).toBeLessThan(0);
+    });
+
+    it('should reject unknown color spaces', () => {
+      expect(() => colorUtil.convert(colorUtil.parse('red'), 'cmyk')).toThrow('Unsupported color space');
+    });
+  });
+
+  describe('format', () => {
+    it('should format colors in every CSS syntax', () => {
+      expect(colorUtil.format('#3366CC')).toBe('#3366CC');
+      expect(colorUtil.format('#3366CC', 'rgb')).toBe('rgb(51 102 204)');
+      expect(colorUtil.format('#3366CC', 'hsl')).toBe('hsl(220 60% 50%)');
+      expect(colorUtil.format('#FFFFFF', 'oklch')).toBe('oklch(1 0 0)');
+      expect(colorUtil.format('#FF0000', 'display-p3')).toBe('color(display-p3 0.91749 0.20029 0.13856)');
+    });
+
+    it('should respect the requested precision', () => {
+      expect(colorUtil.format('#3366CC', 'oklch', { precision: 2 })).toBe('oklch(0.53 0.17 262.29)');
+    });
+
+    it('should append alpha when translucent', () => {
+      expect(colorUtil.format('#FF000080', 'rgb')).toBe('rgb(255 0 0 / 0.502)');
+    });
+
+    it('should gamut-map wide-gamut colors for legacy sRGB syntaxes', () => {
+      expect(colorUtil.format('color(display-p3 1 0 0)', 'rgb')).toBe('rgb(255 11 12)');
+    });
+
+    it('should reject unknown formats', () => {
+      expect(() => colorUtil.format('red', 'cmyk')).toThrow('Unsupported color format');
+    });
+  });
+
+  describe('Float precision', () => {
+    it('should keep unrounded coordinates when adjusting color objects', () => {
+      const color = colorUtil.adjustHue(colorUtil.parse('#3366CC'), 0.4);
+      expect(color.space).toBe('srgb');
+      expect(color.coords[0] * 255 % 1).not.toBe(0);
+    });
+
+    it('should not drift when chaining adjustments on color objects', () => {
+      let color = colorUtil.parse('#C0392B');
+      for (let i = 0; i < 20; i++) {
+        color = colorUtil.adjustSaturation(colorUtil.adjustLightness(color, 1.3), -0.7);
+      }
+      for (let i = 0; i < 20; i++) {
+        color = colorUtil.adjustSaturation(colorUtil.adjustLightness(color, -1.3), 0.7);
+      }
+      expect(colorUtil.format(color)).toBe('#C0392B');
+    });
+  });
+
   describe('generateAnalogous', () => {
     it('should generate 3 analogous colors', () => {
       const result = colorUtil.generateAnalogous('#FF0000');
@@ -248,4 +656,268 @@ describe('ColorUtility', () => {
       expect(Math.abs(hsl2.h - hsl0.h)).toBeCloseTo(240, 0);
     });
   });
+
+  describe('generateHarmony', () => {
+    const hue = (hex) => colorUtil.convert(colorUtil.parse(hex), 'hsl').coords[0];
+    const oklchHue = (hex) => colorUtil.convert(colorUtil.parse(hex), 'oklch').coords[2];
+    const offset = (from, to) => (to - from + 360) % 360;
+
+    it('should place split-complementary colors around the complement', () => {
+      const result = colorUtil.generateSplitComplementary('#FF0000');
+      expect(result[0]).toBe('#FF0000');
+      expect(result).toHaveLength(3);
+      expect(offset(hue(result[0]), hue(result[1]))).toBeCloseTo(150, 0);
+      expect(offset(hue(result[0]), hue(result[2]))).toBeCloseTo(210, 0);
+    });
+
+    it('should honour a custom split angle', () => {
+      const result = colorUtil.generateSplitComplementary('#FF0000', { angle: 45 });
+      expect(offset(hue(result[0]), hue(result[1]))).toBeCloseTo(135, 0);
+      expect(offset(hue(result[0]), hue(result[2]))).toBeCloseTo(225, 0);
+    });
+
+    it('should build tetradic rectangles and squares', () => {
+      const tetradic = colorUtil.generateTetradic('#FF0000');
+      expect(tetradic.map(hex => Math.round(offset(hue(tetradic[0]), hue(hex))))).toEqual([0, 60, 180, 240]);
+
+      const square = colorUtil.generateSquare('#FF0000');
+      expect(square.map(hex => Math.round(offset(hue(square[0]), hue(hex))))).toEqual([0, 90, 180, 270]);
+    });
+
+    it('should build compound schemes from an analogous neighbour and a split complement', () => {
+      const result = colorUtil.generateCompound('#FF0000');
+      expect(result.map(hex => Math.round(offset(hue(result[0]), hue(hex))))).toEqual([0, 30, 150, 210]);
+    });
+
+    it('should generate the requested number of analogous colors', () => {
+      const result = colorUtil.generateAnalogous('#FF0000', { count: 5, angle: 15 });
+      expect(result).toHaveLength(5);
+      expect(result[2]).toBe('#FF0000');
+      expect(result.map(hex => Math.round(offset(hue(result[2]), hue(hex))))).toEqual([330, 345, 0, 15, 30]);
+    });
+
+    it('should keep one hue and order monochromatic colors from dark to light', () => {
+      const result = colorUtil.generateMonochromatic('#3366CC', { count: 7 });
+      expect(result).toHaveLength(7);
+      expect(result).toContain('#3366CC');
+
+      const lightness = result.map(hex => colorUtil.convert(colorUtil.parse(hex), 'hsl').coords[2]);
+      lightness.slice(1).forEach((value, i) => expect(value).toBeGreaterThan(lightness[i]));
+      result.forEach(hex => expect(hue(hex)).toBeCloseTo(220, -1));
+    });
+
+    it('should rotate hues in OKLCH when requested', () => {
+      const result = colorUtil.generateHarmony('#3366CC', 'triadic', { space: 'oklch' });
+      expect(offset(oklchHue(result[0]), oklchHue(result[1]))).toBeCloseTo(120, -1);
+      expect(offset(oklchHue(result[0]), oklchHue(result[2]))).toBeCloseTo(240, -1);
+    });
+
+    it('should reject unknown schemes and spaces', () => {
+      expect(() => colorUtil.generateHarmony('#3366CC', 'pentadic')).toThrow('Unknown harmony scheme');
+      expect(() => colorUtil.generateHarmony('#3366CC', 'triadic', { space: 'lab' })).toThrow('Unsupported harmony space');
+    });
+  });
+
+  describe('generateTonalScale', () => {
+    const oklch = (hex) => colorUtil.convert(colorUtil.parse(hex), 'oklch').coords;
+
+    it('should generate 11 steps from 50 to 950', () => {
+      const scale = colorUtil.generateTonalScale('#3366CC');
+      expect(Object.keys(scale).map(Number)).toEqual([50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950]);
+      Object.values(scale).forEach(hex => expect(hex).toMatch(/^#[0-9A-F]{6}$/));
+    });
+
+    it('should keep the source color at its closest step', () => {
+      expect(colorUtil.generateTonalScale('#3366CC')[600]).toBe('#3366CC');
+      expect(colorUtil.generateTonalScale('#FFD400')[100]).toBe('#FFD400');
+      expect(colorUtil.generateTonalScale('#111111')[950]).toBe('#111111');
+    });
+
+    it('should space lightness evenly on each side of the source', () => {
+      const lightness = Object.values(colorUtil.generateTonalScale('#3366CC')).map(hex => oklch(hex)[0]);
+      const lighterSteps = lightness.slice(1, 7).map((l, i) => lightness[i] - l);
+      const darkerSteps = lightness.slice(7).map((l, i) => lightness[i + 6] - l);
+
+      lighterSteps.forEach(step => expect(step).toBeCloseTo(lighterSteps[0], 2));
+      darkerSteps.forEach(step => expect(step).toBeCloseTo(darkerSteps[0], 2));
+    });
+
+    it('should keep the hue of the source color', () => {
+      const scale = colorUtil.generateTonalScale('#E11D48');
+      const sourceHue = oklch('#E11D48')[2];
+      Object.values(scale).forEach(hex => expect(oklch(hex)[2]).toBeCloseTo(sourceHue, -1));
+    });
+
+    it('should keep greys neutral', () => {
+      Object.values(colorUtil.generateTonalScale('#808080')).forEach(hex => {
+        const { r, g, b } = colorUtil.hexToRgb(hex);
+        expect(r).toBe(g);
+        expect(g).toBe(b);
+      });
+    });
+  });
+
+  describe('interpolate', () => {
+    it('should mix in gamma-encoded and linear sRGB', () => {
+      expect(colorUtil.toHex(colorUtil.interpolate('#FF0000', '#0000FF', 0.5, { space: 'srgb' }))).toBe('#800080');
+      expect(colorUtil.toHex(colorUtil.interpolate('#FF0000', '#0000FF', 0.5, { space: 'srgb-linear' }))).toBe('#BC00BC');
+    });
+
+    it('should return the end colors at t = 0 and t = 1', () => {
+      ['srgb', 'srgb-linear', 'hsl', 'oklab', 'oklch'].forEach(space => {
+        expect(colorUtil.toHex(colorUtil.interpolate('#3366CC', '#E11D48', 0, { space }))).toBe('#3366CC');
+        expect(colorUtil.toHex(colorUtil.interpolate('#3366CC', '#E11D48', 1, { space }))).toBe('#E11D48');
+      });
+    });
+
+    it('should default to OKLab', () => {
+      const result = colorUtil.interpolate('#FF0000', '#0000FF', 0.5);
+      expect(result.space).toBe('oklab');
+      expect(colorUtil.toHex(result)).toBe('#8C53A2');
+    });
+
+    it('should follow the requested hue path in cylindrical spaces', () => {
+      const shorter = colorUtil.interpolate('hsl(350 100% 50%)', 'hsl(30 100% 50%)', 0.5, { space: 'hsl' });
+      const longer = colorUtil.interpolate('hsl(350 100% 50%)', 'hsl(30 100% 50%)', 0.5, { space: 'hsl', hue: 'longer' });
+      const increasing = colorUtil.interpolate('hsl(30 100% 50%)', 'hsl(350 100% 50%)', 0.5, { space: 'hsl', hue: 'increasing' });
+      const decreasing = colorUtil.interpolate('hsl(350 100% 50%)', 'hsl(30 100% 50%)', 0.5, { space: 'hsl', hue: 'decreasing' });
+
+      expect(shorter.coords[0]).toBeCloseTo(10, 6);
+      expect(longer.coords[0]).toBeCloseTo(190, 6);
+      expect(increasing.coords[0]).toBeCloseTo(190, 6);
+      expect(decreasing.coords[0]).toBeCloseTo(190, 6);
+    });
+
+    it('should take the hue of the chromatic color when mixing with a grey', () => {
+      const result = colorUtil.interpolate('#FFFFFF', '#0000FF', 0.5, { space: 'oklch' });
+      const blueHue = colorUtil.convert(colorUtil.parse('#0000FF'), 'oklch').coords[2];
+      expect(result.coords[2]).toBeCloseTo(blueHue, 6);
+    });
+
+    it('should interpolate with premultiplied alpha', () => {
+      const result = colorUtil.interpolate('#FF000000', '#0000FF', 0.5, { space: 'srgb' });
+      expect(result.alpha).toBe(0.5);
+      expect(colorUtil.toHex(result)).toBe('#0000FF80');
+    });
+
+    it('should reject unknown hue methods', () => {
+      expect(() => colorUtil.interpolate('red', 'blue', 0.5, { space: 'oklch', hue: 'sideways' }))
+        .toThrow('Unsupported hue interpolation method');
+    });
+  });
+
+  describe('generateGradient', () => {
+    it('should return the requested number of stops', () => {
+      const stops = colorUtil.generateGradient(['#FF0000', '#0000FF'], 5, { space: 'srgb' });
+      expect(stops).toEqual(['#FF0000', '#BF0040', '#800080', '#4000BF', '#0000FF']);
+    });
+
+    it('should pass through every color of a multi-color gradient', () => {
+      const stops = colorUtil.generateGradient(['#FF0000', '#00FF00', '#0000FF'], 5, { space: 'oklch' });
+      expect(stops).toHaveLength(5);
+      expect(stops[0]).toBe('#FF0000');
+      expect(stops[2]).toBe('#00FF00');
+      expect(stops[4]).toBe('#0000FF');
+    });
+
+    it('should require at least two colors', () => {
+      expect(() => colorUtil.generateGradient(['#FF0000'], 5)).toThrow('at least 2 colors');
+    });
+  });
+
+  describe('isInGamut', () => {
+    it('should accept sRGB colors in every RGB gamut', () => {
+      expect(colorUtil.isInGamut('#FF0000')).toBe(true);
+      expect(colorUtil.isInGamut('#FF0000', 'display-p3')).toBe(true);
+      expect(colorUtil.isInGamut('#FF0000', 'rec2020')).toBe(true);
+    });
+
+    it('should reject colors outside the target gamut', () => {
+      expect(colorUtil.isInGamut('color(display-p3 1 0 0)')).toBe(false);
+      expect(colorUtil.isInGamut('color(rec2020 0 1 0)', 'display-p3')).toBe(false);
+      expect(colorUtil.isInGamut('oklch(0.7 0.4 150)', 'hsl')).toBe(false);
+    });
+
+    it('should treat unbounded spaces as always in gamut', () => {
+      expect(colorUtil.isInGamut('color(rec2020 0 1 0)', 'oklch')).toBe(true);
+    });
+  });
+
+  describe('clampChroma', () => {
+    it('should keep lightness and hue while reducing chroma into the gamut', () => {
+      const result = colorUtil.clampChroma('oklch(0.7 0.4 150)');
+
+      expect(result.space).toBe('oklch');
+      expect(result.coords[0]).toBe(0.7);
+      expect(result.coords[2]).toBe(150);
+      expect(result.coords[1]).toBeLessThan(0.4);
+      expect(colorUtil.isInGamut(result)).toBe(true);
+    });
+
+    it('should leave colors that fit unchanged', () => {
+      const result = colorUtil.clampChroma('oklch(0.6 0.1 250)', 'display-p3');
+      expect(result.coords).toEqual([0.6, 0.1, 250]);
+    });
+
+    it('should allow more chroma in wider gamuts', () => {
+      const srgb = colorUtil.clampChroma('oklch(0.7 0.4 150)', 'srgb');
+      const p3 = colorUtil.clampChroma('oklch(0.7 0.4 150)', 'display-p3');
+      expect(p3.coords[1]).toBeGreaterThan(srgb.coords[1]);
+    });
+  });
+
+  describe('toGamut', () => {
+    it('should only convert colors that are already in gamut', () => {
+      const result = colorUtil.toGamut('#FF5733', 'display-p3');
+      expect(result.space).toBe('display-p3');
+      expect(colorUtil.toHex(result)).toBe('#FF5733');
+    });
+
+    it('should reduce chroma while keeping lightness and hue', () => {
+      const source = colorUtil.convert(colorUtil.parse('oklch(0.7 0.4 150)'), 'oklch').coords;
+      const mapped = colorUtil.toGamut('oklch(0.7 0.4 150)', 'srgb');
+      const [l, c, h] = colorUtil.convert(mapped, 'oklch').coords;
+
+      expect(mapped.coords.every(channel => channel >= 0 && channel <= 1)).toBe(true);
+      expect(l).toBeCloseTo(source[0], 1);
+      expect(c).toBeLessThan(source[1]);
+      expect(Math.abs(h - source[2])).toBeLessThan(3);
+    });
+
+    it('should map out-of-range lightness to white and black', () => {
+      expect(colorUtil.toHex(colorUtil.toGamut('oklch(1.2 0.1 10)'))).toBe('#FFFFFF');
+      expect(colorUtil.toHex(colorUtil.toGamut('lab(-10 20 20)'))).toBe('#000000');
+    });
+
+    it('should map into HSL through the sRGB gamut', () => {
+      const result = colorUtil.toGamut('color(display-p3 0 1 0)', 'hsl');
+      expect(result.space).toBe('hsl');
+      expect(result.coords[1]).toBeLessThanOrEqual(100.01);
+    });
+
+    it('should keep alpha', () => {
+      expect(colorUtil.toGamut('color(display-p3 1 0 0 / 0.5)').alpha).toBe(0.5);
+    });
+  });
+
+  describe('wide-gamut conversions', () => {
+    it('should convert RGB to Display P3 and back', () => {
+      const p3 = colorUtil.rgbToDisplayP3(255, 0, 0);
+      expect(p3.r).toBeCloseTo(0.9175, 4);
+      expect(p3.g).toBeCloseTo(0.2003, 4);
+      expect(p3.b).toBeCloseTo(0.1386, 4);
+      expect(colorUtil.displayP3ToRgb(p3.r, p3.g, p3.b)).toEqual({ r: 255, g: 0, b: 0 });
+    });
+
+    it('should convert RGB to Rec. 2020 and back', () => {
+      const rec2020 = colorUtil.rgbToRec2020(51, 102, 204);
+      expect(colorUtil.rec2020ToRgb(rec2020.r, rec2020.g, rec2020.b)).toEqual({ r: 51, g: 102, b: 204 });
+    });
+
+    it('should gamut-map wide-gamut colors when converting to RGB', () => {
+      expect(colorUtil.displayP3ToRgb(1, 0, 0)).toEqual({ r: 255, g: 11, b: 12 });
+      expect(colorUtil.rec2020ToRgb(0, 1, 0)).toEqual({ r: 0, g: 242, b: 114 });
+    });
+  });
 });
+
@@ -0,0 +1,151 @@
+/**
+ * ColorVisionSimulator - Simulate color vision deficiencies
+ *
+ * Shows how colors and whole palettes appear to people with protanopia,
+ * deuteranopia, tritanopia or achromatopsia. Dichromacies use the Machado,
+ * Oliveira and Fernandes (2009) matrices applied in linear RGB; lower
+ * severities (anomalous trichromacy) blend toward normal vision.
+ *
+ * Requirements: 4.1, 4.2, 5.3
+ */
+
+// Import dependencies for ES6 modules
+import ColorUtility from './color-utility.js';
+
+// Machado et al. (2009) full-severity matrices for linear RGB
+const CVD_MATRICES = {
+  protanopia: [
+    [0.152286, 1.052583, -0.204868],
+    [0.114503, 0.786281, 0.099216],
+    [-0.003882, -0.048116, 1.051998]
+  ],
+  deuteranopia: [
+    [0.367322, 0.860646, -0.227968],
+    [0.280085, 0.672501, 0.047413],
+    [-0.011820, 0.042940, 0.968881]
+  ],
+  tritanopia: [
+    [1.255528, -0.076749, -0.178779],
+    [-0.078411, 0.930809, 0.147602],
+    [0.004733, 0.691367, 0.303900]
+  ],
+  // Rod monochromacy: every channel becomes the relative luminance
+  achromatopsia: [
+    [0.2126, 0.7152, 0.0722],
+    [0.2126, 0.7152, 0.0722],
+    [0.2126, 0.7152, 0.0722]
+  ]
+};
+
+const IDENTITY_MATRIX = [
+  [1, 0, 0],
+  [0, 1, 0],
+  [0, 0, 1]
+];
+
+class ColorVisionSimulator {
+  constructor() {
+    this.colorUtility = new ColorUtility();
+  }
+
+  /**
+   * Get the supported color vision deficiency types
+   * @returns {string[]} Deficiency types (e.g., "protanopia")
+   */
+  getTypes() {
+    return Object.keys(CVD_MATRICES);
+  }
+
+  /**
+   * Simulate how a color appears with a color vision deficiency
+   * @param {string|Object} color - HEX color code, CSS color string or color object
+   * @param {string} type - "protanopia", "deuteranopia", "tritanopia" or "achromatopsia"
+   * @param {number} [severity=1] - 0 (normal vision) to 1 (full deficiency)
+   * @returns {string} Simulated HEX color code (alpha is kept)
+   */
+  simulate(color, type, severity = 1) {
+    const matrix = this._getMatrix(type, severity);
+    const linear = this.colorUtility.convert(this.colorUtility.toGamut(color, 'srgb'), 'srgb-linear');
+
+    const coords = matrix.map(row =>
+      Math.max(0, Math.min(1, row[0] * linear.coords[0] + row[1] * linear.coords[1] + row[2] * linear.coords[2]))
+    );
+
+    return this.colorUtility.toHex({ space: 'srgb-linear', coords, alpha: linear.alpha });
+  }
+
+  /**
+   * Simulate a whole palette with a color vision deficiency
+   * Role, status and accessible pair colors are replaced by their simulated
+   * versions, with the real codes kept as `originalHex`, `originalText` and
+   * `originalBackground`. Contrast figures keep the values measured for
+   * normal vision.
+   * @param {Object} palette - Palette object with colors (and optional statusColors
+   *   and accessiblePairs)
+   * @param {string} type - Deficiency type (see getTypes)
+   * @param {number} [severity=1] - 0 (normal vision) to 1 (full deficiency)
+   * @returns {Object} Copy of the palette with a `simulation` property {type, severity}
+   */
+  simulatePalette(palette, type, severity = 1) {
+    const simulateColors = (entries) => {
+      const colors = {};
+      for (const [role, color] of Object.entries(entries)) {
+        colors[role] = {
+          ...color,
+          hex: this.simulate(color.hex, type, severity),
+          originalHex: color.hex
+        };
+      }
+      return colors;
+    };
+
+    const simulated = {
+      ...palette,
+      colors: simulateColors(palette.colors),
+      simulation: { type, severity: Math.max(0, Math.min(1, severity)) }
+    };
+
+    if (palette.statusColors) {
+      simulated.statusColors = simulateColors(palette.statusColors);
+    }
+
+    if (palette.accessiblePairs) {
+      simulated.accessiblePairs = palette.accessiblePairs.map(pair => ({
+        ...pair,
+        text: this.simulate(pair.text, type, severity),
+        background: this.simulate(pair.background, type, severity),
+        originalText: pair.text,
+        originalBackground: pair.background
+      }));
+    }
+
+    return simulated;
+  }
+
+  /**
+   * Build the simulation matrix for a deficiency and severity
+   * Partial severities interpolate between the identity and the full matrix.
+   * @private
+   * @param {string} type - Deficiency type
+   * @param {number} severity - 0 to 1 (clamped)
+   * @returns {number[][]} 3x3 matrix for linear RGB
+   */
+  _getMatrix(type, severity) {
+    const matrix = CVD_MATRICES[type];
+    if (!matrix) {
+      throw new Error(`Unknown color vision deficiency "${type}"`);
+    }
+
+    const amount = Math.max(0, Math.min(1, severity));
+    return matrix.map((row, i) =>
+      row.map((value, j) => IDENTITY_MATRIX[i][j] + (value - IDENTITY_MATRIX[i][j]) * amount)
+    );
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ColorVisionSimulator;
+}
+
+export default ColorVisionSimulator;
@@ -0,0 +1,59 @@
+/**
+ * Property-based tests for ColorVisionSimulator
+ * Using fast-check for property-based testing
+ */
+
+import fc from 'fast-check';
+import { describe, it, expect } from 'vitest';
+import ColorVisionSimulator from './color-vision-simulator.js';
+
+describe('ColorVisionSimulator Property Tests', () => {
+  const simulator = new ColorVisionSimulator();
+
+  const hexArb = fc.hexaString({ minLength: 6, maxLength: 6 }).map(hex => `#${hex.toUpperCase()}`);
+  const typeArb = fc.constantFrom('protanopia', 'deuteranopia', 'tritanopia', 'achromatopsia');
+
+  // Feature: color-palette-tool, Property 36: Simulated palettes
+  // Validates: Requirements 4.1, 5.3
+  it('should simulate every role of a palette and keep its original color', () => {
+    const paletteArb = fc.record({
+      primary: hexArb,
+      secondary: hexArb,
+      accent: hexArb,
+      background: hexArb,
+      surface: hexArb,
+      text: hexArb
+    }).map(hexes => ({
+      colors: Object.fromEntries(Object.entries(hexes).map(([role, hex]) => [role, { hex, role }]))
+    }));
+
+    fc.assert(
+      fc.property(paletteArb, typeArb, fc.double({ min: 0, max: 1, noNaN: true }), (palette, type, severity) => {
+        const simulated = simulator.simulatePalette(palette, type, severity);
+
+        expect(Object.keys(simulated.colors)).toEqual(Object.keys(palette.colors));
+        Object.entries(simulated.colors).forEach(([role, color]) => {
+          expect(color.originalHex).toBe(palette.colors[role].hex);
+          expect(color.hex).toBe(simulator.simulate(color.originalHex, type, severity));
+          expect(color.hex).toMatch(/^#[0-9A-F]{6}$/);
+        });
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  // Feature: color-palette-tool, Property 37: Achromatopsia and zero severity
+  // Validates: Requirements 4.1
+  it('should show greys for achromatopsia and the original color at zero severity', () => {
+    fc.assert(
+      fc.property(hexArb, typeArb, (hex, type) => {
+        expect(simulator.simulate(hex, type, 0)).toBe(hex);
+
+        const { r, g, b } = simulator.colorUtility.hexToRgb(simulator.simulate(hex, 'achromatopsia'));
+        expect(r).toBe(g);
+        expect(g).toBe(b);
+      }),
+      { numRuns: 100 }
+    );
+  });
+});
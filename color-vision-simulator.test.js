@@ -0,0 +1,99 @@
+/**
+ * Unit tests for ColorVisionSimulator
+ */
+
+import { describe, it, expect } from 'vitest';
+import ColorVisionSimulator from './color-vision-simulator.js';
+
+describe('ColorVisionSimulator', () => {
+  const simulator = new ColorVisionSimulator();
+
+  describe('getTypes', () => {
+    it('should list every supported deficiency', () => {
+      expect(simulator.getTypes()).toEqual(['protanopia', 'deuteranopia', 'tritanopia', 'achromatopsia']);
+    });
+  });
+
+  describe('simulate', () => {
+    it('should apply the Machado matrices for dichromacy', () => {
+      expect(simulator.simulate('#FF0000', 'protanopia')).toBe('#6D5F00');
+      expect(simulator.simulate('#FF0000', 'deuteranopia')).toBe('#A39000');
+      expect(simulator.simulate('#0000FF', 'tritanopia')).toBe('#006B96');
+    });
+
+    it('should make red and green hard to tell apart for red-green deficiencies', () => {
+      ['protanopia', 'deuteranopia'].forEach(type => {
+        const red = simulator.simulate('#D62728', type);
+        const green = simulator.simulate('#2CA02C', type);
+        const [redHue, greenHue] = [red, green].map(hex =>
+          simulator.colorUtility.convert(simulator.colorUtility.parse(hex), 'oklch').coords[2]
+        );
+        expect(Math.abs(redHue - greenHue)).toBeLessThan(30);
+      });
+    });
+
+    it('should turn every color grey for achromatopsia', () => {
+      expect(simulator.simulate('#FF0000', 'achromatopsia')).toBe('#7F7F7F');
+      expect(simulator.simulate('#0000FF', 'achromatopsia')).toBe('#4C4C4C');
+    });
+
+    it('should keep white and black unchanged', () => {
+      simulator.getTypes().forEach(type => {
+        expect(simulator.simulate('#FFFFFF', type)).toBe('#FFFFFF');
+        expect(simulator.simulate('#000000', type)).toBe('#000000');
+      });
+    });
+
+    it('should blend toward normal vision at lower severity', () => {
+      expect(simulator.simulate('#336699', 'protanopia', 0)).toBe('#336699');
+      expect(simulator.simulate('#FF0000', 'protanopia', 0.5)).toBe('#C84400');
+    });
+
+    it('should keep alpha and accept any CSS color syntax', () => {
+      expect(simulator.simulate('rgb(255 0 0 / 50%)', 'protanopia')).toBe('#6D5F0080');
+    });
+
+    it('should reject unknown deficiencies', () => {
+      expect(() => simulator.simulate('#FF0000', 'colorblind')).toThrow('Unknown color vision deficiency');
+    });
+  });
+
+  describe('simulatePalette', () => {
+    const palette = {
+      name: 'Test',
+      vibe: 'Testing',
+      colors: {
+        primary: { hex: '#FF0000', role: 'primary', usage: 'Buttons' },
+        text: { hex: '#000000', role: 'text', usage: 'Body text' }
+      },
+      accessiblePairs: [{ text: '#000000', background: '#FF0000', ratio: 5.25 }]
+    };
+
+    it('should simulate every role and keep the real codes', () => {
+      const simulated = simulator.simulatePalette(palette, 'protanopia');
+
+      expect(simulated.colors.primary).toEqual({
+        hex: '#6D5F00',
+        originalHex: '#FF0000',
+        role: 'primary',
+        usage: 'Buttons'
+      });
+      expect(simulated.simulation).toEqual({ type: 'protanopia', severity: 1 });
+      expect(simulated.name).toBe('Test');
+    });
+
+    it('should simulate accessible pair colors and keep their ratios', () => {
+      const [pair] = simulator.simulatePalette(palette, 'protanopia').accessiblePairs;
+
+      expect(pair.background).toBe('#6D5F00');
+      expect(pair.originalBackground).toBe('#FF0000');
+      expect(pair.ratio).toBe(5.25);
+    });
+
+    it('should not modify the source palette', () => {
+      simulator.simulatePalette(palette, 'tritanopia', 0.6);
+      expect(palette.colors.primary.hex).toBe('#FF0000');
+      expect(palette.accessiblePairs[0].background).toBe('#FF0000');
+    });
+  });
+});
@@ -1,13 +1,53 @@
 /**
  * ExportManager - Export color palettes in multiple formats
  * 
- * Provides functionality to export palettes as CSS variables, JSON, and plain text.
- * Handles file downloads and clipboard operations.
+ * Provides functionality to export palettes as CSS variables (sRGB or wide
+ * gamut), JSON, plain text and CSS gradients, contrast matrices as CSV or
+ * Markdown, and accessibility audit reports as HTML or Markdown. Status colors
+ * are included in every format. Handles file downloads and clipboard
+ * operations.
  * 
  * Requirements: 6.1, 6.2, 6.3, 6.4
  */
 
+// Import dependencies for ES6 modules
+import ColorUtility from './color-utility.js';
+import ColorNamer from './color-namer.js';
+import AccessibilityChecker from './accessibility-checker.js';
+import ColorVisionSimulator from './color-vision-simulator.js';
+
+// Interpolation spaces with a hue channel; only these accept a hue interpolation method
+const POLAR_SPACES = ['hsl', 'hwb', 'lch', 'oklch'];
+
+// WCAG 2 success criteria covered by the accessibility audit
+const AUDIT_CRITERIA = [
+  { id: '1.4.1', name: 'Use of Color', level: 'A' },
+  { id: '1.4.3', name: 'Contrast (Minimum)', level: 'AA' },
+  { id: '1.4.6', name: 'Contrast (Enhanced)', level: 'AAA' },
+  { id: '1.4.11', name: 'Non-text Contrast', level: 'AA' }
+];
+
+// Styles inlined into the HTML audit so the file stands alone
+const AUDIT_STYLES = [
+  'body { font-family: system-ui, sans-serif; color: #212121; max-width: 60rem; margin: 2rem auto; padding: 0 1rem; }',
+  'table { border-collapse: collapse; width: 100%; margin-bottom: 1.5rem; }',
+  'th, td { border: 1px solid #ccc; padding: 0.375rem 0.5rem; text-align: left; }',
+  'th { background: #f5f5f5; }',
+  '.swatch { display: inline-block; width: 1.25rem; height: 1.25rem; border: 1px solid #999; vertical-align: middle; margin-right: 0.25rem; }',
+  '.sample { display: inline-block; padding: 0.125rem 0.5rem; border: 1px solid #ccc; font-weight: 600; }',
+  '.pass { color: #1b5e20; font-weight: 600; }',
+  '.fail { color: #b71c1c; font-weight: 600; }',
+  'pre { background: #f5f5f5; padding: 1rem; overflow-x: auto; }'
+].join('\n');
+
 class ExportManager {
+  constructor() {
+    this.colorUtility = new ColorUtility();
+    this.colorNamer = new ColorNamer();
+    this.accessibilityChecker = new AccessibilityChecker();
+    this.colorVisionSimulator = new ColorVisionSimulator();
+  }
+
   /**
    * Export palette as CSS custom properties
    * @param {Object} palette - Palette object to export
@@ -18,7 +58,12 @@ class ExportManager {
     
     // Add each color as a CSS custom property
     for (const [role, color] of Object.entries(palette.colors)) {
-      lines.push(`  --color-${role}: ${color.hex};`);
+      lines.push(`  ${this._toCSSVariable(role)}: ${color.hex};`);
+    }
+
+    // Status colors follow the roles
+    for (const [role, color] of Object.entries(palette.statusColors || {})) {
+      lines.push(`  ${this._toCSSVariable(role)}: ${color.hex};`);
     }
     
     lines.push('}');
@@ -35,12 +80,22 @@ class ExportManager {
     const exportData = {
       name: palette.name,
       vibe: palette.vibe,
-      colors: {}
+      colors: {},
+      colorNames: {}
     };
     
-    // Extract color names and HEX codes
+    // Extract HEX codes and the nearest human-readable name for each role
     for (const [role, color] of Object.entries(palette.colors)) {
       exportData.colors[role] = color.hex;
+      exportData.colorNames[role] = this.colorNamer.getName(color.hex);
+    }
+
+    if (palette.statusColors) {
+      exportData.statusColors = {};
+      for (const [role, color] of Object.entries(palette.statusColors)) {
+        exportData.statusColors[role] = color.hex;
+        exportData.colorNames[role] = this.colorNamer.getName(color.hex);
+      }
     }
     
     return JSON.stringify(exportData, null, 2);
@@ -59,15 +114,438 @@ class ExportManager {
       'Colors:'
     ];
     
-    // Add each color with role and HEX code
+    // Add each color with role, HEX code and color name
     for (const [role, color] of Object.entries(palette.colors)) {
-      const roleName = role.charAt(0).toUpperCase() + role.slice(1);
-      lines.push(`  ${roleName}: ${color.hex}`);
+      lines.push(`  ${this._formatRoleName(role)}: ${color.hex} (${this.colorNamer.getName(color.hex)})`);
+    }
+
+    if (palette.statusColors) {
+      lines.push('', 'Status colors:');
+      for (const [role, color] of Object.entries(palette.statusColors)) {
+        lines.push(`  ${this._formatRoleName(role)}: ${color.hex} (${this.colorNamer.getName(color.hex)})`);
+      }
     }
     
     return lines.join('\n');
   }
 
+  /**
+   * Export a gradient between palette roles as a CSS rule
+   * The first declaration is a legacy fallback with the interpolation baked
+   * into sRGB stops; browsers that understand CSS Color 4 interpolation
+   * override it with the second declaration using `in <space>` syntax.
+   * @param {Object} palette - Palette object to export
+   * @param {Object} [options] - Gradient options
+   * @param {string[]} [options.roles=['primary', 'accent']] - Roles (or status colors, e.g.
+   *   'success') to pass through, in order
+   * @param {string} [options.type='linear'] - "linear" or "radial"
+   * @param {number} [options.angle=135] - Direction of linear gradients in degrees
+   * @param {string} [options.shape='circle'] - Shape of radial gradients ("circle" or "ellipse")
+   * @param {string} [options.space='oklch'] - Interpolation color space
+   * @param {string} [options.hue='shorter'] - Hue path for cylindrical spaces (ignored
+   *   for rectangular ones)
+   * @param {number} [options.steps=7] - Number of stops in the legacy fallback
+   * @param {string} [options.selector='.gradient'] - CSS selector for the rule
+   * @returns {string} CSS rule with fallback and modern background-image declarations
+   * @throws {Error} If the gradient type is unknown or a role is not in the palette
+   */
+  exportAsCSSGradient(palette, {
+    roles = ['primary', 'accent'],
+    type = 'linear',
+    angle = 135,
+    shape = 'circle',
+    space = 'oklch',
+    hue = 'shorter',
+    steps = 7,
+    selector = '.gradient'
+  } = {}) {
+    if (type !== 'linear' && type !== 'radial') {
+      throw new Error(`Unknown gradient type "${type}"`);
+    }
+
+    const available = { ...palette.colors, ...palette.statusColors };
+    const colors = roles.map(role => {
+      if (!available[role]) {
+        throw new Error(`Unknown palette role "${role}"`);
+      }
+      return available[role].hex;
+    });
+    const fallbackStops = this.colorUtility.generateGradient(colors, Math.max(steps, colors.length), { space, hue });
+
+    const direction = type === 'radial' ? shape : `${angle}deg`;
+    const hueMethod = hue === 'shorter' || !POLAR_SPACES.includes(space) ? '' : ` ${hue} hue`;
+    const gradient = `${type}-gradient`;
+
+    return [
+      `${selector} {`,
+      `  background-image: ${gradient}(${direction}, ${fallbackStops.join(', ')});`,
+      `  background-image: ${gradient}(${direction} in ${space}${hueMethod}, ${colors.join(', ')});`,
+      '}'
+    ].join('\n');
+  }
+
+  /**
+   * Export palette as CSS custom properties for wide-gamut displays
+   * sRGB HEX values come first as a fallback; browsers that support the
+   * target space override them inside an `@supports` block. A role may carry
+   * an optional `value` (any CSS color string, e.g. an OKLCH pick) that is
+   * used instead of its HEX code, and gamut-mapped into each output. Status
+   * colors follow the roles.
+   * @param {Object} palette - Palette object to export
+   * @param {Object} [options] - Export options
+   * @param {string} [options.space='display-p3'] - Wide-gamut space ("display-p3" or "rec2020")
+   * @returns {string} CSS custom properties with an `@supports` wide-gamut override
+   */
+  exportAsWideGamutCSS(palette, { space = 'display-p3' } = {}) {
+    const fallbackLines = [':root {'];
+    const wideGamutLines = [`@supports (color: color(${space} 0 0 0)) {`, '  :root {'];
+
+    for (const [role, color] of Object.entries({ ...palette.colors, ...palette.statusColors })) {
+      const source = color.value || color.hex;
+      const wideGamut = this.colorUtility.toGamut(source, space);
+
+      fallbackLines.push(`  ${this._toCSSVariable(role)}: ${this.colorUtility.toHex(source)};`);
+      wideGamutLines.push(`    ${this._toCSSVariable(role)}: ${this.colorUtility.format(wideGamut, space)};`);
+    }
+
+    fallbackLines.push('}');
+    wideGamutLines.push('  }', '}');
+
+    return [...fallbackLines, '', ...wideGamutLines].join('\n');
+  }
+
+  /**
+   * Export the contrast matrix of a palette as CSV
+   * One row per ordered role pair with the WCAG ratio, APCA Lc and PASS/FAIL
+   * for each success criterion and level, followed by the status color pairs.
+   * @param {Object} palette - Palette object to export
+   * @returns {string} CSV with a header row
+   */
+  exportContrastMatrixAsCSV(palette) {
+    const header = [
+      'Text Role', 'Text', 'Background Role', 'Background', 'Contrast Ratio', 'APCA Lc',
+      'AA Normal Text', 'AAA Normal Text', 'AA Large Text', 'AAA Large Text', 'Non-text (1.4.11)'
+    ];
+    const result = (passes) => (passes ? 'PASS' : 'FAIL');
+
+    const pairs = [...this.accessibilityChecker.classifyPairs(palette), ...this._classifyStatusPairs(palette)];
+    const rows = pairs.map(pair => [
+      pair.textRole,
+      pair.text,
+      pair.backgroundRole,
+      pair.background,
+      pair.ratio.toFixed(2),
+      pair.apca.toFixed(1),
+      result(pair.normalText.AA),
+      result(pair.normalText.AAA),
+      result(pair.largeText.AA),
+      result(pair.largeText.AAA),
+      result(pair.nonText)
+    ]);
+
+    return [header, ...rows]
+      .map(row => row.map(field => this._escapeCSVField(String(field))).join(','))
+      .join('\n');
+  }
+
+  /**
+   * Export the contrast matrix of a palette as a Markdown table
+   * Rows are text roles and columns are background roles. Each cell shows the
+   * WCAG ratio, APCA Lc and the highest level passed. Status color pairs get
+   * a table of their own.
+   * @param {Object} palette - Palette object to export
+   * @returns {string} Markdown heading, tables and legend
+   */
+  exportContrastMatrixAsMarkdown(palette) {
+    const { roles, rows } = this.accessibilityChecker.buildContrastMatrix(palette);
+    const roleName = (role) => this._formatRoleName(role);
+    const describe = (pair) => `${pair.ratio.toFixed(2)}:1 · Lc ${pair.apca.toFixed(1)} · ${this._formatContrastLevel(pair)}`;
+
+    const lines = [
+      `## Contrast Matrix${palette.name ? `: ${palette.name}` : ''}`,
+      '',
+      `| Text \\ Background | ${roles.map(roleName).join(' | ')} |`,
+      `| --- | ${roles.map(() => '---').join(' | ')} |`
+    ];
+
+    rows.forEach((row, i) => {
+      const cells = row.map(pair => (pair ? describe(pair) : '—'));
+      lines.push(`| **${roleName(roles[i])}** | ${cells.join(' | ')} |`);
+    });
+
+    const statusPairs = this._classifyStatusPairs(palette);
+    if (statusPairs.length > 0) {
+      lines.push('', '### Status Colors', '', '| Pair | Text | Background | Contrast |', '| --- | --- | --- | --- |');
+      statusPairs.forEach(pair => {
+        lines.push(`| ${pair.label} | ${roleName(pair.textRole)} ${pair.text} | ${roleName(pair.backgroundRole)} ${pair.background} | ${describe(pair)} |`);
+      });
+    }
+
+    lines.push(
+      '',
+      'Levels: AAA = 7:1 normal text, AA = 4.5:1 normal text, AA Large = 3:1 large text and non-text (SC 1.4.11), Fail = below 3:1.'
+    );
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Collect the accessibility audit of a palette
+   * Uses the same AccessibilityChecker results as PaletteDisplay: the role-pair
+   * rules (the palette's `pairCompliance` report when present), the status
+   * color checks (`statusCompliance`), the inline link check and color vision
+   * deficiency simulations. Criteria conformance
+   * uses VPAT terms; SC 1.4.1 is supported when at least one link color passes.
+   * @param {Object} palette - Palette object to audit
+   * @param {Object} [options] - Audit options
+   * @param {Date} [options.generatedAt=new Date()] - Timestamp of the report
+   * @returns {{name: string, generatedAt: string, result: string, pairs: Array<Object>,
+   *   links: Array<Object>, criteria: Array<Object>, simulations: Array<Object>, json: string}}
+   *   Audit with "PASS" or "FAIL", each rule result with its `criteria` results, each link
+   *   check, each criterion {id, name, level, conformance, passed, total}, the simulated
+   *   role and status colors per deficiency {type, colors, statusColors?} and the palette JSON
+   */
+  buildAccessibilityAudit(palette, { generatedAt = new Date() } = {}) {
+    const checker = this.accessibilityChecker;
+    const hexes = {};
+    for (const [role, color] of Object.entries(palette.colors)) {
+      hexes[role] = color.originalHex || color.hex;
+    }
+
+    const statusHexes = palette.statusColors ? {} : null;
+    for (const [role, color] of Object.entries(palette.statusColors || {})) {
+      statusHexes[role] = color.originalHex || color.hex;
+    }
+
+    const { compliant, results } = palette.pairCompliance || checker.checkPairRules({ colors: hexes });
+    const status = palette.statusCompliance
+      || checker.checkStatusColors(statusHexes ? { colors: hexes, statusColors: statusHexes } : { colors: hexes });
+    const pairs = [...results, ...status.results].map(result => {
+      if (result.status === 'missing') {
+        return { ...result, criteria: { '1.4.3': null, '1.4.6': null, '1.4.11': null } };
+      }
+
+      const { normalText, largeText, nonText } = checker.classifyContrast(
+        checker.calculateContrastRatio(result.text, result.background)
+      );
+      const textLevels = result.kind === 'large-text' ? largeText : normalText;
+      const isText = result.kind !== 'non-text';
+
+      return {
+        ...result,
+        criteria: {
+          '1.4.3': isText ? textLevels.AA : null,
+          '1.4.6': isText ? textLevels.AAA : null,
+          '1.4.11': isText ? null : nonText
+        }
+      };
+    });
+
+    const links = checker.checkLinkContrast({ colors: hexes });
+
+    const criteria = AUDIT_CRITERIA.map(criterion => {
+      const outcomes = criterion.id === '1.4.1'
+        ? (links.length > 0 ? [links.some(link => link.passes)] : [])
+        : pairs.map(pair => pair.criteria[criterion.id]).filter(outcome => outcome !== null);
+      const passed = outcomes.filter(Boolean).length;
+
+      let conformance = 'Not Applicable';
+      if (outcomes.length > 0) {
+        if (passed === outcomes.length) {
+          conformance = 'Supports';
+        } else {
+          conformance = passed > 0 ? 'Partially Supports' : 'Does Not Support';
+        }
+      }
+
+      return { ...criterion, conformance, passed, total: outcomes.length };
+    });
+
+    const meetsAA = criteria
+      .filter(criterion => criterion.level !== 'AAA')
+      .every(criterion => ['Supports', 'Not Applicable'].includes(criterion.conformance));
+
+    const simulations = this.colorVisionSimulator.getTypes().map(type => {
+      const simulate = (entries) => Object.fromEntries(
+        Object.entries(entries).map(([role, hex]) => [role, this.colorVisionSimulator.simulate(hex, type)])
+      );
+      return statusHexes
+        ? { type, colors: simulate(hexes), statusColors: simulate(statusHexes) }
+        : { type, colors: simulate(hexes) };
+    });
+
+    return {
+      name: palette.name || 'Untitled palette',
+      generatedAt: generatedAt.toISOString(),
+      result: compliant && status.compliant && meetsAA ? 'PASS' : 'FAIL',
+      pairs,
+      links,
+      criteria,
+      simulations,
+      json: this.exportAsJSON({
+        ...palette,
+        colors: this._mapColors(hexes),
+        statusColors: statusHexes ? this._mapColors(statusHexes) : undefined
+      })
+    };
+  }
+
+  /**
+   * Export a self-contained HTML accessibility report for a palette
+   * @param {Object} palette - Palette object to audit
+   * @param {Object} [options] - Audit options (see buildAccessibilityAudit)
+   * @returns {string} HTML document with inline styles and the palette JSON embedded
+   */
+  exportAccessibilityReportAsHTML(palette, options = {}) {
+    const audit = this.buildAccessibilityAudit(palette, options);
+    const escape = (value) => this._escapeHTML(String(value));
+    const swatch = (hex) => `<span class="swatch" style="background-color: ${hex}"></span>${hex}`;
+    const outcome = (passes) => {
+      if (passes === null) return 'N/A';
+      return passes ? '<span class="pass">Pass</span>' : '<span class="fail">Fail</span>';
+    };
+    const simulated = audit.simulations.map(simulation => ({ ...simulation.colors, ...simulation.statusColors }));
+    const { colors, statusColors } = JSON.parse(audit.json);
+    const originals = { ...colors, ...statusColors };
+    const roles = Object.keys(originals);
+
+    const pairRows = audit.pairs.map(pair => (pair.status === 'missing'
+      ? `<tr><td>${escape(pair.label)}</td><td colspan="9">Not applicable: role missing from palette</td></tr>`
+      : `<tr><td>${escape(pair.label)}<br>${escape(this._formatRoleName(pair.textRole))} on ${escape(this._formatRoleName(pair.backgroundRole))}</td>`
+        + `<td>${swatch(pair.text)}</td><td>${swatch(pair.background)}</td>`
+        + `<td><span class="sample" style="color: ${pair.text}; background-color: ${pair.background}">Aa</span></td>`
+        + `<td>${pair.ratio.toFixed(2)}:1</td><td>${pair.apca.toFixed(1)}</td>`
+        + `<td>${pair.required}:1 (${pair.level}, ${pair.kind})</td>`
+        + `<td>${outcome(pair.criteria['1.4.3'])}</td><td>${outcome(pair.criteria['1.4.6'])}</td><td>${outcome(pair.criteria['1.4.11'])}</td>`
+        + `<td>${outcome(pair.status === 'pass')}</td></tr>`));
+
+    const linkRows = audit.links.map(link => `<tr><td>${escape(this._formatRoleName(link.role))}</td><td>${swatch(link.link)}</td>`
+      + `<td>${link.textRatio.toFixed(2)}:1</td><td>${link.backgroundRatio.toFixed(2)}:1</td>`
+      + `<td>${outcome(link.passes)}</td><td>${link.suggestion ? swatch(link.suggestion) : '—'}</td></tr>`);
+
+    const simulationRows = roles.map(role => `<tr><td>${escape(this._formatRoleName(role))}</td>`
+      + `<td>${swatch(originals[role])}</td>`
+      + simulated.map(simulation => `<td>${swatch(simulation[role])}</td>`).join('')
+      + '</tr>');
+
+    return [
+      '<!DOCTYPE html>',
+      '<html lang="en">',
+      '<head>',
+      '<meta charset="utf-8">',
+      `<title>Accessibility Report: ${escape(audit.name)}</title>`,
+      `<style>\n${AUDIT_STYLES}\n</style>`,
+      '</head>',
+      '<body>',
+      `<h1>Accessibility Report: ${escape(audit.name)}</h1>`,
+      `<p>Generated <time datetime="${audit.generatedAt}">${audit.generatedAt}</time></p>`,
+      '<h2>Summary</h2>',
+      `<p>Result: <span class="${audit.result === 'PASS' ? 'pass' : 'fail'}">${audit.result}</span></p>`,
+      '<table>',
+      '<thead><tr><th scope="col">Criterion</th><th scope="col">Level</th><th scope="col">Conformance</th><th scope="col">Remarks</th></tr></thead>',
+      '<tbody>',
+      ...audit.criteria.map(criterion => `<tr><td>${criterion.id} ${criterion.name}</td><td>${criterion.level}</td>`
+        + `<td>${criterion.conformance}</td><td>${this._describeCriterionResult(criterion)}</td></tr>`),
+      '</tbody>',
+      '</table>',
+      '<h2>Role Pairs</h2>',
+      '<table>',
+      '<thead><tr><th scope="col">Pair</th><th scope="col">Text</th><th scope="col">Background</th><th scope="col">Sample</th>'
+        + '<th scope="col">WCAG 2 Ratio</th><th scope="col">APCA Lc</th><th scope="col">Required</th>'
+        + '<th scope="col">1.4.3</th><th scope="col">1.4.6</th><th scope="col">1.4.11</th><th scope="col">Result</th></tr></thead>',
+      '<tbody>',
+      ...pairRows,
+      '</tbody>',
+      '</table>',
+      '<h2>Inline Links (SC 1.4.1, technique G183)</h2>',
+      '<table>',
+      '<thead><tr><th scope="col">Link Role</th><th scope="col">Link</th><th scope="col">vs Text (3:1)</th>'
+        + '<th scope="col">vs Background (4.5:1)</th><th scope="col">Result</th><th scope="col">Suggested Color</th></tr></thead>',
+      '<tbody>',
+      ...linkRows,
+      '</tbody>',
+      '</table>',
+      '<h2>Color Vision Deficiency Simulation</h2>',
+      '<table>',
+      `<thead><tr><th scope="col">Role</th><th scope="col">Normal Vision</th>${audit.simulations
+        .map(simulation => `<th scope="col">${this._formatRoleName(simulation.type)}</th>`).join('')}</tr></thead>`,
+      '<tbody>',
+      ...simulationRows,
+      '</tbody>',
+      '</table>',
+      '<h2>Palette Data</h2>',
+      `<pre><code>${escape(audit.json)}</code></pre>`,
+      `<script type="application/json" id="palette-data">${audit.json.replace(/</g, '\\u003c')}</script>`,
+      '</body>',
+      '</html>'
+    ].join('\n');
+  }
+
+  /**
+   * Export a Markdown accessibility report for a palette
+   * @param {Object} palette - Palette object to audit
+   * @param {Object} [options] - Audit options (see buildAccessibilityAudit)
+   * @returns {string} Markdown report with the palette JSON in a code block
+   */
+  exportAccessibilityReportAsMarkdown(palette, options = {}) {
+    const audit = this.buildAccessibilityAudit(palette, options);
+    const cell = (value) => String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+    const outcome = (passes) => {
+      if (passes === null) return 'N/A';
+      return passes ? 'Pass' : 'Fail';
+    };
+    const simulated = audit.simulations.map(simulation => ({ ...simulation.colors, ...simulation.statusColors }));
+    const { colors, statusColors } = JSON.parse(audit.json);
+    const originals = { ...colors, ...statusColors };
+    const roles = Object.keys(originals);
+
+    return [
+      `# Accessibility Report: ${cell(audit.name)}`,
+      '',
+      `Generated: ${audit.generatedAt}`,
+      '',
+      '## Summary',
+      '',
+      `**Result: ${audit.result}**`,
+      '',
+      '| Criterion | Level | Conformance | Remarks |',
+      '| --- | --- | --- | --- |',
+      ...audit.criteria.map(criterion => `| ${criterion.id} ${criterion.name} | ${criterion.level} | ${criterion.conformance} | `
+        + `${this._describeCriterionResult(criterion)} |`),
+      '',
+      '## Role Pairs',
+      '',
+      '| Pair | Text | Background | WCAG 2 Ratio | APCA Lc | Required | 1.4.3 | 1.4.6 | 1.4.11 | Result |',
+      '| --- | --- | --- | --- | --- | --- | --- | --- | --- | --- |',
+      ...audit.pairs.map(pair => (pair.status === 'missing'
+        ? `| ${cell(pair.label)} | — | — | — | — | ${pair.required}:1 | N/A | N/A | N/A | Not applicable |`
+        : `| ${cell(pair.label)} (${this._formatRoleName(pair.textRole)} on ${this._formatRoleName(pair.backgroundRole)}) `
+          + `| ${pair.text} | ${pair.background} | ${pair.ratio.toFixed(2)}:1 | ${pair.apca.toFixed(1)} `
+          + `| ${pair.required}:1 (${pair.level}, ${pair.kind}) | ${outcome(pair.criteria['1.4.3'])} `
+          + `| ${outcome(pair.criteria['1.4.6'])} | ${outcome(pair.criteria['1.4.11'])} | ${outcome(pair.status === 'pass')} |`)),
+      '',
+      '## Inline Links (SC 1.4.1, technique G183)',
+      '',
+      '| Link Role | Link | vs Text (3:1) | vs Background (4.5:1) | Result | Suggested Color |',
+      '| --- | --- | --- | --- | --- | --- |',
+      ...audit.links.map(link => `| ${this._formatRoleName(link.role)} | ${link.link} | ${link.textRatio.toFixed(2)}:1 `
+        + `| ${link.backgroundRatio.toFixed(2)}:1 | ${outcome(link.passes)} | ${link.suggestion || '—'} |`),
+      '',
+      '## Color Vision Deficiency Simulation',
+      '',
+      `| Role | Normal Vision | ${audit.simulations.map(simulation => this._formatRoleName(simulation.type)).join(' | ')} |`,
+      `| --- | --- | ${audit.simulations.map(() => '---').join(' | ')} |`,
+      ...roles.map(role => `| ${cell(this._formatRoleName(role))} | ${originals[role]} | `
+        + `${simulated.map(simulation => simulation[role]).join(' | ')} |`),
+      '',
+      '## Palette Data',
+      '',
+      '```json',
+      audit.json,
+      '```'
+    ].join('\n');
+  }
+
   /**
    * Download content as a file
    * @param {string} content - File content
@@ -116,6 +594,109 @@ class ExportManager {
     }
   }
 
+  /**
+   * Get the highest WCAG level a pair passes
+   * @private
+   * @param {Object} pair - Classified pair (see AccessibilityChecker.classifyPairs)
+   * @returns {string} "AAA", "AA", "AA Large" or "Fail"
+   */
+  _formatContrastLevel(pair) {
+    if (pair.normalText.AAA) return 'AAA';
+    if (pair.normalText.AA) return 'AA';
+    if (pair.largeText.AA) return 'AA Large';
+    return 'Fail';
+  }
+
+  /**
+   * Describe how many checks of an audit criterion passed
+   * @private
+   * @param {Object} criterion - Criterion from buildAccessibilityAudit
+   * @returns {string} Remark (e.g., "3 of 4 pairs pass")
+   */
+  _describeCriterionResult(criterion) {
+    if (criterion.total === 0) return 'No applicable pairs';
+    if (criterion.id === '1.4.1') {
+      return criterion.passed ? 'A link color stands out from body text' : 'No link color stands out from body text';
+    }
+    return `${criterion.passed} of ${criterion.total} pairs pass`;
+  }
+
+  /**
+   * Capitalize a role or deficiency name for reports
+   * @private
+   * @param {string} name - Name (e.g., "primary" or "onPrimary")
+   * @returns {string} Capitalized name (e.g., "Primary" or "On Primary")
+   */
+  _formatRoleName(name) {
+    const words = name.replace(/([a-z0-9])([A-Z])/g, '$1 $2');
+    return words.charAt(0).toUpperCase() + words.slice(1);
+  }
+
+  /**
+   * Name the CSS custom property for a role
+   * @private
+   * @param {string} role - Role name (e.g., "onPrimary")
+   * @returns {string} Custom property name (e.g., "--color-on-primary")
+   */
+  _toCSSVariable(role) {
+    return `--color-${role.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase()}`;
+  }
+
+  /**
+   * Wrap HEX codes as color objects
+   * @private
+   * @param {Object<string, string>} hexes - HEX codes by role
+   * @returns {Object<string, {hex: string}>} Color objects by role
+   */
+  _mapColors(hexes) {
+    const colors = {};
+    for (const [role, hex] of Object.entries(hexes)) {
+      colors[role] = { hex };
+    }
+    return colors;
+  }
+
+  /**
+   * Classify the status color pairs of a palette for the contrast exports
+   * @private
+   * @param {Object} palette - Palette object
+   * @returns {Array<Object>} One entry per checked status pair {label, textRole, backgroundRole,
+   *   text, background, ratio, apca, ...classifyContrast(ratio)}
+   */
+  _classifyStatusPairs(palette) {
+    const checker = this.accessibilityChecker;
+    return checker.checkStatusColors(palette).results
+      .filter(result => result.status !== 'missing')
+      .map(result => ({
+        ...result,
+        ...checker.classifyContrast(checker.calculateContrastRatio(result.text, result.background))
+      }));
+  }
+
+  /**
+   * Escape text for HTML content and attributes
+   * @private
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  _escapeHTML(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Quote a CSV field when it contains a comma, quote or line break
+   * @private
+   * @param {string} field - Field value
+   * @returns {string} CSV-safe field
+   */
+  _escapeCSVField(field) {
+    return /[",\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+  }
+
   /**
    * Fallback clipboard copy using textarea selection
    * @private
@@ -165,4 +165,336 @@ describe('ExportManager Property Tests', () => {
       { numRuns: 100 }
     );
   });
+
+  // Feature: color-palette-tool, Property 29: CSS gradient export validity
+  // Validates: Requirements 6.2
+  it('Property 29: CSS gradient export validity - For any palette and gradient options, the output should contain a legacy gradient followed by a CSS Color 4 gradient between the chosen roles', () => {
+    const rolesArbitrary = fc.shuffledSubarray(
+      ['primary', 'secondary', 'accent', 'background', 'surface', 'text'],
+      { minLength: 2, maxLength: 4 }
+    );
+
+    fc.assert(
+      fc.property(
+        paletteArbitrary,
+        rolesArbitrary,
+        fc.constantFrom('linear', 'radial'),
+        fc.constantFrom('srgb', 'srgb-linear', 'hsl', 'oklab', 'oklch'),
+        fc.integer({ min: 2, max: 12 }),
+        (palette, roles, type, space, steps) => {
+          const cssOutput = exportManager.exportAsCSSGradient(palette, { roles, type, space, steps });
+          const lines = cssOutput.split('\n');
+
+          expect(lines[0]).toBe('.gradient {');
+          expect(lines[lines.length - 1]).toBe('}');
+
+          // Legacy fallback comes first so supporting browsers override it
+          const [fallback, modern] = lines.slice(1, 3);
+          expect(fallback).toMatch(new RegExp(`^  background-image: ${type}-gradient\\([^)]*(, #[0-9A-F]{6})+\\);$`));
+          expect(fallback).not.toContain(' in ');
+          expect(fallback.match(/#[0-9A-F]{6}/g).length).toBe(Math.max(steps, roles.length));
+
+          expect(modern).toContain(`${type}-gradient(`);
+          expect(modern).toContain(` in ${space}`);
+          roles.forEach(role => {
+            expect(modern).toContain(palette.colors[role].hex);
+          });
+
+          // Only polar spaces take a hue interpolation method
+          const longer = exportManager.exportAsCSSGradient(palette, { roles, type, space, hue: 'longer' });
+          if (['hsl', 'oklch'].includes(space)) {
+            expect(longer).toContain(` in ${space} longer hue, `);
+          } else {
+            expect(longer).not.toContain(' hue');
+            expect(longer).toContain(` in ${space}, `);
+          }
+
+          return true;
+        }
+      ),
+      { numRuns: 100 }
+    );
+
+    expect(() => exportManager.exportAsCSSGradient({ colors: { primary: { hex: '#000000' }, accent: { hex: '#FFFFFF' } } }, { type: 'conic' }))
+      .toThrow('Unknown gradient type "conic"');
+  });
+
+  // Feature: color-palette-tool, Property 31: Color names in exports
+  // Validates: Requirements 6.3
+  it('Property 31: Color names in exports - For any palette, the JSON and plain text exports should name every role color', () => {
+    fc.assert(
+      fc.property(paletteArbitrary, (palette) => {
+        const parsed = JSON.parse(exportManager.exportAsJSON(palette));
+        const text = exportManager.exportAsPlainText(palette);
+
+        Object.entries(palette.colors).forEach(([role, color]) => {
+          const name = exportManager.colorNamer.getName(color.hex);
+          expect(parsed.colorNames[role]).toBe(name);
+
+          const roleName = role.charAt(0).toUpperCase() + role.slice(1);
+          expect(text).toContain(`${roleName}: ${color.hex} (${name})`);
+        });
+
+        return true;
+      }),
+      { numRuns: 50 }
+    );
+  });
+
+  // Feature: color-palette-tool, Property 33: Wide-gamut CSS export
+  // Validates: Requirements 6.1
+  it('Property 33: Wide-gamut CSS export - For any palette, the output should declare sRGB fallbacks followed by an @supports override in the wide-gamut space', () => {
+    fc.assert(
+      fc.property(
+        paletteArbitrary,
+        fc.constantFrom('display-p3', 'rec2020'),
+        (palette, space) => {
+          const cssOutput = exportManager.exportAsWideGamutCSS(palette, { space });
+          const [fallback, wideGamut] = cssOutput.split('\n\n');
+
+          expect(fallback.startsWith(':root {')).toBe(true);
+          expect(wideGamut.startsWith(`@supports (color: color(${space} 0 0 0)) {`)).toBe(true);
+
+          Object.entries(palette.colors).forEach(([role, color]) => {
+            const hex = color.hex.toUpperCase();
+            expect(fallback).toContain(`--color-${role}: ${hex};`);
+
+            // The wide-gamut value describes the same color as its fallback
+            const value = wideGamut.match(new RegExp(`--color-${role}: (color\\(${space} [^)]*\\));`))[1];
+            expect(exportManager.colorUtility.toHex(value)).toBe(hex);
+          });
+
+          return true;
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+
+  // Feature: color-palette-tool, Property 43: Contrast matrix exports
+  // Validates: Requirements 4.2, 6.1
+  it('Property 43: Contrast matrix exports - For any palette, the CSV should list every ordered role pair and the Markdown table should hold one cell per pair', () => {
+    const checker = exportManager.accessibilityChecker;
+
+    fc.assert(
+      fc.property(paletteArbitrary, (palette) => {
+        const roles = Object.keys(palette.colors);
+
+        const csvLines = exportManager.exportContrastMatrixAsCSV(palette).split('\n');
+        expect(csvLines[0].split(',')).toHaveLength(11);
+        expect(csvLines).toHaveLength(1 + roles.length * (roles.length - 1));
+
+        csvLines.slice(1).forEach(line => {
+          const [textRole, text, backgroundRole, background, ratio, apca, ...results] = line.split(',');
+          expect(textRole).not.toBe(backgroundRole);
+          expect(text).toBe(palette.colors[textRole].hex);
+          expect(background).toBe(palette.colors[backgroundRole].hex);
+          expect(Number(ratio)).toBeCloseTo(checker.calculateContrastRatio(text, background), 1);
+          expect(Number(apca)).toBeCloseTo(checker.calculateAPCAContrast(text, background), 0);
+          results.forEach(result => expect(['PASS', 'FAIL']).toContain(result));
+          expect(results[0] === 'PASS').toBe(checker.meetsWCAG_AA(checker.calculateContrastRatio(text, background)));
+        });
+
+        const markdownLines = exportManager.exportContrastMatrixAsMarkdown(palette).split('\n');
+        const tableStart = markdownLines.findIndex(line => line.startsWith('| Text \\ Background |'));
+        const tableLines = markdownLines.slice(tableStart, tableStart + roles.length + 2);
+        expect(tableStart).toBeGreaterThan(0);
+        expect(tableLines.every(line => line.startsWith('|'))).toBe(true);
+
+        tableLines.slice(2).forEach((line, i) => {
+          const cells = line.split('|').slice(2, -1).map(cell => cell.trim());
+          expect(cells).toHaveLength(roles.length);
+          expect(cells[i]).toBe('—');
+          cells.filter((_, j) => j !== i).forEach(cell => {
+            expect(cell).toMatch(/^\d+\.\d{2}:1 · Lc -?\d+\.\d · (AAA|AA|AA Large|Fail)$/);
+          });
+        });
+
+        return true;
+      }),
+      { numRuns: 50 }
+    );
+  });
+
+  // Feature: color-palette-tool, Property 50: Accessibility audit matches the checker
+  // Validates: Requirements 4.1, 4.2, 6.1
+  it('Property 50: Accessibility audit matches the checker - For any palette, the audit should report the same pairs, ratios and link results as AccessibilityChecker', () => {
+    const checker = exportManager.accessibilityChecker;
+
+    fc.assert(
+      fc.property(paletteArbitrary, (palette) => {
+        const audit = exportManager.buildAccessibilityAudit(palette);
+        const { compliant, results } = checker.checkPairRules(palette);
+
+        expect(audit.pairs).toHaveLength(results.length);
+        audit.pairs.forEach((pair, i) => {
+          expect(pair.status).toBe(results[i].status);
+          expect(pair.ratio).toBe(results[i].ratio);
+          expect(pair.apca).toBe(results[i].apca);
+          if (pair.kind === 'non-text') {
+            expect(pair.criteria['1.4.11']).toBe(pair.status === 'pass');
+          }
+        });
+        expect(audit.links).toEqual(checker.checkLinkContrast(palette));
+
+        const conformance = Object.fromEntries(audit.criteria.map(criterion => [criterion.id, criterion.conformance]));
+        expect(conformance['1.4.1']).toBe(audit.links.some(link => link.passes) ? 'Supports' : 'Does Not Support');
+        const meetsAA = ['1.4.1', '1.4.3', '1.4.11'].every(id => ['Supports', 'Not Applicable'].includes(conformance[id]));
+        expect(audit.result).toBe(compliant && meetsAA ? 'PASS' : 'FAIL');
+
+        const markdown = exportManager.exportAccessibilityReportAsMarkdown(palette);
+        results.forEach(result => {
+          expect(markdown).toContain(`| ${result.text} | ${result.background} | ${result.ratio.toFixed(2)}:1 | ${result.apca.toFixed(1)} |`);
+        });
+
+        return true;
+      }),
+      { numRuns: 50 }
+    );
+  });
+
+  // Feature: color-palette-tool, Property 51: Self-contained accessibility report
+  // Validates: Requirements 6.1, 6.2
+  it('Property 51: Self-contained accessibility report - For any palette, the HTML and Markdown reports should carry the timestamp, CVD swatches and the palette JSON', () => {
+    fc.assert(
+      fc.property(paletteArbitrary, fc.date({ min: new Date('2000-01-01'), max: new Date('2100-01-01') }), (palette, generatedAt) => {
+        const expectedJSON = JSON.parse(exportManager.exportAsJSON(palette));
+        const html = exportManager.exportAccessibilityReportAsHTML(palette, { generatedAt });
+
+        expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+        expect(html).not.toMatch(/<link|<script[^>]*src=|<img/);
+        expect(html).toContain(`datetime="${generatedAt.toISOString()}"`);
+
+        const embedded = html.match(/<script type="application\/json" id="palette-data">([\s\S]*?)<\/script>/);
+        expect(embedded).toBeTruthy();
+        expect(JSON.parse(embedded[1])).toEqual(expectedJSON);
+
+        exportManager.colorVisionSimulator.getTypes().forEach(type => {
+          const simulated = exportManager.colorVisionSimulator.simulate(palette.colors.primary.hex, type);
+          expect(html).toContain(`background-color: ${simulated}`);
+        });
+
+        const markdown = exportManager.exportAccessibilityReportAsMarkdown(palette, { generatedAt });
+        expect(markdown).toContain(`Generated: ${generatedAt.toISOString()}`);
+        const block = markdown.match(/```json\n([\s\S]*?)\n```/);
+        expect(JSON.parse(block[1])).toEqual(expectedJSON);
+
+        return true;
+      }),
+      { numRuns: 30 }
+    );
+  });
+
+  // Feature: color-palette-tool, Property 60: Custom role schemas are exported
+  // Validates: Requirements 6.1, 6.2, 6.3
+  it('Property 60: Custom role export - For any role schema, every role should appear in the CSS, JSON and text exports', () => {
+    const rolesArb = fc.uniqueArray(
+      fc.constantFrom('primary', 'text', 'background', 'border', 'muted', 'overlay', 'onPrimary', 'onSurface', 'tertiary'),
+      { minLength: 1, maxLength: 9 }
+    );
+
+    fc.assert(
+      fc.property(rolesArb, fc.array(colorArbitrary, { minLength: 9, maxLength: 9 }), (roles, colors) => {
+        const palette = {
+          name: 'Custom Schema',
+          vibe: 'Custom roles for testing',
+          colors: Object.fromEntries(roles.map((role, i) => [role, { ...colors[i], role }]))
+        };
+
+        const css = exportManager.exportAsCSS(palette);
+        const variables = [...css.matchAll(/(--color-[a-z-]+):\s*#[0-9A-Fa-f]{6};/g)].map(match => match[1]);
+        expect(variables).toEqual(roles.map(role => `--color-${role.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase()}`));
+
+        expect(Object.keys(JSON.parse(exportManager.exportAsJSON(palette)).colors)).toEqual(roles);
+
+        const text = exportManager.exportAsPlainText(palette);
+        roles.forEach(role => {
+          expect(text).toContain(`${exportManager._formatRoleName(role)}: ${palette.colors[role].hex}`);
+        });
+        if (roles.includes('onPrimary')) {
+          expect(text).toContain('On Primary:');
+        }
+
+        return true;
+      }),
+      { numRuns: 50 }
+    );
+
+    expect(() => exportManager.exportAsCSSGradient({ colors: { text: { hex: '#000000' } } })).toThrow('Unknown palette role "primary"');
+  });
+
+  // Feature: color-palette-tool, Property 64: Status colors are exported
+  // Validates: Requirements 6.1, 6.2, 6.3
+  it('Property 64: Status color export - For any palette with status colors, every format should include them', () => {
+    const statuses = ['success', 'warning', 'error', 'info'];
+    const statusColorsArb = fc.array(colorArbitrary, { minLength: 16, maxLength: 16 }).map(colors => {
+      const statusColors = {};
+      statuses.forEach((status, i) => {
+        const name = status.charAt(0).toUpperCase() + status.slice(1);
+        [status, `on${name}`, `${status}Subtle`, `on${name}Subtle`].forEach((role, j) => {
+          statusColors[role] = { ...colors[i * 4 + j], hex: colors[i * 4 + j].hex.toUpperCase(), role };
+        });
+      });
+      return statusColors;
+    });
+
+    fc.assert(
+      fc.property(paletteArbitrary, statusColorsArb, (basePalette, statusColors) => {
+        const palette = { ...basePalette, statusColors };
+        const variable = role => `--color-${role.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase()}`;
+
+        const css = exportManager.exportAsCSS(palette);
+        const wideGamut = exportManager.exportAsWideGamutCSS(palette);
+        const text = exportManager.exportAsPlainText(palette);
+        const json = JSON.parse(exportManager.exportAsJSON(palette));
+        const csv = exportManager.exportContrastMatrixAsCSV(palette);
+        const markdown = exportManager.exportContrastMatrixAsMarkdown(palette);
+
+        Object.entries(statusColors).forEach(([role, color]) => {
+          expect(css).toContain(`${variable(role)}: ${color.hex};`);
+          expect(wideGamut).toContain(`${variable(role)}: ${color.hex};`);
+          expect(text).toContain(`${exportManager._formatRoleName(role)}: ${color.hex}`);
+          expect(json.statusColors[role]).toBe(color.hex);
+          expect(json.colorNames[role]).toBe(exportManager.colorNamer.getName(color.hex));
+        });
+        expect(Object.keys(json.statusColors)).toEqual(Object.keys(statusColors));
+
+        // Contrast exports and the audit carry the status checks
+        const { results } = exportManager.accessibilityChecker.checkStatusColors(palette);
+        results.forEach(result => {
+          expect(csv).toContain(`${result.textRole},${result.text},${result.backgroundRole},${result.background},${result.ratio.toFixed(2)}`);
+          expect(markdown).toContain(`| ${result.label} |`);
+        });
+
+        const audit = exportManager.buildAccessibilityAudit(palette);
+        const statusPairs = audit.pairs.slice(-results.length);
+        expect(statusPairs.map(pair => pair.status)).toEqual(results.map(result => result.status));
+        if (results.some(result => result.status === 'fail')) {
+          expect(audit.result).toBe('FAIL');
+        }
+        expect(JSON.parse(audit.json).statusColors).toEqual(json.statusColors);
+
+        // Color vision simulations cover the status colors in the audit and both reports
+        const html = exportManager.exportAccessibilityReportAsHTML(palette);
+        const report = exportManager.exportAccessibilityReportAsMarkdown(palette);
+        audit.simulations.forEach(({ type, statusColors: simulated }) => {
+          Object.entries(statusColors).forEach(([role, color]) => {
+            expect(simulated[role]).toBe(exportManager.colorVisionSimulator.simulate(color.hex, type));
+            expect(html).toContain(`background-color: ${simulated[role]}`);
+          });
+        });
+        Object.entries(statusColors).forEach(([role, color]) => {
+          const row = `| ${exportManager._formatRoleName(role)} | ${color.hex} | `
+            + `${audit.simulations.map(simulation => simulation.statusColors[role]).join(' | ')} |`;
+          expect(report).toContain(row);
+        });
+
+        expect(exportManager.exportAsCSSGradient(palette, { roles: ['success', 'error'] }))
+          .toContain(`${statusColors.success.hex}, ${statusColors.error.hex})`);
+
+        return true;
+      }),
+      { numRuns: 30 }
+    );
+  });
 });
@@ -293,5 +293,63 @@ describe('Invalid Input Error Handling - Property-Based Tests', () => {
         { numRuns: 100 }
       );
     });
+
+    it('should reject brand colors that are not HEX codes and accept valid ones', () => {
+      const hexArbitrary = fc.tuple(
+        fc.constantFrom(3, 6),
+        fc.array(fc.constantFrom(...'0123456789abcdefABCDEF'), { minLength: 6, maxLength: 6 })
+      ).map(([length, digits]) => `#${digits.slice(0, length).join('')}`);
+      const notHexArbitrary = fc.string({ minLength: 1, maxLength: 10 })
+        .filter(s => !/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(s));
+      const baseFormData = { appType: 'saas', purpose: 'Billing dashboard', colorMood: 'cool' };
+
+      fc.assert(
+        fc.property(
+          fc.array(hexArbitrary, { minLength: 1, maxLength: 3 }),
+          notHexArbitrary,
+          fc.nat(),
+          (brandColors, notHex, position) => {
+            expect(validateForm({ ...baseFormData, brandColors }).isValid).toBe(true);
+
+            const withInvalid = [...brandColors];
+            withInvalid.splice(position % (brandColors.length + 1), 0, notHex);
+            const validation = validateForm({ ...baseFormData, brandColors: withInvalid });
+
+            expect(validation.isValid).toBe(false);
+            expect(Object.keys(validation.errors)).toEqual(['brandColors']);
+
+            clearErrors();
+            displayErrors(validation.errors);
+            expect(document.getElementById('brandColorsError').textContent).toBe(validation.errors.brandColors);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should reject seeds that are not whole numbers from 0 to 4294967295', () => {
+      const baseFormData = { appType: 'saas', purpose: 'Billing dashboard', colorMood: 'cool' };
+      const invalidSeedArbitrary = fc.oneof(
+        fc.integer({ max: -1 }),
+        fc.double({ noNaN: true }).filter(n => !Number.isInteger(n)),
+        fc.integer({ min: 0x100000000, max: Number.MAX_SAFE_INTEGER }),
+        fc.string({ minLength: 1, maxLength: 10 })
+      );
+
+      fc.assert(
+        fc.property(fc.integer({ min: 0, max: 0xFFFFFFFF }), invalidSeedArbitrary, (seed, invalidSeed) => {
+          expect(validateForm({ ...baseFormData, seed }).isValid).toBe(true);
+
+          const validation = validateForm({ ...baseFormData, seed: invalidSeed });
+          expect(validation.isValid).toBe(false);
+          expect(Object.keys(validation.errors)).toEqual(['seed']);
+
+          clearErrors();
+          displayErrors(validation.errors);
+          expect(document.getElementById('seedError').textContent).toBe(validation.errors.seed);
+        }),
+        { numRuns: 100 }
+      );
+    });
   });
 });
@@ -3,37 +3,231 @@
  * 
  * Displays generated palettes with color swatches, HEX codes, roles,
  * usage suggestions, accessibility information, and implementation tips.
+ * Palettes can be viewed as they appear with a color vision deficiency, every
+ * role pair is grouped by what it is safe for at a WCAG level, and a full
+ * role-by-role contrast matrix can be explored. Colors can be locked so that
+ * regenerating a palette only rerolls the unlocked roles. The random seed
+ * behind the palettes is shown so results can be reproduced, and a shuffle
+ * action asks for new variations. Status colors are previewed as labels and
+ * alerts with their contrast checks.
  * 
  * Requirements: 2.2, 2.3, 2.4, 2.5, 4.2, 4.4, 5.3, 7.1, 7.2, 7.3
  */
 
+// Import dependencies for ES6 modules
+import ColorNamer from './color-namer.js';
+import ColorVisionSimulator from './color-vision-simulator.js';
+import AccessibilityChecker from './accessibility-checker.js';
+
+// Options for the color vision simulation toggle
+const VISION_OPTIONS = [
+  { value: '', label: 'Normal vision' },
+  { value: 'protanopia', label: 'Protanopia (red-blind)' },
+  { value: 'deuteranopia', label: 'Deuteranopia (green-blind)' },
+  { value: 'tritanopia', label: 'Tritanopia (blue-blind)' },
+  { value: 'achromatopsia', label: 'Achromatopsia (no color)' }
+];
+
+// Options for the WCAG conformance level toggle
+const LEVEL_OPTIONS = [
+  { value: 'AA', label: 'WCAG AA' },
+  { value: 'AAA', label: 'WCAG AAA' }
+];
+
+// Headings for each contrast usage group, most demanding first
+const USAGE_GROUPS = [
+  { usage: 'body-text', label: 'Body text' },
+  { usage: 'headings', label: 'Headings only' },
+  { usage: 'non-text', label: 'Borders and icons only' }
+];
+
 class PaletteDisplay {
   /**
    * Create a new PaletteDisplay instance
    * @param {HTMLElement} containerElement - DOM element to render palettes into
+   * @param {Object} [options] - Display options
+   * @param {function(number, Object): Object} [options.onRegenerate] - Called with a palette
+   *   index and its locked colors {role: hex}; returns the regenerated palette. Palettes
+   *   get a regenerate button only when it is set
+   * @param {function(): Array<Object>} [options.onShuffle] - Called to generate palettes with a
+   *   new seed; returns them. The seed gets a shuffle button only when it is set
    */
-  constructor(containerElement) {
+  constructor(containerElement, { onRegenerate = null, onShuffle = null } = {}) {
     this.container = containerElement;
+    this.onRegenerate = onRegenerate;
+    this.onShuffle = onShuffle;
+    this.colorNamer = new ColorNamer();
+    this.visionSimulator = new ColorVisionSimulator();
+    this.accessibilityChecker = new AccessibilityChecker();
+    this.palettes = [];
+    this.simulation = null;
+    this.contrastLevel = 'AA';
   }
 
   /**
    * Render all palettes to the DOM
+   * With a vision simulation selected, palettes are shown as simulated.
    * @param {Array<Object>} palettes - Array of palette objects to render
    */
   render(palettes) {
     // Clear existing content
     this.clear();
+    this.palettes = palettes;
+
+    // Vision simulation and conformance level toggles above the palettes
+    const options = document.createElement('div');
+    options.className = 'display-options';
+    options.appendChild(this.renderSimulationToggle());
+    options.appendChild(this.renderContrastLevelToggle());
+    if (palettes.length > 0 && palettes[0].seed !== undefined) {
+      options.appendChild(this.renderSeed(palettes[0].seed));
+    }
+    this.container.appendChild(options);
 
     // Render each palette
     palettes.forEach((palette, index) => {
-      this.renderPalette(palette, index);
+      const displayed = this.simulation
+        ? this.visionSimulator.simulatePalette(palette, this.simulation)
+        : palette;
+      this.renderPalette(displayed, index);
+    });
+  }
+
+  /**
+   * Switch the color vision simulation and re-render the current palettes
+   * @param {string|null} type - Deficiency type (e.g., 'protanopia'), or null for normal vision
+   */
+  setSimulation(type) {
+    this.simulation = type || null;
+    this._rerender('visionSimulation');
+  }
+
+  /**
+   * Switch the WCAG conformance level for usage groups and re-render
+   * @param {string} level - "AA" or "AAA"
+   */
+  setContrastLevel(level) {
+    this.contrastLevel = level;
+    this._rerender('contrastLevel');
+  }
+
+  /**
+   * Replace the palettes with a new variation from the onShuffle callback
+   */
+  shuffle() {
+    if (!this.onShuffle) return;
+
+    this.palettes = this.onShuffle();
+    this._rerender('shuffleButton');
+  }
+
+  /**
+   * Render the random seed behind the palettes, with a shuffle button
+   * @param {number} seed - Seed the palettes were generated with
+   * @returns {HTMLElement} Seed element
+   */
+  renderSeed(seed) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'palette-seed';
+
+    const label = document.createElement('span');
+    label.className = 'seed-label';
+    label.textContent = 'Seed';
+
+    const value = document.createElement('code');
+    value.className = 'seed-value';
+    value.textContent = String(seed);
+    value.title = 'Enter this seed in the form to get these palettes again';
+
+    wrapper.appendChild(label);
+    wrapper.appendChild(value);
+
+    if (this.onShuffle) {
+      const shuffleButton = document.createElement('button');
+      shuffleButton.type = 'button';
+      shuffleButton.className = 'shuffle-button';
+      shuffleButton.id = 'shuffleButton';
+      shuffleButton.textContent = 'Shuffle';
+      shuffleButton.addEventListener('click', () => this.shuffle());
+      wrapper.appendChild(shuffleButton);
+    }
+
+    return wrapper;
+  }
+
+  /**
+   * Lock or unlock a role so that regenerating the palette keeps its color
+   * The lock is stored on the palette color as `locked`.
+   * @param {number} index - Palette index
+   * @param {string} role - Color role name
+   * @returns {boolean} Whether the role is now locked
+   */
+  toggleLock(index, role) {
+    const color = this.palettes[index].colors[role];
+    color.locked = !color.locked;
+
+    const button = this.container.querySelector(
+      `.palette-card[data-palette-index="${index}"] .color-lock[data-role="${role}"]`
+    );
+    if (button) {
+      this._updateLockButton(button, color.locked);
+    }
+
+    return color.locked;
+  }
+
+  /**
+   * Regenerate a palette's unlocked colors and re-render
+   * @param {number} index - Palette index
+   */
+  regeneratePalette(index) {
+    if (!this.onRegenerate) return;
+
+    const lockedColors = {};
+    for (const [role, color] of Object.entries(this.palettes[index].colors)) {
+      if (color.locked) {
+        lockedColors[role] = color.hex;
+      }
+    }
+
+    this.palettes[index] = this.onRegenerate(index, lockedColors);
+    this._rerender(`regenerate-${index}`);
+  }
+
+  /**
+   * Render the color vision simulation toggle
+   * @returns {HTMLElement} Toggle element with a labeled select
+   */
+  renderSimulationToggle() {
+    return this._renderSelect({
+      className: 'vision-simulation',
+      id: 'visionSimulation',
+      label: 'Preview as',
+      options: VISION_OPTIONS,
+      selected: this.simulation || '',
+      onChange: (value) => this.setSimulation(value)
+    });
+  }
+
+  /**
+   * Render the WCAG conformance level toggle
+   * @returns {HTMLElement} Toggle element with a labeled select
+   */
+  renderContrastLevelToggle() {
+    return this._renderSelect({
+      className: 'contrast-level',
+      id: 'contrastLevel',
+      label: 'Conformance level',
+      options: LEVEL_OPTIONS,
+      selected: this.contrastLevel,
+      onChange: (value) => this.setContrastLevel(value)
     });
   }
 
   /**
    * Render a single palette
    * @param {Object} palette - Palette object to render
-   * @param {number} index - Palette index (0-2)
+   * @param {number} index - Palette index
    */
   renderPalette(palette, index) {
     const paletteCard = document.createElement('div');
@@ -47,29 +241,62 @@ class PaletteDisplay {
       <h3 class="palette-name">${this._escapeHtml(palette.name)}</h3>
       <p class="palette-vibe">${this._escapeHtml(palette.vibe)}</p>
     `;
+    if (palette.simulation) {
+      const simulationNote = document.createElement('p');
+      simulationNote.className = 'simulation-note';
+      simulationNote.textContent = `Simulated ${palette.simulation.type} view`;
+      header.appendChild(simulationNote);
+    }
     paletteCard.appendChild(header);
 
     // Colors section
     const colorsSection = document.createElement('div');
     colorsSection.className = 'palette-colors';
     
-    // Render each color
-    const colorRoles = ['primary', 'secondary', 'accent', 'background', 'surface', 'text'];
-    colorRoles.forEach(role => {
-      if (palette.colors[role]) {
-        const colorElement = this.renderColor(palette.colors[role], role);
-        colorsSection.appendChild(colorElement);
-      }
+    // Render each color in the palette's role order
+    Object.entries(palette.colors).forEach(([role, color]) => {
+      colorsSection.appendChild(this.renderColor(color, role, index));
     });
     
     paletteCard.appendChild(colorsSection);
 
+    // Reroll the unlocked colors
+    if (this.onRegenerate) {
+      const regenerateButton = document.createElement('button');
+      regenerateButton.type = 'button';
+      regenerateButton.className = 'regenerate-button';
+      regenerateButton.id = `regenerate-${index}`;
+      regenerateButton.textContent = 'Regenerate unlocked colors';
+      regenerateButton.addEventListener('click', () => this.regeneratePalette(index));
+      paletteCard.appendChild(regenerateButton);
+    }
+
+    // Success, warning, error and info colors
+    if (palette.statusColors) {
+      paletteCard.appendChild(this.renderStatusColors(palette));
+    }
+
     // Accessibility information
     if (palette.accessiblePairs && palette.accessiblePairs.length > 0) {
       const accessibilitySection = this.renderAccessibilityInfo(palette.accessiblePairs);
       paletteCard.appendChild(accessibilitySection);
     }
 
+    // Compliance of the role pairs the palette is meant to layer
+    paletteCard.appendChild(this.renderPairRules(palette));
+
+    // Whether primary or accent links stand out from body text
+    const linkSection = this.renderLinkContrast(palette);
+    if (linkSection) {
+      paletteCard.appendChild(linkSection);
+    }
+
+    // Which pairs work for body text, headings, or borders and icons
+    paletteCard.appendChild(this.renderContrastUsage(palette));
+
+    // Every ordered role pair with ratio, APCA and pass/fail per level
+    paletteCard.appendChild(this.renderContrastMatrix(palette));
+
     // Implementation tips
     const tipsSection = this.renderImplementationTips(palette);
     paletteCard.appendChild(tipsSection);
@@ -79,12 +306,15 @@ class PaletteDisplay {
   }
 
   /**
-   * Render a single color with swatch, HEX code, role, and usage
-   * @param {Object} color - Color object {hex, role, usage}
+   * Render a single color with swatch, HEX code, name, role, and usage
+   * Simulated colors paint the swatch in the simulated color but keep the
+   * real HEX code and name. With a palette index, a lock toggle is added.
+   * @param {Object} color - Color object {hex, role, usage, originalHex?, locked?}
    * @param {string} role - Color role name
+   * @param {number} [index] - Index of the palette the color belongs to
    * @returns {HTMLElement} Color element
    */
-  renderColor(color, role) {
+  renderColor(color, role, index) {
     const colorDiv = document.createElement('div');
     colorDiv.className = 'color-item';
     colorDiv.setAttribute('data-color-role', role);
@@ -94,6 +324,7 @@ class PaletteDisplay {
     swatch.className = 'color-swatch';
     swatch.style.backgroundColor = color.hex;
     swatch.setAttribute('aria-label', `${role} color swatch`);
+    const hex = color.originalHex || color.hex;
 
     // Color info container
     const infoDiv = document.createElement('div');
@@ -104,14 +335,29 @@ class PaletteDisplay {
     roleLabel.className = 'color-role';
     roleLabel.textContent = this._formatRoleName(role);
 
+    // Brand colors are kept exactly as given
+    if (color.brand) {
+      colorDiv.setAttribute('data-brand', 'true');
+      const brandBadge = document.createElement('span');
+      brandBadge.className = 'brand-badge';
+      brandBadge.textContent = 'Brand';
+      brandBadge.title = 'Brand color, kept exactly as entered';
+      roleLabel.appendChild(brandBadge);
+    }
+
     // HEX code (clickable for copy)
     const hexCode = document.createElement('button');
     hexCode.className = 'color-hex';
-    hexCode.textContent = color.hex;
-    hexCode.setAttribute('data-hex', color.hex);
-    hexCode.setAttribute('aria-label', `Copy ${color.hex} to clipboard`);
+    hexCode.textContent = hex;
+    hexCode.setAttribute('data-hex', hex);
+    hexCode.setAttribute('aria-label', `Copy ${hex} to clipboard`);
     hexCode.title = 'Click to copy';
 
+    // Nearest human-readable color name
+    const colorName = document.createElement('div');
+    colorName.className = 'color-name';
+    colorName.textContent = this.colorNamer.getName(hex);
+
     // Usage suggestion
     const usage = document.createElement('div');
     usage.className = 'color-usage';
@@ -120,8 +366,21 @@ class PaletteDisplay {
     // Assemble color info
     infoDiv.appendChild(roleLabel);
     infoDiv.appendChild(hexCode);
+    infoDiv.appendChild(colorName);
     infoDiv.appendChild(usage);
 
+    // Lock toggle to keep this color when regenerating
+    if (index !== undefined) {
+      const lockButton = document.createElement('button');
+      lockButton.type = 'button';
+      lockButton.className = 'color-lock';
+      lockButton.setAttribute('data-role', role);
+      lockButton.setAttribute('aria-label', `Lock ${this._formatRoleName(role)} color`);
+      this._updateLockButton(lockButton, Boolean(color.locked));
+      lockButton.addEventListener('click', () => this.toggleLock(index, role));
+      infoDiv.appendChild(lockButton);
+    }
+
     // Assemble color item
     colorDiv.appendChild(swatch);
     colorDiv.appendChild(infoDiv);
@@ -167,8 +426,8 @@ class PaletteDisplay {
       description.className = 'pair-description';
       description.innerHTML = `
         <strong>Contrast Ratio: ${pair.ratio}:1</strong><br>
-        Text: <code>${pair.text}</code> on Background: <code>${pair.background}</code><br>
-        <span class="wcag-badge">${pair.ratio >= 7 ? 'WCAG AAA' : 'WCAG AA'}</span>
+        ${pair.apca !== undefined ? `<span class="apca-score">APCA: Lc ${pair.apca} (${this._describeAPCAFontSize(pair.apcaFontSize)})</span><br>` : ''}
+        Text: <code>${pair.originalText || pair.text}</code> on Background: <code>${pair.originalBackground || pair.background}</code>
       `;
 
       listItem.appendChild(preview);
@@ -181,18 +440,327 @@ class PaletteDisplay {
     // Add note about suitable colors
     const note = document.createElement('p');
     note.className = 'accessibility-note';
-    note.textContent = 'These color combinations are suitable for body text and meet WCAG accessibility standards.';
+    note.textContent = 'These color combinations are suitable for body text and meet WCAG accessibility standards. '
+      + 'APCA Lc values give a second opinion that accounts for polarity, which matters most for dark themes.';
+    section.appendChild(note);
+
+    return section;
+  }
+
+  /**
+   * Render the role pairs grouped by what they are safe for
+   * Uses normal and large text (SC 1.4.3/1.4.6) and non-text (SC 1.4.11)
+   * thresholds at the selected conformance level. Simulated palettes are
+   * grouped by their real colors but previewed in the simulated ones.
+   * @param {Object} palette - Palette object
+   * @returns {HTMLElement} Contrast usage section
+   */
+  renderContrastUsage(palette) {
+    const section = document.createElement('div');
+    section.className = 'contrast-usage-section';
+
+    const heading = document.createElement('h4');
+    heading.className = 'section-heading';
+    heading.textContent = `Where Each Pair Works (WCAG ${this.contrastLevel})`;
+    section.appendChild(heading);
+
+    const pairs = this.accessibilityChecker.classifyPairs(this._getOriginalColors(palette));
+    const shown = (hex) => this._getShownColor(palette, hex);
+
+    USAGE_GROUPS.forEach(({ usage, label }) => {
+      const group = document.createElement('div');
+      group.className = 'usage-group';
+      group.setAttribute('data-usage', usage);
+
+      const groupHeading = document.createElement('h5');
+      groupHeading.className = 'usage-heading';
+      groupHeading.textContent = label;
+      group.appendChild(groupHeading);
+
+      const groupPairs = pairs
+        .filter(pair => pair.usage[this.contrastLevel] === usage)
+        .sort((a, b) => b.ratio - a.ratio);
+
+      const list = document.createElement('ul');
+      list.className = 'usage-pairs';
+      groupPairs.forEach(pair => {
+        const item = document.createElement('li');
+        item.className = 'usage-pair';
+        item.innerHTML = `
+          <span class="usage-swatch" style="background-color: ${shown(pair.background)}; color: ${shown(pair.text)}" aria-hidden="true">Aa</span>
+          ${this._formatRoleName(pair.textRole)} on ${this._formatRoleName(pair.backgroundRole)}
+          <span class="usage-ratio">${pair.ratio}:1</span>
+        `;
+        list.appendChild(item);
+      });
+      if (groupPairs.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'usage-empty';
+        empty.textContent = 'No pairs';
+        list.appendChild(empty);
+      }
+
+      group.appendChild(list);
+      section.appendChild(group);
+    });
+
+    if (this.contrastLevel === 'AA') {
+      const note = document.createElement('p');
+      note.className = 'accessibility-note';
+      note.textContent = 'At level AA, large text and non-text contrast share the 3:1 minimum, '
+        + 'so border and icon pairs also suit headings.';
+      section.appendChild(note);
+    }
+
+    return section;
+  }
+
+  /**
+   * Render compliance with the palette's role-pair rules
+   * Uses the palette's `pairCompliance` report when present, otherwise checks
+   * the default rules against the real (unsimulated) colors. Simulated palettes
+   * are previewed in the simulated colors.
+   * @param {Object} palette - Palette object
+   * @returns {HTMLElement} Role pair requirements section
+   */
+  renderPairRules(palette) {
+    const section = document.createElement('div');
+    section.className = 'pair-rules-section';
+
+    const heading = document.createElement('h4');
+    heading.className = 'section-heading';
+    heading.textContent = 'Role Pair Requirements';
+    section.appendChild(heading);
+
+    const { results } = palette.pairCompliance
+      || this.accessibilityChecker.checkPairRules(this._getOriginalColors(palette));
+    const checked = results.filter(result => result.status !== 'missing');
+    const failing = checked.filter(result => result.status === 'fail');
+
+    const summary = document.createElement('p');
+    summary.className = 'pair-rules-summary';
+    summary.textContent = failing.length === 0
+      ? `All ${checked.length} requirements met`
+      : `${failing.length} of ${checked.length} requirements not met`;
+    section.appendChild(summary);
+
+    const list = document.createElement('ul');
+    list.className = 'pair-rules';
+    results.forEach(result => list.appendChild(this._renderPairRuleResult(palette, result)));
+
+    section.appendChild(list);
+    return section;
+  }
+
+  /**
+   * Render the status colors of a palette
+   * Each status is previewed as a label on its solid color and as an alert on
+   * its subtle tint, with copyable HEX codes and its contrast checks. Checks use
+   * the palette's `statusCompliance` report when present, otherwise the real
+   * (unsimulated) colors; their swatches follow the simulation.
+   * @param {Object} palette - Palette object with statusColors
+   * @returns {HTMLElement} Status colors section
+   */
+  renderStatusColors(palette) {
+    const section = document.createElement('div');
+    section.className = 'status-colors-section';
+
+    const heading = document.createElement('h4');
+    heading.className = 'section-heading';
+    heading.textContent = 'Status Colors';
+    section.appendChild(heading);
+
+    const { results } = palette.statusCompliance
+      || this.accessibilityChecker.checkStatusColors(this._getOriginalColors(palette));
+    const colors = palette.statusColors;
+
+    // A status is a color with a subtle tint (success, warning, ...), other than the "on" colors
+    Object.keys(colors).filter(role => colors[`${role}Subtle`] && !/^on[A-Z]/.test(role)).forEach(status => {
+      const name = this._formatRoleName(status);
+      const roles = [status, `on${name}`, `${status}Subtle`, `on${name}Subtle`];
+      const [solid, onSolid, subtle, onSubtle] = roles.map(role => colors[role] && colors[role].hex);
+
+      const item = document.createElement('div');
+      item.className = 'status-color';
+      item.setAttribute('data-status-role', status);
+      item.innerHTML = `
+        <div class="status-preview">
+          <span class="status-solid" style="background-color: ${solid}; color: ${onSolid}">${name}</span>
+          <span class="status-subtle" style="background-color: ${subtle}; color: ${onSubtle}">${name} message</span>
+        </div>
+      `;
+
+      const codes = document.createElement('div');
+      codes.className = 'status-codes';
+      roles.filter(role => colors[role]).forEach(role => {
+        const hex = colors[role].originalHex || colors[role].hex;
+        const code = document.createElement('button');
+        code.className = 'color-hex';
+        code.textContent = `${this._formatRoleName(role)} ${hex}`;
+        code.setAttribute('data-hex', hex);
+        code.setAttribute('aria-label', `Copy ${this._formatRoleName(role)} ${hex} to clipboard`);
+        code.title = colors[role].usage;
+        codes.appendChild(code);
+      });
+      item.appendChild(codes);
+
+      const checks = document.createElement('ul');
+      checks.className = 'pair-rules';
+      results
+        .filter(result => result.textRole === status || [status, `${status}Subtle`].includes(result.backgroundRole))
+        .forEach(result => checks.appendChild(this._renderPairRuleResult(palette, result)));
+      item.appendChild(checks);
+
+      section.appendChild(item);
+    });
+
+    return section;
+  }
+
+  /**
+   * Render the inline link check for primary and accent link colors
+   * Each candidate is previewed inside body text with its contrast against the
+   * text and the background, and a suggested color when it fails. Ratios use
+   * the real colors; simulated palettes are previewed in the simulated ones.
+   * @param {Object} palette - Palette object
+   * @returns {HTMLElement|null} Link contrast section, or null without text and background roles
+   */
+  renderLinkContrast(palette) {
+    const results = this.accessibilityChecker.checkLinkContrast(this._getOriginalColors(palette));
+    if (results.length === 0) return null;
+    const shown = (hex) => this._getShownColor(palette, hex);
+
+    const section = document.createElement('div');
+    section.className = 'link-contrast-section';
+
+    const heading = document.createElement('h4');
+    heading.className = 'section-heading';
+    heading.textContent = 'Inline Links';
+    section.appendChild(heading);
+
+    const list = document.createElement('ul');
+    list.className = 'link-checks';
+    results.forEach(result => {
+      const item = document.createElement('li');
+      item.className = 'link-check';
+      item.setAttribute('data-link-role', result.role);
+      item.setAttribute('data-status', result.passes ? 'pass' : 'fail');
+
+      let advice = '';
+      if (!result.passes) {
+        advice = result.suggestion
+          ? `<p class="link-suggestion">Try <span class="link-suggestion-swatch" style="background-color: ${shown(result.suggestion)}" aria-hidden="true"></span><code>${result.suggestion}</code> for links, or underline them.</p>`
+          : '<p class="link-suggestion">No shade of this hue works between the text and background; underline links instead.</p>';
+      }
+
+      item.innerHTML = `
+        <p class="link-preview" style="background-color: ${shown(result.background)}; color: ${shown(result.text)}">
+          Body text with <span style="color: ${shown(result.link)}">a ${this._formatRoleName(result.role).toLowerCase()} link</span> inside it.
+        </p>
+        <p class="link-ratios">
+          Link vs text: ${result.textRatio}:1 (needs 3:1) · Link vs background: ${result.backgroundRatio}:1 (needs 4.5:1)
+          <span class="link-result">${result.passes ? 'Pass' : 'Fail'}</span>
+        </p>
+        ${advice}
+      `;
+      list.appendChild(item);
+    });
+    section.appendChild(list);
+
+    const note = document.createElement('p');
+    note.className = 'accessibility-note';
+    note.textContent = 'Links told apart by color alone (WCAG 1.4.1, technique G183) also need '
+      + 'an underline or other cue on hover and focus.';
     section.appendChild(note);
 
     return section;
   }
 
+  /**
+   * Render the role-by-role contrast matrix
+   * Rows are text roles and columns are background roles. Each cell is a
+   * button; selecting it shows the pair's ratio, APCA contrast and pass/fail
+   * for every success criterion below the grid. Figures use the real colors;
+   * simulated palettes are previewed in the simulated ones.
+   * @param {Object} palette - Palette object
+   * @returns {HTMLElement} Collapsible contrast matrix section
+   */
+  renderContrastMatrix(palette) {
+    const section = document.createElement('details');
+    section.className = 'contrast-matrix-section';
+
+    const summary = document.createElement('summary');
+    summary.className = 'section-heading';
+    summary.textContent = 'Contrast Matrix';
+    section.appendChild(summary);
+
+    const { roles, rows } = this.accessibilityChecker.buildContrastMatrix(this._getOriginalColors(palette));
+
+    const table = document.createElement('table');
+    table.className = 'contrast-matrix';
+    table.innerHTML = `
+      <caption>Text role (rows) on background role (columns)</caption>
+      <thead>
+        <tr>
+          <td></td>
+          ${roles.map(role => `<th scope="col">${this._formatRoleName(role)}</th>`).join('')}
+        </tr>
+      </thead>
+    `;
+
+    const detail = document.createElement('div');
+    detail.className = 'matrix-detail';
+    detail.setAttribute('aria-live', 'polite');
+    detail.textContent = 'Select a cell to see how the pair performs.';
+
+    const body = document.createElement('tbody');
+    rows.forEach((row, i) => {
+      const tableRow = document.createElement('tr');
+      tableRow.innerHTML = `<th scope="row">${this._formatRoleName(roles[i])}</th>`;
+
+      row.forEach(pair => {
+        const cell = document.createElement('td');
+        if (!pair) {
+          cell.className = 'matrix-empty';
+          cell.textContent = '—';
+          tableRow.appendChild(cell);
+          return;
+        }
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'matrix-cell';
+        button.setAttribute('data-usage', pair.usage.AA);
+        button.style.backgroundColor = this._getShownColor(palette, pair.background);
+        button.style.color = this._getShownColor(palette, pair.text);
+        button.setAttribute('aria-label',
+          `${this._formatRoleName(pair.textRole)} on ${this._formatRoleName(pair.backgroundRole)}: ${pair.ratio} to 1`);
+        button.innerHTML = `<span class="matrix-ratio">${pair.ratio}</span><span class="matrix-apca">Lc ${pair.apca}</span>`;
+        button.addEventListener('click', () => {
+          detail.innerHTML = this._describeMatrixPair(pair);
+        });
+
+        cell.appendChild(button);
+        tableRow.appendChild(cell);
+      });
+
+      body.appendChild(tableRow);
+    });
+    table.appendChild(body);
+
+    section.appendChild(table);
+    section.appendChild(detail);
+
+    return section;
+  }
+
   /**
    * Render implementation tips section
    * @param {Object} palette - Palette object
    * @returns {HTMLElement} Implementation tips section
    */
   renderImplementationTips(palette) {
+    const hex = (role) => palette.colors[role].originalHex || palette.colors[role].hex;
     const section = document.createElement('div');
     section.className = 'implementation-section';
 
@@ -205,24 +773,27 @@ class PaletteDisplay {
     tipsList.className = 'implementation-tips';
 
     // Tip 1: CSS Variables
+    const variables = Object.keys(palette.colors)
+      .map(role => `  ${this._toCSSVariable(role)}: ${hex(role)};`)
+      .join('\n');
     const tip1 = document.createElement('li');
     tip1.innerHTML = `
       <strong>CSS Variables:</strong> Define these colors as CSS custom properties in your root stylesheet:
       <pre><code>:root {
-  --color-primary: ${palette.colors.primary.hex};
-  --color-secondary: ${palette.colors.secondary.hex};
-  --color-accent: ${palette.colors.accent.hex};
+${variables}
 }</code></pre>
     `;
     tipsList.appendChild(tip1);
 
     // Tip 2: Primary color usage
-    const tip2 = document.createElement('li');
-    tip2.innerHTML = `
-      <strong>Primary Color:</strong> Use <code>${palette.colors.primary.hex}</code> for main call-to-action buttons, 
-      links, and key branding elements to create visual hierarchy.
-    `;
-    tipsList.appendChild(tip2);
+    if (palette.colors.primary) {
+      const tip2 = document.createElement('li');
+      tip2.innerHTML = `
+        <strong>Primary Color:</strong> Use <code>${hex('primary')}</code> for main call-to-action buttons, 
+        links, and key branding elements to create visual hierarchy.
+      `;
+      tipsList.appendChild(tip2);
+    }
 
     // Tip 3: Consistency
     const tip3 = document.createElement('li');
@@ -247,11 +818,179 @@ class PaletteDisplay {
   /**
    * Format role name for display
    * @private
-   * @param {string} role - Role name (e.g., 'primary')
-   * @returns {string} Formatted role name (e.g., 'Primary')
+   * @param {string} role - Role name (e.g., 'primary' or 'onPrimary')
+   * @returns {string} Formatted role name (e.g., 'Primary' or 'On Primary')
    */
   _formatRoleName(role) {
-    return role.charAt(0).toUpperCase() + role.slice(1);
+    const words = role.replace(/([a-z0-9])([A-Z])/g, '$1 $2');
+    return words.charAt(0).toUpperCase() + words.slice(1);
+  }
+
+  /**
+   * Name the CSS custom property for a role
+   * @private
+   * @param {string} role - Role name (e.g., 'onPrimary')
+   * @returns {string} Custom property name (e.g., '--color-on-primary')
+   */
+  _toCSSVariable(role) {
+    return `--color-${role.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase()}`;
+  }
+
+  /**
+   * Describe the smallest font size an APCA contrast supports
+   * @private
+   * @param {number|null} fontSize - Minimum font size in pixels at weight 400, or null
+   * @returns {string} Short description (e.g., 'text from 18px')
+   */
+  _describeAPCAFontSize(fontSize) {
+    return fontSize === null || fontSize === undefined
+      ? 'too low for text'
+      : `text from ${fontSize}px`;
+  }
+
+  /**
+   * Describe a contrast matrix cell in full
+   * @private
+   * @param {Object} pair - Classified pair (see AccessibilityChecker.classifyPairs)
+   * @returns {string} HTML with ratio, APCA and pass/fail per success criterion
+   */
+  _describeMatrixPair(pair) {
+    const result = (passes) => (passes ? 'Pass' : 'Fail');
+
+    return `
+      <strong>${this._formatRoleName(pair.textRole)} on ${this._formatRoleName(pair.backgroundRole)}</strong>
+      (<code>${pair.text}</code> on <code>${pair.background}</code>)<br>
+      Contrast Ratio: ${pair.ratio}:1 · APCA: Lc ${pair.apca}
+      <ul class="matrix-levels">
+        <li>Normal text AA (4.5:1): ${result(pair.normalText.AA)}</li>
+        <li>Normal text AAA (7:1): ${result(pair.normalText.AAA)}</li>
+        <li>Large text AA (3:1): ${result(pair.largeText.AA)}</li>
+        <li>Large text AAA (4.5:1): ${result(pair.largeText.AAA)}</li>
+        <li>Non-text AA (3:1): ${result(pair.nonText)}</li>
+      </ul>
+    `;
+  }
+
+  /**
+   * Get a palette's real role colors
+   * Simulated palettes keep the real colors as originalHex.
+   * @private
+   * @param {Object} palette - Palette object
+   * @returns {{colors: Object<string, string>, statusColors?: Object<string, string>}}
+   *   Palette-shaped object of HEX codes
+   */
+  _getOriginalColors(palette) {
+    const toHexes = (entries) => Object.fromEntries(
+      Object.entries(entries).map(([role, color]) => [role, color.originalHex || color.hex])
+    );
+    const original = { colors: toHexes(palette.colors) };
+    if (palette.statusColors) {
+      original.statusColors = toHexes(palette.statusColors);
+    }
+    return original;
+  }
+
+  /**
+   * Get the color to paint for a real color of a palette
+   * @private
+   * @param {Object} palette - Palette object (simulated palettes carry `simulation`)
+   * @param {string} hex - Real HEX color code
+   * @returns {string} The simulated HEX code for simulated palettes, otherwise hex
+   */
+  _getShownColor(palette, hex) {
+    if (!palette.simulation) return hex;
+    const { type, severity } = palette.simulation;
+    return this.visionSimulator.simulate(hex, type, severity);
+  }
+
+  /**
+   * Render one role-pair check result as a list item
+   * The swatch is painted in the palette's simulated colors, if any.
+   * @private
+   * @param {Object} palette - Palette object the result was checked for
+   * @param {Object} result - Result from AccessibilityChecker.checkPairRules
+   * @returns {HTMLElement} List item with swatch, roles, ratio and status
+   */
+  _renderPairRuleResult(palette, result) {
+    const item = document.createElement('li');
+    item.className = 'pair-rule';
+    item.setAttribute('data-status', result.status);
+
+    const required = `needs ${result.required}:1 (${result.level}${result.kind === 'text' ? '' : `, ${result.kind}`})`;
+    item.innerHTML = result.status === 'missing'
+      ? `
+        <span class="pair-rule-label">${result.label}</span>
+        <span class="pair-rule-result">Role missing</span>
+      `
+      : `
+        <span class="usage-swatch" style="background-color: ${this._getShownColor(palette, result.background)}; color: ${this._getShownColor(palette, result.text)}" aria-hidden="true">Aa</span>
+        <span class="pair-rule-label">${result.label}: ${this._formatRoleName(result.textRole)} on ${this._formatRoleName(result.backgroundRole)}</span>
+        <span class="pair-rule-ratio">${result.ratio}:1, ${required}</span>
+        <span class="pair-rule-result">${result.status === 'pass' ? 'Pass' : 'Fail'}</span>
+      `;
+    return item;
+  }
+
+  /**
+   * Render a labeled select that updates a display option
+   * @private
+   * @param {Object} config - Select configuration
+   * @param {string} config.className - Wrapper class name
+   * @param {string} config.id - Select id (the label points at it)
+   * @param {string} config.label - Label text
+   * @param {Array<{value: string, label: string}>} config.options - Select options
+   * @param {string} config.selected - Currently selected value
+   * @param {function(string): void} config.onChange - Called with the new value
+   * @returns {HTMLElement} Wrapper with label and select
+   */
+  _renderSelect({ className, id, label, options, selected, onChange }) {
+    const wrapper = document.createElement('div');
+    wrapper.className = className;
+
+    const labelElement = document.createElement('label');
+    labelElement.setAttribute('for', id);
+    labelElement.textContent = label;
+
+    const select = document.createElement('select');
+    select.id = id;
+    options.forEach(({ value, label: text }) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      option.selected = value === selected;
+      select.appendChild(option);
+    });
+    select.addEventListener('change', () => onChange(select.value));
+
+    wrapper.appendChild(labelElement);
+    wrapper.appendChild(select);
+
+    return wrapper;
+  }
+
+  /**
+   * Show a lock toggle's state
+   * @private
+   * @param {HTMLElement} button - Lock toggle button
+   * @param {boolean} locked - Whether the color is locked
+   */
+  _updateLockButton(button, locked) {
+    button.setAttribute('aria-pressed', String(locked));
+    button.textContent = locked ? 'Locked' : 'Lock';
+  }
+
+  /**
+   * Re-render the current palettes and keep keyboard focus on a toggle
+   * @private
+   * @param {string} focusId - Id of the toggle to focus after rendering
+   */
+  _rerender(focusId) {
+    this.render(this.palettes);
+
+    const toggle = this.container.querySelector(`#${focusId}`);
+    if (toggle) {
+      toggle.focus();
+    }
   }
 
   /**
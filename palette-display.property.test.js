@@ -6,6 +6,7 @@
 import { describe, it, expect, beforeEach } from 'vitest';
 import * as fc from 'fast-check';
 import PaletteDisplay from './palette-display.js';
+import AccessibilityChecker from './accessibility-checker.js';
 import { JSDOM } from 'jsdom';
 
 describe('PaletteDisplay Property-Based Tests', () => {
@@ -152,8 +153,8 @@ describe('PaletteDisplay Property-Based Tests', () => {
           // Should specify background color (HEX code)
           expect(descriptionText).toMatch(/Background:\s*#[0-9A-Fa-f]{6}/);
 
-          // Should have WCAG badge
-          expect(descriptionText).toMatch(/WCAG (AA|AAA)/);
+          // The usage groups replace the generic WCAG badge
+          expect(pairItem.querySelector('.wcag-badge')).toBeNull();
         });
 
         // Should have a note about suitable colors
@@ -220,4 +221,529 @@ describe('PaletteDisplay Property-Based Tests', () => {
       { numRuns: 100 }
     );
   });
+
+  /**
+   * Feature: color-palette-tool, Property 30: Color names next to HEX codes
+   * Validates: Requirements 2.3, 5.3
+   * 
+   * For any displayed color, the color item should show the nearest
+   * human-readable color name right after its HEX code.
+   */
+  it('Property 30: Every displayed color shows its nearest color name', () => {
+    fc.assert(
+      fc.property(paletteArb, (palette) => {
+        display.clear();
+        display.renderPalette(palette, 0);
+
+        const colorItems = container.querySelectorAll('.color-item');
+        colorItems.forEach(colorItem => {
+          const hexElement = colorItem.querySelector('.color-hex');
+          const nameElement = colorItem.querySelector('.color-name');
+
+          expect(nameElement).toBeTruthy();
+          expect(hexElement.nextElementSibling).toBe(nameElement);
+          expect(nameElement.textContent).toBe(display.colorNamer.getName(hexElement.textContent));
+          expect(nameElement.textContent).toMatch(/^[A-Z][a-z]*( [A-Z][a-z]*)*$/);
+        });
+
+        return true;
+      }),
+      { numRuns: 50 }
+    );
+  });
+
+  /**
+   * Feature: color-palette-tool, Property 35: APCA contrast in accessibility information
+   * Validates: Requirements 4.2, 4.4
+   * 
+   * For any accessible pair that carries an APCA contrast, the accessibility
+   * information should show its Lc value next to the WCAG 2 ratio.
+   */
+  it('Property 35: Accessibility information reports APCA contrast alongside WCAG ratios', () => {
+    const apcaPairArb = fc.record({
+      text: hexColorArb,
+      background: hexColorArb,
+      ratio: fc.double({ min: 4.5, max: 21, noNaN: true }),
+      apca: fc.integer({ min: -1080, max: 1060 }).map(lc => lc / 10),
+      apcaFontSize: fc.constantFrom(null, 14, 16, 18, 24, 48)
+    });
+
+    fc.assert(
+      fc.property(paletteArb, fc.array(apcaPairArb, { minLength: 1, maxLength: 5 }), (palette, pairs) => {
+        display.clear();
+        display.renderPalette({ ...palette, accessiblePairs: pairs }, 0);
+
+        const descriptions = container.querySelectorAll('.accessibility-pair .pair-description');
+        expect(descriptions.length).toBeGreaterThan(0);
+
+        descriptions.forEach(description => {
+          expect(description.textContent).toMatch(/Contrast Ratio:\s*[\d.]+:1/);
+
+          const apcaScore = description.querySelector('.apca-score');
+          expect(apcaScore).toBeTruthy();
+          expect(apcaScore.textContent).toMatch(/^APCA: Lc -?[\d.]+ \((text from \d+px|too low for text)\)$/);
+        });
+
+        return true;
+      }),
+      { numRuns: 50 }
+    );
+  });
+
+  /**
+   * Feature: color-palette-tool, Property 38: Color vision simulation toggle
+   * Validates: Requirements 4.2, 5.3
+   * 
+   * For any palettes and deficiency, choosing it in the toggle should repaint
+   * every swatch and contrast preview in the simulated colors while the HEX
+   * codes keep showing the real colors.
+   */
+  it('Property 38: The vision toggle re-renders swatches in simulated colors', () => {
+    const typeArb = fc.constantFrom('protanopia', 'deuteranopia', 'tritanopia', 'achromatopsia');
+    const toRgb = (hex) => {
+      const { r, g, b } = display.visionSimulator.colorUtility.hexToRgb(hex);
+      return `rgb(${r}, ${g}, ${b})`;
+    };
+
+    fc.assert(
+      fc.property(paletteArb, typeArb, (palette, type) => {
+        display.render([palette]);
+
+        const toggle = container.querySelector('.vision-simulation select#visionSimulation');
+        expect(toggle).toBeTruthy();
+        expect(container.querySelector('label[for="visionSimulation"]')).toBeTruthy();
+
+        toggle.value = type;
+        toggle.dispatchEvent(new dom.window.Event('change'));
+
+        const simulated = display.visionSimulator.simulatePalette(palette, type);
+        expect(container.querySelector('#visionSimulation').value).toBe(type);
+
+        container.querySelectorAll('.color-item').forEach(colorItem => {
+          const role = colorItem.getAttribute('data-color-role');
+          const swatch = colorItem.querySelector('.color-swatch');
+
+          expect(swatch.style.backgroundColor).toBe(toRgb(simulated.colors[role].hex));
+          expect(colorItem.querySelector('.color-hex').textContent).toBe(palette.colors[role].hex);
+        });
+
+        container.querySelectorAll('.pair-preview').forEach((preview, i) => {
+          const pair = simulated.accessiblePairs
+            .slice()
+            .sort((a, b) => b.ratio - a.ratio)[i];
+          expect(preview.style.backgroundColor).toBe(toRgb(pair.background));
+        });
+
+        // Contrast previews are painted simulated but measured on the real colors
+        const shown = (hex) => toRgb(display.visionSimulator.simulate(hex, type));
+        const real = { colors: Object.fromEntries(Object.entries(palette.colors).map(([role, color]) => [role, color.hex])) };
+        const pairs = display.accessibilityChecker.classifyPairs(real);
+
+        const usageSwatches = [...container.querySelectorAll('.usage-group')].flatMap(group => pairs
+          .filter(pair => pair.usage[display.contrastLevel] === group.getAttribute('data-usage'))
+          .sort((a, b) => b.ratio - a.ratio));
+        container.querySelectorAll('.usage-pair').forEach((item, i) => {
+          const swatch = item.querySelector('.usage-swatch');
+          expect(swatch.style.backgroundColor).toBe(shown(usageSwatches[i].background));
+          expect(swatch.style.color).toBe(shown(usageSwatches[i].text));
+          expect(item.querySelector('.usage-ratio').textContent).toBe(`${usageSwatches[i].ratio}:1`);
+        });
+
+        const cells = display.accessibilityChecker.buildContrastMatrix(real).rows.flat().filter(Boolean);
+        container.querySelectorAll('.matrix-cell').forEach((button, i) => {
+          expect(button.style.backgroundColor).toBe(shown(cells[i].background));
+          expect(button.querySelector('.matrix-ratio').textContent).toBe(`${cells[i].ratio}`);
+        });
+
+        const links = display.accessibilityChecker.checkLinkContrast(real);
+        container.querySelectorAll('.link-check').forEach((item, i) => {
+          expect(item.querySelector('.link-preview').style.backgroundColor).toBe(shown(links[i].background));
+          expect(item.querySelector('.link-preview span').style.color).toBe(shown(links[i].link));
+          expect(item.querySelector('.link-ratios').textContent).toContain(`Link vs text: ${links[i].textRatio}:1`);
+        });
+
+        const rules = display.accessibilityChecker.checkPairRules(real).results.filter(result => result.status !== 'missing');
+        const ruleSwatches = container.querySelectorAll('.pair-rules-section .pair-rule .usage-swatch');
+        expect(ruleSwatches).toHaveLength(rules.length);
+        ruleSwatches.forEach((swatch, i) => {
+          expect(swatch.style.backgroundColor).toBe(shown(rules[i].background));
+          expect(swatch.style.color).toBe(shown(rules[i].text));
+          expect(swatch.parentElement.querySelector('.pair-rule-ratio').textContent).toContain(`${rules[i].ratio}:1`);
+        });
+
+        // Switching back restores the real colors
+        display.setSimulation(null);
+        container.querySelectorAll('.color-item').forEach(colorItem => {
+          const role = colorItem.getAttribute('data-color-role');
+          expect(colorItem.querySelector('.color-swatch').style.backgroundColor)
+            .toBe(toRgb(palette.colors[role].hex));
+        });
+
+        return true;
+      }),
+      { numRuns: 30 }
+    );
+  });
+
+  /**
+   * Feature: color-palette-tool, Property 42: Contrast usage groups
+   * Validates: Requirements 4.2, 4.4
+   * 
+   * For any palette and conformance level, every role pair should be listed
+   * under exactly the usage group its contrast ratio allows, and pairs below
+   * 3:1 should not be listed.
+   */
+  it('Property 42: Role pairs are grouped by body text, headings and borders', () => {
+    fc.assert(
+      fc.property(paletteArb, fc.constantFrom('AA', 'AAA'), (palette, level) => {
+        display.render([palette]);
+        if (level !== display.contrastLevel) {
+          const toggle = container.querySelector('#contrastLevel');
+          toggle.value = level;
+          toggle.dispatchEvent(new dom.window.Event('change'));
+        }
+
+        const section = container.querySelector('.contrast-usage-section');
+        expect(section).toBeTruthy();
+        expect(section.querySelector('.section-heading').textContent).toContain(`WCAG ${level}`);
+
+        const listed = {};
+        section.querySelectorAll('.usage-group').forEach(group => {
+          listed[group.getAttribute('data-usage')] = group.querySelectorAll('.usage-pair').length;
+        });
+        expect(Object.keys(listed)).toEqual(['body-text', 'headings', 'non-text']);
+
+        const pairs = display.accessibilityChecker.classifyPairs(palette);
+        ['body-text', 'headings', 'non-text'].forEach(usage => {
+          expect(listed[usage]).toBe(pairs.filter(pair => pair.usage[level] === usage).length);
+        });
+
+        return true;
+      }),
+      { numRuns: 30 }
+    );
+
+    // At AA, a 3:1 border is listed under borders and icons only
+    display.contrastLevel = 'AA';
+    display.clear();
+    display.renderPalette({
+      name: 'Borders',
+      colors: {
+        text: { hex: '#000000', role: 'text' },
+        background: { hex: '#FFFFFF', role: 'background' },
+        border: { hex: '#949494', role: 'border' }
+      },
+      accessiblePairs: []
+    }, 0);
+    const borders = container.querySelector('.contrast-usage-section .usage-group[data-usage="non-text"]');
+    expect(borders.textContent).toContain('Border on Background');
+    expect(container.querySelectorAll('.usage-group[data-usage="headings"] .usage-pair')).toHaveLength(0);
+  });
+
+  /**
+   * Feature: color-palette-tool, Property 44: Interactive contrast matrix
+   * Validates: Requirements 4.2, 4.4
+   * 
+   * For any palette, the contrast matrix should have one row and one column
+   * per role, a cell for every ordered pair, and selecting a cell should show
+   * that pair's ratio, APCA contrast and pass/fail per level.
+   */
+  it('Property 44: The contrast matrix shows every ordered pair and details on selection', () => {
+    fc.assert(
+      fc.property(paletteArb, (palette) => {
+        display.clear();
+        display.renderPalette(palette, 0);
+
+        const roles = Object.keys(palette.colors);
+        const matrix = container.querySelector('.contrast-matrix-section .contrast-matrix');
+        expect(matrix).toBeTruthy();
+        expect(matrix.querySelectorAll('thead th')).toHaveLength(roles.length);
+        expect(matrix.querySelectorAll('tbody tr')).toHaveLength(roles.length);
+
+        const cells = matrix.querySelectorAll('.matrix-cell');
+        expect(cells).toHaveLength(roles.length * (roles.length - 1));
+        expect(matrix.querySelectorAll('.matrix-empty')).toHaveLength(roles.length);
+
+        const pairs = display.accessibilityChecker.classifyPairs(palette);
+        const index = pairs.length - 1;
+        cells[index].click();
+
+        const detail = container.querySelector('.matrix-detail');
+        expect(cells[index].textContent).toContain(String(pairs[index].ratio));
+        expect(detail.textContent).toContain(`Contrast Ratio: ${pairs[index].ratio}:1`);
+        expect(detail.textContent).toContain(`APCA: Lc ${pairs[index].apca}`);
+        expect(detail.querySelectorAll('.matrix-levels li')).toHaveLength(5);
+
+        return true;
+      }),
+      { numRuns: 30 }
+    );
+  });
+
+  /**
+   * Feature: color-palette-tool, Property 46: Role pair requirements display
+   * Validates: Requirements 4.2, 4.4
+   * 
+   * For any palette, the role pair requirements section should list one item
+   * per rule with the status the checker reports, and summarize the failures.
+   */
+  it('Property 46: Every role pair rule is listed with its compliance status', () => {
+    fc.assert(
+      fc.property(paletteArb, (palette) => {
+        display.clear();
+        display.renderPalette(palette, 0);
+
+        const { results } = display.accessibilityChecker.checkPairRules(palette);
+        const items = container.querySelectorAll('.pair-rules-section .pair-rule');
+        expect(items).toHaveLength(results.length);
+
+        items.forEach((item, i) => {
+          expect(item.getAttribute('data-status')).toBe(results[i].status);
+          expect(item.textContent).toContain(results[i].label);
+        });
+
+        const failing = results.filter(result => result.status === 'fail').length;
+        const summary = container.querySelector('.pair-rules-summary').textContent;
+        expect(summary).toContain(failing === 0 ? 'All' : `${failing} of`);
+
+        return true;
+      }),
+      { numRuns: 30 }
+    );
+  });
+
+  /**
+   * Feature: color-palette-tool, Property 49: Inline link check display
+   * Validates: Requirements 4.2, 4.4
+   * 
+   * For any palette, the inline links section should show primary and accent
+   * with their status, and show the suggested color for failing links.
+   */
+  it('Property 49: Primary and accent links are checked against body text with suggestions', () => {
+    fc.assert(
+      fc.property(paletteArb, (palette) => {
+        display.clear();
+        display.renderPalette(palette, 0);
+
+        const results = display.accessibilityChecker.checkLinkContrast(palette);
+        const items = container.querySelectorAll('.link-contrast-section .link-check');
+        expect(items).toHaveLength(2);
+
+        items.forEach((item, i) => {
+          expect(item.getAttribute('data-link-role')).toBe(results[i].role);
+          expect(item.getAttribute('data-status')).toBe(results[i].passes ? 'pass' : 'fail');
+          expect(item.textContent).toContain(`Link vs text: ${results[i].textRatio}:1`);
+
+          const suggestion = item.querySelector('.link-suggestion');
+          expect(Boolean(suggestion)).toBe(!results[i].passes);
+          if (results[i].suggestion) {
+            expect(suggestion.textContent).toContain(results[i].suggestion);
+          }
+        });
+
+        return true;
+      }),
+      { numRuns: 30 }
+    );
+  });
+
+  /**
+   * Feature: color-palette-tool, Property 55: Lock toggles and regeneration
+   * Validates: Requirements 2.2, 7.1
+   * 
+   * For any palette and set of locked roles, regenerating should pass exactly
+   * the locked colors to the callback, show the regenerated palette, and keep
+   * the locked roles' toggles pressed.
+   */
+  it('Property 55: Locked roles are passed to regeneration and stay locked', () => {
+    const roles = ['primary', 'secondary', 'accent', 'background', 'surface', 'text'];
+
+    fc.assert(
+      fc.property(paletteArb, paletteArb, fc.subarray(roles), (palette, replacement, lockedRoles) => {
+        // Without a regenerate callback there is nothing to reroll
+        display.render([palette]);
+        expect(container.querySelector('.regenerate-button')).toBeNull();
+
+        const calls = [];
+        const onRegenerate = (index, lockedColors) => {
+          calls.push({ index, lockedColors });
+          const colors = { ...replacement.colors };
+          for (const [role, hex] of Object.entries(lockedColors)) {
+            colors[role] = { ...colors[role], hex, locked: true };
+          }
+          return { ...replacement, colors };
+        };
+        const lockingDisplay = new PaletteDisplay(container, { onRegenerate });
+        lockingDisplay.render([palette]);
+
+        const lockButton = role => container.querySelector(`.color-lock[data-role="${role}"]`);
+        roles.forEach(role => expect(lockButton(role).getAttribute('aria-pressed')).toBe('false'));
+        lockedRoles.forEach(role => lockButton(role).click());
+        lockedRoles.forEach(role => expect(lockButton(role).getAttribute('aria-pressed')).toBe('true'));
+
+        container.querySelector('#regenerate-0').click();
+
+        const expectedLocks = Object.fromEntries(lockedRoles.map(role => [role, palette.colors[role].hex]));
+        expect(calls).toEqual([{ index: 0, lockedColors: expectedLocks }]);
+        expect(container.querySelector('.palette-name').textContent).toBe(replacement.name);
+        roles.forEach(role => {
+          const locked = lockedRoles.includes(role);
+          expect(lockButton(role).getAttribute('aria-pressed')).toBe(String(locked));
+          const hex = container.querySelector(`[data-color-role="${role}"] .color-hex`).getAttribute('data-hex');
+          expect(hex).toBe(locked ? palette.colors[role].hex : replacement.colors[role].hex);
+        });
+
+        return true;
+      }),
+      { numRuns: 30 }
+    );
+  });
+
+  /**
+   * Feature: color-palette-tool, Property 57: Seed display and shuffle
+   * Validates: Requirements 2.2, 7.1
+   * 
+   * For any seeded palettes, the seed should be shown above them, and
+   * shuffling should render the palettes and seed the callback returns.
+   */
+  it('Property 57: The seed is shown and shuffle renders the new variation', () => {
+    const seedArb = fc.integer({ min: 0, max: 0xFFFFFFFF });
+
+    fc.assert(
+      fc.property(paletteArb, seedArb, paletteArb, seedArb, (palette, seed, shuffled, newSeed) => {
+        // Without a shuffle callback only the seed is shown
+        display.render([{ ...palette, seed }]);
+        expect(container.querySelector('.palette-seed .seed-value').textContent).toBe(String(seed));
+        expect(container.querySelector('#shuffleButton')).toBeNull();
+
+        let calls = 0;
+        const shufflingDisplay = new PaletteDisplay(container, {
+          onShuffle: () => {
+            calls++;
+            return [{ ...shuffled, seed: newSeed }];
+          }
+        });
+        shufflingDisplay.render([{ ...palette, seed }]);
+        container.querySelector('#shuffleButton').click();
+
+        expect(calls).toBe(1);
+        expect(container.querySelector('.seed-value').textContent).toBe(String(newSeed));
+        expect(container.querySelector('.palette-name').textContent).toBe(shuffled.name);
+
+        // Palettes without a seed show none
+        display.render([palette]);
+        expect(container.querySelector('.palette-seed')).toBeNull();
+
+        return true;
+      }),
+      { numRuns: 30 }
+    );
+  });
+
+  /**
+   * Feature: color-palette-tool, Property 59: Custom role schemas are displayed
+   * Validates: Requirements 5.1, 5.3
+   * 
+   * For any palette with a custom role schema, every role should be shown in
+   * the palette's order and listed as a CSS variable in the tips.
+   */
+  it('Property 59: Every role of a custom schema is rendered in order', () => {
+    const rolesArb = fc.uniqueArray(
+      fc.constantFrom('primary', 'text', 'background', 'border', 'muted', 'overlay', 'onPrimary', 'tertiary'),
+      { minLength: 1, maxLength: 8 }
+    );
+
+    fc.assert(
+      fc.property(rolesArb, fc.array(hexColorArb, { minLength: 8, maxLength: 8 }), (roles, hexes) => {
+        const colors = Object.fromEntries(roles.map((role, i) => [role, { hex: hexes[i], role, usage: `Use for ${role}` }]));
+        display.render([{ name: 'Custom Schema', vibe: 'Custom roles for testing', colors, accessiblePairs: [] }]);
+
+        const labels = [...container.querySelectorAll('.color-role')].map(label => label.textContent);
+        expect(labels).toEqual(roles.map(role => {
+          const words = role.replace(/([a-z0-9])([A-Z])/g, '$1 $2');
+          return words.charAt(0).toUpperCase() + words.slice(1);
+        }));
+
+        const tips = container.querySelector('.implementation-tips').textContent;
+        roles.forEach(role => {
+          const variable = `--color-${role.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase()}`;
+          expect(tips).toContain(variable);
+        });
+        expect(tips.includes('Primary Color')).toBe(roles.includes('primary'));
+
+        return true;
+      }),
+      { numRuns: 50 }
+    );
+  });
+
+  /**
+   * Feature: color-palette-tool, Property 63: Status color display
+   * Validates: Requirements 4.2, 5.3
+   * 
+   * For any palette with status colors, each status should be previewed on
+   * its solid color and subtle tint with copyable codes and its checks, and a
+   * simulated view should paint the simulated colors but keep the real codes.
+   */
+  it('Property 63: Status colors are previewed with their codes and checks', () => {
+    const checker = new AccessibilityChecker();
+    const statuses = ['success', 'warning', 'error', 'info'];
+    const statusColorsArb = fc.array(hexColorArb, { minLength: 16, maxLength: 16 }).map(hexes => {
+      const colors = {};
+      statuses.forEach((status, i) => {
+        const name = status.charAt(0).toUpperCase() + status.slice(1);
+        [status, `on${name}`, `${status}Subtle`, `on${name}Subtle`].forEach((role, j) => {
+          colors[role] = { hex: hexes[i * 4 + j].toUpperCase(), role, usage: `Use for ${role}` };
+        });
+      });
+      return colors;
+    });
+
+    fc.assert(
+      fc.property(paletteArb, statusColorsArb, (palette, statusColors) => {
+        display.setSimulation(null);
+        display.render([{ ...palette, statusColors }]);
+
+        const items = [...container.querySelectorAll('.status-color')];
+        expect(items.map(item => item.getAttribute('data-status-role'))).toEqual(statuses);
+
+        const { results } = checker.checkStatusColors({ ...palette, statusColors });
+        items.forEach((item, i) => {
+          const status = statuses[i];
+          const codes = [...item.querySelectorAll('.color-hex')].map(code => code.getAttribute('data-hex'));
+          const name = status.charAt(0).toUpperCase() + status.slice(1);
+          expect(codes).toEqual([status, `on${name}`, `${status}Subtle`, `on${name}Subtle`].map(role => statusColors[role].hex));
+
+          const checks = [...item.querySelectorAll('.pair-rule')].map(check => check.getAttribute('data-status'));
+          expect(checks).toEqual(results.slice(i * 3, i * 3 + 3).map(result => result.status));
+        });
+
+        // Simulated swatches, real codes
+        display.setSimulation('deuteranopia');
+        display.render([{ ...palette, statusColors }]);
+        const toRgb = hex => `rgb(${hex.slice(1, 7).match(/../g).map(part => parseInt(part, 16)).join(', ')})`;
+        const shown = hex => toRgb(display.visionSimulator.simulate(hex, 'deuteranopia'));
+        const solid = container.querySelector('.status-color .status-solid');
+        expect(solid.style.backgroundColor).toBe(shown(statusColors.success.hex));
+
+        // Status checks are painted simulated too
+        const successChecks = container.querySelectorAll('.status-color[data-status-role="success"] .pair-rule .usage-swatch');
+        const successResults = results.slice(0, 3).filter(result => result.status !== 'missing');
+        expect(successChecks).toHaveLength(successResults.length);
+        successChecks.forEach((swatch, i) => {
+          expect(swatch.style.backgroundColor).toBe(shown(successResults[i].background));
+          expect(swatch.style.color).toBe(shown(successResults[i].text));
+        });
+        expect(container.querySelector('.status-codes .color-hex').getAttribute('data-hex')).toBe(statusColors.success.hex);
+
+        // Palettes without status colors show no section
+        display.setSimulation(null);
+        display.render([palette]);
+        expect(container.querySelector('.status-colors-section')).toBeNull();
+
+        return true;
+      }),
+      { numRuns: 30 }
+    );
+  });
 });
@@ -1,8 +1,12 @@
 /**
  * PaletteGenerator - Generate color palettes based on user preferences
  * 
- * Creates 3 distinct color palettes using color theory principles,
- * applying mood transformations and ensuring accessibility.
+ * Creates distinct color palettes (3 by default) using color theory principles,
+ * applying mood transformations and ensuring accessibility. Brand colors,
+ * when given, are pinned to their roles and the rest is derived from them.
+ * Variety comes from a seeded random generator, so a seed always reproduces
+ * the same palettes. Every palette also gets semantic status colors (success,
+ * warning, error, info) tuned to its temperature and saturation.
  * 
  * Requirements: 2.1, 3.1, 3.2, 3.3, 3.4, 3.5, 3.6
  */
@@ -11,6 +15,84 @@
 import ColorUtility from './color-utility.js';
 import AccessibilityChecker from './accessibility-checker.js';
 
+// Role pairs checked by the optional contrast repair step: body text on both
+// backgrounds, and background-colored labels on primary buttons
+const DEFAULT_REPAIR_PAIRS = [
+  { text: 'text', background: 'background' },
+  { text: 'text', background: 'surface' },
+  { text: 'background', background: 'primary' }
+];
+
+// Roles that brand colors given without a role fill, in order
+const BRAND_ROLES = ['primary', 'secondary', 'accent'];
+
+// Roles every mood generator produces, and the default role schema
+const DEFAULT_ROLES = ['primary', 'secondary', 'accent', 'background', 'surface', 'text'];
+
+// Usage suggestions for the extra roles a schema can ask for
+const EXTRA_ROLE_USAGE = {
+  tertiary: 'Use for tertiary actions and decorative accents',
+  border: 'Use for borders, dividers and input outlines',
+  muted: 'Use for secondary text, captions and placeholders',
+  overlay: 'Use at 40-60% opacity behind modals and drawers'
+};
+
+// Conventional OKLCH hues of the status colors: green, amber, red and blue
+const STATUS_HUES = {
+  success: 145,
+  warning: 75,
+  error: 27,
+  info: 250
+};
+
+// Usage suggestions for the status colors
+const STATUS_USAGE = {
+  success: 'Use for success messages, confirmations and completed states',
+  warning: 'Use for warnings and states that need attention',
+  error: 'Use for errors, invalid fields and destructive actions',
+  info: 'Use for informational messages and tips'
+};
+
+// Status hues move up to this many degrees toward orange in warm palettes
+// and away from it in cool ones
+const STATUS_HUE_SHIFT = 10;
+const WARM_HUE = 50;
+
+// Status chroma follows the palette's, within a range that keeps the
+// colors recognizable in muted palettes and calm in vivid ones
+const STATUS_CHROMA = { min: 0.08, max: 0.2, neutral: 0.12 };
+
+// OKLCH lightness of solid status colors on light and dark backgrounds
+// (amber only reads as amber when it is light)
+const STATUS_LIGHTNESS = {
+  light: { success: 0.55, warning: 0.7, error: 0.55, info: 0.55 },
+  dark: { success: 0.75, warning: 0.8, error: 0.7, info: 0.72 }
+};
+
+// Limits on the number of palettes per generation
+const MIN_PALETTE_COUNT = 1;
+const MAX_PALETTE_COUNT = 24;
+
+// Harmonies for palettes built around brand or locked colors: palettes start
+// at a seeded offset and rerolls step through the rest
+const PINNED_HARMONIES = ['analogous', 'complementary', 'triadic', 'split-complementary', 'tetradic', 'square'];
+
+// Hue step between rerolls (the golden angle), so successive hues stay spread out
+const GOLDEN_ANGLE = 137.508;
+
+// Roles whose hue says nothing about the palette: they never anchor it and
+// brand colors given without a role never fill them
+const NEUTRAL_ROLES = ['background', 'surface', 'text', 'border', 'muted', 'overlay'];
+
+// Pinned colors at or below this OKLCH chroma are greys and never anchor a palette
+const NEUTRAL_CHROMA = 0.03;
+
+// Largest random shift, in degrees, of each palette's seed hue from even spacing
+const HUE_JITTER = 30;
+
+// Seeds are unsigned 32-bit integers
+const MAX_SEED = 0xFFFFFFFF;
+
 class PaletteGenerator {
   constructor() {
     this.colorUtility = new ColorUtility();
@@ -18,54 +100,103 @@ class PaletteGenerator {
   }
 
   /**
-   * Generate 3 distinct palettes based on user preferences
-   * @param {Object} preferences - User preferences {appType, purpose, colorMood}
-   * @returns {Array<Object>} Array of 3 palette objects
+   * Generate distinct palettes based on user preferences
+   * When a harmony is given, hues follow the harmony scheme and the mood only
+   * sets saturation, lightness and neutrals. Each palette carries status colors
+   * as `statusColors` (see generateStatusColors), checked in `statusCompliance`.
+   * @param {Object} preferences - User preferences {appType, purpose, colorMood, harmony}
+   * @param {string|Object} [preferences.harmony] - Harmony scheme name or
+   *   {scheme, angle, space} (see ColorUtility.generateHarmony)
+   * @param {boolean} [preferences.tonalScales=false] - Attach a 50-950 tonal scale
+   *   to every role as `scale`
+   * @param {boolean|string|number|Object} [preferences.repairContrast=false] - Fix failing
+   *   role pairs with AccessibilityChecker.repairContrast: true for AA, a target ("AA",
+   *   "AAA" or an APCA Lc), or {target, pairs, fixedRoles}. The report is attached
+   *   as `contrastRepair`
+   * @param {Array<Object>} [preferences.pairRules] - Project role-pair rules (see
+   *   AccessibilityChecker.checkPairRules); the report is attached as `pairCompliance`
+   * @param {string|Array<string|Object>} [preferences.brandColors] - Brand colors to keep
+   *   exactly: CSS color strings or {color, role} (see generateBrandPalette)
+   * @param {string} [preferences.brandRole] - Role of the first brand color given without
+   *   a role; defaults to the first chromatic role of the schema (primary by default)
+   * @param {number} [preferences.seed] - Random seed (0 to 4294967295); the same seed and
+   *   preferences always give the same palettes. Defaults to a seed derived from the
+   *   application type, purpose and mood, and is attached to every palette as `seed`
+   * @param {number} [preferences.count=3] - Number of palettes (1-24)
+   * @param {string[]} [preferences.roles] - Role schema, in order. Defaults to primary,
+   *   secondary, accent, background, surface and text; any of these can be dropped, and
+   *   other roles are derived: tertiary, border, muted, overlay, "on" roles such as
+   *   onPrimary (text and icons on that role) and custom names (extra hues)
+   * @returns {Array<Object>} Array of palette objects
    */
   generate(preferences) {
-    const palettes = [];
-    const { appType, purpose, colorMood } = preferences;
-
-    // Generate base hue from application type and purpose
-    const baseHue = this._generateBaseHue(appType, purpose);
-
-    // Generate 3 distinct palettes with different approaches
-    const seeds = [baseHue, (baseHue + 120) % 360, (baseHue + 240) % 360];
+    const { harmony, brandColors, brandRole, roles } = preferences;
+    const brand = this._normalizeBrandColors(brandColors, brandRole, this._normalizeRoles(roles));
+    const { seed, hues, harmonyOffset } = this._planPalettes(preferences);
 
-    for (let i = 0; i < 3; i++) {
-      let palette;
-      
-      // Apply mood-specific generation
-      if (colorMood === 'warm') {
-        palette = this.generateWarmPalette(seeds[i]);
-      } else if (colorMood === 'cool') {
-        palette = this.generateCoolPalette(seeds[i]);
-      } else if (colorMood === 'pastel') {
-        palette = this.generatePastelPalette(seeds[i]);
-      } else if (colorMood === 'dark') {
-        palette = this.generateDarkModePalette(seeds[i]);
-      } else {
-        palette = this.generateCoolPalette(seeds[i]); // Default to cool
-      }
+    // Generate distinct palettes around evenly spaced hues
+    return hues.map((seedHue, i) => {
+      const scheme = harmony || (brand.length > 0 ? PINNED_HARMONIES[(i + harmonyOffset) % PINNED_HARMONIES.length] : undefined);
+      const palette = this._buildPalette(preferences, i, seedHue, brand, scheme);
+      palette.seed = seed;
+      return palette;
+    });
+  }
 
-      // Apply application type adjustments
-      if (appType === 'professional' || appType === 'web-dashboard' || appType === 'saas') {
-        palette = this._applyProfessionalAdjustments(palette);
-      } else if (appType === 'playful' || appType === 'mobile-app') {
-        palette = this._applyPlayfulAdjustments(palette);
-      }
+  /**
+   * Regenerate one palette, keeping locked colors and rerolling the rest
+   * Locked roles keep their exact color (marked `locked: true`), brand colors
+   * stay pinned, and the other roles are derived again with the same mood (or
+   * harmony), application type, contrast repair and pair rules as generate.
+   * Each attempt gives a different variation: rerolls anchored on a locked
+   * primary, secondary or accent shift its hue by up to HUE_JITTER degrees,
+   * other rerolls rotate the palette's own seed hue, and rerolls of brand
+   * palettes step through harmony schemes. Attempt 0 without locked colors
+   * reproduces the palette from generate.
+   * @param {Object} preferences - User preferences (see generate)
+   * @param {Object<string, string|Object>} [lockedColors={}] - Partial palette of locked
+   *   roles, each a CSS color or a color object with `hex` (e.g., {primary: '#1E5EFF'})
+   * @param {Object} [options] - Regeneration options
+   * @param {number} [options.index=0] - Which of the palettes to regenerate (keeps its name)
+   * @param {number} [options.attempt=1] - Reroll counter
+   * @returns {Object} Palette object
+   */
+  regenerate(preferences, lockedColors = {}, { index = 0, attempt = 1 } = {}) {
+    const { harmony, brandColors, brandRole } = preferences;
+    const roles = this._normalizeRoles(preferences.roles);
+    const brand = this._normalizeBrandColors(brandColors, brandRole, roles);
+    const locked = this._normalizeLockedColors(lockedColors, roles);
 
-      // Generate palette name
-      palette.name = this._generatePaletteName(colorMood, appType, i);
-      palette.vibe = this._generateVibeDescription(colorMood, appType);
+    // A locked brand role keeps its brand mark, but the locked color wins
+    const pinned = [
+      ...brand.filter(({ role }) => !locked.some(entry => entry.role === role)),
+      ...locked.map(entry => (brand.some(({ role }) => role === entry.role) ? { ...entry, brand: true } : entry))
+    ];
 
-      // Find accessible pairs
-      palette.accessiblePairs = this.accessibilityChecker.findAccessiblePairs(palette);
+    const { seed, hues, harmonyOffset } = this._planPalettes(preferences);
+    if (!Number.isInteger(index) || index < 0 || index >= hues.length) {
+      throw new Error(`Palette index ${index} is out of range for ${hues.length} palettes`);
+    }
 
-      palettes.push(palette);
+    let seedHue = (hues[index] + attempt * GOLDEN_ANGLE) % 360;
+    let scheme = harmony;
+    if (brand.length > 0) {
+      // Brand palettes step through harmony schemes around the brand colors
+      if (!harmony || attempt > 0) {
+        scheme = PINNED_HARMONIES[(index + harmonyOffset + attempt) % PINNED_HARMONIES.length];
+      }
+    } else {
+      // Other palettes keep their mood generator, anchored on a locked chromatic color
+      const anchorHue = this._getAnchorHue(locked);
+      if (anchorHue !== null) {
+        const shift = ((attempt * GOLDEN_ANGLE + HUE_JITTER) % (2 * HUE_JITTER)) - HUE_JITTER;
+        seedHue = (anchorHue + shift + 360) % 360;
+      }
     }
 
-    return palettes;
+    const palette = this._buildPalette(preferences, index, seedHue, pinned, scheme);
+    palette.seed = seed;
+    return palette;
   }
 
   /**
@@ -347,6 +478,276 @@ class PaletteGenerator {
     };
   }
 
+  /**
+   * Generate a palette from a named harmony scheme
+   * Primary sits on the seed hue; secondary and accent are the next colors of
+   * the harmony. The mood picks saturation, lightness and the neutral roles.
+   * @param {number} seedHue - Base hue value (0-360)
+   * @param {string|Object} harmony - Scheme name (e.g., "split-complementary") or
+   *   {scheme, angle, count, space} (see ColorUtility.generateHarmony)
+   * @param {string} [colorMood='cool'] - Mood controlling tone ("warm", "cool", "pastel", "dark")
+   * @param {Object} [options] - Palette options
+   * @param {string} [options.primary] - Exact primary HEX code to build from instead of
+   *   the mood's tone of the seed hue
+   * @returns {Object} Palette object
+   */
+  generateHarmonyPalette(seedHue, harmony, colorMood = 'cool', { primary: primaryHex } = {}) {
+    const { scheme, ...options } = typeof harmony === 'string' ? { scheme: harmony } : harmony;
+
+    // Saturation/lightness of the primary color and the neutrals for each mood
+    const moodTones = {
+      warm: { primary: [70, 55], background: [20, 95], surface: [15, 98], text: '#1A1A1A' },
+      cool: { primary: [65, 50], background: [15, 96], surface: [10, 99], text: '#1A1A1A' },
+      pastel: { primary: [45, 75], background: [25, 95], surface: [20, 98], text: '#2A2A2A' },
+      dark: { primary: [70, 60], background: [10, 12], surface: [8, 18], text: '#F5F5F5' }
+    };
+    const tone = moodTones[colorMood] || moodTones.cool;
+
+    const primary = primaryHex || this.colorUtility.rgbToHex(
+      ...Object.values(this.colorUtility.hslToRgb(seedHue, ...tone.primary))
+    );
+
+    // Harmony colors nearest to the primary in scheme order become secondary and accent
+    const schemeColors = this.colorUtility.generateHarmony(primary, scheme, options);
+    const primaryIndex = schemeColors.indexOf(primary);
+    const harmonyColors = schemeColors
+      .map((hex, i) => ({ hex, distance: Math.abs(i - primaryIndex) }))
+      .filter(({ hex }) => hex !== primary)
+      .sort((a, b) => a.distance - b.distance)
+      .map(({ hex }) => hex);
+    const secondary = harmonyColors[0] || this.colorUtility.adjustLightness(primary, 15);
+    let accent = harmonyColors[1] || secondary;
+    if (accent === secondary) {
+      // Two-color schemes (complementary) get a deeper variant for the accent
+      accent = this.colorUtility.adjustLightness(secondary, colorMood === 'dark' ? 12 : -12);
+    }
+
+    const background = this.colorUtility.rgbToHex(
+      ...Object.values(this.colorUtility.hslToRgb(seedHue, ...tone.background))
+    );
+    
+    const surface = this.colorUtility.rgbToHex(
+      ...Object.values(this.colorUtility.hslToRgb(seedHue, ...tone.surface))
+    );
+
+    return {
+      harmony: scheme,
+      colors: {
+        primary: { hex: primary, role: 'primary', usage: 'Use for main buttons and CTAs' },
+        secondary: { hex: secondary, role: 'secondary', usage: 'Use for secondary actions and highlights' },
+        accent: { hex: accent, role: 'accent', usage: 'Use for important UI elements and notifications' },
+        background: { hex: background, role: 'background', usage: 'Use for main page background' },
+        surface: { hex: surface, role: 'surface', usage: 'Use for cards and elevated surfaces' },
+        text: { hex: tone.text, role: 'text', usage: 'Use for body text and headings' }
+      }
+    };
+  }
+
+  /**
+   * Generate a palette around brand colors
+   * Each brand color is kept exactly on its role and marked `brand: true`.
+   * The other roles come from the harmony built on the primary brand color
+   * (or the hue of the first brand color), toned by the mood.
+   * @param {string|Array<string|{color: string, role: string}>} brandColors - Brand colors;
+   *   colors without a role fill primary, secondary and accent in order
+   * @param {string|Object} [harmony='analogous'] - Scheme name or {scheme, angle, space}
+   *   (see ColorUtility.generateHarmony)
+   * @param {string} [colorMood='cool'] - Mood controlling tone ("warm", "cool", "pastel", "dark")
+   * @returns {Object} Palette object with the normalized `brandColors` [{hex, role}]
+   */
+  generateBrandPalette(brandColors, harmony = 'analogous', colorMood = 'cool') {
+    const brand = this._normalizeBrandColors(brandColors);
+    if (brand.length === 0) {
+      throw new Error('A brand palette needs at least one brand color');
+    }
+
+    const fallbackHue = (this._hashString(brand.map(({ hex }) => hex).join()) >>> 0) % 360;
+    return this._generatePinnedPalette(brand, harmony, colorMood, fallbackHue);
+  }
+
+  /**
+   * Generate semantic status colors for a palette
+   * Success, warning, error and info keep their conventional green, amber, red
+   * and blue hues, nudged toward the palette's temperature, with the average
+   * chroma of its colorful roles. Each comes with an "on" color for text and
+   * icons on it, a subtle tint for alert backgrounds and a text color for that
+   * tint. Solid colors reach 3:1 against the background (SC 1.4.11) and both
+   * text colors reach 4.5:1.
+   * @param {Object} colors - Palette colors by role; needs background and text
+   * @returns {Object<string, {hex: string, role: string, usage: string}>} Color objects keyed
+   *   success, onSuccess, successSubtle, onSuccessSubtle, warning, ... in that order
+   */
+  generateStatusColors(colors) {
+    const checker = this.accessibilityChecker;
+    const background = colors.background.hex;
+    const isDark = checker.calculateContrastRatio(background, '#FFFFFF') > checker.calculateContrastRatio(background, '#000000');
+
+    // Temperature and saturation of the colorful roles, weighted by chroma
+    const chromatic = Object.values(colors)
+      .map(color => this.colorUtility.convert(this.colorUtility.toColor(color.hex), 'oklch').coords)
+      .filter(([, chroma]) => chroma > 0.03);
+    const totalChroma = chromatic.reduce((sum, [, chroma]) => sum + chroma, 0);
+    const warmth = chromatic.length > 0
+      ? chromatic.reduce((sum, [, chroma, hue]) => sum + chroma * Math.cos((hue - WARM_HUE) * Math.PI / 180), 0) / totalChroma
+      : 0;
+    const chroma = chromatic.length > 0
+      ? Math.min(STATUS_CHROMA.max, Math.max(STATUS_CHROMA.min, totalChroma / chromatic.length))
+      : STATUS_CHROMA.neutral;
+
+    const statusColors = {};
+    for (const [status, baseHue] of Object.entries(STATUS_HUES)) {
+      const toWarm = ((WARM_HUE - baseHue + 540) % 360) - 180;
+      const shift = Math.sign(toWarm) * warmth * STATUS_HUE_SHIFT;
+      const hue = (baseHue + (Math.abs(shift) > Math.abs(toWarm) ? toWarm : shift) + 360) % 360;
+      const colorAt = (c) => (lightness) => this.colorUtility.toHex(
+        this.colorUtility.toGamut({ space: 'oklch', coords: [lightness, c, hue], alpha: 1 }, 'srgb')
+      );
+
+      // Solid color, moved away from the background until it stands out
+      const step = isDark ? 0.02 : -0.02;
+      const solid = this._findLightness(colorAt(chroma), STATUS_LIGHTNESS[isDark ? 'dark' : 'light'][status], step,
+        hex => checker.calculateContrastRatio(hex, background) >= 3);
+
+      // Subtle tint close to the background, with status-colored text on it
+      const subtle = colorAt(Math.min(chroma, 0.04))(isDark ? 0.3 : 0.95);
+      const onSubtle = this._findLightness(colorAt(chroma), isDark ? 0.85 : 0.4, -step,
+        hex => checker.calculateContrastRatio(hex, subtle) >= 4.5);
+
+      const name = status.charAt(0).toUpperCase() + status.slice(1);
+      statusColors[status] = { hex: solid, role: status, usage: STATUS_USAGE[status] };
+      statusColors[`on${name}`] = {
+        hex: this._pickOnColor(solid, colors),
+        role: `on${name}`,
+        usage: `Use for text and icons on the ${status} color`
+      };
+      statusColors[`${status}Subtle`] = {
+        hex: subtle,
+        role: `${status}Subtle`,
+        usage: `Use as the background of ${status} alerts and banners`
+      };
+      statusColors[`on${name}Subtle`] = {
+        hex: onSubtle,
+        role: `on${name}Subtle`,
+        usage: `Use for text and icons on the ${status} subtle background`
+      };
+    }
+
+    return statusColors;
+  }
+
+  /**
+   * Build one palette: generation, app type adjustments, repair and checks
+   * @private
+   * @param {Object} preferences - User preferences (see generate)
+   * @param {number} index - Palette index, used for the name
+   * @param {number} seedHue - Base hue value (0-360)
+   * @param {Array<{hex: string, role: string, brand?: boolean, locked?: boolean}>} pinned - Colors
+   *   kept exactly on their roles
+   * @param {string|Object} [harmony] - Harmony scheme, if any
+   * @returns {Object} Palette object
+   */
+  _buildPalette(preferences, index, seedHue, pinned, harmony) {
+    const { appType, colorMood, tonalScales = false, repairContrast = false, pairRules } = preferences;
+    const roles = this._normalizeRoles(preferences.roles);
+    let palette;
+
+    // Apply brand colors, harmony or mood-specific generation; locked colors
+    // are pinned onto the mood palette below
+    if (pinned.some(({ brand }) => brand)) {
+      palette = this._generatePinnedPalette(pinned, harmony, colorMood, seedHue);
+    } else if (harmony) {
+      palette = this.generateHarmonyPalette(seedHue, harmony, colorMood);
+    } else if (colorMood === 'warm') {
+      palette = this.generateWarmPalette(seedHue);
+    } else if (colorMood === 'cool') {
+      palette = this.generateCoolPalette(seedHue);
+    } else if (colorMood === 'pastel') {
+      palette = this.generatePastelPalette(seedHue);
+    } else if (colorMood === 'dark') {
+      palette = this.generateDarkModePalette(seedHue);
+    } else {
+      palette = this.generateCoolPalette(seedHue); // Default to cool
+    }
+
+    // Apply application type adjustments
+    if (appType === 'professional' || appType === 'web-dashboard' || appType === 'saas') {
+      palette = this._applyProfessionalAdjustments(palette);
+    } else if (appType === 'playful' || appType === 'mobile-app') {
+      palette = this._applyPlayfulAdjustments(palette);
+    }
+
+    // Brand and locked colors stay exact whatever the application type adjusts
+    if (pinned.length > 0) {
+      palette = this._pinColors(palette, pinned);
+    }
+
+    // Repair failing contrast pairs before anything derives from the role colors
+    if (repairContrast) {
+      palette = this._applyContrastRepair(palette, repairContrast, pinned.map(({ role }) => role));
+    }
+
+    // Status colors come from the six default roles, before the schema drops any
+    palette.statusColors = this.generateStatusColors(palette.colors);
+
+    // Derive the schema's extra roles from the final colors, in schema order
+    palette = this._applyRoleSchema(palette, roles);
+
+    // Attach tonal scales once the final role colors are known
+    if (tonalScales) {
+      for (const color of Object.values(palette.colors)) {
+        color.scale = this.colorUtility.generateTonalScale(color.hex);
+      }
+    }
+
+    // Generate palette name
+    palette.name = this._generatePaletteName(colorMood, appType, index);
+    palette.vibe = this._generateVibeDescription(colorMood, appType);
+
+    // Check the role pairs the palette is meant to layer, and find accessible pairs among them
+    const rules = pairRules || this.accessibilityChecker.pairRules;
+    palette.pairCompliance = this.accessibilityChecker.checkPairRules(palette, rules);
+    palette.accessiblePairs = this.accessibilityChecker.findAccessiblePairs(palette, rules);
+    palette.statusCompliance = this.accessibilityChecker.checkStatusColors(palette);
+
+    return palette;
+  }
+
+  /**
+   * Generate a palette around colors pinned to roles
+   * @private
+   * @param {Array<{hex: string, role: string}>} pinned - Brand or locked colors
+   * @param {string|Object} [harmony='analogous'] - Harmony scheme
+   * @param {string} [colorMood='cool'] - Mood controlling tone
+   * @param {number} [fallbackHue=0] - Hue to build around when no pinned color is chromatic
+   * @returns {Object} Palette object with the pinned colors in place
+   */
+  _generatePinnedPalette(pinned, harmony = 'analogous', colorMood = 'cool', fallbackHue = 0) {
+    const primary = pinned.find(({ role }) => role === 'primary');
+    const anchorHue = this._getAnchorHue(pinned);
+    const seedHue = anchorHue === null ? fallbackHue : anchorHue;
+
+    const palette = this.generateHarmonyPalette(seedHue, harmony, colorMood, { primary: primary && primary.hex });
+    return this._pinColors(palette, pinned);
+  }
+
+  /**
+   * Find the hue pinned colors anchor a palette on
+   * A chromatic primary wins, then the first other chromatic pinned color.
+   * Neutral roles and greys are skipped: their hue is meaningless (0 for
+   * pure greys) and would turn every palette red.
+   * @private
+   * @param {Array<{hex: string, role: string}>} pinned - Brand or locked colors
+   * @returns {number|null} HSL hue (0-360), or null when no pinned color is chromatic
+   */
+  _getAnchorHue(pinned) {
+    const chromatic = pinned.filter(({ hex, role }) =>
+      !NEUTRAL_ROLES.includes(role)
+      && this.colorUtility.convert(this.colorUtility.toColor(hex), 'oklch').coords[1] > NEUTRAL_CHROMA
+    );
+    const anchor = chromatic.find(({ role }) => role === 'primary') || chromatic[0];
+    return anchor ? this.colorUtility.convert(this.colorUtility.toColor(anchor.hex), 'hsl').coords[0] || 0 : null;
+  }
+
   /**
    * Apply professional adjustments to a palette
    * @private
@@ -356,17 +757,16 @@ class PaletteGenerator {
     const adjustedColors = {};
     
     for (const [role, color] of Object.entries(palette.colors)) {
-      const rgb = this.colorUtility.hexToRgb(color.hex);
-      const hsl = this.colorUtility.rgbToHsl(rgb.r, rgb.g, rgb.b);
+      // Work on unrounded HSL so untouched channels survive the round trip
+      const hsl = this.colorUtility.convert(this.colorUtility.toColor(color.hex), 'hsl');
       
       // Only reduce saturation, don't shift hue (preserve mood)
       if (role !== 'text' && role !== 'background' && role !== 'surface') {
-        hsl.s = Math.min(hsl.s, 58); // Cap saturation at 58%
+        hsl.coords[1] = Math.min(hsl.coords[1], 58); // Cap saturation at 58%
       }
       
-      const newRgb = this.colorUtility.hslToRgb(hsl.h, hsl.s, hsl.l);
       adjustedColors[role] = {
-        hex: this.colorUtility.rgbToHex(newRgb.r, newRgb.g, newRgb.b),
+        hex: this.colorUtility.format(hsl, 'hex'),
         role: color.role,
         usage: color.usage
       };
@@ -384,20 +784,19 @@ class PaletteGenerator {
     const adjustedColors = {};
     
     for (const [role, color] of Object.entries(palette.colors)) {
-      const rgb = this.colorUtility.hexToRgb(color.hex);
-      const hsl = this.colorUtility.rgbToHsl(rgb.r, rgb.g, rgb.b);
+      // Work on unrounded HSL so untouched channels survive the round trip
+      const hsl = this.colorUtility.convert(this.colorUtility.toColor(color.hex), 'hsl');
       
       // Boost saturation and brightness for accent, but only if not already pastel
       // Pastel colors should stay below 50% saturation
-      if (role === 'accent' && hsl.s >= 50) {
+      if (role === 'accent' && hsl.coords[1] >= 50) {
         // Only boost if we're not in pastel mode (pastel has s < 50)
-        hsl.s = Math.max(hsl.s, 65); // Ensure at least 65% saturation
-        hsl.l = Math.max(hsl.l, 52); // Ensure at least 52% lightness
+        hsl.coords[1] = Math.max(hsl.coords[1], 65); // Ensure at least 65% saturation
+        hsl.coords[2] = Math.max(hsl.coords[2], 52); // Ensure at least 52% lightness
       }
       
-      const newRgb = this.colorUtility.hslToRgb(hsl.h, hsl.s, hsl.l);
       adjustedColors[role] = {
-        hex: this.colorUtility.rgbToHex(newRgb.r, newRgb.g, newRgb.b),
+        hex: this.colorUtility.format(hsl, 'hex'),
         role: color.role,
         usage: color.usage
       };
@@ -407,18 +806,365 @@ class PaletteGenerator {
   }
 
   /**
-   * Generate base hue from application type and purpose
+   * Run contrast repair on a palette and attach the report
    * @private
+   * @param {Object} palette - Palette object
+   * @param {boolean|string|number|Object} options - repairContrast preference
+   * @param {string[]} [pinnedRoles=[]] - Roles that must keep their color (brand colors)
+   * @returns {Object} Repaired palette with a `contrastRepair` report {target, changes, pairs}
    */
-  _generateBaseHue(appType, purpose) {
-    // Use a simple hash of the purpose string to generate a seed
+  _applyContrastRepair(palette, options, pinnedRoles = []) {
+    const settings = typeof options === 'object' ? options : { target: options === true ? 'AA' : options };
+    const { target = 'AA', pairs = DEFAULT_REPAIR_PAIRS, fixedRoles = [] } = settings;
+
+    const result = this.accessibilityChecker.repairContrast(palette, pairs, {
+      target,
+      fixedRoles: [...fixedRoles, ...pinnedRoles]
+    });
+    return {
+      ...result.palette,
+      contrastRepair: { target, changes: result.changes, pairs: result.pairs }
+    };
+  }
+
+  /**
+   * Normalize the brandColors preference to [{hex, role}]
+   * @private
+   * @param {string|Array<string|{color: string, role: string}>} [brandColors] - Brand colors
+   *   (already normalized {hex, role} entries are accepted too; objects without a role
+   *   fill the next free role)
+   * @param {string} [firstRole] - Role of the first brand color given without a role;
+   *   defaults to the first chromatic role of the schema
+   * @param {string[]} [roles=DEFAULT_ROLES] - Role schema the brand colors must belong to
+   * @returns {Array<{hex: string, role: string}>} Brand colors with HEX codes and roles
+   */
+  _normalizeBrandColors(brandColors, firstRole, roles = DEFAULT_ROLES) {
+    if (!brandColors) return [];
+
+    // Colors without a role fill primary, secondary and accent, or the schema's
+    // own chromatic roles when it has none of them
+    const brandRoles = BRAND_ROLES.some(role => roles.includes(role))
+      ? BRAND_ROLES.filter(role => roles.includes(role))
+      : roles.filter(role => !NEUTRAL_ROLES.includes(role) && !this._getOnRoleBase(role, roles));
+    if (firstRole === undefined) {
+      firstRole = brandRoles[0];
+    }
+
+    const entries = (Array.isArray(brandColors) ? brandColors : [brandColors])
+      .map(entry => (entry && typeof entry === 'object'
+        ? { color: entry.color || entry.hex, role: entry.role || undefined }
+        : { color: entry }));
+    const taken = new Set(entries.filter(({ role }) => role).map(({ role }) => role));
+    const freeRoles = [firstRole, ...brandRoles.filter(role => role !== firstRole)]
+      .filter(role => role && !taken.has(role));
+
+    const pinnedRoles = new Set();
+    return entries.map(({ color, role = freeRoles.shift() }) => {
+      if (!role) {
+        throw new Error(`Too many brand colors: give a role for "${color}"`);
+      }
+      if (!roles.includes(role)) {
+        throw new Error(`Unknown palette role "${role}"`);
+      }
+      if (pinnedRoles.has(role)) {
+        throw new Error(`Two brand colors are pinned to "${role}"`);
+      }
+      pinnedRoles.add(role);
+
+      let hex;
+      try {
+        hex = this.colorUtility.toHex(color);
+      } catch {
+        throw new Error(`Invalid brand color "${color}"`);
+      }
+      return { hex, role, brand: true };
+    });
+  }
+
+  /**
+   * Normalize locked colors to [{hex, role, locked}]
+   * @private
+   * @param {Object<string, string|Object>} lockedColors - Role to CSS color or color object with `hex`
+   * @param {string[]} [roles=DEFAULT_ROLES] - Role schema the locked roles must belong to
+   * @returns {Array<{hex: string, role: string, locked: boolean}>} Locked colors
+   */
+  _normalizeLockedColors(lockedColors, roles = DEFAULT_ROLES) {
+    return Object.entries(lockedColors).map(([role, color]) => {
+      if (!roles.includes(role)) {
+        throw new Error(`Unknown palette role "${role}"`);
+      }
+
+      const value = color && color.hex ? color.hex : color;
+      try {
+        return { hex: this.colorUtility.toHex(value), role, locked: true };
+      } catch {
+        throw new Error(`Invalid locked color "${value}" for "${role}"`);
+      }
+    });
+  }
+
+  /**
+   * Put brand and locked colors on their roles
+   * @private
+   * @param {Object} palette - Palette object
+   * @param {Array<{hex: string, role: string, brand?: boolean, locked?: boolean}>} pinned - Colors
+   * @returns {Object} Copy of the palette with pinned colors marked `brand: true` and/or
+   *   `locked: true`, and the brand colors listed as `brandColors` [{hex, role}]
+   */
+  _pinColors(palette, pinned) {
+    const colors = { ...palette.colors };
+    for (const { hex, role, brand, locked } of pinned) {
+      colors[role] = { ...colors[role], hex, role };
+      if (brand) colors[role].brand = true;
+      if (locked) colors[role].locked = true;
+    }
+
+    const brandColors = pinned.filter(({ brand }) => brand).map(({ hex, role }) => ({ hex, role }));
+    return brandColors.length > 0 ? { ...palette, colors, brandColors } : { ...palette, colors };
+  }
+
+  /**
+   * Validate a role schema
+   * @private
+   * @param {string[]} [roles] - Role names, in order
+   * @returns {string[]} The schema, or DEFAULT_ROLES when none is given
+   * @throws {Error} If the schema is empty, has duplicates or a name unfit for CSS variables
+   */
+  _normalizeRoles(roles) {
+    if (roles === undefined) return DEFAULT_ROLES;
+    if (!Array.isArray(roles) || roles.length === 0) {
+      throw new Error('A role schema needs at least one role');
+    }
+
+    const seen = new Set();
+    for (const role of roles) {
+      if (typeof role !== 'string' || !/^[a-zA-Z][a-zA-Z0-9-]*$/.test(role)) {
+        throw new Error(`Invalid role name "${role}"`);
+      }
+      if (seen.has(role)) {
+        throw new Error(`Duplicate role "${role}"`);
+      }
+      seen.add(role);
+    }
+
+    return roles;
+  }
+
+  /**
+   * Fill a palette's roles from a role schema
+   * The six default roles come from the mood generators; other roles are
+   * derived from them. "On" roles come last so they can sit on derived roles.
+   * Roles outside the schema are dropped and the rest follow schema order.
+   * @private
+   * @param {Object} palette - Palette with the default roles (and any pinned roles)
+   * @param {string[]} roles - Role schema
+   * @returns {Object} Copy of the palette with exactly the schema's roles
+   */
+  _applyRoleSchema(palette, roles) {
+    const colors = { ...palette.colors };
+    const onRoles = roles.filter(role => this._getOnRoleBase(role, roles));
+    const derived = [...roles.filter(role => !onRoles.includes(role)), ...onRoles];
+
+    derived.forEach((role, i) => {
+      if (colors[role] && colors[role].usage) return;
+      // Pinned colors on extra roles keep their HEX code and get a usage
+      colors[role] = {
+        hex: this._deriveRoleColor(role, colors, roles, i),
+        role,
+        ...colors[role],
+        usage: this._describeRole(role, roles)
+      };
+    });
+
+    return { ...palette, colors: Object.fromEntries(roles.map(role => [role, colors[role]])) };
+  }
+
+  /**
+   * Derive the color of a role outside the default six
+   * @private
+   * @param {string} role - Role name
+   * @param {Object} colors - Colors derived so far, including the default roles
+   * @param {string[]} roles - Role schema
+   * @param {number} position - Position of the role in derivation order
+   * @returns {string} HEX color code
+   */
+  _deriveRoleColor(role, colors, roles, position) {
+    const hex = name => colors[name].hex;
+    const utility = this.colorUtility;
+
+    const base = this._getOnRoleBase(role, roles);
+    if (base) {
+      return this._pickOnColor(hex(base), colors);
+    }
+
+    if (role === 'tertiary') {
+      return utility.toHex(utility.interpolate(hex('secondary'), hex('accent'), 0.5, { space: 'oklch' }));
+    }
+    if (role === 'border') {
+      return utility.toHex(utility.interpolate(hex('background'), hex('text'), 0.2));
+    }
+    if (role === 'muted') {
+      // Text faded toward the background as far as body text contrast allows
+      for (let fade = 0.5; fade > 0; fade -= 0.05) {
+        const muted = utility.toHex(utility.interpolate(hex('text'), hex('background'), fade));
+        if (this.accessibilityChecker.calculateContrastRatio(muted, hex('background')) >= 4.5) {
+          return muted;
+        }
+      }
+      return hex('text');
+    }
+    if (role === 'overlay') {
+      // Near-black scrim, tinted with the primary hue on light backgrounds
+      if (this.accessibilityChecker.calculateContrastRatio(hex('background'), '#000000') < 4.5) {
+        return '#000000';
+      }
+      const hue = utility.convert(utility.toColor(hex('primary')), 'oklch').coords[2] || 0;
+      return utility.toHex({ space: 'oklch', coords: [0.2, 0.02, hue], alpha: 1 });
+    }
+
+    // Custom roles get extra hues stepped around the wheel from the primary
+    return utility.adjustHueOklch(hex('primary'), GOLDEN_ANGLE * (position + 1));
+  }
+
+  /**
+   * Pick a color for text and icons on a base color
+   * @private
+   * @param {string} baseHex - HEX code of the color underneath
+   * @param {Object} colors - Palette colors with text and background roles
+   * @returns {string} Palette text or background when readable (4.5:1), otherwise
+   *   whichever of white and black contrasts more
+   */
+  _pickOnColor(baseHex, colors) {
+    const ratio = candidate => this.accessibilityChecker.calculateContrastRatio(candidate, baseHex);
+    const candidates = [colors.text.hex, colors.background.hex, '#FFFFFF', '#000000'];
+    return candidates.find(candidate => ratio(candidate) >= 4.5)
+      || candidates.slice(2).sort((a, b) => ratio(b) - ratio(a))[0];
+  }
+
+  /**
+   * Step an OKLCH lightness until a color passes a check
+   * @private
+   * @param {function(number): string} colorAt - Returns the HEX code for a lightness (0-1)
+   * @param {number} lightness - Starting lightness
+   * @param {number} step - Change per try (negative to darken)
+   * @param {function(string): boolean} passes - Check the color must pass
+   * @returns {string} First passing color, or the color at the end of the range
+   */
+  _findLightness(colorAt, lightness, step, passes) {
+    let hex = colorAt(lightness);
+    while (!passes(hex) && lightness > 0 && lightness < 1) {
+      lightness = Math.min(1, Math.max(0, lightness + step));
+      hex = colorAt(lightness);
+    }
+    return hex;
+  }
+
+  /**
+   * Find the role an "on" role sits on (e.g., onPrimary sits on primary)
+   * @private
+   * @param {string} role - Role name
+   * @param {string[]} roles - Role schema
+   * @returns {string|null} Base role, or null if the role is not an "on" role
+   */
+  _getOnRoleBase(role, roles) {
+    const match = /^on([A-Z].*)$/.exec(role);
+    if (!match) return null;
+
+    const base = match[1].charAt(0).toLowerCase() + match[1].slice(1);
+    return DEFAULT_ROLES.includes(base) || (roles.includes(base) && !this._getOnRoleBase(base, roles)) ? base : null;
+  }
+
+  /**
+   * Describe how to use a role outside the default six
+   * @private
+   * @param {string} role - Role name
+   * @param {string[]} roles - Role schema
+   * @returns {string} Usage suggestion
+   */
+  _describeRole(role, roles) {
+    const base = this._getOnRoleBase(role, roles);
+    if (base) {
+      return `Use for text and icons on the ${base} color`;
+    }
+    return EXTRA_ROLE_USAGE[role] || `Use for ${role} elements`;
+  }
+
+  /**
+   * Draw the seeded choices shared by generate and regenerate
+   * Each palette's seed hue starts evenly spaced around the base hue and is
+   * shifted by up to HUE_JITTER degrees; the palettes built around pinned
+   * colors start at a random harmony scheme.
+   * @private
+   * @param {Object} preferences - User preferences (see generate)
+   * @returns {{seed: number, hues: number[], harmonyOffset: number}} Seed in use, one seed
+   *   hue per palette and the index of the first pinned-palette harmony
+   * @throws {Error} If the seed is not a whole number from 0 to 4294967295, or the count
+   *   is not a whole number from 1 to 24
+   */
+  _planPalettes(preferences) {
+    const { appType, purpose, colorMood, count = 3 } = preferences;
+    if (!Number.isInteger(count) || count < MIN_PALETTE_COUNT || count > MAX_PALETTE_COUNT) {
+      throw new Error(`Palette count must be a whole number from ${MIN_PALETTE_COUNT} to ${MAX_PALETTE_COUNT}`);
+    }
+
+    const seed = preferences.seed === undefined
+      ? this._hashString(`${appType}|${purpose}|${colorMood}`) >>> 0
+      : preferences.seed;
+    if (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED) {
+      throw new Error(`Invalid seed "${seed}": use a whole number from 0 to ${MAX_SEED}`);
+    }
+
+    const random = this._createRandom(seed);
+    const baseHue = this._generateBaseHue(appType, purpose);
+    const hues = Array.from({ length: count }, (_, i) =>
+      (baseHue + (i * 360) / count + (random() * 2 - 1) * HUE_JITTER + 360) % 360
+    );
+    const harmonyOffset = Math.floor(random() * PINNED_HARMONIES.length);
+
+    return { seed, hues, harmonyOffset };
+  }
+
+  /**
+   * Create a seeded pseudo-random number generator (mulberry32)
+   * @private
+   * @param {number} seed - Unsigned 32-bit integer seed
+   * @returns {function(): number} Function returning the next number in [0, 1)
+   */
+  _createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Hash a string to a 32-bit integer
+   * @private
+   * @param {string} [text] - Text to hash
+   * @returns {number} Signed 32-bit hash (0 for empty text)
+   */
+  _hashString(text) {
     let hash = 0;
-    if (purpose) {
-      for (let i = 0; i < purpose.length; i++) {
-        hash = ((hash << 5) - hash) + purpose.charCodeAt(i);
+    if (text) {
+      for (let i = 0; i < text.length; i++) {
+        hash = ((hash << 5) - hash) + text.charCodeAt(i);
         hash = hash & hash; // Convert to 32-bit integer
       }
     }
+    return hash;
+  }
+
+  /**
+   * Generate base hue from application type and purpose
+   * @private
+   */
+  _generateBaseHue(appType, purpose) {
+    // Use a simple hash of the purpose string to generate a seed
+    const hash = this._hashString(purpose);
     
     // Map application type to hue ranges
     const typeHueMap = {
@@ -459,10 +1205,13 @@ class PaletteGenerator {
       playful: 'Playful'
     };
     
-    const baseName = (moodNames[colorMood] || moodNames.cool)[index];
+    const names = moodNames[colorMood] || moodNames.cool;
+    const baseName = names[index % names.length];
     const modifier = typeModifiers[appType] || '';
-    
-    return modifier ? `${baseName} ${modifier}` : baseName;
+    const name = modifier ? `${baseName} ${modifier}` : baseName;
+
+    // Names repeat every 3 palettes, so later rounds are numbered
+    return index < names.length ? name : `${name} ${Math.floor(index / names.length) + 1}`;
   }
 
   /**
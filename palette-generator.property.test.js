@@ -359,3 +359,496 @@ describe('PaletteGenerator Property Tests', () => {
       { numRuns: 100 }
     );
   });
+
+  // Feature: color-palette-tool, Property 21: Brand role distinctness
+  // Validates: Requirements 3.1, 3.2, 3.3, 3.4
+  it('should generate primary, secondary and accent colors that are perceptibly different', () => {
+    const generator = new PaletteGenerator();
+    const colorUtil = new ColorUtility();
+
+    const preferencesArb = fc.record({
+      appType: fc.constantFrom(
+        'web-dashboard', 'mobile-app', 'portfolio', 'e-commerce', 'saas', 'professional', 'playful'
+      ),
+      purpose: fc.string({ minLength: 1, maxLength: 200 }),
+      colorMood: fc.constantFrom('warm', 'cool', 'pastel', 'dark')
+    });
+
+    fc.assert(
+      fc.property(preferencesArb, (preferences) => {
+        const palettes = generator.generate(preferences);
+
+        palettes.forEach(palette => {
+          const { primary, secondary, accent } = palette.colors;
+
+          // CIEDE2000 above 5 is a clearly visible difference at a glance
+          expect(colorUtil.deltaE2000(primary.hex, secondary.hex)).toBeGreaterThan(5);
+          expect(colorUtil.deltaE2000(primary.hex, accent.hex)).toBeGreaterThan(5);
+          expect(colorUtil.deltaE2000(secondary.hex, accent.hex)).toBeGreaterThan(5);
+        });
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  // Feature: color-palette-tool, Property 26: Harmony-based palette generation
+  // Validates: Requirements 2.1, 2.3
+  it('should build palettes whose secondary color belongs to the requested harmony', () => {
+    const generator = new PaletteGenerator();
+    const colorUtil = new ColorUtility();
+
+    const preferencesArb = fc.record({
+      appType: fc.constantFrom('web-dashboard', 'mobile-app', 'portfolio', 'e-commerce'),
+      purpose: fc.string({ minLength: 1, maxLength: 50 }),
+      colorMood: fc.constantFrom('warm', 'cool', 'pastel', 'dark'),
+      harmony: fc.record({
+        scheme: fc.constantFrom(
+          'analogous', 'complementary', 'split-complementary', 'triadic',
+          'tetradic', 'square', 'monochromatic', 'compound'
+        ),
+        space: fc.constantFrom('hsl', 'oklch')
+      })
+    });
+
+    fc.assert(
+      fc.property(preferencesArb, (preferences) => {
+        // App type adjustments change saturation afterwards, so compare unadjusted palettes
+        const palettes = generator.generate({ ...preferences, appType: 'portfolio' });
+        expect(palettes).toHaveLength(3);
+
+        palettes.forEach(palette => {
+          expect(palette.harmony).toBe(preferences.harmony.scheme);
+          Object.values(palette.colors).forEach(color => {
+            expect(color.hex).toMatch(/^#[0-9A-F]{6}$/i);
+          });
+
+          const schemeColors = colorUtil.generateHarmony(
+            palette.colors.primary.hex, preferences.harmony.scheme, preferences.harmony
+          );
+          expect(schemeColors).toContain(palette.colors.secondary.hex);
+        });
+
+        // The original app type still produces valid palettes
+        generator.generate(preferences).forEach(palette => {
+          expect(Object.keys(palette.colors)).toHaveLength(6);
+        });
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  // Feature: color-palette-tool, Property 28: Optional tonal scales per role
+  // Validates: Requirements 2.3
+  it('should attach a tonal scale containing each role color only when requested', () => {
+    const generator = new PaletteGenerator();
+
+    const preferencesArb = fc.record({
+      appType: fc.constantFrom('web-dashboard', 'mobile-app', 'portfolio', 'e-commerce', 'saas'),
+      purpose: fc.string({ minLength: 1, maxLength: 50 }),
+      colorMood: fc.constantFrom('warm', 'cool', 'pastel', 'dark')
+    });
+
+    fc.assert(
+      fc.property(preferencesArb, (preferences) => {
+        generator.generate(preferences).forEach(palette => {
+          Object.values(palette.colors).forEach(color => expect(color.scale).toBeUndefined());
+        });
+
+        generator.generate({ ...preferences, tonalScales: true }).forEach(palette => {
+          Object.values(palette.colors).forEach(color => {
+            expect(Object.keys(color.scale)).toHaveLength(11);
+            expect(Object.values(color.scale)).toContain(color.hex);
+          });
+        });
+      }),
+      { numRuns: 50 }
+    );
+  });
+
+  // Feature: color-palette-tool, Property 40: Optional contrast repair
+  // Validates: Requirements 4.1, 4.3
+  it('should repair the default role pairs to AA only when requested', () => {
+    const generator = new PaletteGenerator();
+    const checker = generator.accessibilityChecker;
+
+    const preferencesArb = fc.record({
+      appType: fc.constantFrom('web-dashboard', 'mobile-app', 'portfolio', 'e-commerce', 'saas'),
+      purpose: fc.string({ minLength: 1, maxLength: 50 }),
+      colorMood: fc.constantFrom('warm', 'cool', 'pastel', 'dark')
+    });
+
+    fc.assert(
+      fc.property(preferencesArb, (preferences) => {
+        const original = generator.generate(preferences);
+        original.forEach(palette => expect(palette.contrastRepair).toBeUndefined());
+
+        generator.generate({ ...preferences, repairContrast: true }).forEach((palette, i) => {
+          expect(Object.keys(palette.colors)).toHaveLength(6);
+          expect(palette.name).toBe(original[i].name);
+
+          const { changes, pairs } = palette.contrastRepair;
+          pairs.filter(pair => pair.passes).forEach(pair => {
+            const ratio = checker.calculateContrastRatio(palette.colors[pair.text].hex, palette.colors[pair.background].hex);
+            expect(ratio).toBeGreaterThanOrEqual(4.5);
+          });
+
+          // Only reported roles differ from the unrepaired palette
+          Object.entries(palette.colors).forEach(([role, color]) => {
+            const change = changes.find(entry => entry.role === role);
+            expect(color.hex).toBe(change ? change.to : original[i].colors[role].hex);
+          });
+        });
+      }),
+      { numRuns: 30 }
+    );
+  });
+
+  // Feature: color-palette-tool, Property 53: Brand colors are pinned
+  // Validates: Requirements 2.1, 3.1
+  it('should keep brand colors exactly on their roles for any mood, harmony and app type', () => {
+    const generator = new PaletteGenerator();
+    const colorUtil = generator.colorUtility;
+
+    const hexArb = fc.tuple(
+      fc.integer({ min: 0, max: 255 }),
+      fc.integer({ min: 0, max: 255 }),
+      fc.integer({ min: 0, max: 255 })
+    ).map(([r, g, b]) => colorUtil.rgbToHex(r, g, b));
+    const preferencesArb = fc.record({
+      appType: fc.constantFrom('web-dashboard', 'mobile-app', 'portfolio', 'e-commerce', 'saas', 'professional', 'playful'),
+      purpose: fc.string({ minLength: 1, maxLength: 50 }),
+      colorMood: fc.constantFrom('warm', 'cool', 'pastel', 'dark'),
+      harmony: fc.option(fc.constantFrom('analogous', 'complementary', 'split-complementary', 'triadic'), { nil: undefined }),
+      brandColors: fc.array(hexArb, { minLength: 1, maxLength: 3 }),
+      brandRole: fc.constantFrom('primary', 'secondary', 'accent'),
+      repairContrast: fc.boolean()
+    });
+
+    fc.assert(
+      fc.property(preferencesArb, (preferences) => {
+        const { brandColors, brandRole } = preferences;
+        const roles = [brandRole, ...['primary', 'secondary', 'accent'].filter(role => role !== brandRole)];
+        const palettes = generator.generate(preferences);
+
+        expect(palettes).toHaveLength(3);
+        palettes.forEach(palette => {
+          expect(palette.brandColors).toEqual(brandColors.map((hex, i) => ({ hex, role: roles[i] })));
+          brandColors.forEach((hex, i) => {
+            expect(palette.colors[roles[i]].hex).toBe(hex);
+            expect(palette.colors[roles[i]].brand).toBe(true);
+          });
+
+          // Every other role is still filled and never reported as brand
+          expect(Object.keys(palette.colors)).toHaveLength(6);
+          Object.entries(palette.colors)
+            .filter(([role]) => !roles.slice(0, brandColors.length).includes(role))
+            .forEach(([, color]) => {
+              expect(color.hex).toMatch(/^#[0-9A-F]{6}$/);
+              expect(color.brand).toBeUndefined();
+            });
+        });
+      }),
+      { numRuns: 40 }
+    );
+
+    // Explicit roles, and the errors for colors and roles that cannot be pinned
+    const [palette] = generator.generate({
+      appType: 'saas', purpose: 'Billing', colorMood: 'cool',
+      brandColors: [{ color: 'rebeccapurple', role: 'text' }, '#1e5eff']
+    });
+    expect(palette.colors.text.hex).toBe('#663399');
+    expect(palette.colors.primary.hex).toBe('#1E5EFF');
+
+    // Objects without a role fill the free roles like plain colors
+    const [unassigned] = generator.generate({
+      appType: 'saas', purpose: 'Billing', colorMood: 'cool',
+      brandColors: [{ color: '#1E5EFF' }, { hex: '#FF6B35' }, { color: 'rebeccapurple', role: 'primary' }]
+    });
+    expect(unassigned.colors.primary.hex).toBe('#663399');
+    expect(unassigned.colors.secondary).toMatchObject({ hex: '#1E5EFF', brand: true });
+    expect(unassigned.colors.accent).toMatchObject({ hex: '#FF6B35', brand: true });
+
+    const preferences = { appType: 'saas', purpose: 'Billing', colorMood: 'cool' };
+    expect(() => generator.generate({ ...preferences, brandColors: ['not-a-color'] })).toThrow('Invalid brand color "not-a-color"');
+    expect(() => generator.generate({ ...preferences, brandColors: [{ color: '#000', role: 'border' }] })).toThrow('Unknown palette role "border"');
+    expect(() => generator.generate({ ...preferences, brandColors: ['#111', '#222', '#333', '#444'] })).toThrow('Too many brand colors');
+
+    // Without primary in the role schema, brand colors fill its first chromatic role
+    const roles = ['tertiary', 'text', 'background'];
+    generator.generate({ ...preferences, brandColors: ['#1E5EFF'], roles }).forEach(custom => {
+      expect(Object.keys(custom.colors)).toEqual(roles);
+      expect(custom.colors.tertiary).toMatchObject({ hex: '#1E5EFF', brand: true });
+      expect(custom.colors.tertiary.usage.length).toBeGreaterThan(0);
+    });
+    expect(generator.regenerate({ ...preferences, brandColors: ['#1E5EFF'], roles }, { text: '#000000' }).colors.tertiary.hex).toBe('#1E5EFF');
+    expect(() => generator.generate({ ...preferences, brandColors: ['#1E5EFF'], roles: ['text', 'background'] })).toThrow('Too many brand colors');
+  });
+
+  // Feature: color-palette-tool, Property 54: Regeneration keeps locked colors
+  // Validates: Requirements 2.1, 3.1, 4.1
+  it('should keep locked colors exactly and reroll the rest consistently', () => {
+    const generator = new PaletteGenerator();
+    const roles = ['primary', 'secondary', 'accent', 'background', 'surface', 'text'];
+
+    const preferencesArb = fc.record({
+      appType: fc.constantFrom('web-dashboard', 'mobile-app', 'portfolio', 'e-commerce', 'saas', 'professional', 'playful'),
+      purpose: fc.string({ minLength: 1, maxLength: 50 }),
+      colorMood: fc.constantFrom('warm', 'cool', 'pastel', 'dark'),
+      harmony: fc.option(fc.constantFrom('analogous', 'complementary', 'triadic'), { nil: undefined }),
+      repairContrast: fc.boolean()
+    });
+
+    fc.assert(
+      fc.property(
+        preferencesArb,
+        fc.integer({ min: 0, max: 2 }),
+        fc.subarray(roles),
+        fc.integer({ min: 1, max: 20 }),
+        (preferences, index, lockedRoles, attempt) => {
+          const original = generator.generate(preferences)[index];
+
+          // Attempt 0 without locks is the palette generate returned
+          expect(generator.regenerate(preferences, {}, { index, attempt: 0 })).toEqual(original);
+
+          const lockedColors = Object.fromEntries(lockedRoles.map(role => [role, original.colors[role]]));
+          const palette = generator.regenerate(preferences, lockedColors, { index, attempt });
+
+          expect(palette.name).toBe(original.name);
+          expect(Object.keys(palette.colors)).toEqual(expect.arrayContaining(roles));
+          roles.forEach(role => {
+            const locked = lockedRoles.includes(role);
+            expect(palette.colors[role].hex).toMatch(/^#[0-9A-F]{6}$/);
+            expect(Boolean(palette.colors[role].locked)).toBe(locked);
+            if (locked) {
+              expect(palette.colors[role].hex).toBe(original.colors[role].hex);
+            }
+          });
+
+          // Rerolls are reproducible and checked like generated palettes
+          expect(generator.regenerate(preferences, lockedColors, { index, attempt })).toEqual(palette);
+          expect(palette.pairCompliance).toEqual(generator.accessibilityChecker.checkPairRules(palette));
+        }
+      ),
+      { numRuns: 40 }
+    );
+
+    const preferences = { appType: 'saas', purpose: 'Billing', colorMood: 'cool' };
+    expect(() => generator.regenerate(preferences, { border: '#000000' })).toThrow('Unknown palette role "border"');
+    expect(() => generator.regenerate(preferences, { primary: 'not-a-color' })).toThrow('Invalid locked color "not-a-color"');
+  });
+
+  // Feature: color-palette-tool, Property 54: Regeneration keeps locked colors
+  // Validates: Requirements 2.1, 3.1
+  it('should anchor rerolls around locked neutrals on the palette hue, not red', () => {
+    const generator = new PaletteGenerator();
+    const colorUtil = new ColorUtility();
+    const hueOf = hex => colorUtil.rgbToHsl(...Object.values(colorUtil.hexToRgb(hex))).h;
+
+    const preferencesArb = fc.record({
+      appType: fc.constantFrom('web-dashboard', 'mobile-app', 'portfolio', 'e-commerce', 'saas', 'professional', 'playful'),
+      purpose: fc.string({ minLength: 1, maxLength: 50 }),
+      colorMood: fc.constant('cool')
+    });
+
+    fc.assert(
+      fc.property(preferencesArb, fc.constantFrom('text', 'background', 'surface'), fc.integer({ min: 1, max: 20 }), (preferences, role, attempt) => {
+        const original = generator.generate(preferences);
+        const primaries = original.map((palette, index) => {
+          const rerolled = generator.regenerate(preferences, { [role]: palette.colors[role] }, { index, attempt });
+          expect(rerolled.colors[role].hex).toBe(palette.colors[role].hex);
+
+          // Cool palettes stay cool instead of anchoring on the neutral's hue of 0
+          const hue = hueOf(rerolled.colors.primary.hex);
+          expect(hue >= 150 && hue <= 330).toBe(true);
+          return rerolled.colors.primary.hex;
+        });
+        expect(new Set(primaries).size).toBeGreaterThan(1);
+      }),
+      { numRuns: 30 }
+    );
+  });
+
+  // Feature: color-palette-tool, Property 54: Regeneration keeps locked colors
+  // Validates: Requirements 3.1
+  it('should keep rerolls of warm palettes warm around a locked primary', () => {
+    const generator = new PaletteGenerator();
+    const colorUtil = new ColorUtility();
+
+    const preferencesArb = fc.record({
+      appType: fc.constantFrom('web-dashboard', 'mobile-app', 'portfolio', 'e-commerce', 'saas', 'professional', 'playful'),
+      purpose: fc.string({ minLength: 1, maxLength: 50 }),
+      colorMood: fc.constant('warm')
+    });
+
+    fc.assert(
+      fc.property(preferencesArb, fc.integer({ min: 0, max: 2 }), fc.integer({ min: 1, max: 20 }), (preferences, index, attempt) => {
+        const original = generator.generate(preferences)[index];
+        const palette = generator.regenerate(preferences, { primary: original.colors.primary }, { index, attempt });
+
+        ['secondary', 'accent'].forEach(role => {
+          const rgb = colorUtil.hexToRgb(palette.colors[role].hex);
+          const hsl = colorUtil.rgbToHsl(rgb.r, rgb.g, rgb.b);
+          if (hsl.s > 10) {
+            expect((hsl.h >= 0 && hsl.h <= 90) || (hsl.h >= 330 && hsl.h <= 360)).toBe(true);
+          }
+        });
+      }),
+      { numRuns: 40 }
+    );
+  });
+
+  // Feature: color-palette-tool, Property 56: Seeded palettes are reproducible
+  // Validates: Requirements 2.1, 3.1
+  it('should reproduce the same palettes for the same seed and vary them across seeds', () => {
+    const generator = new PaletteGenerator();
+
+    const preferencesArb = fc.record({
+      appType: fc.constantFrom('web-dashboard', 'mobile-app', 'portfolio', 'e-commerce', 'saas', 'professional', 'playful'),
+      purpose: fc.string({ minLength: 1, maxLength: 50 }),
+      colorMood: fc.constantFrom('warm', 'cool', 'pastel', 'dark'),
+      harmony: fc.option(fc.constantFrom('analogous', 'complementary', 'triadic'), { nil: undefined })
+    });
+    const seedArb = fc.integer({ min: 0, max: 0xFFFFFFFF });
+
+    fc.assert(
+      fc.property(preferencesArb, seedArb, (preferences, seed) => {
+        const palettes = generator.generate({ ...preferences, seed });
+        palettes.forEach(palette => expect(palette.seed).toBe(seed));
+        expect(new PaletteGenerator().generate({ ...preferences, seed })).toEqual(palettes);
+
+        // Without a seed, the derived seed is reported and reproduces the same palettes
+        const derived = generator.generate(preferences);
+        expect(Number.isInteger(derived[0].seed)).toBe(true);
+        expect(generator.generate({ ...preferences, seed: derived[0].seed })).toEqual(derived);
+      }),
+      { numRuns: 40 }
+    );
+
+    // Shuffling through seeds gives new variations
+    fc.assert(
+      fc.property(preferencesArb, fc.uniqueArray(seedArb, { minLength: 5, maxLength: 5 }), (preferences, seeds) => {
+        const primaries = seeds.map(seed =>
+          generator.generate({ ...preferences, seed }).map(palette => palette.colors.primary.hex).join()
+        );
+        expect(new Set(primaries).size).toBeGreaterThan(1);
+      }),
+      { numRuns: 20 }
+    );
+
+    const preferences = { appType: 'saas', purpose: 'Billing', colorMood: 'cool' };
+    [-1, 1.5, 0x100000000, '42'].forEach(seed => {
+      expect(() => generator.generate({ ...preferences, seed })).toThrow('Invalid seed');
+    });
+  });
+
+  // Feature: color-palette-tool, Property 58: Palette count and role schema
+  // Validates: Requirements 2.1, 2.3, 3.1
+  it('should generate the requested number of palettes with exactly the requested roles', () => {
+    const generator = new PaletteGenerator();
+    const checker = generator.accessibilityChecker;
+
+    const preferencesArb = fc.record({
+      appType: fc.constantFrom('web-dashboard', 'mobile-app', 'portfolio', 'e-commerce', 'saas', 'professional', 'playful'),
+      purpose: fc.string({ minLength: 1, maxLength: 50 }),
+      colorMood: fc.constantFrom('warm', 'cool', 'pastel', 'dark'),
+      count: fc.integer({ min: 1, max: 24 })
+    });
+    const rolesArb = fc.shuffledSubarray(
+      ['primary', 'secondary', 'accent', 'background', 'surface', 'text',
+        'tertiary', 'border', 'muted', 'overlay', 'onPrimary', 'onSurface', 'highlight'],
+      { minLength: 1 }
+    );
+
+    fc.assert(
+      fc.property(preferencesArb, rolesArb, (preferences, roles) => {
+        const palettes = generator.generate({ ...preferences, roles });
+        expect(palettes).toHaveLength(preferences.count);
+
+        palettes.forEach(palette => {
+          expect(Object.keys(palette.colors)).toEqual(roles);
+          roles.forEach(role => {
+            expect(palette.colors[role].hex).toMatch(/^#[0-9A-F]{6}$/);
+            expect(palette.colors[role].role).toBe(role);
+            expect(palette.colors[role].usage.length).toBeGreaterThan(0);
+          });
+
+          // "On" roles are readable on their base color
+          const onRoles = { onPrimary: 'primary', onSurface: 'surface' };
+          Object.entries(onRoles).filter(([role]) => roles.includes(role)).forEach(([role, base]) => {
+            const baseHex = palette.colors[base] ? palette.colors[base].hex : null;
+            if (baseHex) {
+              expect(checker.calculateContrastRatio(palette.colors[role].hex, baseHex)).toBeGreaterThanOrEqual(4.5);
+            }
+          });
+        });
+
+        // The default schema keeps the six original roles
+        const [first] = generator.generate({ ...preferences, count: 1 });
+        expect(Object.keys(first.colors)).toEqual(['primary', 'secondary', 'accent', 'background', 'surface', 'text']);
+      }),
+      { numRuns: 40 }
+    );
+
+    const preferences = { appType: 'saas', purpose: 'Billing', colorMood: 'cool' };
+    [0, 25, 2.5].forEach(count => {
+      expect(() => generator.generate({ ...preferences, count })).toThrow('Palette count must be a whole number from 1 to 24');
+    });
+    expect(() => generator.generate({ ...preferences, roles: [] })).toThrow('A role schema needs at least one role');
+    expect(() => generator.generate({ ...preferences, roles: ['primary', 'primary'] })).toThrow('Duplicate role "primary"');
+    expect(() => generator.generate({ ...preferences, roles: ['2nd'] })).toThrow('Invalid role name "2nd"');
+  });
+
+  // Feature: color-palette-tool, Property 61: Harmonized status colors
+  // Validates: Requirements 2.3, 3.1, 4.1
+  it('should give every palette readable status colors with conventional hues', () => {
+    const generator = new PaletteGenerator();
+    const checker = generator.accessibilityChecker;
+    const utility = generator.colorUtility;
+    const hueOf = hex => utility.convert(utility.toColor(hex), 'oklch').coords[2];
+    const hueDistance = (a, b) => Math.abs(((a - b + 540) % 360) - 180);
+    const statusHues = { success: 145, warning: 75, error: 27, info: 250 };
+
+    const preferencesArb = fc.record({
+      appType: fc.constantFrom('web-dashboard', 'mobile-app', 'portfolio', 'e-commerce', 'saas', 'professional', 'playful'),
+      purpose: fc.string({ minLength: 1, maxLength: 50 }),
+      colorMood: fc.constantFrom('warm', 'cool', 'pastel', 'dark'),
+      seed: fc.integer({ min: 0, max: 0xFFFFFFFF })
+    });
+
+    fc.assert(
+      fc.property(preferencesArb, (preferences) => {
+        const [palette] = generator.generate({ ...preferences, count: 1 });
+        const colors = palette.statusColors;
+        const background = palette.colors.background.hex;
+
+        Object.entries(statusHues).forEach(([status, hue]) => {
+          const name = status.charAt(0).toUpperCase() + status.slice(1);
+          const [solid, on, subtle, onSubtle] = [status, `on${name}`, `${status}Subtle`, `on${name}Subtle`]
+            .map(role => colors[role].hex);
+
+          expect(hueDistance(hueOf(solid), hue)).toBeLessThanOrEqual(15);
+          expect(checker.calculateContrastRatio(on, solid)).toBeGreaterThanOrEqual(4.5);
+          expect(checker.calculateContrastRatio(onSubtle, subtle)).toBeGreaterThanOrEqual(4.5);
+          expect(checker.calculateContrastRatio(solid, background)).toBeGreaterThanOrEqual(3);
+        });
+
+        expect(palette.statusCompliance).toEqual(checker.checkStatusColors(palette));
+        expect(palette.statusCompliance.compliant).toBe(true);
+      }),
+      { numRuns: 50 }
+    );
+
+    // Warm palettes pull status hues toward orange, cool palettes away from it
+    const neutrals = { background: { hex: '#FFFFFF' }, text: { hex: '#1A1A1A' } };
+    fc.assert(
+      fc.property(fc.integer({ min: 30, max: 70 }), fc.integer({ min: 200, max: 260 }), (warmHue, coolHue) => {
+        const primary = hue => ({ hex: utility.toHex(utility.toGamut({ space: 'oklch', coords: [0.6, 0.15, hue], alpha: 1 }, 'srgb')) });
+        const warm = generator.generateStatusColors({ ...neutrals, primary: primary(warmHue) });
+        const cool = generator.generateStatusColors({ ...neutrals, primary: primary(coolHue) });
+
+        expect(hueOf(warm.success.hex)).toBeLessThan(hueOf(cool.success.hex));
+        expect(hueOf(warm.error.hex)).toBeGreaterThan(hueOf(cool.error.hex) > 180 ? hueOf(cool.error.hex) - 360 : hueOf(cool.error.hex));
+      }),
+      { numRuns: 30 }
+    );
+  });
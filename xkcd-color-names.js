@@ -0,0 +1,633 @@
+/**
+ * xkcd color names - A curated subset of the xkcd color survey
+ * 
+ * The survey (https://xkcd.com/color/rgb/) collected names for colors from
+ * more than 200,000 participants and was released into the public domain
+ * (CC0). Misspelled, joke and offensive names are left out.
+ * Keys are lowercase names, values are six-digit HEX codes.
+ * Used by ColorNamer to describe swatches in everyday words.
+ */
+
+const XKCD_COLOR_NAMES = Object.freeze({
+  algae: '#54AC68',
+  amber: '#FEB308',
+  amethyst: '#9B5FC0',
+  'apple green': '#76CD26',
+  apricot: '#FFB16D',
+  aqua: '#13EAC9',
+  'aqua blue': '#02D8E9',
+  'aqua green': '#12E193',
+  aquamarine: '#04D8B2',
+  'army green': '#4B5D16',
+  asparagus: '#77AB56',
+  aubergine: '#3D0734',
+  auburn: '#9A3001',
+  avocado: '#90B134',
+  'avocado green': '#87A922',
+  azul: '#1D5DEC',
+  azure: '#069AF3',
+  'baby blue': '#A2CFFE',
+  'baby green': '#8CFF9E',
+  'baby pink': '#FFB7CE',
+  'baby purple': '#CA9BF7',
+  banana: '#FFFF7E',
+  'banana yellow': '#FAFE4B',
+  'battleship grey': '#6B7C85',
+  beige: '#E6DAA6',
+  berry: '#990F4B',
+  black: '#000000',
+  bland: '#AFA88B',
+  'blood orange': '#FE4B03',
+  'blood red': '#980002',
+  blue: '#0343DF',
+  'blue green': '#137E6D',
+  'blue grey': '#607C8E',
+  'blue purple': '#5729CE',
+  'blue violet': '#5D06E9',
+  blueberry: '#464196',
+  'bluey grey': '#89A0B0',
+  'bluish green': '#10A674',
+  'bluish purple': '#703BE7',
+  blush: '#F29E8E',
+  'blush pink': '#FE828C',
+  'boring green': '#63B365',
+  'bottle green': '#044A05',
+  brick: '#A03623',
+  'brick orange': '#C14A09',
+  'brick red': '#8F1402',
+  'bright blue': '#0165FC',
+  'bright green': '#01FF07',
+  'bright pink': '#FE01B1',
+  'bright purple': '#BE03FD',
+  'bright red': '#FF000D',
+  'bright sea green': '#05FFA6',
+  'bright sky blue': '#02CCFE',
+  'bright yellow green': '#9DFF00',
+  bronze: '#A87900',
+  brown: '#653700',
+  'brownish grey': '#86775F',
+  'browny orange': '#CA6B02',
+  bruise: '#7E4071',
+  bubblegum: '#FF6CB5',
+  'bubblegum pink': '#FE83CC',
+  buff: '#FEF69E',
+  burgundy: '#610023',
+  'burnt orange': '#C04E01',
+  'burnt sienna': '#B04E0F',
+  'burnt umber': '#A0450E',
+  burple: '#6832E3',
+  butter: '#FFFF81',
+  'butter yellow': '#FFFD74',
+  butterscotch: '#FDB147',
+  camel: '#C69F59',
+  camo: '#7F8F4E',
+  'camouflage green': '#4B6113',
+  canary: '#FDFF63',
+  'canary yellow': '#FFFE40',
+  'candy pink': '#FF63E9',
+  caramel: '#AF6F09',
+  carmine: '#9D0216',
+  celadon: '#BEFDB7',
+  celery: '#C1FD95',
+  cement: '#A5A391',
+  cerulean: '#0485D1',
+  'cerulean blue': '#056EEE',
+  charcoal: '#343837',
+  'charcoal grey': '#3C4142',
+  chartreuse: '#C1F80A',
+  cherry: '#CF0234',
+  'cherry red': '#F7022A',
+  chestnut: '#742802',
+  chocolate: '#3D1C02',
+  'chocolate brown': '#411900',
+  cinnamon: '#AC4F06',
+  claret: '#680018',
+  'clay brown': '#B2713D',
+  'clear blue': '#247AFD',
+  'cloudy blue': '#ACC2D9',
+  cobalt: '#1E488F',
+  'cobalt blue': '#030AA7',
+  cocoa: '#875F42',
+  coffee: '#A6814C',
+  'cool blue': '#4984B8',
+  'cool green': '#33B864',
+  'cool grey': '#95A3A6',
+  copper: '#B66325',
+  coral: '#FC5A50',
+  'coral pink': '#FF6163',
+  cornflower: '#6A79F7',
+  'cornflower blue': '#5170D7',
+  cranberry: '#9E003A',
+  cream: '#FFFFC2',
+  creme: '#FFFFB6',
+  crimson: '#8C000F',
+  custard: '#FFFD78',
+  cyan: '#00FFFF',
+  'dark aqua': '#05696B',
+  'dark beige': '#AC9362',
+  'dark blue': '#00035B',
+  'dark blue green': '#005249',
+  'dark blue grey': '#1F3B4D',
+  'dark brown': '#341C02',
+  'dark coral': '#CF524E',
+  'dark cream': '#FFF39A',
+  'dark cyan': '#0A888A',
+  'dark forest green': '#002D04',
+  'dark fuchsia': '#9D0759',
+  'dark gold': '#B59410',
+  'dark grass green': '#388004',
+  'dark green': '#033500',
+  'dark green blue': '#1F6357',
+  'dark grey': '#363737',
+  'dark grey blue': '#29465B',
+  'dark hot pink': '#D90166',
+  'dark indigo': '#1F0954',
+  'dark khaki': '#9B8F55',
+  'dark lavender': '#856798',
+  'dark lilac': '#9C6DA5',
+  'dark lime': '#84B701',
+  'dark lime green': '#7EBD01',
+  'dark magenta': '#960056',
+  'dark maroon': '#3C0008',
+  'dark mauve': '#874C62',
+  'dark mint': '#48C072',
+  'dark mint green': '#20C073',
+  'dark mustard': '#A88905',
+  'dark navy': '#000435',
+  'dark navy blue': '#00022E',
+  'dark olive': '#373E02',
+  'dark olive green': '#3C4D03',
+  'dark orange': '#C65102',
+  'dark pastel green': '#56AE57',
+  'dark peach': '#DE7E5D',
+  'dark periwinkle': '#665FD1',
+  'dark pink': '#CB416B',
+  'dark plum': '#3F012C',
+  'dark purple': '#35063E',
+  'dark red': '#840000',
+  'dark rose': '#B5485D',
+  'dark royal blue': '#02066F',
+  'dark sage': '#598556',
+  'dark salmon': '#C85A53',
+  'dark sand': '#A88F59',
+  'dark sea green': '#11875D',
+  'dark seafoam': '#1FB57A',
+  'dark sky blue': '#448EE4',
+  'dark slate blue': '#214761',
+  'dark tan': '#AF884A',
+  'dark taupe': '#7F684E',
+  'dark teal': '#014D4E',
+  'dark turquoise': '#045C5A',
+  'dark violet': '#34013F',
+  'dark yellow': '#D5B60A',
+  'dark yellow green': '#728F02',
+  'darkish pink': '#DA467D',
+  'darkish purple': '#751973',
+  'deep aqua': '#08787F',
+  'deep blue': '#040273',
+  'deep brown': '#410200',
+  'deep green': '#02590F',
+  'deep lavender': '#8D5EB7',
+  'deep lilac': '#966EBD',
+  'deep orange': '#DC4D01',
+  'deep pink': '#CB0162',
+  'deep purple': '#36013F',
+  'deep red': '#9A0200',
+  'deep sea blue': '#015482',
+  'deep sky blue': '#0D75F8',
+  'deep teal': '#00555A',
+  'deep turquoise': '#017374',
+  denim: '#3B638C',
+  'denim blue': '#3B5B92',
+  desert: '#CCAD60',
+  'dodger blue': '#3E82FC',
+  'drab green': '#749551',
+  'dull teal': '#5F9E8F',
+  dusk: '#4E5481',
+  'dusk blue': '#26538D',
+  dust: '#B2996E',
+  'dusty blue': '#5A86AD',
+  'dusty green': '#76A973',
+  'dusty lavender': '#AC86A8',
+  'dusty orange': '#F0833A',
+  'dusty pink': '#D58A94',
+  'dusty purple': '#825F87',
+  'dusty red': '#B9484E',
+  'dusty rose': '#C0737A',
+  'dusty teal': '#4C9085',
+  ecru: '#FEFFCA',
+  'egg shell': '#FFFCC4',
+  eggplant: '#380835',
+  'eggplant purple': '#430541',
+  eggshell: '#FFFFD4',
+  'eggshell blue': '#C4FFF7',
+  'electric blue': '#0652FF',
+  'electric green': '#21FC0D',
+  'electric lime': '#A8FF04',
+  'electric pink': '#FF0490',
+  'electric purple': '#AA23FF',
+  emerald: '#01A049',
+  'emerald green': '#028F1E',
+  evergreen: '#05472A',
+  fern: '#63A950',
+  'fern green': '#548D44',
+  'fire engine red': '#FE0002',
+  'flat blue': '#3C73A8',
+  'flat green': '#699D4C',
+  'foam green': '#90FDA9',
+  forest: '#0B5509',
+  'forest green': '#06470C',
+  'fresh green': '#69D84F',
+  'frog green': '#58BC08',
+  fuchsia: '#ED0DD9',
+  gold: '#DBB40C',
+  'golden brown': '#B27A01',
+  'golden rod': '#F9BC08',
+  goldenrod: '#FAC205',
+  grape: '#6C3461',
+  'grape purple': '#5D1451',
+  grapefruit: '#FD5956',
+  grass: '#5CAC2D',
+  'grass green': '#3F9B0B',
+  green: '#15B01A',
+  'green blue': '#06B48B',
+  'green grey': '#77926F',
+  'green teal': '#0CB577',
+  'greenish beige': '#C9D179',
+  'greenish blue': '#0B8B87',
+  'greeny grey': '#7EA07A',
+  grey: '#929591',
+  'grey blue': '#6B8BA4',
+  'grey brown': '#7F7053',
+  'grey green': '#789B73',
+  'grey pink': '#C3909B',
+  'grey purple': '#826D8C',
+  'grey teal': '#5E9B8A',
+  'greyish blue': '#5E819D',
+  'greyish brown': '#7A6A4F',
+  'greyish green': '#82A67D',
+  'greyish pink': '#C88D94',
+  'greyish purple': '#887191',
+  'greyish teal': '#719F91',
+  gunmetal: '#536267',
+  hazel: '#8E7618',
+  heather: '#A484AC',
+  heliotrope: '#D94FF5',
+  'highlighter green': '#1BFC06',
+  'hot magenta': '#F504C9',
+  'hot pink': '#FF028D',
+  'hot purple': '#CB00F5',
+  'hunter green': '#0B4008',
+  ice: '#D6FFFA',
+  'ice blue': '#D7FFFE',
+  'indian red': '#850E04',
+  indigo: '#380282',
+  'indigo blue': '#3A18B1',
+  iris: '#6258C4',
+  'irish green': '#019529',
+  ivory: '#FFFFCB',
+  jade: '#1FA774',
+  'jade green': '#2BAF6A',
+  'kelly green': '#02AB2E',
+  'key lime': '#AEFF6E',
+  khaki: '#AAA662',
+  'khaki green': '#728639',
+  'kiwi green': '#8EE53F',
+  lavender: '#C79FEF',
+  'lavender blue': '#8B88F8',
+  'lavender pink': '#DD85D7',
+  'lawn green': '#4DA409',
+  leaf: '#71AA34',
+  'leaf green': '#5CA904',
+  leather: '#AC7434',
+  lemon: '#FDFF52',
+  'lemon lime': '#BFFE28',
+  'lemon yellow': '#FDFF38',
+  lichen: '#8FB67B',
+  'light aqua': '#8CFFDB',
+  'light beige': '#FFFEB6',
+  'light blue': '#95D0FC',
+  'light blue green': '#7EFBB3',
+  'light blue grey': '#B7C9E2',
+  'light bluish green': '#76FDA8',
+  'light bright green': '#53FE5C',
+  'light brown': '#AD8150',
+  'light burgundy': '#A8415B',
+  'light cyan': '#ACFFFC',
+  'light eggplant': '#894585',
+  'light forest green': '#4F9153',
+  'light gold': '#FDDC5C',
+  'light green': '#96F97B',
+  'light green blue': '#56FCA2',
+  'light greenish blue': '#63F7B4',
+  'light grey': '#D8DCD6',
+  'light grey green': '#B7E1A1',
+  'light indigo': '#6D5ACF',
+  'light khaki': '#E6F2A2',
+  'light lavender': '#DFC5FE',
+  'light lilac': '#EDC8FF',
+  'light magenta': '#FA5FF7',
+  'light maroon': '#A24857',
+  'light mauve': '#C292A1',
+  'light mint': '#B6FFBB',
+  'light mint green': '#A6FBB2',
+  'light moss green': '#A6C875',
+  'light navy': '#155084',
+  'light navy blue': '#2E5A88',
+  'light neon green': '#4EFD54',
+  'light olive': '#ACBF69',
+  'light olive green': '#A4BE5C',
+  'light orange': '#FDAA48',
+  'light pastel green': '#B2FBA5',
+  'light pea green': '#C4FE82',
+  'light peach': '#FFD8B1',
+  'light periwinkle': '#C1C6FC',
+  'light pink': '#FFD1DF',
+  'light plum': '#9D5783',
+  'light purple': '#BF77F6',
+  'light red': '#FF474C',
+  'light rose': '#FFC5CB',
+  'light royal blue': '#3A2EFE',
+  'light sage': '#BCECAC',
+  'light salmon': '#FEA993',
+  'light sea green': '#98F6B0',
+  'light seafoam': '#A0FEBF',
+  'light seafoam green': '#A7FFB5',
+  'light sky blue': '#C6FCFF',
+  'light tan': '#FBEEAC',
+  'light teal': '#90E4C1',
+  'light turquoise': '#7EF4CC',
+  'light violet': '#D6B4FC',
+  'light yellow': '#FFFE7A',
+  'light yellowish green': '#C2FF89',
+  lilac: '#CEA2FD',
+  lime: '#AAFF32',
+  'lime green': '#89FE05',
+  'lime yellow': '#D0FE1D',
+  lipstick: '#D5174E',
+  'lipstick red': '#C0022F',
+  'macaroni and cheese': '#EFB435',
+  magenta: '#C20078',
+  mahogany: '#4A0100',
+  marigold: '#FCC006',
+  marine: '#042E60',
+  'marine blue': '#01386A',
+  maroon: '#650021',
+  mauve: '#AE7181',
+  melon: '#FF7855',
+  merlot: '#730039',
+  'metallic blue': '#4F738E',
+  midnight: '#03012D',
+  'midnight blue': '#020035',
+  'military green': '#667C3E',
+  'milk chocolate': '#7F4E1E',
+  mint: '#9FFEB0',
+  'mint green': '#8FFF9F',
+  mocha: '#9D7651',
+  moss: '#769958',
+  'moss green': '#658B38',
+  'mud green': '#606602',
+  mulberry: '#920A4E',
+  mushroom: '#BA9E88',
+  mustard: '#CEB301',
+  'mustard yellow': '#D2BD0A',
+  'muted blue': '#3B719F',
+  'muted green': '#5FA052',
+  'muted pink': '#D1768F',
+  'muted purple': '#805B87',
+  navy: '#01153E',
+  'navy blue': '#001146',
+  'neon blue': '#04D9FF',
+  'neon green': '#0CFF0C',
+  'neon pink': '#FE019A',
+  'neon purple': '#BC13FE',
+  'neon red': '#FF073A',
+  'neon yellow': '#CFFF04',
+  'nice blue': '#107AB0',
+  ocean: '#017B92',
+  'ocean blue': '#03719C',
+  ochre: '#BF9005',
+  'off blue': '#5684AE',
+  'off white': '#FFFFE4',
+  'old pink': '#C77986',
+  'old rose': '#C87F89',
+  olive: '#6E750E',
+  'olive drab': '#6F7632',
+  'olive green': '#677A04',
+  'olive yellow': '#C2B709',
+  orange: '#F97306',
+  'orange pink': '#FF6F52',
+  'orangey yellow': '#FDB915',
+  orchid: '#C875C4',
+  oxblood: '#770001',
+  'pale aqua': '#B8FFEB',
+  'pale blue': '#D0FEFE',
+  'pale brown': '#B1916E',
+  'pale cyan': '#B7FFFA',
+  'pale gold': '#FDDE6C',
+  'pale green': '#C7FDB5',
+  'pale grey': '#FDFDFE',
+  'pale lavender': '#EECFFE',
+  'pale light green': '#B1FC99',
+  'pale lilac': '#E4CBFF',
+  'pale lime': '#BEFD73',
+  'pale lime green': '#B1FF65',
+  'pale magenta': '#D767AD',
+  'pale mauve': '#FED0FC',
+  'pale olive': '#B9CC81',
+  'pale olive green': '#B1D27B',
+  'pale orange': '#FFA756',
+  'pale peach': '#FFE5AD',
+  'pale pink': '#FFCFDC',
+  'pale purple': '#B790D4',
+  'pale red': '#D9544D',
+  'pale rose': '#FDC1C5',
+  'pale salmon': '#FFB19A',
+  'pale sky blue': '#BDF6FE',
+  'pale teal': '#82CBB2',
+  'pale turquoise': '#A5FBD5',
+  'pale violet': '#CEAEFA',
+  'pale yellow': '#FFFF84',
+  parchment: '#FEFCAF',
+  'pastel blue': '#A2BFFE',
+  'pastel green': '#B0FF9D',
+  'pastel orange': '#FF964F',
+  'pastel pink': '#FFBACD',
+  'pastel purple': '#CAA0FF',
+  'pastel red': '#DB5856',
+  'pastel yellow': '#FFFE71',
+  'pea green': '#8EAB12',
+  peach: '#FFB07C',
+  'peachy pink': '#FF9A8A',
+  pear: '#CBF85F',
+  periwinkle: '#8E82FE',
+  petrol: '#005F6A',
+  pine: '#2B5D34',
+  'pine green': '#0A481E',
+  pink: '#FF81C0',
+  'pink purple': '#DB4BDA',
+  'pinkish grey': '#C8ACA9',
+  'pinkish purple': '#D648D7',
+  'pinkish tan': '#D99B82',
+  pistachio: '#C0FA8B',
+  plum: '#580F41',
+  'plum purple': '#4E0550',
+  'poison green': '#40FD14',
+  'powder blue': '#B1D1FC',
+  'powder pink': '#FFB2D0',
+  'primary blue': '#0804F9',
+  'prussian blue': '#004577',
+  puce: '#A57E52',
+  pumpkin: '#E17701',
+  'pumpkin orange': '#FB7D07',
+  'pure blue': '#0203E2',
+  purple: '#7E1E9C',
+  'purple blue': '#632DE9',
+  'purple grey': '#866F85',
+  'purple pink': '#E03FD8',
+  'purpley grey': '#947E94',
+  'purplish blue': '#601EF9',
+  'purplish pink': '#CE5DAE',
+  putty: '#BEAE8A',
+  'racing green': '#014600',
+  'radioactive green': '#2CFA1F',
+  raspberry: '#B00149',
+  'raw sienna': '#9A6200',
+  'raw umber': '#A75E09',
+  red: '#E50000',
+  'red wine': '#8C0034',
+  'reddish grey': '#997570',
+  'reddish orange': '#F8481C',
+  'rich blue': '#021BF9',
+  'rich purple': '#720058',
+  rosa: '#FE86A4',
+  rose: '#CF6275',
+  'rose pink': '#F7879A',
+  'rose red': '#BE013C',
+  'rosy pink': '#F6688E',
+  rouge: '#AB1239',
+  royal: '#0C1793',
+  'royal blue': '#0504AA',
+  'royal purple': '#4B006E',
+  ruby: '#CA0147',
+  rust: '#A83C09',
+  'rust brown': '#8B3103',
+  'rust orange': '#C45508',
+  'rust red': '#AA2704',
+  sage: '#87AE73',
+  'sage green': '#88B378',
+  salmon: '#FF796C',
+  sand: '#E2CA76',
+  'sand brown': '#CBA560',
+  'sand yellow': '#FCE166',
+  sandstone: '#C9AE74',
+  sandy: '#F1DA7A',
+  'sandy brown': '#C4A661',
+  'sap green': '#5C8B15',
+  sapphire: '#2138AB',
+  scarlet: '#BE0119',
+  sea: '#3C9992',
+  'sea blue': '#047495',
+  'sea green': '#53FCA1',
+  seafoam: '#80F9AD',
+  'seafoam blue': '#78D1B6',
+  'seafoam green': '#7AF9AB',
+  seaweed: '#18D17B',
+  'seaweed green': '#35AD6B',
+  sepia: '#985E2B',
+  shamrock: '#01B44C',
+  'shamrock green': '#02C14D',
+  sienna: '#A9561E',
+  silver: '#C5C9C7',
+  'sky blue': '#75BBFD',
+  slate: '#516572',
+  'slate blue': '#5B7C99',
+  'slate green': '#658D6D',
+  'slate grey': '#59656D',
+  'soft blue': '#6488EA',
+  'soft green': '#6FC276',
+  'soft pink': '#FDB0C0',
+  'soft purple': '#A66FB5',
+  spearmint: '#1EF876',
+  spruce: '#0A5F38',
+  squash: '#F2AB15',
+  steel: '#738595',
+  'steel blue': '#5A7D9A',
+  'steel grey': '#6F828A',
+  stone: '#ADA587',
+  'stormy blue': '#507B9C',
+  straw: '#FCF679',
+  strawberry: '#FB2943',
+  'strong blue': '#0C06F7',
+  'strong pink': '#FF0789',
+  'sun yellow': '#FFDF22',
+  sunflower: '#FFC512',
+  'sunflower yellow': '#FFDA03',
+  'sunny yellow': '#FFF917',
+  'sunshine yellow': '#FFFD37',
+  swamp: '#698339',
+  'swamp green': '#748500',
+  tan: '#D1B26F',
+  'tan brown': '#AB7E4C',
+  'tan green': '#A9BE70',
+  tangerine: '#FF9408',
+  taupe: '#B9A281',
+  tea: '#65AB7C',
+  'tea green': '#BDF8A3',
+  teal: '#029386',
+  'teal blue': '#01889F',
+  'teal green': '#25A36F',
+  'tealish green': '#0CDC73',
+  terracotta: '#CA6641',
+  'tiffany blue': '#7BF2DA',
+  tomato: '#EF4026',
+  'tomato red': '#EC2D01',
+  topaz: '#13BBAF',
+  'true blue': '#010FCC',
+  'true green': '#089404',
+  turquoise: '#06C2AC',
+  'turquoise blue': '#06B1C4',
+  'turquoise green': '#04F489',
+  twilight: '#4E518B',
+  'twilight blue': '#0A437A',
+  ultramarine: '#2000B1',
+  'ultramarine blue': '#1805DB',
+  umber: '#B26400',
+  vermillion: '#F4320C',
+  'very dark brown': '#1D0200',
+  'very light brown': '#D3B683',
+  'very pale blue': '#D6FFFE',
+  'vibrant blue': '#0339F8',
+  'vibrant green': '#0ADD08',
+  'vibrant purple': '#AD03DE',
+  violet: '#9A0EEA',
+  'violet blue': '#510AC9',
+  'violet pink': '#FB5FFC',
+  viridian: '#1E9167',
+  'vivid blue': '#152EFF',
+  'vivid purple': '#9900FA',
+  'warm blue': '#4B57DB',
+  'warm grey': '#978A84',
+  'warm pink': '#FB5581',
+  'warm purple': '#952E8F',
+  'washed out green': '#BCF5A6',
+  watermelon: '#FD4659',
+  wheat: '#FBDD7E',
+  white: '#FFFFFF',
+  'windows blue': '#3778BF',
+  wine: '#80013F',
+  'wine red': '#7B0323',
+  wintergreen: '#20F986',
+  wisteria: '#A87DC2',
+  yellow: '#FFFF14',
+  'yellow green': '#C0FB2D',
+  'yellow tan': '#FFE36E',
+  'yellowish green': '#B0DD16'
+});
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = XKCD_COLOR_NAMES;
+}
+
+export default XKCD_COLOR_NAMES;